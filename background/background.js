@@ -18,6 +18,11 @@
  * - Profile management (create, switch, delete profiles)
  * - Browser sync support (optional)
  * - Import/export settings
+ * - Automatic profile switching from URL rules (v1.10.0)
+ * - Per-conversation pinned settings (v1.10.0)
+ * - Width units: %, px, ch and rem (v1.10.0)
+ * - Viewport breakpoint tiers shown in the badge (v1.10.0)
+ * - Focus mode from a keyboard command or the context menu (v1.10.0)
  *
  * Changes from 1.8.x:
  * - Added profile system for multiple configuration profiles
@@ -41,9 +46,14 @@
         DEFAULT_WIDTH,
         MIN_WIDTH,
         MAX_WIDTH,
-        PRESET_CYCLE,
         STORAGE_KEY,
+        WIDTH_UNIT_KEY,
+        WIDTH_BREAKPOINTS_KEY,
+        AUTO_WIDTH_KEY,
+        AUTO_WIDTH_BOUNDS_KEY,
+        DEFAULT_WIDTH_UNIT,
         LAST_WIDTH_KEY,
+        LAST_PINNED_WIDTH_KEY,
         ENHANCED_KEYS,
         ENHANCED_DEFAULTS,
         MAX_CUSTOM_PRESETS,
@@ -51,10 +61,20 @@
         BUILT_IN_PRESETS,
         BADGE_COLOR,
         BADGE_TEXT_COLOR,
+        BADGE_WARNING_COLOR,
+        HEALTH_STATUSES,
         PROFILE_STORAGE_KEYS,
-        PROFILE_DEFAULTS
+        PROFILE_DEFAULTS,
+        CONVERSATION_OVERRIDES_KEY,
+        CONVERSATION_OVERRIDE_KEYS,
+        SIDEBAR_WIDTHS
     } = window.ClaudeWidthConstants;
 
+    const Units = window.ClaudeWidthUnits;
+    const Breakpoints = window.ClaudeWidthBreakpoints;
+    const AutoWidth = window.ClaudeWidthAutoWidth;
+    const CodeExport = window.ClaudeWidthCodeExport;
+
     // =========================================================================
     // LOCAL CONSTANTS (specific to background script)
     // =========================================================================
@@ -87,7 +107,7 @@
      * Current migration version.
      * @type {number}
      */
-    const CURRENT_MIGRATION_VERSION = 3;
+    const CURRENT_MIGRATION_VERSION = 4;
 
     /**
      * Alias for enhanced styling defaults (for migration compatibility).
@@ -95,6 +115,13 @@
      */
     const ENHANCED_STYLING_DEFAULTS = ENHANCED_DEFAULTS;
 
+    /**
+     * How long a downloaded file's object URL is kept (ms). The download
+     * has started by the time downloads.download() resolves.
+     * @type {number}
+     */
+    const DOWNLOAD_URL_LIFETIME_MS = 1000;
+
     /**
      * Context menu IDs.
      * @type {Object}
@@ -104,7 +131,12 @@
         SEPARATOR_1: 'claude-width-sep-1',
         SEPARATOR_2: 'claude-width-sep-2',
         DEFAULT: 'claude-width-default',
-        RECENT_PARENT: 'claude-width-recent'
+        RECENT_PARENT: 'claude-width-recent',
+        SEPARATOR_3: 'claude-width-sep-3',
+        PIN_CONVERSATION: 'claude-width-pin-conversation',
+        SAVE_ALL_CODE: 'claude-width-save-all-code',
+        SEPARATOR_4: 'claude-width-sep-4',
+        FOCUS_MODE: 'claude-width-focus-mode'
     };
 
     // =========================================================================
@@ -117,9 +149,52 @@
      */
     let currentWidth = DEFAULT_WIDTH;
 
+    /**
+     * Current width unit (v1.10.0).
+     * @type {string}
+     */
+    let currentUnit = DEFAULT_WIDTH_UNIT;
+
+    /**
+     * Viewport breakpoint tiers of the active profile (v1.10.0).
+     * @type {WidthBreakpoint[]}
+     */
+    let widthBreakpoints = [];
+
+    /**
+     * Whether the active profile uses auto width (v1.10.0).
+     * @type {boolean}
+     */
+    let autoWidthEnabled = false;
+
+    /**
+     * Auto width bounds of the active profile, unsanitized (v1.10.0).
+     * @type {AutoWidthBounds|null}
+     */
+    let autoWidthBounds = null;
+
+    /**
+     * Width auto mode picked in each tab, as reported by its content script (v1.10.0).
+     * @type {Map<number, {width: number, unit: string}>}
+     */
+    const autoWidthByTab = new Map();
+
+    /**
+     * Selector health of each tab, as reported by its content script (v1.10.0).
+     * @type {Map<number, {status: string, lostRoles: string[]}>}
+     */
+    const selectorHealthByTab = new Map();
+
+    /**
+     * Focus mode of the active profile and the width it forces (v1.10.0).
+     * A width of 0 keeps the width the page would otherwise have.
+     * @type {{enabled: boolean, width: number, unit: string}}
+     */
+    let focusMode = { enabled: false, width: 0, unit: DEFAULT_WIDTH_UNIT };
+
     /**
      * Custom presets array.
-     * @type {Array<{id: string, name: string, width: number, order: number, favorite: boolean}>}
+     * @type {Array<{id: string, name: string, width: number, unit?: string, order: number, favorite: boolean}>}
      */
     let customPresets = [];
 
@@ -131,7 +206,7 @@
 
     /**
      * Recent widths array.
-     * @type {number[]}
+     * @type {Array<{width: number, unit: string}>}
      */
     let recentWidths = [];
 
@@ -147,6 +222,13 @@
      */
     let activeProfileName = 'Default';
 
+    /**
+     * Serializes flat-key write-backs into the active profile so concurrent
+     * storage changes don't overwrite each other's profile saves (v1.10.0).
+     * @type {Promise<void>}
+     */
+    let profileWriteBackQueue = Promise.resolve();
+
     // =========================================================================
     // INITIALIZATION
     // =========================================================================
@@ -172,6 +254,10 @@
         browser.storage.onChanged.addListener(handleStorageChange);
         browser.tabs.onActivated.addListener(handleTabActivated);
         browser.tabs.onUpdated.addListener(handleTabUpdated);
+        browser.tabs.onRemoved.addListener(tabId => {
+            autoWidthByTab.delete(tabId);
+            selectorHealthByTab.delete(tabId);
+        });
         browser.contextMenus.onClicked.addListener(handleContextMenuClick);
 
         // Update badge for current tab
@@ -274,6 +360,14 @@
                     Logger.debug('Background', 'Migration 3 complete - Profile system initialized');
                 }
 
+                // Migration 4: Give auto-profile rules an id, enabled flag and priority (v1.10.0)
+                if (currentMigrationVersion < 4 && window.ClaudeWidthProfiles) {
+                    const profileData = await window.ClaudeWidthProfiles.loadProfileData();
+                    profileData.autoProfileRules = window.ClaudeWidthProfiles.sanitizeAutoProfileRules(profileData.autoProfileRules);
+                    await window.ClaudeWidthProfiles.saveProfileData(profileData);
+                    Logger.debug('Background', 'Migration 4 complete - Auto-profile rules normalized');
+                }
+
                 // Update migration version to current
                 await browser.storage.local.set({ [MIGRATION_VERSION_KEY]: CURRENT_MIGRATION_VERSION });
                 Logger.info('Background', `Migration version updated to ${CURRENT_MIGRATION_VERSION}`);
@@ -291,21 +385,36 @@
         try {
             const result = await browser.storage.local.get([
                 STORAGE_KEY,
+                WIDTH_UNIT_KEY,
+                WIDTH_BREAKPOINTS_KEY,
+                AUTO_WIDTH_KEY,
+                AUTO_WIDTH_BOUNDS_KEY,
                 CUSTOM_PRESETS_KEY,
                 HIDDEN_PRESETS_KEY,
                 RECENT_WIDTHS_KEY,
+                ENHANCED_KEYS.FOCUS_MODE,
+                ENHANCED_KEYS.FOCUS_WIDTH,
+                ENHANCED_KEYS.FOCUS_WIDTH_UNIT,
                 PROFILE_STORAGE_KEYS.ACTIVE_PROFILE_ID,
                 PROFILE_STORAGE_KEYS.PROFILES
             ]);
 
-            // Load current width
+            // Load current width and unit
+            currentUnit = Units.normalizeUnit(result[WIDTH_UNIT_KEY]);
             const stored = result[STORAGE_KEY];
-            if (typeof stored === 'number' && stored >= MIN_WIDTH && stored <= MAX_WIDTH) {
+            if (Units.isValidWidth(stored, currentUnit)) {
                 currentWidth = stored;
             } else {
-                currentWidth = DEFAULT_WIDTH;
+                currentWidth = Units.getUnitConfig(currentUnit).defaultValue;
             }
 
+            // Load breakpoint tiers (v1.10.0)
+            widthBreakpoints = Breakpoints.sanitizeBreakpoints(result[WIDTH_BREAKPOINTS_KEY]);
+
+            // Load auto width mode (v1.10.0)
+            autoWidthEnabled = result[AUTO_WIDTH_KEY] === true;
+            autoWidthBounds = result[AUTO_WIDTH_BOUNDS_KEY] ?? null;
+
             // Load custom presets
             if (Array.isArray(result[CUSTOM_PRESETS_KEY])) {
                 customPresets = result[CUSTOM_PRESETS_KEY];
@@ -316,10 +425,11 @@
                 hiddenBuiltInPresets = result[HIDDEN_PRESETS_KEY];
             }
 
-            // Load recent widths
-            if (Array.isArray(result[RECENT_WIDTHS_KEY])) {
-                recentWidths = result[RECENT_WIDTHS_KEY];
-            }
+            // Load recent widths (bare numbers from before v1.10.0 are percentages)
+            recentWidths = Units.normalizeRecentWidths(result[RECENT_WIDTHS_KEY]);
+
+            // Load focus mode (v1.10.0)
+            focusMode = readFocusMode(result);
 
             // Load active profile info (v1.9.0)
             activeProfileId = result[PROFILE_STORAGE_KEYS.ACTIVE_PROFILE_ID] || 'default';
@@ -328,13 +438,18 @@
                 activeProfileName = profiles[activeProfileId].name || 'Default';
             }
 
-            Logger.debug('Background', `State loaded: width=${currentWidth}%, profile="${activeProfileName}", customPresets=${customPresets.length}, recentWidths=${recentWidths.length}`);
+            Logger.debug('Background', `State loaded: width=${Units.formatWidth(currentWidth, currentUnit)}, profile="${activeProfileName}", customPresets=${customPresets.length}, recentWidths=${recentWidths.length}`);
         } catch (error) {
             Logger.error('Background', 'Error loading state:', error);
             currentWidth = DEFAULT_WIDTH;
+            currentUnit = DEFAULT_WIDTH_UNIT;
+            widthBreakpoints = [];
+            autoWidthEnabled = false;
+            autoWidthBounds = null;
             customPresets = [];
             hiddenBuiltInPresets = [];
             recentWidths = [];
+            focusMode = { enabled: false, width: 0, unit: DEFAULT_WIDTH_UNIT };
             activeProfileId = 'default';
             activeProfileName = 'Default';
         }
@@ -360,18 +475,19 @@
                 documentUrlPatterns: ['*://claude.ai/*']
             });
 
-            // Add visible built-in presets
-            for (const preset of BUILT_IN_PRESETS) {
+            // Add visible built-in presets, sized for the current unit
+            const presetWidths = Units.getPresetWidths(currentUnit);
+            BUILT_IN_PRESETS.forEach((preset, index) => {
                 if (!hiddenBuiltInPresets.includes(preset.id)) {
                     browser.contextMenus.create({
                         id: `preset-${preset.id}`,
                         parentId: MENU_IDS.PARENT,
-                        title: `${preset.name} (${preset.width}%)`,
+                        title: `${preset.name} (${Units.formatWidth(presetWidths[index], currentUnit)})`,
                         contexts: ['page'],
                         documentUrlPatterns: ['*://claude.ai/*']
                     });
                 }
-            }
+            });
 
             // Add separator if we have custom presets
             if (customPresets.length > 0) {
@@ -390,7 +506,7 @@
                     browser.contextMenus.create({
                         id: `custom-${preset.id}`,
                         parentId: MENU_IDS.PARENT,
-                        title: `${preset.name}${star} (${preset.width}%)`,
+                        title: `${preset.name}${star} (${Units.formatWidth(preset.width, preset.unit)})`,
                         contexts: ['page'],
                         documentUrlPatterns: ['*://claude.ai/*']
                     });
@@ -410,7 +526,7 @@
             browser.contextMenus.create({
                 id: MENU_IDS.DEFAULT,
                 parentId: MENU_IDS.PARENT,
-                title: `Default (${DEFAULT_WIDTH}%)`,
+                title: `Default (${Units.formatWidth(Units.getUnitConfig(currentUnit).defaultValue, currentUnit)})`,
                 contexts: ['page'],
                 documentUrlPatterns: ['*://claude.ai/*']
             });
@@ -429,13 +545,58 @@
                     browser.contextMenus.create({
                         id: `recent-${i}`,
                         parentId: MENU_IDS.RECENT_PARENT,
-                        title: `${recentWidths[i]}%`,
+                        title: Units.formatWidth(recentWidths[i].width, recentWidths[i].unit),
                         contexts: ['page'],
                         documentUrlPatterns: ['*://claude.ai/*']
                     });
                 }
             }
 
+            // Pin/unpin the current conversation (v1.10.0)
+            browser.contextMenus.create({
+                id: MENU_IDS.SEPARATOR_3,
+                parentId: MENU_IDS.PARENT,
+                type: 'separator',
+                contexts: ['page'],
+                documentUrlPatterns: ['*://claude.ai/chat/*']
+            });
+
+            browser.contextMenus.create({
+                id: MENU_IDS.PIN_CONVERSATION,
+                parentId: MENU_IDS.PARENT,
+                title: 'Pin to This Conversation',
+                contexts: ['page'],
+                documentUrlPatterns: ['*://claude.ai/chat/*']
+            });
+
+            // Save every code block of the conversation (v1.10.0)
+            browser.contextMenus.create({
+                id: MENU_IDS.SAVE_ALL_CODE,
+                parentId: MENU_IDS.PARENT,
+                title: 'Save All Code Blocks',
+                contexts: ['page'],
+                documentUrlPatterns: ['*://claude.ai/chat/*']
+            });
+
+            // Focus mode (v1.10.0)
+            browser.contextMenus.create({
+                id: MENU_IDS.SEPARATOR_4,
+                parentId: MENU_IDS.PARENT,
+                type: 'separator',
+                contexts: ['page'],
+                documentUrlPatterns: ['*://claude.ai/*']
+            });
+
+            browser.contextMenus.create({
+                id: MENU_IDS.FOCUS_MODE,
+                parentId: MENU_IDS.PARENT,
+                type: 'checkbox',
+                title: 'Focus Mode',
+                checked: focusMode.enabled,
+                contexts: ['page'],
+                documentUrlPatterns: ['*://claude.ai/*']
+            });
+
             console.log('[Claude Width Background] Context menu created');
         } catch (error) {
             console.error('[Claude Width Background] Error creating context menu:', error);
@@ -454,10 +615,10 @@
         // Handle built-in presets
         if (menuId.startsWith('preset-')) {
             const presetId = menuId.replace('preset-', '');
-            const preset = BUILT_IN_PRESETS.find(p => p.id === presetId);
-            if (preset) {
-                await setWidth(preset.width);
-                await notifyTab(tab.id, preset.width);
+            const index = BUILT_IN_PRESETS.findIndex(p => p.id === presetId);
+            if (index !== -1) {
+                const width = Units.getPresetWidths(currentUnit)[index];
+                await setWidthForTab(tab, width, currentUnit);
             }
             return;
         }
@@ -467,8 +628,7 @@
             const presetId = menuId.replace('custom-', '');
             const preset = customPresets.find(p => p.id === presetId);
             if (preset) {
-                await setWidth(preset.width);
-                await notifyTab(tab.id, preset.width);
+                await setWidthForTab(tab, preset.width, Units.normalizeUnit(preset.unit));
             }
             return;
         }
@@ -477,17 +637,37 @@
         if (menuId.startsWith('recent-')) {
             const index = parseInt(menuId.replace('recent-', ''), 10);
             if (index >= 0 && index < recentWidths.length) {
-                const width = recentWidths[index];
-                await setWidth(width);
-                await notifyTab(tab.id, width);
+                const { width, unit } = recentWidths[index];
+                await setWidthForTab(tab, width, unit);
             }
             return;
         }
 
         // Handle default
         if (menuId === MENU_IDS.DEFAULT) {
-            await setWidth(DEFAULT_WIDTH);
-            await notifyTab(tab.id, DEFAULT_WIDTH);
+            await setWidthForTab(tab, Units.getUnitConfig(currentUnit).defaultValue, currentUnit);
+            return;
+        }
+
+        // Handle conversation pin toggle
+        if (menuId === MENU_IDS.PIN_CONVERSATION) {
+            await togglePinnedConversation(tab);
+            return;
+        }
+
+        // Handle focus mode toggle
+        if (menuId === MENU_IDS.FOCUS_MODE) {
+            await toggleFocusMode();
+            return;
+        }
+
+        // Handle saving all code blocks; the content script collects them
+        if (menuId === MENU_IDS.SAVE_ALL_CODE) {
+            try {
+                await browser.tabs.sendMessage(tab.id, { action: 'saveAllCodeBlocks' });
+            } catch (error) {
+                console.log('[Claude Width Background] Could not ask tab to save code blocks:', error.message);
+            }
             return;
         }
     }
@@ -497,12 +677,14 @@
      *
      * @param {number} tabId - Tab ID
      * @param {number} width - New width value
+     * @param {string} unit - Width unit
      */
-    async function notifyTab(tabId, width) {
+    async function notifyTab(tabId, width, unit) {
         try {
             await browser.tabs.sendMessage(tabId, {
                 action: 'updateWidth',
-                width: width
+                width: width,
+                unit: unit
             });
         } catch (error) {
             console.log('[Claude Width Background] Could not notify tab');
@@ -517,13 +699,14 @@
      * Add a width to the recent widths list.
      *
      * @param {number} width - Width to add
+     * @param {string} unit - Width unit
      */
-    async function addToRecentWidths(width) {
+    async function addToRecentWidths(width, unit) {
         // Remove if already exists
-        recentWidths = recentWidths.filter(w => w !== width);
+        recentWidths = recentWidths.filter(w => w.width !== width || w.unit !== unit);
 
         // Add to beginning
-        recentWidths.unshift(width);
+        recentWidths.unshift({ width, unit });
 
         // Trim to max length
         if (recentWidths.length > MAX_RECENT_WIDTHS) {
@@ -559,60 +742,192 @@
             case 'toggle-default':
                 await toggleDefault();
                 break;
+            // Sidebar commands have no default key; users bind them in Firefox (v1.10.0)
+            case 'toggle-sidebar-rail':
+                await toggleSidebarMode('rail');
+                break;
+            case 'toggle-sidebar-autohide':
+                await toggleSidebarMode('autohide');
+                break;
+            case 'cycle-sidebar-width':
+                await cycleSidebarWidth();
+                break;
+            case 'toggle-focus-mode':
+                await toggleFocusMode();
+                break;
             // _execute_browser_action is handled automatically by Firefox
         }
     }
 
     /**
-     * Cycle through width presets.
-     * Order: 50 -> 70 -> 85 -> 100 -> 50...
+     * Cycle through the width presets of the current unit.
+     * Order (percent): 50 -> 70 -> 85 -> 100 -> 50...
+     * In a pinned conversation the pinned width is cycled instead.
+     *
+     * @returns {Promise<number>} The new width value
      */
     async function cyclePresets() {
+        const target = await getWidthTarget(await getActiveClaudeTab());
+
         // Find current position in cycle
-        const currentIndex = PRESET_CYCLE.indexOf(currentWidth);
+        const presets = Units.getPresetWidths(target.unit);
+        const currentIndex = presets.indexOf(target.width);
 
         // Get next preset (wrap around)
         let nextIndex;
         if (currentIndex === -1) {
             // Current width not in presets, find nearest
             nextIndex = 0;
-            for (let i = 0; i < PRESET_CYCLE.length; i++) {
-                if (PRESET_CYCLE[i] > currentWidth) {
+            for (let i = 0; i < presets.length; i++) {
+                if (presets[i] > target.width) {
                     nextIndex = i;
                     break;
                 }
             }
         } else {
-            nextIndex = (currentIndex + 1) % PRESET_CYCLE.length;
+            nextIndex = (currentIndex + 1) % presets.length;
+        }
+
+        const newWidth = presets[nextIndex];
+        if (target.chatId) {
+            await pinWidth(target.chatId, newWidth, target.unit);
+            return newWidth;
         }
 
-        const newWidth = PRESET_CYCLE[nextIndex];
         await setWidth(newWidth);
 
         // Notify active claude.ai tab
         await notifyActiveClaudeTab(newWidth);
+        return newWidth;
+    }
+
+    /**
+     * Switch the sidebar into a mode, or back to the page default if it is
+     * already in that mode (v1.10.0). Content scripts pick the change up
+     * from storage and it is written back into the active profile.
+     *
+     * @param {'rail'|'autohide'} mode - Sidebar mode to toggle
+     */
+    async function toggleSidebarMode(mode) {
+        const key = ENHANCED_KEYS.SIDEBAR_MODE;
+
+        try {
+            const result = await browser.storage.local.get(key);
+            const newMode = result[key] === mode ? 'default' : mode;
+            await browser.storage.local.set({ [key]: newMode });
+            window.ClaudeWidthLogger.debug('Background', `Sidebar mode: ${newMode}`);
+        } catch (error) {
+            console.error('[Claude Width Background] Error toggling sidebar mode:', error);
+        }
+    }
+
+    /**
+     * Move to the next sidebar width, wrapping back to the page default (v1.10.0).
+     */
+    async function cycleSidebarWidth() {
+        const key = ENHANCED_KEYS.SIDEBAR_WIDTH;
+
+        try {
+            const result = await browser.storage.local.get(key);
+            const index = SIDEBAR_WIDTHS.indexOf(result[key] ?? 0);
+            const newWidth = SIDEBAR_WIDTHS[(index + 1) % SIDEBAR_WIDTHS.length];
+            await browser.storage.local.set({ [key]: newWidth });
+            window.ClaudeWidthLogger.debug('Background', `Sidebar width: ${newWidth || 'page default'}`);
+        } catch (error) {
+            console.error('[Claude Width Background] Error cycling sidebar width:', error);
+        }
+    }
+
+    /**
+     * Turn focus mode on or off (v1.10.0). Like the sidebar commands, this
+     * goes through storage, so it is written back into the active profile.
+     */
+    async function toggleFocusMode() {
+        const key = ENHANCED_KEYS.FOCUS_MODE;
+
+        try {
+            const result = await browser.storage.local.get(key);
+            const enabled = result[key] !== true;
+            await browser.storage.local.set({ [key]: enabled });
+            window.ClaudeWidthLogger.debug('Background', `Focus mode: ${enabled ? 'on' : 'off'}`);
+        } catch (error) {
+            console.error('[Claude Width Background] Error toggling focus mode:', error);
+        }
+    }
+
+    /**
+     * Read the focus mode settings from flat storage values.
+     *
+     * @param {Object} values - Flat storage values
+     * @returns {{enabled: boolean, width: number, unit: string}} Focus mode settings
+     */
+    function readFocusMode(values) {
+        const unit = Units.normalizeUnit(values[ENHANCED_KEYS.FOCUS_WIDTH_UNIT]);
+        const width = values[ENHANCED_KEYS.FOCUS_WIDTH];
+
+        return {
+            enabled: values[ENHANCED_KEYS.FOCUS_MODE] === true,
+            width: Units.isValidWidth(width, unit) ? width : 0,
+            unit
+        };
     }
 
     /**
-     * Toggle between current width and default (70%).
-     * If at default, restore last non-default width.
+     * Check whether a saved last width can be restored: saved for the same
+     * pinned conversation (or the profile), in the same unit.
+     *
+     * @param {LastWidth|number|undefined} lastWidth - Saved last width
+     * @param {{chatId: string|null, unit: string}} target - Width being toggled
+     * @returns {boolean} True if the width can be restored
+     */
+    function isLastWidthFor(lastWidth, target) {
+        return Boolean(lastWidth) &&
+            lastWidth.chatId === target.chatId &&
+            lastWidth.unit === target.unit &&
+            Units.isValidWidth(lastWidth.width, target.unit);
+    }
+
+    /**
+     * Toggle between current width and the default width of the current unit.
+     * If at default, restore last non-default width. In a pinned conversation
+     * the pinned width is toggled instead, and its last width is kept apart
+     * from the profile's.
+     *
+     * @returns {Promise<number>} The new width value
      */
     async function toggleDefault() {
-        if (currentWidth === DEFAULT_WIDTH) {
-            // Restore last non-default width
-            const result = await browser.storage.local.get(LAST_WIDTH_KEY);
-            const lastWidth = result[LAST_WIDTH_KEY];
-
-            if (typeof lastWidth === 'number' && lastWidth !== DEFAULT_WIDTH) {
-                await setWidth(lastWidth);
-                await notifyActiveClaudeTab(lastWidth);
+        const target = await getWidthTarget(await getActiveClaudeTab());
+        const lastWidthKey = target.chatId ? LAST_PINNED_WIDTH_KEY : LAST_WIDTH_KEY;
+        const defaultWidth = Units.getUnitConfig(target.unit).defaultValue;
+        let newWidth = target.width;
+
+        if (target.width === defaultWidth) {
+            // Restore last non-default width (ignored if saved elsewhere or in another unit)
+            const result = await browser.storage.local.get(lastWidthKey);
+            const lastWidth = result[lastWidthKey];
+
+            if (isLastWidthFor(lastWidth, target) && lastWidth.width !== defaultWidth) {
+                newWidth = lastWidth.width;
             }
         } else {
             // Save current as last non-default, then set to default
-            await browser.storage.local.set({ [LAST_WIDTH_KEY]: currentWidth });
-            await setWidth(DEFAULT_WIDTH);
-            await notifyActiveClaudeTab(DEFAULT_WIDTH);
+            await browser.storage.local.set({
+                [lastWidthKey]: { width: target.width, unit: target.unit, chatId: target.chatId }
+            });
+            newWidth = defaultWidth;
+        }
+
+        if (newWidth === target.width) {
+            return newWidth;
+        }
+
+        if (target.chatId) {
+            await pinWidth(target.chatId, newWidth, target.unit);
+        } else {
+            await setWidth(newWidth);
+            await notifyActiveClaudeTab(newWidth);
         }
+        return newWidth;
     }
 
     // =========================================================================
@@ -623,35 +938,123 @@
      * Set width and save to storage.
      *
      * @param {number} width - New width value
+     * @param {string} [unit=currentUnit] - Width unit
      */
-    async function setWidth(width) {
-        const clampedWidth = Math.max(MIN_WIDTH, Math.min(MAX_WIDTH, width));
+    async function setWidth(width, unit = currentUnit) {
+        const normalizedUnit = Units.normalizeUnit(unit);
+        const clampedWidth = Units.clampWidth(width, normalizedUnit);
         currentWidth = clampedWidth;
+        currentUnit = normalizedUnit;
 
         try {
-            await browser.storage.local.set({ [STORAGE_KEY]: clampedWidth });
-            console.log(`[Claude Width Background] Width set to ${clampedWidth}%`);
+            // Width and unit are written together so the profile write-back
+            // in handleStorageChange() never sees a width in the wrong unit
+            await browser.storage.local.set({
+                [STORAGE_KEY]: clampedWidth,
+                [WIDTH_UNIT_KEY]: normalizedUnit
+            });
+            console.log(`[Claude Width Background] Width set to ${Units.formatWidth(clampedWidth, normalizedUnit)}`);
 
-            // Add to recent widths
-            await addToRecentWidths(clampedWidth);
+            // Add to recent widths (rebuilds the menu, which also picks up a unit change)
+            await addToRecentWidths(clampedWidth, normalizedUnit);
         } catch (error) {
             console.error('[Claude Width Background] Error saving width:', error);
         }
     }
 
+    /**
+     * Get the active tab if it shows claude.ai.
+     *
+     * @returns {Promise<Object|null>} Active claude.ai tab or null
+     */
+    async function getActiveClaudeTab() {
+        try {
+            const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+            return tabs.length > 0 && isClaudeUrl(tabs[0].url) ? tabs[0] : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Find where a width from a shortcut or the context menu goes (v1.10.0).
+     * While the tab's conversation is pinned it updates the pin, the same
+     * way popup edits do; the profile width would be hidden by the pin.
+     *
+     * @param {Object|null} tab - Tab the shortcut or menu click applies to
+     * @returns {Promise<{chatId: string|null, width: number, unit: string}>} The pinned
+     *          conversation (null for the profile) and the width to start from
+     */
+    async function getWidthTarget(tab) {
+        const override = tab ? await getConversationOverrideForUrl(tab.url) : null;
+        if (!override) {
+            return { chatId: null, width: currentWidth, unit: currentUnit };
+        }
+
+        const chatId = window.ClaudeWidthConversations.getChatIdFromUrl(tab.url);
+
+        // A pin without a width shows the profile width until it gets one
+        if (override[STORAGE_KEY] === undefined) {
+            return { chatId, width: currentWidth, unit: currentUnit };
+        }
+        return { chatId, width: override[STORAGE_KEY], unit: Units.normalizeUnit(override[WIDTH_UNIT_KEY]) };
+    }
+
+    /**
+     * Update the width pinned to a conversation. Its tabs and the badge
+     * follow the conversationOverrides storage change.
+     *
+     * @param {string} chatId - Chat UUID
+     * @param {number} width - Width value
+     * @param {string} unit - Width unit
+     */
+    async function pinWidth(chatId, width, unit) {
+        const result = await window.ClaudeWidthConversations.pinConversation(chatId, {
+            [STORAGE_KEY]: width,
+            [WIDTH_UNIT_KEY]: unit
+        });
+
+        if (result.success) {
+            window.ClaudeWidthLogger.debug('Background', `Pinned width of ${chatId} set to ${Units.formatWidth(width, unit)}`);
+        } else {
+            console.error('[Claude Width Background] Error updating conversation pin:', result.error);
+        }
+    }
+
+    /**
+     * Set a width chosen from the context menu: the conversation pin while
+     * the tab's conversation is pinned, otherwise the profile width.
+     *
+     * @param {Object} tab - Tab the menu was opened in
+     * @param {number} width - Width value
+     * @param {string} unit - Width unit
+     */
+    async function setWidthForTab(tab, width, unit) {
+        const target = await getWidthTarget(tab);
+        if (target.chatId) {
+            await pinWidth(target.chatId, width, unit);
+            return;
+        }
+
+        await setWidth(width, unit);
+        await notifyTab(tab.id, width, unit);
+    }
+
     /**
      * Notify active Claude tab of width change.
      *
      * @param {number} width - New width value
+     * @param {string} [unit=currentUnit] - Width unit
      */
-    async function notifyActiveClaudeTab(width) {
+    async function notifyActiveClaudeTab(width, unit = currentUnit) {
         try {
             const tabs = await browser.tabs.query({ active: true, currentWindow: true });
 
             if (tabs.length > 0 && tabs[0].url && tabs[0].url.includes('claude.ai')) {
                 await browser.tabs.sendMessage(tabs[0].id, {
                     action: 'updateWidth',
-                    width: width
+                    width: width,
+                    unit: unit
                 });
             }
         } catch (error) {
@@ -673,6 +1076,14 @@
     async function handleStorageChange(changes, areaName) {
         if (areaName !== 'local') return;
 
+        // Storage changes arrive in order, so tracking the switch here ties
+        // each flat edit to the profile that was active when it was made
+        if (changes[PROFILE_STORAGE_KEYS.ACTIVE_PROFILE_ID]) {
+            activeProfileId = changes[PROFILE_STORAGE_KEYS.ACTIVE_PROFILE_ID].newValue || 'default';
+        }
+
+        queueProfileWriteBack(changes, activeProfileId);
+
         let needsMenuRebuild = false;
 
         if (changes[STORAGE_KEY]) {
@@ -683,6 +1094,33 @@
             }
         }
 
+        // Built-in preset and default labels depend on the unit
+        if (changes[WIDTH_UNIT_KEY]) {
+            const newUnit = Units.normalizeUnit(changes[WIDTH_UNIT_KEY].newValue);
+            if (newUnit !== currentUnit) {
+                currentUnit = newUnit;
+                needsMenuRebuild = true;
+                updateBadgeForActiveTab();
+            }
+        }
+
+        if (changes[WIDTH_BREAKPOINTS_KEY]) {
+            widthBreakpoints = Breakpoints.sanitizeBreakpoints(changes[WIDTH_BREAKPOINTS_KEY].newValue);
+            updateBadgeForActiveTab();
+        }
+
+        // Tabs report their new auto width once they have measured again
+        if (changes[AUTO_WIDTH_KEY] || changes[AUTO_WIDTH_BOUNDS_KEY]) {
+            if (changes[AUTO_WIDTH_KEY]) {
+                autoWidthEnabled = changes[AUTO_WIDTH_KEY].newValue === true;
+            }
+            if (changes[AUTO_WIDTH_BOUNDS_KEY]) {
+                autoWidthBounds = changes[AUTO_WIDTH_BOUNDS_KEY].newValue ?? null;
+            }
+            autoWidthByTab.clear();
+            updateBadgeForActiveTab();
+        }
+
         if (changes[CUSTOM_PRESETS_KEY]) {
             customPresets = changes[CUSTOM_PRESETS_KEY].newValue || [];
             needsMenuRebuild = true;
@@ -694,15 +1132,58 @@
         }
 
         if (changes[RECENT_WIDTHS_KEY]) {
-            recentWidths = changes[RECENT_WIDTHS_KEY].newValue || [];
+            recentWidths = Units.normalizeRecentWidths(changes[RECENT_WIDTHS_KEY].newValue);
             needsMenuRebuild = true;
         }
 
+        if (changes[CONVERSATION_OVERRIDES_KEY]) {
+            updateBadgeForActiveTab();
+        }
+
+        if (changes[ENHANCED_KEYS.FOCUS_MODE] || changes[ENHANCED_KEYS.FOCUS_WIDTH] || changes[ENHANCED_KEYS.FOCUS_WIDTH_UNIT]) {
+            const values = {
+                [ENHANCED_KEYS.FOCUS_MODE]: focusMode.enabled,
+                [ENHANCED_KEYS.FOCUS_WIDTH]: focusMode.width,
+                [ENHANCED_KEYS.FOCUS_WIDTH_UNIT]: focusMode.unit
+            };
+            for (const key of Object.keys(values)) {
+                if (changes[key]) {
+                    values[key] = changes[key].newValue;
+                }
+            }
+            focusMode = readFocusMode(values);
+            await updateFocusMenuItem();
+            updateBadgeForActiveTab();
+        }
+
         if (needsMenuRebuild) {
             await createContextMenu();
         }
     }
 
+    /**
+     * Persist flat-key edits (from the popup, shortcuts or content script)
+     * into the active profile, one change set at a time (v1.10.0).
+     *
+     * @param {Object} changes - Storage changes
+     * @param {string} profileId - Profile active when the changes were seen
+     */
+    function queueProfileWriteBack(changes, profileId) {
+        const Profiles = window.ClaudeWidthProfiles;
+        if (!Profiles) return;
+
+        profileWriteBackQueue = profileWriteBackQueue.then(async () => {
+            const result = await Profiles.persistFlatChangesToActiveProfile(changes, profileId);
+            if (result.updatedKeys.length > 0) {
+                window.ClaudeWidthLogger.debug('Background', `Saved ${result.updatedKeys.join(', ')} to profile "${profileId}"`);
+            } else if (!result.success) {
+                window.ClaudeWidthLogger.error('Background', 'Profile write-back failed:', result.error);
+            }
+        }).catch(error => {
+            window.ClaudeWidthLogger.error('Background', 'Profile write-back error:', error);
+        });
+    }
+
     // =========================================================================
     // BADGE MANAGEMENT
     // =========================================================================
@@ -731,23 +1212,49 @@
         const isClaudeTab = tab.url && tab.url.includes('claude.ai');
 
         if (isClaudeTab) {
-            // Show current width percentage
+            // Show the focus mode width while focus mode forces one, else the
+            // pinned width for pinned conversations, else the auto width, else
+            // the breakpoint tier for the tab's width (tab.width is its content
+            // area), else the profile width
+            const override = await getConversationOverrideForUrl(tab.url);
+            const focusWidth = focusMode.enabled && focusMode.width > 0;
+            const pinnedWidth = !focusWidth && override?.chatWidthPercent !== undefined;
+            const auto = !focusWidth && !pinnedWidth && autoWidthEnabled ? getAutoWidthForTab(tab.id) : null;
+            const tierIndex = focusWidth || pinnedWidth || auto ? -1 : Breakpoints.findActiveBreakpoint(widthBreakpoints, tab.width);
+            const tier = widthBreakpoints[tierIndex];
+            let width = tier ? tier.width : currentWidth;
+            let unit = tier ? tier.unit : currentUnit;
+            if (focusWidth) {
+                ({ width, unit } = focusMode);
+            } else if (pinnedWidth) {
+                width = override.chatWidthPercent;
+                unit = override.chatWidthUnit;
+            } else if (auto) {
+                ({ width, unit } = auto);
+            }
             await browser.browserAction.setBadgeText({
-                text: String(currentWidth),
+                text: auto ? AutoWidth.formatBadgeText(width, unit) : Units.formatBadgeText(width, unit),
                 tabId: tab.id
             });
+            const health = selectorHealthByTab.get(tab.id) || null;
             await browser.browserAction.setBadgeBackgroundColor({
-                color: BADGE_COLOR,
+                color: needsHealthWarning(health) ? BADGE_WARNING_COLOR : BADGE_COLOR,
                 tabId: tab.id
             });
             await browser.browserAction.setBadgeTextColor({
                 color: BADGE_TEXT_COLOR,
                 tabId: tab.id
             });
+            const autoRule = await getAppliedAutoProfileRule(tab.url);
             await browser.browserAction.setTitle({
-                title: `Claude Width: ${currentWidth}%`,
+                title: formatBadgeTitle(width, unit, autoRule, override !== null,
+                    tier ? Breakpoints.describeBreakpointRange(widthBreakpoints, tierIndex) : null, auto !== null,
+                    health, focusMode.enabled),
                 tabId: tab.id
             });
+            if (tab.active) {
+                await updatePinMenuItem(override !== null);
+            }
         } else {
             // Clear badge or show inactive state
             await browser.browserAction.setBadgeText({
@@ -761,6 +1268,23 @@
         }
     }
 
+    /**
+     * Get the width auto mode picked in a tab. Until the tab reports one,
+     * this is the lower bound, which is where content scripts start.
+     *
+     * @param {number} tabId - Tab ID
+     * @returns {{width: number, unit: string}} Auto width
+     */
+    function getAutoWidthForTab(tabId) {
+        const bounds = AutoWidth.sanitizeBounds(autoWidthBounds, currentUnit);
+        const reported = autoWidthByTab.get(tabId);
+
+        if (reported && reported.unit === bounds.unit) {
+            return reported;
+        }
+        return { width: bounds.min, unit: bounds.unit };
+    }
+
     /**
      * Handle tab activation.
      *
@@ -769,6 +1293,7 @@
     async function handleTabActivated(activeInfo) {
         try {
             const tab = await browser.tabs.get(activeInfo.tabId);
+            await applyAutoProfileRules(tab);
             await updateBadgeForTab(tab);
         } catch (error) {
             // Tab might have been closed
@@ -783,13 +1308,323 @@
      * @param {Object} changeInfo - Change information
      * @param {Object} tab - Tab object
      */
-    async function handleTabUpdated(_tabId, changeInfo, tab) {
+    async function handleTabUpdated(tabId, changeInfo, tab) {
+        // Firefox reports history.pushState navigations inside claude.ai as
+        // URL changes too, so this also covers SPA routing between chats
+        if (changeInfo.url && tab.active) {
+            await applyAutoProfileRules(tab);
+        }
+
+        // Content scripts can't observe the page's pushState calls, so tell
+        // them when the conversation may have changed
+        if (changeInfo.url && isClaudeUrl(changeInfo.url)) {
+            await notifyConversationChanged(tabId);
+        }
+
         // Only update badge when URL changes
         if (changeInfo.url || changeInfo.status === 'complete') {
             await updateBadgeForTab(tab);
         }
     }
 
+    // =========================================================================
+    // AUTO-PROFILE RULES (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Check whether a URL belongs to claude.ai.
+     *
+     * @param {string} url - URL to check
+     * @returns {boolean} True for claude.ai URLs
+     */
+    function isClaudeUrl(url) {
+        return typeof url === 'string' && url.includes('claude.ai');
+    }
+
+    /**
+     * Evaluate auto-profile rules for a tab and switch the active profile
+     * when the first matching rule points at a different profile.
+     * When no rule matches, the current profile is left alone.
+     *
+     * @param {Object} tab - Tab object
+     * @returns {Promise<Object|null>} The rule that matched, or null
+     */
+    async function applyAutoProfileRules(tab) {
+        const Profiles = window.ClaudeWidthProfiles;
+        if (!Profiles || !tab || !isClaudeUrl(tab.url)) {
+            return null;
+        }
+
+        try {
+            const rule = await Profiles.getAutoProfileRuleForUrl(tab.url);
+
+            if (rule && rule.profileId !== activeProfileId) {
+                const result = await activateProfile(rule.profileId);
+                if (result.success) {
+                    window.ClaudeWidthLogger.info('Background', `Auto-profile rule "${rule.pattern}" switched to "${activeProfileName}"`);
+                }
+            }
+
+            return rule;
+        } catch (error) {
+            console.error('[Claude Width Background] Error applying auto-profile rules:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the rule responsible for the active profile on a URL.
+     * Returns null when no rule matches or the user has since switched
+     * to a different profile by hand.
+     *
+     * @param {string} url - Tab URL
+     * @returns {Promise<Object|null>} Applied rule or null
+     */
+    async function getAppliedAutoProfileRule(url) {
+        const Profiles = window.ClaudeWidthProfiles;
+        if (!Profiles || !isClaudeUrl(url)) {
+            return null;
+        }
+
+        try {
+            const rule = await Profiles.getAutoProfileRuleForUrl(url);
+            return rule && rule.profileId === activeProfileId ? rule : null;
+        } catch (error) {
+            console.error('[Claude Width Background] Error reading auto-profile rules:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a tab's selector health should colour its badge: a
+     * role stopped matching, or the page is not recognised at all.
+     *
+     * @param {{status: string, lostRoles: string[]}|null} health - Reported health
+     * @returns {boolean} True to show the warning colour
+     */
+    function needsHealthWarning(health) {
+        return health !== null && (health.lostRoles.length > 0 || health.status === 'broken');
+    }
+
+    /**
+     * Build the browser action tooltip for a Claude tab.
+     *
+     * @param {number} width - Current width value
+     * @param {string} unit - Width unit
+     * @param {Object|null} autoRule - Auto-profile rule that selected the profile
+     * @param {boolean} [pinned=false] - Whether the conversation has pinned settings
+     * @param {string|null} [tierRange=null] - Window range of the active breakpoint tier
+     * @param {boolean} [auto=false] - Whether auto width picked the width
+     * @param {{status: string, lostRoles: string[]}|null} [health=null] - Selector health of the tab
+     * @param {boolean} [focus=false] - Whether focus mode is on
+     * @returns {string} Tooltip text
+     */
+    function formatBadgeTitle(width, unit, autoRule, pinned = false, tierRange = null, auto = false, health = null, focus = false) {
+        const label = auto ? AutoWidth.formatLabel(width, unit) : Units.formatWidth(width, unit);
+        const notes = [];
+        if (focus) {
+            notes.push('focus mode');
+        }
+        if (pinned) {
+            notes.push('pinned to this conversation');
+        }
+        if (tierRange) {
+            notes.push(`window ${tierRange}`);
+        }
+        if (autoRule) {
+            notes.push(`${activeProfileName} via rule "${autoRule.pattern}"`);
+        }
+        if (health && health.status !== 'healthy') {
+            notes.push(health.lostRoles.length > 0
+                ? `page ${health.status}: ${health.lostRoles.join(', ')} not found`
+                : `page ${health.status}`);
+        }
+        if (notes.length > 0) {
+            return `Claude Width: ${label} (${notes.join('; ')})`;
+        }
+        return `Claude Width: ${label}`;
+    }
+
+    /**
+     * Switch the active profile and push its settings to all Claude tabs.
+     *
+     * @param {string} profileId - Profile ID to activate
+     * @returns {Promise<{success: boolean, error?: string}>} Result
+     */
+    async function activateProfile(profileId) {
+        const result = await window.ClaudeWidthProfiles.setActiveProfile(profileId);
+        if (result.success) {
+            // Apply profile settings to flat storage for content script
+            await window.ClaudeWidthProfiles.applyActiveProfileToStorage();
+            // Reload state to update background script state
+            await loadState();
+            // Notify all Claude tabs
+            await notifyAllClaudeTabs();
+            updateBadgeForActiveTab();
+        }
+        return result;
+    }
+
+    // =========================================================================
+    // CONVERSATION OVERRIDES (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Get the settings pinned to the conversation open at a URL.
+     *
+     * @param {string} url - Tab URL
+     * @returns {Promise<Object|null>} Override or null
+     */
+    async function getConversationOverrideForUrl(url) {
+        const Conversations = window.ClaudeWidthConversations;
+        const chatId = Conversations ? Conversations.getChatIdFromUrl(url) : null;
+        if (!chatId) {
+            return null;
+        }
+
+        return Conversations.getConversationOverride(chatId);
+    }
+
+    /**
+     * Pin the current profile settings to the tab's conversation, or remove
+     * the pin if it already has one.
+     *
+     * @param {Object} tab - Tab object
+     * @returns {Promise<{success: boolean, pinned?: boolean, error?: string}>} Result
+     */
+    async function togglePinnedConversation(tab) {
+        const Conversations = window.ClaudeWidthConversations;
+        const chatId = Conversations.getChatIdFromUrl(tab.url);
+        if (!chatId) {
+            return { success: false, error: 'Not a conversation page' };
+        }
+
+        const existing = await Conversations.getConversationOverride(chatId);
+        if (existing) {
+            const result = await Conversations.unpinConversation(chatId);
+            window.ClaudeWidthLogger.info('Background', `Unpinned conversation ${chatId}`);
+            return { ...result, pinned: false };
+        }
+
+        // Pin what the user currently sees: the profile values from flat storage
+        const stored = await browser.storage.local.get(CONVERSATION_OVERRIDE_KEYS);
+        const settings = {};
+        for (const key of CONVERSATION_OVERRIDE_KEYS) {
+            settings[key] = stored[key] !== undefined ? stored[key] : PROFILE_DEFAULTS[key];
+        }
+
+        const result = await Conversations.pinConversation(chatId, settings);
+        if (result.success) {
+            window.ClaudeWidthLogger.info('Background', `Pinned conversation ${chatId} at ${Units.formatWidth(result.override.chatWidthPercent, result.override.chatWidthUnit)}`);
+        }
+        return { ...result, pinned: result.success };
+    }
+
+    /**
+     * Update the context menu pin entry for the active tab.
+     *
+     * @param {boolean} pinned - Whether the active conversation is pinned
+     */
+    async function updatePinMenuItem(pinned) {
+        try {
+            await browser.contextMenus.update(MENU_IDS.PIN_CONVERSATION, {
+                title: pinned ? 'Unpin This Conversation' : 'Pin to This Conversation'
+            });
+        } catch (error) {
+            // Menu may be mid-rebuild
+            console.log('[Claude Width Background] Could not update pin menu item:', error.message);
+        }
+    }
+
+    /**
+     * Check or uncheck the context menu focus mode entry (v1.10.0).
+     */
+    async function updateFocusMenuItem() {
+        try {
+            await browser.contextMenus.update(MENU_IDS.FOCUS_MODE, { checked: focusMode.enabled });
+        } catch (error) {
+            // Menu may be mid-rebuild
+            console.log('[Claude Width Background] Could not update focus menu item:', error.message);
+        }
+    }
+
+    /**
+     * Tell a tab's content script that its URL changed so it can apply
+     * (or drop) the pin for the new conversation.
+     *
+     * @param {number} tabId - Tab ID
+     */
+    async function notifyConversationChanged(tabId) {
+        try {
+            await browser.tabs.sendMessage(tabId, { action: 'conversationChanged' });
+        } catch (error) {
+            // Content script may not be loaded yet; it reads the URL on init
+            console.log('[Claude Width Background] Could not notify tab of conversation change:', error.message);
+        }
+    }
+
+    // =========================================================================
+    // CODE DOWNLOADS (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Download a file, asking the user where to save it.
+     *
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Suggested filename
+     * @returns {Promise<{success: boolean, error?: string}>} Result
+     */
+    async function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        try {
+            await browser.downloads.download({
+                url: url,
+                filename: filename,
+                saveAs: true
+            });
+            return { success: true };
+        } catch (error) {
+            // Also rejects when the user cancels the save dialog
+            console.log('[Claude Width Background] Download not started:', error.message);
+            return { success: false, error: error.message };
+        } finally {
+            setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+        }
+    }
+
+    /**
+     * Download one code block as a text file.
+     *
+     * @param {string} filename - Filename with the language's extension
+     * @param {string} text - Code
+     * @returns {Promise<{success: boolean, error?: string}>} Result
+     */
+    async function downloadCode(filename, text) {
+        return downloadBlob(new Blob([text], { type: 'text/plain' }), filename);
+    }
+
+    /**
+     * Download the code blocks of a conversation as one ZIP archive, named
+     * after the conversation when the tab shows one.
+     *
+     * @param {Array<{name: string, text: string}>} files - Numbered code files
+     * @param {Object} [tab] - Tab the blocks come from
+     * @returns {Promise<{success: boolean, error?: string}>} Result
+     */
+    async function downloadCodeArchive(files, tab) {
+        const chatId = tab ? window.ClaudeWidthConversations.getChatIdFromUrl(tab.url) : null;
+        const filename = chatId
+            ? `claude-code-${chatId.slice(0, 8)}.zip`
+            : `claude-code-${new Date().toISOString().slice(0, 10)}.zip`;
+
+        const archive = CodeExport.createZip(files);
+        const result = await downloadBlob(new Blob([archive], { type: 'application/zip' }), filename);
+        if (result.success) {
+            window.ClaudeWidthLogger.info('Background', `Saved ${files.length} code blocks to ${filename}`);
+        }
+        return result;
+    }
+
     // =========================================================================
     // MESSAGE HANDLING (from popup or content scripts)
     // =========================================================================
@@ -801,15 +1636,16 @@
      * @param {Object} sender - Sender information
      * @param {Function} sendResponse - Response callback
      */
-    browser.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+    browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
         switch (message.action) {
             case 'getWidth':
-                sendResponse({ width: currentWidth });
+                sendResponse({ width: currentWidth, unit: currentUnit });
                 break;
 
             case 'getState':
                 sendResponse({
                     width: currentWidth,
+                    unit: currentUnit,
                     customPresets: customPresets,
                     hiddenBuiltInPresets: hiddenBuiltInPresets,
                     recentWidths: recentWidths,
@@ -822,14 +1658,14 @@
                 break;
 
             case 'cyclePresets':
-                cyclePresets().then(() => {
-                    sendResponse({ success: true, width: currentWidth });
+                cyclePresets().then(width => {
+                    sendResponse({ success: true, width: width });
                 });
                 return true; // Async response
 
             case 'toggleDefault':
-                toggleDefault().then(() => {
-                    sendResponse({ success: true, width: currentWidth });
+                toggleDefault().then(width => {
+                    sendResponse({ success: true, width: width });
                 });
                 return true; // Async response
 
@@ -839,6 +1675,69 @@
                 });
                 return true; // Async response
 
+            case 'autoWidthChanged': {
+                const tab = sender.tab;
+                const unit = Units.normalizeUnit(message.unit);
+                if (!tab || !Units.isValidWidth(message.width, unit)) {
+                    sendResponse({ success: false, error: 'Invalid width value' });
+                    break;
+                }
+                autoWidthByTab.set(tab.id, { width: message.width, unit });
+                updateBadgeForTab(tab).then(() => {
+                    sendResponse({ success: true });
+                }).catch(error => {
+                    sendResponse({ success: false, error: error.message });
+                });
+                return true; // Async response
+            }
+
+            case 'selectorHealthChanged': {
+                const tab = sender.tab;
+                if (!tab || !HEALTH_STATUSES.includes(message.status) || !Array.isArray(message.lostRoles)) {
+                    sendResponse({ success: false, error: 'Invalid health report' });
+                    break;
+                }
+                selectorHealthByTab.set(tab.id, {
+                    status: message.status,
+                    lostRoles: message.lostRoles.filter(role => typeof role === 'string')
+                });
+                updateBadgeForTab(tab).then(() => {
+                    sendResponse({ success: true });
+                }).catch(error => {
+                    sendResponse({ success: false, error: error.message });
+                });
+                return true; // Async response
+            }
+
+            case 'addRecentWidth': {
+                const unit = Units.normalizeUnit(message.unit);
+                if (!Units.isValidWidth(message.width, unit)) {
+                    sendResponse({ success: false, error: 'Invalid width value' });
+                    break;
+                }
+                addToRecentWidths(message.width, unit).then(() => {
+                    sendResponse({ success: true });
+                });
+                return true; // Async response
+            }
+
+            // Code downloads (v1.10.0)
+            case 'downloadCode':
+                if (!CodeExport.isValidFilename(message.filename) || typeof message.text !== 'string') {
+                    sendResponse({ success: false, error: 'Invalid code file' });
+                    break;
+                }
+                downloadCode(message.filename, message.text).then(sendResponse);
+                return true; // Async response
+
+            case 'downloadCodeArchive':
+                if (!CodeExport.isValidFileList(message.files)) {
+                    sendResponse({ success: false, error: 'Invalid code files' });
+                    break;
+                }
+                downloadCodeArchive(message.files, sender.tab).then(sendResponse);
+                return true; // Async response
+
             case 'rebuildContextMenu':
                 createContextMenu().then(() => {
                     sendResponse({ success: true });
@@ -860,16 +1759,7 @@
 
             case 'switchProfile':
                 if (window.ClaudeWidthProfiles) {
-                    window.ClaudeWidthProfiles.setActiveProfile(message.profileId).then(async result => {
-                        if (result.success) {
-                            // Apply profile settings to flat storage for content script
-                            await window.ClaudeWidthProfiles.applyActiveProfileToStorage();
-                            // Reload state to update background script state
-                            await loadState();
-                            // Notify all Claude tabs
-                            await notifyAllClaudeTabs();
-                            updateBadgeForActiveTab();
-                        }
+                    activateProfile(message.profileId).then(result => {
                         sendResponse(result);
                     }).catch(error => {
                         sendResponse({ success: false, error: error.message });
@@ -989,6 +1879,72 @@
                 }
                 return true;
 
+            case 'addAutoProfileRule':
+                if (window.ClaudeWidthProfiles) {
+                    window.ClaudeWidthProfiles.addAutoProfileRule(message.pattern, message.profileId, message.options).then(result => {
+                        updateBadgeForActiveTab();
+                        sendResponse(result);
+                    }).catch(error => {
+                        sendResponse({ success: false, error: error.message });
+                    });
+                } else {
+                    sendResponse({ success: false, error: 'Profiles module not loaded' });
+                }
+                return true;
+
+            case 'updateAutoProfileRule':
+                if (window.ClaudeWidthProfiles) {
+                    window.ClaudeWidthProfiles.updateAutoProfileRule(message.ruleId, message.updates).then(result => {
+                        updateBadgeForActiveTab();
+                        sendResponse(result);
+                    }).catch(error => {
+                        sendResponse({ success: false, error: error.message });
+                    });
+                } else {
+                    sendResponse({ success: false, error: 'Profiles module not loaded' });
+                }
+                return true;
+
+            case 'reorderAutoProfileRules':
+                if (window.ClaudeWidthProfiles) {
+                    window.ClaudeWidthProfiles.reorderAutoProfileRules(message.ruleIds).then(result => {
+                        updateBadgeForActiveTab();
+                        sendResponse(result);
+                    }).catch(error => {
+                        sendResponse({ success: false, error: error.message });
+                    });
+                } else {
+                    sendResponse({ success: false, error: 'Profiles module not loaded' });
+                }
+                return true;
+
+            case 'removeAutoProfileRule':
+                if (window.ClaudeWidthProfiles) {
+                    window.ClaudeWidthProfiles.removeAutoProfileRule(message.ruleId).then(result => {
+                        updateBadgeForActiveTab();
+                        sendResponse(result);
+                    }).catch(error => {
+                        sendResponse({ success: false, error: error.message });
+                    });
+                } else {
+                    sendResponse({ success: false, error: 'Profiles module not loaded' });
+                }
+                return true;
+
+            case 'getAutoProfileStatus':
+                browser.tabs.query({ active: true, currentWindow: true }).then(async tabs => {
+                    const rule = tabs.length > 0 ? await getAppliedAutoProfileRule(tabs[0].url) : null;
+                    sendResponse({
+                        success: true,
+                        rule: rule,
+                        profileId: activeProfileId,
+                        profileName: activeProfileName
+                    });
+                }).catch(error => {
+                    sendResponse({ success: false, error: error.message });
+                });
+                return true;
+
             case 'getSyncStatus':
                 if (window.ClaudeWidthProfiles) {
                     window.ClaudeWidthProfiles.getSyncStatus().then(status => {
@@ -41,21 +41,42 @@
 
     const {
         DEFAULT_WIDTH,
-        MIN_WIDTH,
-        MAX_WIDTH,
-        PRESET_CYCLE,
         STORAGE_KEY,
+        DEFAULT_WIDTH_UNIT,
+        WIDTH_UNIT_KEY,
+        WIDTH_BREAKPOINTS_KEY,
+        AUTO_WIDTH_KEY,
+        AUTO_WIDTH_BOUNDS_KEY,
+        LAST_WIDTH_KEY,
+        LAST_PINNED_WIDTH_KEY,
         ENHANCED_KEYS,
         ENHANCED_DEFAULTS,
         DISPLAY_MODE_PRESETS,
         TIMING,
-        PROFILE_STORAGE_KEYS
+        PROFILE_STORAGE_KEYS,
+        CONVERSATION_OVERRIDES_KEY,
+        SELECTOR_OVERRIDES_KEY,
+        GLOBAL_SELECTOR_OVERRIDES_KEY,
+        CUSTOM_CSS_KEY,
+        CUSTOM_CSS_ENABLED_KEY
     } = window.ClaudeWidthConstants;
 
+    const Selectors = window.ClaudeWidthSelectors;
+    const CustomCSS = window.ClaudeWidthCustomCSS;
+
+    const Conversations = window.ClaudeWidthConversations;
+    const Units = window.ClaudeWidthUnits;
+    const Breakpoints = window.ClaudeWidthBreakpoints;
+    const AutoWidth = window.ClaudeWidthAutoWidth;
+    const Sidebar = window.ClaudeWidthSidebar;
+    const LineNumbers = window.ClaudeWidthLineNumbers;
+    const Tables = window.ClaudeWidthTables;
+    const MessageFolding = window.ClaudeWidthMessageFolding;
+    const CodeExport = window.ClaudeWidthCodeExport;
+    const Typography = window.ClaudeWidthTypography;
+
     // Aliases for backward compatibility within this file
     const DEFAULT_WIDTH_PERCENT = DEFAULT_WIDTH;
-    const MIN_WIDTH_PERCENT = MIN_WIDTH;
-    const MAX_WIDTH_PERCENT = MAX_WIDTH;
 
     // =========================================================================
     // LOCAL CONSTANTS (specific to content script)
@@ -63,7 +84,44 @@
 
     const STYLE_ELEMENT_ID = 'claude-width-customizer-styles';
     const ENHANCED_STYLE_ID = 'claude-enhanced-styles';
-    const DATA_ATTR = 'data-claude-width-applied';
+
+    /**
+     * The profile's custom stylesheet (v1.10.0). Kept after the extension's
+     * own stylesheets so its rules win at equal specificity.
+     */
+    const CUSTOM_STYLE_ID = 'claude-width-custom-styles';
+
+    /**
+     * Set on <html> while the width rules apply, with the width as its value.
+     * The rules in the width stylesheet only match while it is present.
+     */
+    const WIDTH_ACTIVE_ATTR = 'data-claude-width-active';
+
+    /**
+     * CSS Custom Property names for the chat width (v1.10.0).
+     * Set on :root by applyWidthToChat(); the width stylesheet reads them,
+     * so changing the width never touches the chat elements themselves.
+     * Nested containers use the NESTED margins, which leave out the
+     * alignment offset the outer container already has.
+     */
+    const WIDTH_VARS = {
+        MAX_WIDTH: '--claude-width-chat-max-width',
+        WIDTH: '--claude-width-chat-width',
+        MARGIN_LEFT: '--claude-width-chat-margin-left',
+        MARGIN_RIGHT: '--claude-width-chat-margin-right',
+        NESTED_MARGIN_LEFT: '--claude-width-chat-nested-margin-left',
+        NESTED_MARGIN_RIGHT: '--claude-width-chat-nested-margin-right'
+    };
+
+    /**
+     * Drag handles on the chat column edges (v1.10.0).
+     * RESIZING_ATTR is set on <html> during a drag to turn off width transitions.
+     */
+    const RESIZE_HANDLE_CLASS = 'claude-width-resize-handle';
+    const RESIZE_TOOLTIP_CLASS = 'claude-width-resize-tooltip';
+    const RESIZING_ATTR = 'data-claude-width-resizing';
+    const RESIZE_HANDLE_WIDTH = 12;
+    const RESIZE_HANDLE_MIN_HEIGHT = 48;
 
     /**
      * CSS Custom Property names for enhanced styling.
@@ -83,7 +141,25 @@
         CODE_MAX_HEIGHT: '--claude-width-code-max-height',
         CODE_OVERFLOW: '--claude-width-code-overflow',
         CODE_WHITESPACE: '--claude-width-code-whitespace',
-        CODE_WORDWRAP: '--claude-width-code-wordwrap'
+        CODE_WORDWRAP: '--claude-width-code-wordwrap',
+        FONT_FAMILY: '--claude-width-font-family',
+        LETTER_SPACING: '--claude-width-letter-spacing',
+        PARAGRAPH_SPACING: '--claude-width-paragraph-spacing',
+        HEADING_SCALE: '--claude-width-heading-scale',
+        CODE_FONT_FAMILY: '--claude-width-code-font-family',
+        CODE_FONT_SIZE: '--claude-width-code-font-size',
+        CODE_TAB_SIZE: '--claude-width-code-tab-size',
+        CODE_PREVIEW_LINES: '--claude-width-code-preview-lines',
+        HUMAN_MAX_WIDTH: '--claude-width-human-max-width',
+        HUMAN_MARGIN_LEFT: '--claude-width-human-margin-left',
+        HUMAN_MARGIN_RIGHT: '--claude-width-human-margin-right',
+        HUMAN_TINT: '--claude-width-human-tint',
+        HUMAN_FONT_SCALE: '--claude-width-human-font-scale',
+        ASSISTANT_MAX_WIDTH: '--claude-width-assistant-max-width',
+        ASSISTANT_MARGIN_LEFT: '--claude-width-assistant-margin-left',
+        ASSISTANT_MARGIN_RIGHT: '--claude-width-assistant-margin-right',
+        ASSISTANT_TINT: '--claude-width-assistant-tint',
+        ASSISTANT_FONT_SCALE: '--claude-width-assistant-font-scale'
         // Note: Avatar/Timestamp visibility and Bubble style now use data attributes
         // instead of CSS variables for proper show/hide behavior (v1.8.3)
     };
@@ -97,7 +173,22 @@
         HIDE_AVATARS: 'data-claude-hide-avatars',
         HIDE_TIMESTAMPS: 'data-claude-hide-timestamps',
         BUBBLE_STYLE: 'data-claude-bubble-style',
-        CODE_COLLAPSED: 'data-claude-code-collapsed'
+        CODE_COLLAPSED: 'data-claude-code-collapsed',
+        FOCUS_MODE: 'data-claude-focus-mode',
+        FONT_FAMILY: 'data-claude-font-family',
+        LETTER_SPACING: 'data-claude-letter-spacing',
+        PARAGRAPH_SPACING: 'data-claude-paragraph-spacing',
+        HEADING_SCALE: 'data-claude-heading-scale',
+        CODE_FONT_FAMILY: 'data-claude-code-font-family',
+        CODE_FONT_SIZE: 'data-claude-code-font-size',
+        CODE_TAB_SIZE: 'data-claude-code-tab-size',
+        CODE_LIGATURES: 'data-claude-code-ligatures',
+        HUMAN_LAYOUT: 'data-claude-human-layout',
+        HUMAN_TINT: 'data-claude-human-tint',
+        HUMAN_FONT_SCALE: 'data-claude-human-font-scale',
+        ASSISTANT_LAYOUT: 'data-claude-assistant-layout',
+        ASSISTANT_TINT: 'data-claude-assistant-tint',
+        ASSISTANT_FONT_SCALE: 'data-claude-assistant-font-scale'
     };
 
     /**
@@ -109,6 +200,122 @@
         'relaxed': 1.8
     };
 
+    /**
+     * Font stacks for the prose font choices (v1.10.0). Fonts that aren't
+     * installed are skipped, so each stack ends in a generic family.
+     */
+    const FONT_FAMILY_STACKS = {
+        'sans': 'system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
+        'serif': 'ui-serif, Georgia, Cambria, "Times New Roman", Times, serif',
+        'dyslexic': '"OpenDyslexic", "OpenDyslexic3", "Lexend", "Atkinson Hyperlegible", "Comic Sans MS", sans-serif'
+    };
+
+    /**
+     * Letter spacing values (v1.10.0).
+     */
+    const LETTER_SPACING_VALUES = {
+        'tight': '-0.01em',
+        'normal': 'normal',
+        'wide': '0.03em',
+        'wider': '0.06em'
+    };
+
+    /**
+     * Space above and below paragraphs, lists and quotes (v1.10.0).
+     */
+    const PARAGRAPH_SPACING_VALUES = {
+        'compact': '0.5em',
+        'normal': '1em',
+        'relaxed': '1.5em',
+        'spacious': '2em'
+    };
+
+    /**
+     * Heading size multipliers (v1.10.0).
+     */
+    const HEADING_SCALE_VALUES = {
+        'smaller': 0.85,
+        'normal': 1,
+        'larger': 1.2
+    };
+
+    /**
+     * Per-role message styles (v1.10.0): the settings of each role, the
+     * selector role that finds its messages and its variables and attributes.
+     */
+    const MESSAGE_ROLE_STYLES = [
+        {
+            selectorRole: 'humanMessage',
+            keys: {
+                width: ENHANCED_KEYS.HUMAN_MESSAGE_WIDTH,
+                alignment: ENHANCED_KEYS.HUMAN_MESSAGE_ALIGNMENT,
+                tint: ENHANCED_KEYS.HUMAN_MESSAGE_TINT,
+                fontScale: ENHANCED_KEYS.HUMAN_MESSAGE_FONT_SCALE
+            },
+            vars: {
+                maxWidth: CSS_VARS.HUMAN_MAX_WIDTH,
+                marginLeft: CSS_VARS.HUMAN_MARGIN_LEFT,
+                marginRight: CSS_VARS.HUMAN_MARGIN_RIGHT,
+                tint: CSS_VARS.HUMAN_TINT,
+                fontScale: CSS_VARS.HUMAN_FONT_SCALE
+            },
+            attrs: {
+                layout: DATA_ATTRS.HUMAN_LAYOUT,
+                tint: DATA_ATTRS.HUMAN_TINT,
+                fontScale: DATA_ATTRS.HUMAN_FONT_SCALE
+            }
+        },
+        {
+            selectorRole: 'assistantMessage',
+            keys: {
+                width: ENHANCED_KEYS.ASSISTANT_MESSAGE_WIDTH,
+                alignment: ENHANCED_KEYS.ASSISTANT_MESSAGE_ALIGNMENT,
+                tint: ENHANCED_KEYS.ASSISTANT_MESSAGE_TINT,
+                fontScale: ENHANCED_KEYS.ASSISTANT_MESSAGE_FONT_SCALE
+            },
+            vars: {
+                maxWidth: CSS_VARS.ASSISTANT_MAX_WIDTH,
+                marginLeft: CSS_VARS.ASSISTANT_MARGIN_LEFT,
+                marginRight: CSS_VARS.ASSISTANT_MARGIN_RIGHT,
+                tint: CSS_VARS.ASSISTANT_TINT,
+                fontScale: CSS_VARS.ASSISTANT_FONT_SCALE
+            },
+            attrs: {
+                layout: DATA_ATTRS.ASSISTANT_LAYOUT,
+                tint: DATA_ATTRS.ASSISTANT_TINT,
+                fontScale: DATA_ATTRS.ASSISTANT_FONT_SCALE
+            }
+        }
+    ];
+
+    /**
+     * Background colours of the message tints (v1.10.0). Translucent, so
+     * they work on light and dark themes.
+     */
+    const MESSAGE_TINT_COLORS = {
+        'none': 'transparent',
+        'gray': 'rgba(128, 128, 128, 0.12)',
+        'blue': 'rgba(59, 130, 246, 0.14)',
+        'green': 'rgba(34, 197, 94, 0.14)',
+        'amber': 'rgba(245, 158, 11, 0.16)'
+    };
+
+    /**
+     * Left and right margins that place a message in the column (v1.10.0).
+     */
+    const MESSAGE_ALIGNMENT_MARGINS = {
+        'left': { left: '0', right: 'auto' },
+        'center': { left: 'auto', right: 'auto' },
+        'right': { left: 'auto', right: '0' }
+    };
+
+    /**
+     * Font stacks for the code font choices (v1.10.0).
+     */
+    const CODE_FONT_STACKS = {
+        'system': 'ui-monospace, "SF Mono", "Cascadia Code", "JetBrains Mono", Menlo, Consolas, "Liberation Mono", monospace'
+    };
+
     /**
      * Message padding values in pixels.
      */
@@ -119,145 +326,204 @@
         'large': 24
     };
 
-    /**
-     * Selectors that indicate an element is part of the sidebar.
-     * Used by isInsideSidebar() to prevent width styles from affecting navigation.
-     *
-     * @type {string[]}
-     *
-     * IMPORTANT: These selectors are checked against an element AND all its ancestors.
-     * If any ancestor matches, the element is considered "inside sidebar."
-     *
-     * Selector categories:
-     * - SEMANTIC: HTML5 semantic elements (nav, aside)
-     * - ARIA: Accessibility attributes for screen readers
-     * - DATA-TESTID: Testing infrastructure attributes (most stable)
-     * - CLASS: Dynamic class name patterns (both PascalCase and kebab-case)
-     *
-     * The sidebar contains:
-     * - Conversation history list
-     * - Navigation menu
-     * - User settings/profile access
-     * - Project/workspace selector
-     */
-    const SIDEBAR_INDICATORS = [
-        // SEMANTIC HTML: Standard navigation/sidebar elements
-        'nav',                                 // HTML5 <nav> element
-        'aside',                               // HTML5 <aside> element (sidebar content)
-
-        // ARIA: Accessibility role-based selectors (very stable)
-        '[role="navigation"]',                 // ARIA navigation landmark
-
-        // DATA-TESTID: Testing infrastructure (stable across deploys)
-        '[data-testid="sidebar"]',             // Direct sidebar test ID
-        '[data-testid="side-nav"]',            // Side navigation test ID
-        '[data-testid="history-panel"]',       // Conversation history panel
-
-        // ARIA-LABEL: Accessibility labels (case-insensitive)
-        '[aria-label*="sidebar" i]',           // Any element labeled as sidebar
-        '[aria-label*="navigation" i]',        // Any element labeled as navigation
-        '[aria-label*="history" i]',           // Any element labeled as history
-        '[aria-label*="menu" i]',              // Any element labeled as menu
-
-        // CLASS: Sidebar component patterns (PascalCase - React components)
-        '[class*="Sidebar"]',                  // Sidebar, LeftSidebar, SidebarNav, etc.
-        '[class*="SideNav"]',                  // SideNav, SideNavigation, etc.
-        '[class*="LeftPanel"]',                // LeftPanel, LeftPanelContainer, etc.
-        '[class*="NavPanel"]',                 // NavPanel, NavPanelWrapper, etc.
-        '[class*="NavigationMenu"]',           // NavigationMenu component
-        '[class*="HistoryPanel"]',             // HistoryPanel for conversation list
-        '[class*="ConversationList"]',         // ConversationList component
-
-        // CLASS: Sidebar component patterns (kebab-case - CSS classes)
-        '[class*="sidebar"]',                  // sidebar, left-sidebar, sidebar-nav
-        '[class*="sidenav"]',                  // sidenav, sidenav-container
-        '[class*="side-nav"]',                 // side-nav, side-nav-wrapper
-        '[class*="left-panel"]',               // left-panel, left-panel-container
-        '[class*="nav-panel"]',                // nav-panel, nav-panel-wrapper
-        '[class*="navigation-menu"]',          // navigation-menu class
-        '[class*="history-panel"]',            // history-panel for conversations
-        '[class*="conversation-list"]'         // conversation-list component
-    ];
-
     // =========================================================================
     // STATE
     // =========================================================================
 
     let currentWidth = DEFAULT_WIDTH_PERCENT;
+    let currentUnit = DEFAULT_WIDTH_UNIT;
     let domObserver = null;
-    let applyDebounceTimer = null;
-    let styledElements = new Set();
+
+    // DOM observer state (v1.10.0)
+    // The observer watches the conversation landmark once it exists;
+    // landmarkObserver watches the landmark's ancestors for its removal.
+    // Added nodes are queued and processed once per animation frame.
+    let observedRoot = null;
+    let landmarkObserver = null;
+    let headObserver = null;
+    const pendingNodes = new Set();
+    let mutationFrame = null;
+    let widthRefreshIdle = null;
+    const observerStats = createObserverStats();
+
+    // Selector health state (v1.10.0)
+    // matchedRoles holds the required roles seen matching on a conversation
+    // page, so a role that stops matching can be told apart from one the
+    // page never had. reportedHealth is what the background last heard.
+    let healthReport = null;
+    let lastHealthCheck = 0;
+    let reportedHealth = null;
+    const matchedRoles = new Set();
 
     // Enhanced styling state (v1.8.0)
     let enhancedSettings = { ...ENHANCED_DEFAULTS };
 
+    // Custom CSS state (v1.10.0)
+    let customCSS = '';
+    let customCSSEnabled = true;
+
+    // Conversation override state (v1.10.0)
+    // baseWidth/baseUnit/enhancedSettings hold the profile (flat key) values;
+    // conversationOverride is merged on top when the current chat is pinned.
+    let baseWidth = DEFAULT_WIDTH_PERCENT;
+    let baseUnit = DEFAULT_WIDTH_UNIT;
+    let currentChatId = null;
+    let conversationOverride = null;
+
+    // Viewport breakpoint state (v1.10.0)
+    // The active tier replaces baseWidth/baseUnit; a conversation pin still wins.
+    let breakpoints = [];
+    let activeBreakpointIndex = -1;
+    let resizeDebounceTimer = null;
+
+    // Resize handle state (v1.10.0)
+    // resizeDrag holds the pointer drag in progress; keyboardResizeWidth the
+    // width previewed with arrow keys until the key is released.
+    let resizeHandles = null;
+    let resizeColumn = null;
+    let resizeColumnObserver = null;
+    let resizeHandleFrame = null;
+    let resizeDrag = null;
+    let keyboardResizeWidth = null;
+
+    // Auto width state (v1.10.0)
+    // autoWidthChoice is the width picked from the last measurement; it
+    // replaces the breakpoint tier and profile width while auto mode is on.
+    let autoWidthEnabled = false;
+    let autoWidthBounds = null;
+    let autoWidthChoice = null;
+    let autoWidthTimer = null;
+
     // =========================================================================
     // CACHED SELECTOR STRINGS (Performance Optimization)
     // =========================================================================
-    // Pre-computed combined selectors to avoid repeated array.join() operations.
-    // These are used in querySelectorAll() calls and element.matches() checks.
+    // Combined selectors built from the selector registry (lib/selectors.js)
+    // by buildSelectorStrings(), and rebuilt when the user's selector
+    // overrides change. These are used in querySelectorAll() calls,
+    // element.matches() checks and the generated stylesheets.
+
+    /**
+     * Sidebar selectors, checked one at a time by isInsideSidebar().
+     * @type {string[]}
+     */
+    let SIDEBAR_SELECTORS;
 
     /**
      * Combined selector for width-relevant container elements.
      * These elements need max-width/width adjustments.
      * @type {string}
      */
-    const WIDTH_CONTAINER_SELECTOR = [
-        '[class*="mx-auto"]',
-        'form',
-        '[class*="Composer"]',
-        '[class*="composer"]'
-    ].join(',');
+    let WIDTH_CONTAINER_SELECTOR;
 
     /**
      * Combined selector for width-relevant content elements.
      * These elements only need max-width adjustments.
      * @type {string}
      */
-    const WIDTH_CONTENT_SELECTOR = [
-        '[class*="Message"]',
-        '[class*="message"]',
-        '[class*="Thread"]',
-        '[class*="thread"]',
-        '[class*="Conversation"]',
-        '[class*="conversation"]'
-    ].join(',');
+    let WIDTH_CONTENT_SELECTOR;
 
     /**
      * Combined selector for prose/markdown elements.
      * @type {string}
      */
-    const PROSE_SELECTOR = '.prose, [class*="prose"], [class*="Markdown"], [class*="markdown"]';
+    let PROSE_SELECTOR;
 
     /**
      * Combined selector for code blocks.
      * @type {string}
      */
-    const CODE_BLOCK_SELECTOR = 'pre, [class*="CodeBlock"], [class*="code-block"]';
+    let CODE_BLOCK_SELECTOR;
+
+    /**
+     * Elements whose overflow auto width mode measures.
+     * @type {string}
+     */
+    let AUTO_WIDTH_SELECTOR;
+
+    /**
+     * Elements the extension adds to code blocks, which are not part of
+     * the code (v1.10.0).
+     * @type {string}
+     */
+    const CODE_BLOCK_UI_SELECTOR = '.claude-width-line-gutter, .claude-expand-btn, .claude-save-btn, .claude-code-summary';
+
+    /**
+     * Set on code blocks long enough to collapse to a preview (v1.10.0).
+     * @type {string}
+     */
+    const PREVIEW_ATTR = 'data-claude-code-preview';
+
+    /**
+     * Set on collapsed code blocks the user expanded.
+     * @type {string}
+     */
+    const EXPANDED_ATTR = 'data-claude-individually-expanded';
+
+    /**
+     * Language in a code element's class, e.g. "language-python" (v1.10.0).
+     * @type {RegExp}
+     */
+    const LANGUAGE_CLASS_PATTERN = /(?:^|\s)(?:language|lang)-([\w#+-]+)/i;
 
     /**
      * Combined selector for width-relevant elements (used in MutationObserver).
      * @type {string}
      */
-    const WIDTH_RELEVANT_SELECTOR = `${WIDTH_CONTAINER_SELECTOR}, ${WIDTH_CONTENT_SELECTOR}`;
+    let WIDTH_RELEVANT_SELECTOR;
+
+    /**
+     * Excludes the sidebar and everything inside it, the stylesheet
+     * counterpart of isInsideSidebar().
+     * @type {string}
+     */
+    let NOT_IN_SIDEBAR;
+
+    /**
+     * Containers the width stylesheet sizes and aligns. Sticky footers
+     * wrap the composer in a plain div, which is sized too.
+     * @type {string}
+     */
+    let WIDTH_CONTAINER_TARGET;
+
+    /**
+     * Every element the width stylesheet sizes: containers and content.
+     * WIDTH_ELEMENT_SELECTOR leaves out the sidebar exclusion, for use with
+     * processNonSidebarElements().
+     * @type {string}
+     */
+    let WIDTH_ELEMENT_SELECTOR;
+    let WIDTH_TARGET;
 
     /**
      * Combined selector for enhanced-styling-relevant elements (used in MutationObserver).
      * @type {string}
      */
-    const ENHANCED_RELEVANT_SELECTOR = [
-        '.prose',
-        '[class*="prose"]',
-        '[class*="Message"]',
-        '[class*="message"]',
-        'pre',
-        '[class*="CodeBlock"]',
-        '[class*="code-block"]',
-        '[class*="avatar" i]',
-        '[class*="Avatar"]',
-        'time',
-        '[class*="timestamp" i]'
-    ].join(',');
+    let ENHANCED_RELEVANT_SELECTOR;
+
+    /**
+     * Build the cached selector strings from the registry's current chains.
+     */
+    function buildSelectorStrings() {
+        const sidebar = Selectors.getSelector('sidebar');
+        const stickyFooter = Selectors.getSelector('stickyFooter');
+
+        SIDEBAR_SELECTORS = Selectors.getSelectorList('sidebar');
+        WIDTH_CONTAINER_SELECTOR = `${Selectors.getSelector('column')}, ${Selectors.getSelector('composer')}`;
+        WIDTH_CONTENT_SELECTOR = Selectors.getSelector('thread');
+        PROSE_SELECTOR = Selectors.getSelector('prose');
+        CODE_BLOCK_SELECTOR = Selectors.getSelector('codeBlock');
+        AUTO_WIDTH_SELECTOR = `${CODE_BLOCK_SELECTOR}, table`;
+        WIDTH_RELEVANT_SELECTOR = `${WIDTH_CONTAINER_SELECTOR}, ${WIDTH_CONTENT_SELECTOR}`;
+        NOT_IN_SIDEBAR = `:not(:is(${sidebar}), :is(${sidebar}) *)`;
+        WIDTH_CONTAINER_TARGET = `:is(${WIDTH_CONTAINER_SELECTOR}, ${stickyFooter})${NOT_IN_SIDEBAR}`;
+        WIDTH_ELEMENT_SELECTOR = `${WIDTH_CONTAINER_SELECTOR}, ${stickyFooter}, ${WIDTH_CONTENT_SELECTOR}`;
+        WIDTH_TARGET = `:is(${WIDTH_ELEMENT_SELECTOR})${NOT_IN_SIDEBAR}`;
+        ENHANCED_RELEVANT_SELECTOR = ['prose', 'thread', 'codeBlock', 'avatar', 'timestamp']
+            .map(role => Selectors.getSelector(role))
+            .join(', ');
+    }
+
+    buildSelectorStrings();
 
     // =========================================================================
     // HELPER FUNCTIONS
@@ -265,7 +531,7 @@
 
     /**
      * Check if an element is inside the sidebar.
-     * Walks up the DOM tree checking for sidebar indicators.
+     * Walks up the DOM tree checking each sidebar selector.
      *
      * @param {Element} element - The element to check
      * @returns {boolean} True if element is inside sidebar
@@ -274,7 +540,7 @@
         let current = element;
 
         while (current && current !== document.body && current !== document.documentElement) {
-            for (const selector of SIDEBAR_INDICATORS) {
+            for (const selector of SIDEBAR_SELECTORS) {
                 try {
                     if (current.matches && current.matches(selector)) {
                         return true;
@@ -290,19 +556,15 @@
     }
 
     /**
-     * Clear all previously applied styles.
+     * Turn the width rules off and remove the width variables from :root.
      */
     function clearAllStyles() {
-        styledElements.forEach(el => {
-            if (el && el.style) {
-                el.style.maxWidth = '';
-                el.style.width = '';
-                el.style.marginLeft = '';
-                el.style.marginRight = '';
-                el.removeAttribute(DATA_ATTR);
-            }
+        const root = document.documentElement;
+
+        Object.values(WIDTH_VARS).forEach(varName => {
+            root.style.removeProperty(varName);
         });
-        styledElements.clear();
+        root.removeAttribute(WIDTH_ACTIVE_ATTR);
     }
 
     /**
@@ -321,6 +583,22 @@
         }
     }
 
+    /**
+     * Find the closest ancestor-or-self matching a selector (safely).
+     *
+     * @param {Element} element - The element to start from
+     * @param {string} selector - CSS selector to match
+     * @returns {Element|null} Matching element, or null
+     */
+    function safeClosest(element, selector) {
+        try {
+            return element.closest(selector);
+        } catch {
+            // Invalid selector
+            return null;
+        }
+    }
+
     /**
      * Check if an element has a descendant matching a selector (safely).
      *
@@ -389,185 +667,36 @@
     // =========================================================================
 
     /**
-     * CSS SELECTOR DESIGN PHILOSOPHY
-     * ===============================
-     * Claude.ai uses React with dynamically-generated class names (Tailwind CSS + custom classes).
-     * Class names may change between deployments, so we use multiple selector strategies:
-     *
-     * 1. **Class Pattern Matching** - [class*="Foo"] catches FooBar, BarFoo, etc.
-     * 2. **Case Variants** - Both PascalCase and kebab-case versions
-     * 3. **Data Attributes** - data-testid attributes are more stable
-     * 4. **Semantic Elements** - <time>, <pre>, <code> are reliable
-     * 5. **Exclusion Patterns** - :not() prevents matching unwanted containers
-     *
-     * Selectors are ordered from most specific to most general for optimal matching.
-     */
-
-    /**
-     * Selectors for message content (text that needs typography styles).
-     * Targets the actual text-containing elements for font-size and line-height.
-     *
-     * @type {string[]}
-     *
-     * Selector groups:
-     * - PROSE: Claude wraps markdown-rendered content in .prose containers
-     *   These use Tailwind's typography plugin for consistent text styling
-     * - MESSAGE: Generic message content wrappers (both capitalized React and kebab-case CSS)
-     * - CHAT: Broader conversation-level text containers
-     * - MARKDOWN: Rendered markdown content blocks
-     * - TURNS: Human/Assistant message turn containers
-     */
-    const MESSAGE_TEXT_SELECTORS = [
-        // PROSE: Claude's primary text container using Tailwind Typography plugin
-        // .prose applies consistent typography to markdown-rendered content
-        '.prose',                              // Direct prose class
-        '.prose p',                            // Paragraphs within prose
-        '.prose li',                           // List items within prose
-        '.prose span',                         // Inline text within prose
-        '.prose div',                          // Div containers within prose
-        '[class*="prose"]',                    // Any class containing "prose" (e.g., prose-sm)
-        '[class*="prose"] p',                  // Paragraphs in prose-like containers
-        '[class*="prose"] li',                 // List items in prose-like containers
-
-        // MESSAGE: Primary message content containers
-        // React components often use PascalCase class naming
-        '[class*="Message"]',                  // PascalCase (MessageContent, MessageBody, etc.)
-        '[class*="message"]',                  // kebab-case variants
-        '[class*="MessageContent"]',           // Explicit content container
-        '[class*="message-content"]',          // kebab-case content container
-
-        // CHAT: Broader conversation-level containers
-        '[class*="ConversationMessage"]',      // Full conversation message wrapper
-        '[class*="conversation-message"]',     // kebab-case variant
-        '[class*="ChatMessage"]',              // Chat-specific message wrapper
-        '[class*="chat-message"]',             // kebab-case variant
-
-        // MARKDOWN: Rendered markdown content
-        '[class*="Markdown"]',                 // Markdown component wrapper
-        '[class*="markdown"]',                 // kebab-case variant
-        '[class*="MarkdownContent"]',          // Explicit markdown content
-
-        // TURNS: Human vs Assistant message containers
-        '[class*="ResponseContent"]',          // Claude's response content
-        '[class*="HumanContent"]',             // User's message content
-        '[class*="AssistantContent"]',         // Assistant-specific content
-        '[class*="human-turn"]',               // Human turn container
-        '[class*="assistant-turn"]'            // Assistant turn container
-    ];
-
-    /**
-     * Selectors for message containers (elements that need padding/bubble styles).
-     * Targets the outer wrapper elements for spacing and border-radius.
-     *
-     * @type {string[]}
-     *
-     * Uses :not() to exclude list containers that wrap multiple messages.
-     * MessageList should not receive padding meant for individual messages.
-     */
-    const MESSAGE_CONTAINER_SELECTORS = [
-        // MESSAGE: Individual message wrappers, excluding list containers
-        '[class*="Message"]:not([class*="MessageList"])',    // Exclude message lists
-        '[class*="message"]:not([class*="message-list"])',   // kebab-case with exclusion
-
-        // CONVERSATION: Full message containers
-        '[class*="ConversationMessage"]',      // Conversation-level message wrapper
-        '[class*="ChatMessage"]',              // Chat-specific message wrapper
-
-        // TURNS: Human/Assistant turn wrappers
-        '[class*="turn-"]',                    // Hyphenated turn prefix
-        '[class*="Turn"]',                     // PascalCase turn containers
-
-        // DATA-TESTID: More stable selectors used in testing infrastructure
-        '[data-testid*="message"]',            // Test ID containing "message"
-        '[data-testid*="turn"]'                // Test ID containing "turn"
-    ];
-
-    /**
-     * Selectors for avatar elements (user and Claude profile pictures).
-     * Used to show/hide avatars based on user preference.
-     *
-     * @type {string[]}
-     *
-     * Strategy: Target common avatar class patterns + img elements with avatar-related alt text.
-     * The 'i' flag makes class matching case-insensitive.
-     */
-    const AVATAR_SELECTORS = [
-        // CLASS-BASED: Common avatar class naming patterns
-        '[class*="avatar" i]',                 // Case-insensitive avatar class match
-        '[class*="Avatar"]',                   // PascalCase (AvatarComponent, UserAvatar)
-        '[class*="profile-pic" i]',            // Profile picture containers
-        '[class*="user-icon" i]',              // User icon containers
-
-        // SPECIFIC COMPONENTS: Known Claude.ai component patterns
-        '[class*="ProfileImage"]',             // Profile image wrapper
-        '[class*="UserIcon"]',                 // User icon component
-        '[class*="ClaudeIcon"]',               // Claude's avatar icon
-        '[class*="HumanIcon"]',                // Human user's avatar icon
-
-        // IMAGE ELEMENTS: Target img tags by alt text content
-        'img[alt*="avatar" i]',                // Images with "avatar" in alt text
-        'img[alt*="profile" i]',               // Images with "profile" in alt text
-
-        // TEST-ID: Stable testing selectors
-        '[data-testid*="avatar"]'              // Test ID containing "avatar"
-    ];
-
-    /**
-     * Selectors for timestamp elements (message time indicators).
-     * Used to show/hide timestamps based on user preference.
-     *
-     * @type {string[]}
-     *
-     * Includes semantic HTML5 <time> element which is the most reliable indicator.
-     */
-    const TIMESTAMP_SELECTORS = [
-        // CLASS-BASED: Common timestamp class patterns
-        '[class*="timestamp" i]',              // Case-insensitive timestamp match
-        '[class*="Timestamp"]',                // PascalCase timestamp component
-
-        // SEMANTIC HTML: Standard time elements
-        'time',                                // HTML5 <time> element
-        '[datetime]',                          // Any element with datetime attribute
-
-        // RELATIVE TIME: "2 hours ago" style displays
-        '[class*="TimeAgo"]',                  // TimeAgo component
-        '[class*="time-ago"]',                 // kebab-case time-ago
-
-        // MESSAGE-SPECIFIC: Time displays within messages
-        '[class*="MessageTime"]',              // Message timestamp component
-        '[class*="message-time"]',             // kebab-case variant
-
-        // TEST-ID: Stable testing selectors
-        '[data-testid*="timestamp"]',          // Test ID containing "timestamp"
-        '[data-testid*="time"]'                // Test ID containing "time"
-    ];
-
-    /**
-     * Selectors for code blocks (syntax-highlighted code containers).
-     * Used to apply max-height, word-wrap, and collapse functionality.
+     * Generate the rules for one role's messages (v1.10.0). Each rule is
+     * only on while its attribute is set.
      *
-     * @type {string[]}
-     *
-     * Primary targets are semantic <pre> and <code> elements, with fallback
-     * to class-based patterns for custom code block components.
+     * @param {Object} roleStyle - Entry of MESSAGE_ROLE_STYLES
+     * @returns {string} CSS rules
      */
-    const CODE_BLOCK_SELECTORS = [
-        // SEMANTIC HTML: Standard code elements
-        'pre',                                 // Preformatted text (main code container)
-        'pre code',                            // Code within preformatted blocks
+    function generateMessageRoleCSS({ selectorRole, vars, attrs }) {
+        const selectors = Selectors.getSelector(selectorRole);
+
+        return `
+            html[${attrs.layout}] :is(${selectors}) {
+                max-width: var(${vars.maxWidth}) !important;
+                margin-left: var(${vars.marginLeft}) !important;
+                margin-right: var(${vars.marginRight}) !important;
+            }
 
-        // CLASS-BASED: Custom code block components
-        '[class*="CodeBlock"]',                // CodeBlock component wrapper
-        '[class*="code-block"]',               // kebab-case variant
-        '[class*="codeblock"]',                // No-separator variant
+            html[${attrs.layout}="center"] :is(${selectors}),
+            html[${attrs.layout}="right"] :is(${selectors}) {
+                width: fit-content !important;
+            }
 
-        // CONTAINER: Code container wrappers
-        '[class*="code-container"]',           // Code container class
-        '[class*="CodeContainer"]',            // PascalCase container
+            html[${attrs.tint}] :is(${selectors}) {
+                background-color: var(${vars.tint}) !important;
+            }
 
-        // TEST-ID: Stable testing selectors
-        '[data-testid*="code-block"]'          // Test ID containing "code-block"
-    ];
+            html[${attrs.fontScale}] :is(${selectors}) {
+                font-size: calc(var(${CSS_VARS.FONT_SIZE}) * var(${vars.fontScale})) !important;
+            }
+`;
+    }
 
     /**
      * Generate CSS for enhanced styling features using CSS custom properties and data attributes.
@@ -581,12 +710,17 @@
      * @returns {string} CSS string
      */
     function generateEnhancedCSS() {
-        // Build comprehensive selector strings
-        const textSelectors = MESSAGE_TEXT_SELECTORS.join(',\n            ');
-        const containerSelectors = MESSAGE_CONTAINER_SELECTORS.join(',\n            ');
-        const avatarSelectors = AVATAR_SELECTORS.join(',\n            ');
-        const timestampSelectors = TIMESTAMP_SELECTORS.join(',\n            ');
-        const codeSelectors = CODE_BLOCK_SELECTORS.join(',\n            ');
+        // Build comprehensive selector strings from the selector registry
+        const roleSelectors = (...roles) => roles
+            .flatMap(role => Selectors.getSelectorList(role))
+            .join(',\n            ');
+        const textSelectors = roleSelectors('messageText');
+        const containerSelectors = roleSelectors('message');
+        const avatarSelectors = roleSelectors('avatar');
+        const timestampSelectors = roleSelectors('timestamp');
+        const codeSelectors = roleSelectors('codeBlock', 'codeContainer');
+        const chromeSelectors = roleSelectors('header', 'banner', 'modelSelector');
+        const proseSelectors = roleSelectors('prose');
 
         // CSS uses var() references for typography and data attributes for visibility/styles
         const css = `
@@ -603,12 +737,31 @@
                 ${CSS_VARS.FONT_SIZE}: ${ENHANCED_DEFAULTS.fontSizePercent}%;
                 ${CSS_VARS.LINE_HEIGHT}: ${LINE_HEIGHT_VALUES.normal};
                 ${CSS_VARS.MESSAGE_PADDING}: ${MESSAGE_PADDING_VALUES.medium}px;
+                ${CSS_VARS.FONT_FAMILY}: inherit;
+                ${CSS_VARS.LETTER_SPACING}: ${LETTER_SPACING_VALUES.normal};
+                ${CSS_VARS.PARAGRAPH_SPACING}: ${PARAGRAPH_SPACING_VALUES.normal};
+                ${CSS_VARS.HEADING_SCALE}: ${HEADING_SCALE_VALUES.normal};
 
                 /* Code blocks */
                 ${CSS_VARS.CODE_MAX_HEIGHT}: ${ENHANCED_DEFAULTS.codeBlockMaxHeight}px;
                 ${CSS_VARS.CODE_OVERFLOW}: auto;
                 ${CSS_VARS.CODE_WHITESPACE}: pre;
                 ${CSS_VARS.CODE_WORDWRAP}: normal;
+                ${CSS_VARS.CODE_FONT_FAMILY}: monospace;
+                ${CSS_VARS.CODE_FONT_SIZE}: inherit;
+                ${CSS_VARS.CODE_TAB_SIZE}: 8;
+
+                /* Message roles */
+                ${CSS_VARS.HUMAN_MAX_WIDTH}: none;
+                ${CSS_VARS.HUMAN_MARGIN_LEFT}: 0;
+                ${CSS_VARS.HUMAN_MARGIN_RIGHT}: auto;
+                ${CSS_VARS.HUMAN_TINT}: transparent;
+                ${CSS_VARS.HUMAN_FONT_SCALE}: 1;
+                ${CSS_VARS.ASSISTANT_MAX_WIDTH}: none;
+                ${CSS_VARS.ASSISTANT_MARGIN_LEFT}: 0;
+                ${CSS_VARS.ASSISTANT_MARGIN_RIGHT}: auto;
+                ${CSS_VARS.ASSISTANT_TINT}: transparent;
+                ${CSS_VARS.ASSISTANT_FONT_SCALE}: 1;
             }
 
             /* ========================================
@@ -630,6 +783,38 @@
                 line-height: inherit !important;
             }
 
+            /* ========================================
+               FONT, SPACING AND HEADINGS (data attribute based, v1.10.0)
+               Only override Claude's styles for non-default choices.
+               Code keeps its monospace font and spacing.
+               ======================================== */
+
+            html[${DATA_ATTRS.FONT_FAMILY}] :is(${textSelectors}):not(pre, pre *, code, code *, kbd, samp),
+            html[${DATA_ATTRS.FONT_FAMILY}] :is(${proseSelectors}) :is(h1, h2, h3, h4, h5, h6) {
+                font-family: var(${CSS_VARS.FONT_FAMILY}) !important;
+            }
+
+            html[${DATA_ATTRS.LETTER_SPACING}] :is(${textSelectors}):not(pre, pre *, code, code *, kbd, samp) {
+                letter-spacing: var(${CSS_VARS.LETTER_SPACING}) !important;
+            }
+
+            html[${DATA_ATTRS.PARAGRAPH_SPACING}] :is(${proseSelectors}) :is(p, ul, ol, blockquote) {
+                margin-top: var(${CSS_VARS.PARAGRAPH_SPACING}) !important;
+                margin-bottom: var(${CSS_VARS.PARAGRAPH_SPACING}) !important;
+            }
+
+            html[${DATA_ATTRS.HEADING_SCALE}] :is(${proseSelectors}) h1 {
+                font-size: calc(1.6em * var(${CSS_VARS.HEADING_SCALE})) !important;
+            }
+
+            html[${DATA_ATTRS.HEADING_SCALE}] :is(${proseSelectors}) h2 {
+                font-size: calc(1.35em * var(${CSS_VARS.HEADING_SCALE})) !important;
+            }
+
+            html[${DATA_ATTRS.HEADING_SCALE}] :is(${proseSelectors}) :is(h3, h4, h5, h6) {
+                font-size: calc(1.15em * var(${CSS_VARS.HEADING_SCALE})) !important;
+            }
+
             /* ========================================
                MESSAGE PADDING (always applies)
                ======================================== */
@@ -657,6 +842,13 @@
                 box-shadow: none !important;
             }
 
+            /* ========================================
+               MESSAGE ROLES (data attribute based, v1.10.0)
+               Width, alignment, tint and text size of each
+               role's messages. After the bubble styles, so
+               a tint shows on minimal bubbles too.
+               ======================================== */
+${MESSAGE_ROLE_STYLES.map(generateMessageRoleCSS).join('')}
             /* ========================================
                CODE BLOCK STYLING
                ======================================== */
@@ -686,46 +878,83 @@
                 word-break: normal !important;
             }
 
+            /* ========================================
+               CODE FONT, SIZE, TABS AND LIGATURES (data attribute based, v1.10.0)
+               Code blocks and inline code, independent of the text settings
+               ======================================== */
+
+            html[${DATA_ATTRS.CODE_FONT_FAMILY}] :is(${codeSelectors}, code, kbd, samp),
+            html[${DATA_ATTRS.CODE_FONT_FAMILY}] :is(${codeSelectors}, code) * {
+                font-family: var(${CSS_VARS.CODE_FONT_FAMILY}) !important;
+            }
+
+            /* Descendants inherit, so the text size rules can't scale them again */
+            html[${DATA_ATTRS.CODE_FONT_SIZE}] :is(${codeSelectors}, code, kbd, samp) {
+                font-size: var(${CSS_VARS.CODE_FONT_SIZE}) !important;
+            }
+
+            html[${DATA_ATTRS.CODE_FONT_SIZE}] :is(${codeSelectors}, code) * {
+                font-size: inherit !important;
+            }
+
+            html[${DATA_ATTRS.CODE_TAB_SIZE}] :is(${codeSelectors}, code) {
+                tab-size: var(${CSS_VARS.CODE_TAB_SIZE}) !important;
+            }
+
+            html[${DATA_ATTRS.CODE_LIGATURES}="off"] :is(${codeSelectors}, code, kbd, samp) {
+                font-variant-ligatures: none !important;
+                font-feature-settings: "liga" 0, "calt" 0 !important;
+            }
+
             /* ========================================
                CODE BLOCK COLLAPSE (data attribute based)
                ======================================== */
 
-            /* When code-collapsed is active, limit height and hide overflow */
-            html[${DATA_ATTRS.CODE_COLLAPSED}="true"] pre,
-            html[${DATA_ATTRS.CODE_COLLAPSED}="true"] [class*="CodeBlock"],
-            html[${DATA_ATTRS.CODE_COLLAPSED}="true"] [class*="code-block"] {
-                max-height: 100px !important;
+            /* Collapsed blocks show their first lines above a fade (v1.10.0).
+               The extra space holds the summary and buttons. */
+            html[${DATA_ATTRS.CODE_COLLAPSED}="true"] [${PREVIEW_ATTR}] {
+                max-height: calc(var(${CSS_VARS.CODE_PREVIEW_LINES}, 5) * 1lh + 3em) !important;
                 overflow: hidden !important;
                 position: relative !important;
             }
 
             /* Collapse indicator gradient overlay */
-            html[${DATA_ATTRS.CODE_COLLAPSED}="true"] pre::after,
-            html[${DATA_ATTRS.CODE_COLLAPSED}="true"] [class*="CodeBlock"]::after {
+            html[${DATA_ATTRS.CODE_COLLAPSED}="true"] [${PREVIEW_ATTR}]::after {
                 content: '';
                 position: absolute;
                 bottom: 0;
                 left: 0;
                 right: 0;
-                height: 40px;
+                height: 2.5em;
                 background: linear-gradient(transparent, rgba(0, 0, 0, 0.3));
                 pointer-events: none;
             }
 
             /* Individually expanded code blocks override global collapse */
-            html[${DATA_ATTRS.CODE_COLLAPSED}="true"] pre[data-claude-individually-expanded="true"],
-            html[${DATA_ATTRS.CODE_COLLAPSED}="true"] [class*="CodeBlock"][data-claude-individually-expanded="true"],
-            html[${DATA_ATTRS.CODE_COLLAPSED}="true"] [class*="code-block"][data-claude-individually-expanded="true"] {
+            html[${DATA_ATTRS.CODE_COLLAPSED}="true"] [${PREVIEW_ATTR}][${EXPANDED_ATTR}="true"] {
                 max-height: none !important;
                 overflow: visible !important;
             }
 
-            /* Hide gradient overlay on individually expanded blocks */
-            html[${DATA_ATTRS.CODE_COLLAPSED}="true"] pre[data-claude-individually-expanded="true"]::after,
-            html[${DATA_ATTRS.CODE_COLLAPSED}="true"] [class*="CodeBlock"][data-claude-individually-expanded="true"]::after {
+            /* Hide gradient overlay and summary on individually expanded blocks */
+            html[${DATA_ATTRS.CODE_COLLAPSED}="true"] [${PREVIEW_ATTR}][${EXPANDED_ATTR}="true"]::after,
+            [${EXPANDED_ATTR}="true"] > .claude-code-summary {
                 display: none !important;
             }
 
+            /* Language and line count, e.g. "Python · 184 lines" (v1.10.0) */
+            .claude-code-summary {
+                position: absolute !important;
+                bottom: 12px !important;
+                left: 12px !important;
+                font-size: 12px !important;
+                font-weight: 500 !important;
+                white-space: nowrap !important;
+                pointer-events: none !important;
+                user-select: none !important;
+                z-index: 100 !important;
+            }
+
             /* ========================================
                TIMESTAMP VISIBILITY (data attribute based)
                Only hide when attribute is present
@@ -748,11 +977,22 @@
                 visibility: hidden !important;
             }
 
+            /* ========================================
+               FOCUS MODE (data attribute based, v1.10.0)
+               Hides the page chrome around the thread and composer.
+               The sidebar is hidden by content/sidebar.js.
+               ======================================== */
+
+            html[${DATA_ATTRS.FOCUS_MODE}="true"] :is(${chromeSelectors}) {
+                display: none !important;
+            }
+
             /* ========================================
                EXPAND/COLLAPSE BUTTON STYLING
                ======================================== */
 
-            .claude-expand-btn {
+            .claude-expand-btn,
+            .claude-save-btn {
                 position: absolute !important;
                 bottom: 8px !important;
                 right: 8px !important;
@@ -768,15 +1008,26 @@
                 transition: background 0.2s ease !important;
             }
 
-            .claude-expand-btn:hover {
+            .claude-expand-btn:hover,
+            .claude-save-btn:hover {
                 background: rgba(0, 0, 0, 0.85) !important;
             }
 
-            .claude-expand-btn:focus {
+            .claude-expand-btn:focus,
+            .claude-save-btn:focus {
                 outline: 2px solid #fff !important;
                 outline-offset: 2px !important;
             }
 
+            /* Save sits in the corner, with the expand button to its left (v1.10.0) */
+            .claude-save-btn {
+                user-select: none !important;
+            }
+
+            .claude-save-btn ~ .claude-expand-btn {
+                right: 64px !important;
+            }
+
             /* ========================================
                ACCESSIBILITY
                ======================================== */
@@ -809,7 +1060,7 @@
      * - Visibility and bubble styles use data attributes for proper on/off behavior
      */
     function updateCSSVariables() {
-        const settings = enhancedSettings;
+        const settings = getEffectiveEnhancedSettings();
         const root = document.documentElement;
 
         // =====================================================================
@@ -823,6 +1074,37 @@
         root.style.setProperty(CSS_VARS.LINE_HEIGHT, String(lineHeightValue));
         root.style.setProperty(CSS_VARS.MESSAGE_PADDING, `${messagePaddingValue}px`);
 
+        // =====================================================================
+        // FONT, SPACING AND HEADINGS (CSS Variables + Data Attributes, v1.10.0)
+        // The variables are always set so custom CSS can use them; the
+        // attributes turn the rules on for non-default choices only.
+        // =====================================================================
+        const fontFamily = getFontFamilyStack(settings.fontFamily, settings.customFontFamily,
+            FONT_FAMILY_STACKS, 'system-ui, sans-serif');
+        const letterSpacing = LETTER_SPACING_VALUES[settings.letterSpacing] ? settings.letterSpacing : 'normal';
+        const paragraphSpacing = PARAGRAPH_SPACING_VALUES[settings.paragraphSpacing] ? settings.paragraphSpacing : 'normal';
+        const headingScale = HEADING_SCALE_VALUES[settings.headingScale] ? settings.headingScale : 'normal';
+
+        root.style.setProperty(CSS_VARS.FONT_FAMILY, fontFamily || 'inherit');
+        root.style.setProperty(CSS_VARS.LETTER_SPACING, LETTER_SPACING_VALUES[letterSpacing]);
+        root.style.setProperty(CSS_VARS.PARAGRAPH_SPACING, PARAGRAPH_SPACING_VALUES[paragraphSpacing]);
+        root.style.setProperty(CSS_VARS.HEADING_SCALE, String(HEADING_SCALE_VALUES[headingScale]));
+
+        const typographyAttrs = {
+            [DATA_ATTRS.FONT_FAMILY]: fontFamily ? settings.fontFamily : null,
+            [DATA_ATTRS.LETTER_SPACING]: letterSpacing !== 'normal' ? letterSpacing : null,
+            [DATA_ATTRS.PARAGRAPH_SPACING]: paragraphSpacing !== 'normal' ? paragraphSpacing : null,
+            [DATA_ATTRS.HEADING_SCALE]: headingScale !== 'normal' ? headingScale : null
+        };
+
+        for (const [attr, value] of Object.entries(typographyAttrs)) {
+            if (value) {
+                root.setAttribute(attr, value);
+            } else {
+                root.removeAttribute(attr);
+            }
+        }
+
         // =====================================================================
         // CODE BLOCKS (CSS Variables)
         // =====================================================================
@@ -845,6 +1127,67 @@
             root.style.setProperty(CSS_VARS.CODE_WORDWRAP, 'normal');
         }
 
+        // Code font, size, tab width and ligatures (v1.10.0)
+        const codeFontFamily = getFontFamilyStack(settings.codeFontFamily, settings.customCodeFontFamily,
+            CODE_FONT_STACKS, 'ui-monospace, monospace');
+        const codeFontSize = settings.codeFontSize > 0 ? settings.codeFontSize : 0;
+        const codeTabSize = settings.codeTabSize > 0 ? settings.codeTabSize : 0;
+        const codeLigatures = settings.codeLigatures !== false;
+
+        root.style.setProperty(CSS_VARS.CODE_FONT_FAMILY, codeFontFamily || 'monospace');
+        root.style.setProperty(CSS_VARS.CODE_FONT_SIZE, codeFontSize ? `${codeFontSize}px` : 'inherit');
+        root.style.setProperty(CSS_VARS.CODE_TAB_SIZE, String(codeTabSize || 8));
+
+        // Preview of collapsed code blocks (v1.10.0)
+        root.style.setProperty(CSS_VARS.CODE_PREVIEW_LINES, String(settings.codePreviewLines > 0 ? settings.codePreviewLines : 5));
+
+        const codeAttrs = {
+            [DATA_ATTRS.CODE_FONT_FAMILY]: codeFontFamily ? settings.codeFontFamily : null,
+            [DATA_ATTRS.CODE_FONT_SIZE]: codeFontSize ? String(codeFontSize) : null,
+            [DATA_ATTRS.CODE_TAB_SIZE]: codeTabSize ? String(codeTabSize) : null,
+            [DATA_ATTRS.CODE_LIGATURES]: codeLigatures ? null : 'off'
+        };
+
+        for (const [attr, value] of Object.entries(codeAttrs)) {
+            if (value) {
+                root.setAttribute(attr, value);
+            } else {
+                root.removeAttribute(attr);
+            }
+        }
+
+        // =====================================================================
+        // MESSAGE ROLES (CSS Variables + Data Attributes, v1.10.0)
+        // Each role's layout, tint and text size attributes are only set
+        // for non-default choices, so both roles look alike by default.
+        // =====================================================================
+        for (const { keys, vars, attrs } of MESSAGE_ROLE_STYLES) {
+            const width = settings[keys.width] > 0 ? settings[keys.width] : 0;
+            const alignment = MESSAGE_ALIGNMENT_MARGINS[settings[keys.alignment]] ? settings[keys.alignment] : 'left';
+            const tint = MESSAGE_TINT_COLORS[settings[keys.tint]] ? settings[keys.tint] : 'none';
+            const fontScale = settings[keys.fontScale] > 0 ? settings[keys.fontScale] : 100;
+
+            root.style.setProperty(vars.maxWidth, width ? `${width}%` : 'none');
+            root.style.setProperty(vars.marginLeft, MESSAGE_ALIGNMENT_MARGINS[alignment].left);
+            root.style.setProperty(vars.marginRight, MESSAGE_ALIGNMENT_MARGINS[alignment].right);
+            root.style.setProperty(vars.tint, MESSAGE_TINT_COLORS[tint]);
+            root.style.setProperty(vars.fontScale, String(fontScale / 100));
+
+            const roleAttrs = {
+                [attrs.layout]: width || alignment !== 'left' ? alignment : null,
+                [attrs.tint]: tint !== 'none' ? tint : null,
+                [attrs.fontScale]: fontScale !== 100 ? String(fontScale) : null
+            };
+
+            for (const [attr, value] of Object.entries(roleAttrs)) {
+                if (value) {
+                    root.setAttribute(attr, value);
+                } else {
+                    root.removeAttribute(attr);
+                }
+            }
+        }
+
         // =====================================================================
         // VISIBILITY TOGGLES (Data Attributes)
         // Only set attribute when hiding; remove when showing (preserves original display)
@@ -888,6 +1231,17 @@
             root.removeAttribute(DATA_ATTRS.CODE_COLLAPSED);
         }
 
+        // =====================================================================
+        // FOCUS MODE (Data Attribute, v1.10.0)
+        // =====================================================================
+        const focusMode = settings.focusMode;
+
+        if (focusMode === true) {
+            root.setAttribute(DATA_ATTRS.FOCUS_MODE, 'true');
+        } else {
+            root.removeAttribute(DATA_ATTRS.FOCUS_MODE);
+        }
+
         // Mark document as having enhanced styles active
         root.setAttribute('data-claude-enhanced-active', 'true');
 
@@ -897,13 +1251,39 @@
             messagePaddingValue,
             codeBlockHeight,
             codeBlockWrap,
+            codeFontFamily,
+            codeFontSize,
+            codeTabSize,
+            codeLigatures,
             showAvatars,
             showTimestamps,
             bubbleStyle,
-            codeBlocksCollapsed
+            codeBlocksCollapsed,
+            focusMode,
+            fontFamily,
+            letterSpacing,
+            paragraphSpacing,
+            headingScale
         });
     }
 
+    /**
+     * Get the font-family value for a prose or code font setting (v1.10.0).
+     *
+     * @param {string} choice - Font choice, a key of stacks or 'custom'
+     * @param {string} customName - Installed font name for 'custom'
+     * @param {Object<string, string>} stacks - Font stack per choice
+     * @param {string} fallback - Stack used after an installed font
+     * @returns {string|null} Font stack, or null to keep the page's font
+     */
+    function getFontFamilyStack(choice, customName, stacks, fallback) {
+        if (choice === 'custom') {
+            const name = Typography.sanitizeFontName(customName);
+            return name ? `"${name}", ${fallback}` : null;
+        }
+        return stacks[choice] || null;
+    }
+
     /**
      * Clear CSS custom properties and data attributes from :root.
      */
@@ -976,20 +1356,6 @@
         clearCSSVariables();
     }
 
-    /**
-     * Debounced version of enhanced style application.
-     * Uses CSS variables for efficient updates.
-     */
-    let enhancedStyleDebounceTimer = null;
-    function applyEnhancedInlineStylesDebounced() {
-        if (enhancedStyleDebounceTimer) {
-            clearTimeout(enhancedStyleDebounceTimer);
-        }
-        enhancedStyleDebounceTimer = setTimeout(() => {
-            updateCSSVariables();
-        }, TIMING.DEBOUNCE_MS);
-    }
-
     /**
      * Load enhanced styling settings from storage.
      */
@@ -1055,13 +1421,49 @@
                     enhancedSettings.lineHeight = preset.lineHeight;
                     enhancedSettings.messagePadding = preset.messagePadding;
                     enhancedSettings.fontSizePercent = preset.fontSize;
+                    enhancedSettings.codeFontSize = preset.codeFontSize;
                 }
             }
 
-            // Handle code blocks collapsed state
-            if (changes.codeBlocksCollapsed) {
-                const collapsed = changes.codeBlocksCollapsed.newValue;
-                toggleAllCodeBlocks(collapsed);
+            // Show or hide the resize handles (v1.10.0)
+            if (changes.showResizeHandles) {
+                updateResizeHandles();
+            }
+
+            // Move the column to its new alignment (v1.10.0)
+            if (changes.chatAlignment || changes.chatAlignmentOffset) {
+                applyEffectiveWidth();
+            }
+
+            // Add or remove the code block line numbers (v1.10.0)
+            if (changes.codeLineNumbers) {
+                applyLineNumberSettings();
+            }
+
+            // Lay out tables, with or without copy buttons (v1.10.0)
+            if (changes.tableLayout || changes.tableCopyButtons) {
+                applyTableSettings();
+            }
+
+            // Fold long messages under the new policy (v1.10.0)
+            if (changes.foldHumanMessages || changes.foldAssistantMessages || changes.messageFoldHeight) {
+                applyMessageFoldSettings();
+            }
+
+            // Resize, collapse or auto-hide the sidebar (v1.10.0)
+            if (changes.sidebarMode || changes.sidebarWidth || changes.focusMode) {
+                applySidebarSettings();
+            }
+
+            // Enter or leave the focus mode width (v1.10.0)
+            if (changes.focusMode || changes.focusWidth || changes.focusWidthUnit) {
+                applyEffectiveWidth();
+                updateResizeHandles();
+            }
+
+            // Handle code blocks collapsed state and which blocks collapse
+            if (changes.codeBlocksCollapsed || changes.codePreviewLines || changes.codeCollapseMinLines) {
+                toggleAllCodeBlocks(enhancedSettings[ENHANCED_KEYS.CODE_BLOCKS_COLLAPSED] === true);
             }
 
             // Clear existing styles if needed (when re-enabling features)
@@ -1079,9 +1481,10 @@
     /**
      * Toggle collapse state of all code blocks.
      * Uses data attribute on html for global collapse state (CSS handles styling).
-     * Individual expand buttons allow per-block expansion.
+     * Only blocks longer than their preview and the collapse threshold are
+     * collapsed (v1.10.0); individual expand buttons allow per-block expansion.
      *
-     * @param {boolean} collapse - Whether to collapse all code blocks
+     * @param {boolean} collapse - Whether to collapse code blocks
      */
     function toggleAllCodeBlocks(collapse) {
         const root = document.documentElement;
@@ -1095,39 +1498,75 @@
             root.removeAttribute(DATA_ATTRS.CODE_COLLAPSED);
         }
 
-        // Add or remove expand buttons on all code blocks
+        // Clear any individual expansion state, then collapse or open each block
         processNonSidebarElements(CODE_BLOCK_SELECTOR, block => {
-            if (collapse) {
-                // Clear any individual expansion state
-                block.removeAttribute('data-claude-individually-expanded');
-                block.style.maxHeight = '';
-                block.style.overflow = '';
-                block.style.position = '';
-
-                // Add expand button if not exists
-                if (!block.querySelector('.claude-expand-btn')) {
-                    addExpandButton(block);
-                } else {
-                    // Update existing button text
-                    const btn = block.querySelector('.claude-expand-btn');
-                    btn.textContent = 'Expand';
-                }
-            } else {
-                // Clear individual expansion state
-                block.removeAttribute('data-claude-individually-expanded');
-                block.style.maxHeight = '';
-                block.style.overflow = '';
-                block.style.position = '';
-
-                // Remove expand buttons
-                const btn = block.querySelector('.claude-expand-btn');
-                if (btn) btn.remove();
-            }
+            block.removeAttribute(EXPANDED_ATTR);
+            block.style.maxHeight = '';
+            block.style.overflow = '';
+            updateCodeBlockCollapse(block);
         });
 
         console.log(`[Claude Width] All code blocks ${collapse ? 'collapsed' : 'expanded'}`);
     }
 
+    /**
+     * Collapse a code block to its preview, with its summary and expand
+     * button, or open it if collapsing is off or the block is short.
+     * Called again as a streaming block grows, which keeps the summary
+     * current and collapses the block once it passes the threshold (v1.10.0).
+     *
+     * @param {Element} block - The code block element
+     */
+    function updateCodeBlockCollapse(block) {
+        // Wrappers are left to the <pre> inside them
+        const lines = safeHasDescendant(block, CODE_BLOCK_SELECTOR)
+            ? 0
+            : CodeExport.countLines(getCodeText(block));
+        const minLines = Math.max(
+            enhancedSettings[ENHANCED_KEYS.CODE_PREVIEW_LINES],
+            enhancedSettings[ENHANCED_KEYS.CODE_COLLAPSE_MIN_LINES]
+        );
+
+        if (!enhancedSettings[ENHANCED_KEYS.CODE_BLOCKS_COLLAPSED] || lines <= minLines) {
+            block.removeAttribute(PREVIEW_ATTR);
+            block.querySelectorAll(':scope > .claude-expand-btn, :scope > .claude-code-summary')
+                .forEach(element => element.remove());
+            return;
+        }
+
+        block.setAttribute(PREVIEW_ATTR, 'true');
+
+        let summary = block.querySelector(':scope > .claude-code-summary');
+        if (!summary) {
+            summary = document.createElement('span');
+            summary.className = 'claude-code-summary';
+            summary.setAttribute('aria-hidden', 'true');
+            block.appendChild(summary);
+        }
+        summary.textContent = CodeExport.formatCodeSummary(detectCodeLanguage(block), lines);
+
+        addExpandButton(block);
+        updateExpandButton(block);
+    }
+
+    /**
+     * Label a block's expand button for its state, naming the language
+     * and length for screen readers since the summary is hidden from them.
+     *
+     * @param {Element} block - The code block element
+     */
+    function updateExpandButton(block) {
+        const btn = block.querySelector('.claude-expand-btn');
+        if (!btn) return;
+
+        const action = block.hasAttribute(EXPANDED_ATTR) ? 'Collapse' : 'Expand';
+        const summary = block.querySelector(':scope > .claude-code-summary');
+        btn.textContent = action;
+        btn.setAttribute('aria-label', summary
+            ? `${action} code block (${summary.textContent})`
+            : `${action} code block`);
+    }
+
     /**
      * Add expand/collapse button to a code block.
      * Button allows individual expansion when global collapse is active.
@@ -1148,23 +1587,18 @@
             e.stopPropagation();
             e.preventDefault();
 
-            const isExpanded = block.hasAttribute('data-claude-individually-expanded');
-
-            if (isExpanded) {
+            if (block.hasAttribute(EXPANDED_ATTR)) {
                 // Collapse this block (return to global collapsed state)
-                block.removeAttribute('data-claude-individually-expanded');
+                block.removeAttribute(EXPANDED_ATTR);
                 block.style.maxHeight = '';
                 block.style.overflow = '';
-                btn.textContent = 'Expand';
-                btn.setAttribute('aria-label', 'Expand code block');
             } else {
                 // Expand this block (override global collapse)
-                block.setAttribute('data-claude-individually-expanded', 'true');
+                block.setAttribute(EXPANDED_ATTR, 'true');
                 block.style.maxHeight = 'none';
                 block.style.overflow = 'visible';
-                btn.textContent = 'Collapse';
-                btn.setAttribute('aria-label', 'Collapse code block');
             }
+            updateExpandButton(block);
         });
 
         // Ensure code block is positioned for absolute child
@@ -1176,6 +1610,185 @@
         block.appendChild(btn);
     }
 
+    // =========================================================================
+    // CODE BLOCK DOWNLOADS (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Find the code blocks of the conversation, in page order. Where a
+     * wrapper and its <pre> both match, only the <pre> is a block.
+     *
+     * @returns {Element[]} Code blocks outside the sidebar
+     */
+    function getCodeBlocks() {
+        const blocks = [];
+        processNonSidebarElements(CODE_BLOCK_SELECTOR, block => {
+            if (!safeHasDescendant(block, CODE_BLOCK_SELECTOR)) {
+                blocks.push(block);
+            }
+        });
+        return blocks;
+    }
+
+    /**
+     * Get the code of a block without the buttons and gutter we added.
+     *
+     * @param {Element} block - Code block
+     * @returns {string} Code text
+     */
+    function getCodeText(block) {
+        const code = block.querySelector('code');
+        if (code) {
+            return code.textContent;
+        }
+
+        const copy = block.cloneNode(true);
+        copy.querySelectorAll(CODE_BLOCK_UI_SELECTOR).forEach(element => element.remove());
+        return copy.textContent;
+    }
+
+    /**
+     * Detect the language of a code block from the `language-*` class of
+     * its code, or from the label claude.ai shows above it.
+     *
+     * @param {Element} block - Code block
+     * @returns {string|null} Lower-case language name, or null if unknown
+     */
+    function detectCodeLanguage(block) {
+        for (const element of [block.querySelector('code'), block]) {
+            const match = element && typeof element.className === 'string'
+                ? element.className.match(LANGUAGE_CLASS_PATTERN)
+                : null;
+            if (match) {
+                return match[1].toLowerCase();
+            }
+        }
+
+        // The label is a sibling of the block or of one of its wrappers
+        let element = block;
+        for (let depth = 0; depth < 3 && element; depth++) {
+            for (let sibling = element.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+                const label = sibling.textContent.trim();
+                if (CodeExport.isKnownLanguage(label)) {
+                    return label.toLowerCase();
+                }
+            }
+            element = element.parentElement;
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the numbered files for code blocks, numbered by their place
+     * among all blocks of the conversation.
+     *
+     * @param {Element[]} blocks - Code blocks to save
+     * @param {Element[]} [allBlocks=blocks] - All code blocks, for numbering
+     * @returns {Array<{name: string, text: string}>} Files
+     */
+    function getCodeFiles(blocks, allBlocks = blocks) {
+        return blocks.map(block => ({
+            name: CodeExport.getCodeFilename(allBlocks.indexOf(block) + 1, allBlocks.length, detectCodeLanguage(block)),
+            text: getCodeText(block)
+        }));
+    }
+
+    /**
+     * Download one code block as a file.
+     *
+     * @param {Element} block - Code block
+     */
+    async function saveCodeBlock(block) {
+        const allBlocks = getCodeBlocks();
+        const [file] = getCodeFiles([block], allBlocks.includes(block) ? allBlocks : [block]);
+
+        try {
+            const response = await browser.runtime.sendMessage({
+                action: 'downloadCode',
+                filename: file.name,
+                text: file.text
+            });
+            if (response && response.success) {
+                console.log(`[Claude Width] Saved code block as ${file.name}`);
+            }
+        } catch (error) {
+            console.error('[Claude Width] Error saving code block:', error);
+        }
+    }
+
+    /**
+     * Download every code block of the conversation as one archive.
+     *
+     * @returns {Promise<{success: boolean, count?: number, error?: string}>} Result
+     */
+    async function saveAllCodeBlocks() {
+        const blocks = getCodeBlocks().slice(0, CodeExport.MAX_ARCHIVE_FILES);
+        if (blocks.length === 0) {
+            return { success: false, error: 'No code blocks on this page' };
+        }
+
+        try {
+            const response = await browser.runtime.sendMessage({
+                action: 'downloadCodeArchive',
+                files: getCodeFiles(blocks)
+            });
+            return response && response.success
+                ? { success: true, count: blocks.length }
+                : { success: false, error: (response && response.error) || 'Download failed' };
+        } catch (error) {
+            console.error('[Claude Width] Error saving code blocks:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Add a Save button to a code block, left of its expand button.
+     * A wrapper that got a button before its <pre> arrived loses it.
+     *
+     * @param {Element} block - Code block
+     */
+    function addSaveButton(block) {
+        if (block.querySelector(':scope > .claude-save-btn') || safeHasDescendant(block, CODE_BLOCK_SELECTOR)) return;
+
+        const wrapper = block.parentElement && block.parentElement.closest(CODE_BLOCK_SELECTOR);
+        const wrapperBtn = wrapper && wrapper.querySelector(':scope > .claude-save-btn');
+        if (wrapperBtn) {
+            wrapperBtn.remove();
+        }
+
+        const btn = document.createElement('button');
+        btn.className = 'claude-save-btn';
+        btn.textContent = 'Save';
+        btn.type = 'button';
+        btn.setAttribute('aria-label', 'Save code block as a file');
+
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            saveCodeBlock(block);
+        });
+
+        // Ensure code block is positioned for absolute child
+        if (getComputedStyle(block).position === 'static') {
+            block.style.position = 'relative';
+        }
+
+        block.insertBefore(btn, block.querySelector(':scope > .claude-expand-btn'));
+    }
+
+    /**
+     * Add Save buttons to the code blocks in or at an element.
+     *
+     * @param {Element|Document} root - Element to search
+     */
+    function addSaveButtons(root) {
+        if (root !== document && safeMatches(root, CODE_BLOCK_SELECTOR) && !isInsideSidebar(root)) {
+            addSaveButton(root);
+        }
+        processNonSidebarElements(CODE_BLOCK_SELECTOR, addSaveButton, root);
+    }
+
     /**
      * Reset all enhanced styling to defaults.
      */
@@ -1201,24 +1814,93 @@
     }
 
     /**
-     * Apply width style to an element (only max-width for most elements).
+     * Run a step of an optional module (sidebar, line numbers, tables,
+     * message folding, selector health). An error is logged and goes no
+     * further, so the width and the other modules still apply (v1.10.0).
+     *
+     * @param {string} name - What the step does, for the log
+     * @param {Function} step - Step to run
+     */
+    function runOptionalStep(name, step) {
+        try {
+            step();
+        } catch (error) {
+            console.error(`[Claude Width] Error ${name}:`, error);
+        }
+    }
+
+    /**
+     * Pass the profile's sidebar settings to the sidebar module (v1.10.0).
+     * Focus mode hides the sidebar.
+     */
+    function applySidebarSettings() {
+        runOptionalStep('applying sidebar settings', () => Sidebar.applySidebarSettings({
+            mode: enhancedSettings[ENHANCED_KEYS.SIDEBAR_MODE],
+            width: enhancedSettings[ENHANCED_KEYS.SIDEBAR_WIDTH],
+            hidden: enhancedSettings[ENHANCED_KEYS.FOCUS_MODE] === true
+        }));
+    }
+
+    /**
+     * Turn the code block line numbers on or off (v1.10.0).
+     */
+    function applyLineNumberSettings() {
+        runOptionalStep('applying line numbers', () => LineNumbers.applyLineNumberSettings({
+            enabled: enhancedSettings[ENHANCED_KEYS.CODE_LINE_NUMBERS] === true
+        }));
+    }
+
+    /**
+     * Pass the profile's table layout to the tables module (v1.10.0).
+     */
+    function applyTableSettings() {
+        runOptionalStep('applying table layout', () => Tables.applyTableSettings({
+            layout: enhancedSettings[ENHANCED_KEYS.TABLE_LAYOUT],
+            copyButtons: enhancedSettings[ENHANCED_KEYS.TABLE_COPY_BUTTONS] === true
+        }));
+    }
+
+    /**
+     * Pass the profile's message folding policy to the folding module (v1.10.0).
+     */
+    function applyMessageFoldSettings() {
+        runOptionalStep('applying message folding', () => MessageFolding.applyMessageFoldSettings({
+            human: enhancedSettings[ENHANCED_KEYS.FOLD_HUMAN_MESSAGES] === true,
+            assistant: enhancedSettings[ENHANCED_KEYS.FOLD_ASSISTANT_MESSAGES] === true,
+            maxHeight: enhancedSettings[ENHANCED_KEYS.MESSAGE_FOLD_HEIGHT]
+        }));
+    }
+
+    /**
+     * Get the width focus mode forces (v1.10.0).
      *
-     * @param {Element} element - Element to style
-     * @param {number} widthPercent - Width percentage
-     * @param {boolean} setWidth - Also set width property (for containers)
+     * @returns {{width: number, unit: string}|null} Focus width, or null when focus
+     *          mode is off or keeps the current width
      */
-    function styleElement(element, widthPercent, setWidth = false) {
-        if (!element || !element.style) return;
-        if (isInsideSidebar(element)) return;
+    function getFocusWidth() {
+        const width = enhancedSettings[ENHANCED_KEYS.FOCUS_WIDTH];
+        if (enhancedSettings[ENHANCED_KEYS.FOCUS_MODE] !== true || !(width > 0)) {
+            return null;
+        }
+        return { width, unit: Units.normalizeUnit(enhancedSettings[ENHANCED_KEYS.FOCUS_WIDTH_UNIT]) };
+    }
 
-        element.style.maxWidth = `${widthPercent}%`;
-        if (setWidth) {
-            element.style.width = `${widthPercent}%`;
-            element.style.marginLeft = 'auto';
-            element.style.marginRight = 'auto';
+    /**
+     * Get the side margins for a container in the chat column alignment.
+     *
+     * @param {string} alignment - 'left', 'center' or 'right'
+     * @param {number} offset - Gap (px) between the column and the edge it is aligned to
+     * @returns {{left: string, right: string}} marginLeft / marginRight values
+     */
+    function getAlignmentMargins(alignment, offset) {
+        switch (alignment) {
+            case 'left':
+                return { left: `${offset}px`, right: 'auto' };
+            case 'right':
+                return { left: 'auto', right: `${offset}px` };
+            default:
+                return { left: 'auto', right: 'auto' };
         }
-        element.setAttribute(DATA_ATTR, String(widthPercent));
-        styledElements.add(element);
     }
 
     // =========================================================================
@@ -1226,213 +1908,344 @@
     // =========================================================================
 
     /**
-     * Find and style all relevant elements in the chat area.
-     * Uses consolidated selectors for performance optimization.
+     * Apply a width to the chat by updating the width variables on :root.
+     * The width stylesheet sizes every matching element, including ones
+     * the page adds later, so this is O(1) however long the chat is.
      *
-     * OPTIMIZATION: Previous implementation used 8 separate querySelectorAll calls.
-     * Now uses 4 combined calls using cached selector strings, reducing DOM queries.
+     * Percentages size containers relative to their parent; absolute units
+     * (px, ch, rem) cap them instead, so containers fill the available space
+     * up to the cap. Containers follow the profile's column alignment
+     * (v1.10.0).
      *
-     * @param {number} widthPercent - Width percentage to apply
+     * @param {number} width - Width value to apply
+     * @param {string} [unit=currentUnit] - Width unit
      */
-    function applyWidthToChat(widthPercent) {
-        const clampedWidth = Math.max(MIN_WIDTH_PERCENT, Math.min(MAX_WIDTH_PERCENT, widthPercent));
-
-        // Clear previous styles if width changed
-        if (clampedWidth !== currentWidth) {
-            clearAllStyles();
-        }
-
-        let elementCount = 0;
-
-        // CONTAINER ELEMENTS (need max-width, width, and margin centering)
-        // Uses WIDTH_CONTAINER_SELECTOR: mx-auto, form, Composer
-        elementCount += processNonSidebarElements(WIDTH_CONTAINER_SELECTOR, el => {
-            styleElement(el, clampedWidth, true);
-        });
+    function applyWidthToChat(width, unit = currentUnit) {
+        const normalizedUnit = Units.normalizeUnit(unit);
+        const clampedWidth = Units.clampWidth(width, normalizedUnit);
+        const length = Units.formatWidth(clampedWidth, normalizedUnit);
+        const alignment = enhancedSettings[ENHANCED_KEYS.ALIGNMENT];
+        const margins = getAlignmentMargins(alignment, enhancedSettings[ENHANCED_KEYS.ALIGNMENT_OFFSET] || 0);
+        const nestedMargins = getAlignmentMargins(alignment, 0);
+        const root = document.documentElement;
 
-        // STICKY ELEMENTS (special handling for child divs)
-        // Sticky footer containers often wrap the input area
-        processNonSidebarElements('[class*="sticky"]', el => {
-            elementCount += processNonSidebarElements(':scope > div', child => {
-                styleElement(child, clampedWidth, true);
-            }, el);
-        });
+        root.style.setProperty(WIDTH_VARS.MAX_WIDTH, length);
+        root.style.setProperty(WIDTH_VARS.WIDTH, normalizedUnit === '%' ? length : '100%');
+        root.style.setProperty(WIDTH_VARS.MARGIN_LEFT, margins.left);
+        root.style.setProperty(WIDTH_VARS.MARGIN_RIGHT, margins.right);
+        root.style.setProperty(WIDTH_VARS.NESTED_MARGIN_LEFT, nestedMargins.left);
+        root.style.setProperty(WIDTH_VARS.NESTED_MARGIN_RIGHT, nestedMargins.right);
+        root.setAttribute(WIDTH_ACTIVE_ATTR, length);
 
-        // CONTENT ELEMENTS (only need max-width, no centering)
-        // Uses WIDTH_CONTENT_SELECTOR: Message, Thread, Conversation
-        elementCount += processNonSidebarElements(WIDTH_CONTENT_SELECTOR, el => {
-            styleElement(el, clampedWidth, false);
-        });
+        currentWidth = clampedWidth;
+        currentUnit = normalizedUnit;
+        refreshResizeHandles();
+        runOptionalStep('refreshing the sidebar', Sidebar.refreshSidebar);
+        console.log(`[Claude Width] Applied ${length} width`);
+    }
 
-        // PROSE/MARKDOWN ELEMENTS (fill their container)
-        // Uses PROSE_SELECTOR: .prose, prose-*, Markdown
-        processNonSidebarElements(PROSE_SELECTOR, el => {
-            if (el.style) {
-                el.style.maxWidth = '100%';
-                styledElements.add(el);
-            }
-        });
+    /**
+     * Re-attach the resize handles, re-find the sidebar and check the
+     * selectors after the page added chat elements, once the browser is
+     * idle. The stylesheet already styles the new elements.
+     */
+    function scheduleWidthTargetsRefresh() {
+        if (widthRefreshIdle) return;
+
+        widthRefreshIdle = window.requestIdleCallback(() => {
+            widthRefreshIdle = null;
+            refreshResizeHandles();
+            runOptionalStep('refreshing the sidebar', Sidebar.refreshSidebar);
+            runOptionalStep('checking selector health', () => checkSelectorHealth());
+        }, { timeout: TIMING.OBSERVER_IDLE_TIMEOUT_MS });
+    }
 
-        // CODE BLOCKS (fill container, enable horizontal scroll)
-        // Uses CODE_BLOCK_SELECTOR: pre, CodeBlock
-        processNonSidebarElements(CODE_BLOCK_SELECTOR, el => {
-            if (el.style) {
-                el.style.maxWidth = '100%';
-                el.style.overflowX = 'auto';
-                styledElements.add(el);
-            }
-        });
+    // =========================================================================
+    // PRESET CYCLING
+    // =========================================================================
 
-        currentWidth = clampedWidth;
-        console.log(`[Claude Width] Applied ${clampedWidth}% width to ${elementCount} elements`);
+    /**
+     * Get the width the preset shortcuts start from: the pinned width while
+     * the conversation has one, otherwise the profile width.
+     *
+     * @returns {{width: number, unit: string}} Width and unit
+     */
+    function getShortcutWidth() {
+        if (conversationOverride?.[STORAGE_KEY] !== undefined) {
+            return {
+                width: conversationOverride[STORAGE_KEY],
+                unit: Units.normalizeUnit(conversationOverride[WIDTH_UNIT_KEY])
+            };
+        }
+        return { width: baseWidth, unit: baseUnit };
     }
 
     /**
-     * Debounced version of applyWidthToChat to prevent excessive calls.
+     * Save a width set by a shortcut. While the conversation is pinned the
+     * pin is updated, the same way popup edits are, since the pin would
+     * hide a new profile width; otherwise the profile width is set.
      *
-     * @param {number} widthPercent - Width percentage to apply
+     * @param {number} width - Width value
+     * @param {string} unit - Width unit
      */
-    function applyWidthDebounced(widthPercent) {
-        if (applyDebounceTimer) {
-            clearTimeout(applyDebounceTimer);
+    async function saveShortcutWidth(width, unit) {
+        if (conversationOverride) {
+            const result = await Conversations.pinConversation(currentChatId, {
+                [STORAGE_KEY]: width,
+                [WIDTH_UNIT_KEY]: unit
+            });
+            if (result.success) {
+                conversationOverride = result.override;
+                applyConversationSettings();
+            }
+            return;
         }
 
-        applyDebounceTimer = setTimeout(() => {
-            applyWidthToChat(widthPercent);
-        }, TIMING.DEBOUNCE_MS);
+        applyBaseWidth(width, unit);
+        await browser.storage.local.set({ [STORAGE_KEY]: width, [WIDTH_UNIT_KEY]: unit });
     }
 
-    // =========================================================================
-    // PRESET CYCLING
-    // =========================================================================
-
     /**
-     * Cycle to the next width preset.
+     * Cycle to the next width preset of the current unit.
      *
-     * @returns {number} The new width value
+     * @returns {Promise<number>} The new width value
      */
-    function cycleToNextPreset() {
-        // Find current position in cycle
-        const currentIndex = PRESET_CYCLE.indexOf(currentWidth);
+    async function cycleToNextPreset() {
+        const { width: fromWidth, unit } = getShortcutWidth();
+        const presets = Units.getPresetWidths(unit);
+        const currentIndex = presets.indexOf(fromWidth);
 
         // Get next preset (wrap around)
         let nextIndex;
         if (currentIndex === -1) {
             // Current width not in presets, find nearest higher
             nextIndex = 0;
-            for (let i = 0; i < PRESET_CYCLE.length; i++) {
-                if (PRESET_CYCLE[i] > currentWidth) {
+            for (let i = 0; i < presets.length; i++) {
+                if (presets[i] > fromWidth) {
                     nextIndex = i;
                     break;
                 }
             }
         } else {
-            nextIndex = (currentIndex + 1) % PRESET_CYCLE.length;
+            nextIndex = (currentIndex + 1) % presets.length;
         }
 
-        const newWidth = PRESET_CYCLE[nextIndex];
-        clearAllStyles();
-        applyWidthToChat(newWidth);
-
-        // Save to storage
-        browser.storage.local.set({ [STORAGE_KEY]: newWidth });
+        const newWidth = presets[nextIndex];
+        await saveShortcutWidth(newWidth, unit);
 
-        console.log(`[Claude Width] Cycled to preset: ${newWidth}%`);
+        console.log(`[Claude Width] Cycled to preset: ${Units.formatWidth(newWidth, unit)}`);
         return newWidth;
     }
 
     /**
-     * Toggle between current width and default.
+     * Check whether a saved last width can be restored: saved for the same
+     * pinned conversation (or the profile), in the same unit.
+     *
+     * @param {LastWidth|number|undefined} lastWidth - Saved last width
+     * @param {string|null} chatId - Pinned conversation, or null for the profile
+     * @param {string} unit - Current width unit
+     * @returns {boolean} True if the width can be restored
+     */
+    function isLastWidthFor(lastWidth, chatId, unit) {
+        return Boolean(lastWidth) &&
+            lastWidth.chatId === chatId &&
+            lastWidth.unit === unit &&
+            Units.isValidWidth(lastWidth.width, unit);
+    }
+
+    /**
+     * Toggle between current width and the default width of the current unit.
+     * In a pinned conversation the pinned width is toggled, and its last
+     * width is kept apart from the profile's.
      *
      * @returns {number} The new width value
      */
     async function toggleDefault() {
-        const LAST_WIDTH_KEY = 'lastNonDefaultWidth';
-
-        if (currentWidth === DEFAULT_WIDTH_PERCENT) {
-            // Restore last non-default width
-            const result = await browser.storage.local.get(LAST_WIDTH_KEY);
-            const lastWidth = result[LAST_WIDTH_KEY];
-
-            if (typeof lastWidth === 'number' && lastWidth !== DEFAULT_WIDTH_PERCENT) {
-                clearAllStyles();
-                applyWidthToChat(lastWidth);
-                await browser.storage.local.set({ [STORAGE_KEY]: lastWidth });
-                console.log(`[Claude Width] Toggled to last width: ${lastWidth}%`);
-                return lastWidth;
+        const chatId = conversationOverride ? currentChatId : null;
+        const lastWidthKey = chatId ? LAST_PINNED_WIDTH_KEY : LAST_WIDTH_KEY;
+        const { width: fromWidth, unit } = getShortcutWidth();
+        const defaultWidth = Units.getUnitConfig(unit).defaultValue;
+
+        if (fromWidth === defaultWidth) {
+            // Restore last non-default width (ignored if saved elsewhere or in another unit)
+            const result = await browser.storage.local.get(lastWidthKey);
+            const lastWidth = result[lastWidthKey];
+
+            if (isLastWidthFor(lastWidth, chatId, unit) && lastWidth.width !== defaultWidth) {
+                await saveShortcutWidth(lastWidth.width, unit);
+                console.log(`[Claude Width] Toggled to last width: ${Units.formatWidth(lastWidth.width, unit)}`);
+                return lastWidth.width;
             }
         } else {
             // Save current as last non-default, then set to default
-            await browser.storage.local.set({ [LAST_WIDTH_KEY]: currentWidth });
-            clearAllStyles();
-            applyWidthToChat(DEFAULT_WIDTH_PERCENT);
-            await browser.storage.local.set({ [STORAGE_KEY]: DEFAULT_WIDTH_PERCENT });
-            console.log(`[Claude Width] Toggled to default: ${DEFAULT_WIDTH_PERCENT}%`);
-            return DEFAULT_WIDTH_PERCENT;
+            await browser.storage.local.set({ [lastWidthKey]: { width: fromWidth, unit, chatId } });
+            await saveShortcutWidth(defaultWidth, unit);
+            console.log(`[Claude Width] Toggled to default: ${Units.formatWidth(defaultWidth, unit)}`);
+            return defaultWidth;
         }
 
-        return currentWidth;
+        return fromWidth;
     }
 
     // =========================================================================
-    // MINIMAL CSS INJECTION
+    // WIDTH STYLESHEET (v1.10.0)
     // =========================================================================
 
     /**
-     * Inject minimal CSS for transitions and child element handling.
+     * Generate the width stylesheet. It is static: the width and alignment
+     * come from the WIDTH_VARS custom properties on :root, and every rule
+     * is scoped to WIDTH_ACTIVE_ATTR, so clearing the width only needs the
+     * attribute removed. The page's own inline styles are never touched.
+     *
+     * @returns {string} CSS string
      */
-    function injectMinimalCSS() {
-        let styleElement = document.getElementById(STYLE_ELEMENT_ID);
+    function generateWidthCSS() {
+        const active = `:root[${WIDTH_ACTIVE_ATTR}]`;
 
-        const css = `
+        return `
             /*
-             * Claude Chat Width Customizer - Minimal CSS v1.8.0
+             * Claude Chat Width Customizer - Width Stylesheet v1.10.0
              */
 
+            /* Containers: sized and aligned */
+            ${active} ${WIDTH_CONTAINER_TARGET} {
+                max-width: var(${WIDTH_VARS.MAX_WIDTH}) !important;
+                width: var(${WIDTH_VARS.WIDTH}) !important;
+                margin-left: var(${WIDTH_VARS.MARGIN_LEFT}) !important;
+                margin-right: var(${WIDTH_VARS.MARGIN_RIGHT}) !important;
+            }
+
+            /* Nested containers line up with the outer one instead of adding the offset again */
+            ${active} ${WIDTH_CONTAINER_TARGET} ${WIDTH_CONTAINER_TARGET} {
+                margin-left: var(${WIDTH_VARS.NESTED_MARGIN_LEFT}) !important;
+                margin-right: var(${WIDTH_VARS.NESTED_MARGIN_RIGHT}) !important;
+            }
+
+            /* Content: capped only */
+            ${active} :is(${WIDTH_CONTENT_SELECTOR})${NOT_IN_SIDEBAR} {
+                max-width: var(${WIDTH_VARS.MAX_WIDTH}) !important;
+            }
+
             /* Smooth transitions for styled elements */
-            [${DATA_ATTR}] {
+            ${active} ${WIDTH_TARGET} {
                 transition: max-width 0.2s ease-out, width 0.2s ease-out !important;
             }
 
             /* Respect reduced motion preference */
             @media (prefers-reduced-motion: reduce) {
-                [${DATA_ATTR}] {
+                ${active} ${WIDTH_TARGET} {
                     transition: none !important;
                 }
             }
 
             /* Allow prose to fill container */
-            [${DATA_ATTR}] .prose,
-            [${DATA_ATTR}] [class*="prose"] {
+            ${active} :is(${PROSE_SELECTOR})${NOT_IN_SIDEBAR} {
                 max-width: 100% !important;
             }
 
             /* Textarea should fill container */
-            [${DATA_ATTR}] textarea,
-            [${DATA_ATTR}] [contenteditable="true"] {
+            ${active} ${WIDTH_TARGET} :is(textarea, [contenteditable="true"]) {
                 max-width: 100% !important;
                 width: 100% !important;
             }
 
-            /* Code blocks expand */
-            [${DATA_ATTR}] pre {
+            /* Code blocks fill container and scroll sideways */
+            ${active} :is(${CODE_BLOCK_SELECTOR})${NOT_IN_SIDEBAR} {
                 max-width: 100% !important;
                 overflow-x: auto !important;
             }
-        `;
 
-        if (styleElement) {
-            styleElement.textContent = css;
-        } else {
-            styleElement = document.createElement('style');
-            styleElement.id = STYLE_ELEMENT_ID;
-            styleElement.type = 'text/css';
-            styleElement.textContent = css;
+            /* Resize handles on the chat column edges (v1.10.0) */
+            .${RESIZE_HANDLE_CLASS} {
+                position: fixed !important;
+                z-index: 2147483000 !important;
+                width: ${RESIZE_HANDLE_WIDTH}px !important;
+                cursor: col-resize !important;
+                touch-action: none !important;
+                outline: none !important;
+            }
 
-            const head = document.head || document.getElementsByTagName('head')[0];
-            if (head) {
-                head.appendChild(styleElement);
+            .${RESIZE_HANDLE_CLASS}::after {
+                content: '';
+                position: absolute;
+                top: 0;
+                bottom: 0;
+                left: 50%;
+                width: 2px;
+                margin-left: -1px;
+                border-radius: 1px;
+                background: #D97757;
+                opacity: 0;
+                transition: opacity 0.15s ease-out;
+            }
+
+            .${RESIZE_HANDLE_CLASS}:hover::after,
+            [${RESIZING_ATTR}] .${RESIZE_HANDLE_CLASS}::after {
+                opacity: 0.6;
+            }
+
+            .${RESIZE_HANDLE_CLASS}:focus-visible::after {
+                width: 4px;
+                margin-left: -2px;
+                opacity: 1;
+            }
+
+            .${RESIZE_TOOLTIP_CLASS} {
+                position: fixed !important;
+                z-index: 2147483001 !important;
+                padding: 2px 8px !important;
+                border-radius: 4px !important;
+                background: rgba(0, 0, 0, 0.8) !important;
+                color: white !important;
+                font: 500 12px/1.5 system-ui, sans-serif !important;
+                white-space: nowrap !important;
+                pointer-events: none !important;
+                transform: translateY(-50%) !important;
+            }
+
+            .${RESIZE_TOOLTIP_CLASS}[data-side="right"] {
+                transform: translate(-100%, -50%) !important;
+            }
+
+            .${RESIZE_HANDLE_CLASS}[hidden],
+            .${RESIZE_TOOLTIP_CLASS}[hidden] {
+                display: none !important;
             }
+
+            /* Follow the pointer instantly while dragging */
+            [${RESIZING_ATTR}] ${WIDTH_TARGET} {
+                transition: none !important;
+            }
+
+            [${RESIZING_ATTR}],
+            [${RESIZING_ATTR}] * {
+                cursor: col-resize !important;
+                user-select: none !important;
+            }
+
+            @media (forced-colors: active) {
+                .${RESIZE_HANDLE_CLASS}::after {
+                    background: Highlight;
+                }
+            }
+        `;
+    }
+
+    /**
+     * Inject the width stylesheet if it is not in the page.
+     * Width changes only update the variables on :root.
+     */
+    function injectWidthCSS() {
+        if (document.getElementById(STYLE_ELEMENT_ID)) return;
+
+        const styleElement = document.createElement('style');
+        styleElement.id = STYLE_ELEMENT_ID;
+        styleElement.type = 'text/css';
+        styleElement.textContent = generateWidthCSS();
+
+        const head = document.head || document.getElementsByTagName('head')[0];
+        if (head) {
+            head.appendChild(styleElement);
         }
     }
 
@@ -1452,18 +2265,33 @@
         clearEnhancedInlineStyles();
 
         // Reload width preference
-        const savedWidth = await loadWidthPreference();
-        currentWidth = savedWidth;
+        ({ width: baseWidth, unit: baseUnit } = await loadWidthPreference());
+
+        // Reload breakpoint tiers (v1.10.0)
+        breakpoints = await loadBreakpoints();
+        updateActiveBreakpoint();
+
+        // Reload auto width mode; the new profile's content is measured afresh (v1.10.0)
+        ({ enabled: autoWidthEnabled, bounds: autoWidthBounds } = await loadAutoWidth());
+        autoWidthChoice = null;
 
         // Reload enhanced settings
         await loadEnhancedSettings();
+        updateResizeHandles();
+        applySidebarSettings();
+        applyLineNumberSettings();
+        applyTableSettings();
+        applyMessageFoldSettings();
+
+        // Reload the pin for the current conversation (v1.10.0)
+        conversationOverride = await Conversations.getConversationOverride(currentChatId);
 
         // Re-inject CSS
-        injectMinimalCSS();
+        injectWidthCSS();
         injectEnhancedCSS();
 
         // Apply styles
-        applyWidthToChat(currentWidth);
+        applyEffectiveWidth();
         applyEnhancedInlineStyles();
 
         // Apply collapsed code blocks if enabled
@@ -1473,143 +2301,1570 @@
             toggleAllCodeBlocks(false);
         }
 
-        console.log(`[Claude Width] Settings reloaded. Width: ${currentWidth}%`);
+        console.log(`[Claude Width] Settings reloaded. Width: ${Units.formatWidth(currentWidth, currentUnit)}`);
     }
 
+    /**
+     * Load the saved width and unit. Widths saved before units existed
+     * are percentages.
+     *
+     * @returns {Promise<{width: number, unit: string}>} Width preference
+     */
     async function loadWidthPreference() {
         try {
-            const result = await browser.storage.local.get(STORAGE_KEY);
+            const result = await browser.storage.local.get([STORAGE_KEY, WIDTH_UNIT_KEY]);
             const savedWidth = result[STORAGE_KEY];
+            const unit = Units.normalizeUnit(result[WIDTH_UNIT_KEY]);
 
-            if (typeof savedWidth === 'number' && savedWidth >= MIN_WIDTH_PERCENT && savedWidth <= MAX_WIDTH_PERCENT) {
-                console.log(`[Claude Width] Loaded preference: ${savedWidth}%`);
-                return savedWidth;
+            if (Units.isValidWidth(savedWidth, unit)) {
+                console.log(`[Claude Width] Loaded preference: ${Units.formatWidth(savedWidth, unit)}`);
+                return { width: savedWidth, unit };
             }
 
-            console.log(`[Claude Width] No valid preference, using default: ${DEFAULT_WIDTH_PERCENT}%`);
-            return DEFAULT_WIDTH_PERCENT;
+            const defaultWidth = Units.getUnitConfig(unit).defaultValue;
+            console.log(`[Claude Width] No valid preference, using default: ${Units.formatWidth(defaultWidth, unit)}`);
+            return { width: defaultWidth, unit };
         } catch (error) {
             console.error('[Claude Width] Error loading preference:', error);
-            return DEFAULT_WIDTH_PERCENT;
+            return { width: DEFAULT_WIDTH_PERCENT, unit: DEFAULT_WIDTH_UNIT };
         }
     }
 
     function handleStorageChange(changes, areaName) {
         if (areaName !== 'local') return;
 
-        // Handle width changes
-        if (changes[STORAGE_KEY]) {
-            const newWidth = changes[STORAGE_KEY].newValue;
+        // Handle width changes (width and unit are usually written together)
+        if (changes[STORAGE_KEY] || changes[WIDTH_UNIT_KEY]) {
+            const newWidth = changes[STORAGE_KEY] ? changes[STORAGE_KEY].newValue : baseWidth;
+            const newUnit = changes[WIDTH_UNIT_KEY] ? Units.normalizeUnit(changes[WIDTH_UNIT_KEY].newValue) : baseUnit;
 
             if (typeof newWidth === 'number') {
-                console.log(`[Claude Width] Storage changed to: ${newWidth}%`);
-                // Force clear and reapply
-                clearAllStyles();
-                applyWidthToChat(newWidth);
+                console.log(`[Claude Width] Storage changed to: ${Units.formatWidth(newWidth, newUnit)}`);
+                // Reapply with the new profile width
+                applyBaseWidth(newWidth, newUnit);
             }
         }
 
+        // Handle auto width mode changes (v1.10.0)
+        if (changes[AUTO_WIDTH_KEY] || changes[AUTO_WIDTH_BOUNDS_KEY]) {
+            handleAutoWidthChange(changes);
+        }
+
+        // Handle breakpoint tier changes (v1.10.0)
+        if (changes[WIDTH_BREAKPOINTS_KEY]) {
+            handleBreakpointsChange(changes[WIDTH_BREAKPOINTS_KEY].newValue);
+        }
+
+        // Handle conversation pin changes (v1.10.0)
+        if (changes[CONVERSATION_OVERRIDES_KEY]) {
+            handleConversationOverridesChange(changes[CONVERSATION_OVERRIDES_KEY].newValue);
+        }
+
+        // Handle selector override changes (v1.10.0)
+        if (changes[SELECTOR_OVERRIDES_KEY] || changes[GLOBAL_SELECTOR_OVERRIDES_KEY]) {
+            handleSelectorOverridesChange(changes);
+        }
+
+        // Handle custom CSS changes (v1.10.0)
+        if (changes[CUSTOM_CSS_KEY] || changes[CUSTOM_CSS_ENABLED_KEY]) {
+            handleCustomCSSChange(changes);
+        }
+
         // Handle enhanced styling changes (v1.8.0)
         handleEnhancedSettingsChange(changes);
     }
 
     // =========================================================================
-    // DOM OBSERVATION
+    // CONVERSATION OVERRIDES (v1.10.0)
     // =========================================================================
 
     /**
-     * Process a MutationObserver mutation to determine if styling updates are needed.
-     * Extracted from the callback for better readability and testability.
+     * Get the width to apply: the focus mode width if set, otherwise the
+     * conversation pin if set, otherwise the auto width, otherwise the
+     * active breakpoint tier, otherwise the profile width.
      *
-     * @param {MutationRecord} mutation - The mutation record to process
-     * @returns {{needsWidth: boolean, needsEnhanced: boolean}} Update flags
+     * @returns {{width: number, unit: string}} Effective width and unit
      */
-    function processMutation(mutation) {
-        let needsWidth = false;
-        let needsEnhanced = false;
-
-        if (mutation.type !== 'childList' || mutation.addedNodes.length === 0) {
-            return { needsWidth, needsEnhanced };
+    function getEffectiveWidth() {
+        const focusWidth = getFocusWidth();
+        if (focusWidth) {
+            return focusWidth;
         }
 
-        for (const node of mutation.addedNodes) {
-            if (node.nodeType !== Node.ELEMENT_NODE) continue;
-
-            // Use cached selectors via helper functions for efficient checking
-            if (!needsWidth && isWidthRelevant(node)) {
-                needsWidth = true;
-            }
-
-            if (!needsEnhanced && isEnhancedRelevant(node)) {
-                needsEnhanced = true;
-            }
+        const tier = breakpoints[activeBreakpointIndex];
+        let base;
 
-            // Early exit if both flags are set
-            if (needsWidth && needsEnhanced) break;
+        if (autoWidthEnabled) {
+            const bounds = getAutoWidthBounds();
+            base = { [STORAGE_KEY]: getAutoWidthChoice(bounds), [WIDTH_UNIT_KEY]: bounds.unit };
+        } else if (tier) {
+            base = { [STORAGE_KEY]: tier.width, [WIDTH_UNIT_KEY]: tier.unit };
+        } else {
+            base = { [STORAGE_KEY]: baseWidth, [WIDTH_UNIT_KEY]: baseUnit };
         }
 
-        return { needsWidth, needsEnhanced };
+        const settings = Conversations.applyConversationOverride(base, conversationOverride);
+        return { width: settings[STORAGE_KEY], unit: settings[WIDTH_UNIT_KEY] };
     }
 
     /**
-     * Handle MutationObserver mutations.
-     * Determines which style updates are needed and applies them with debouncing.
+     * Apply the effective width (pin, auto width, breakpoint tier or profile)
+     * to the chat, then re-measure the content if auto width is on.
+     */
+    function applyEffectiveWidth() {
+        const { width, unit } = getEffectiveWidth();
+        applyWidthToChat(width, unit);
+        scheduleAutoWidth();
+    }
+
+    /**
+     * Get enhanced settings with the conversation pin merged on top.
+     *
+     * @returns {Object} Effective enhanced settings
+     */
+    function getEffectiveEnhancedSettings() {
+        return Conversations.applyConversationOverride(enhancedSettings, conversationOverride);
+    }
+
+    /**
+     * Set the profile width and re-apply the effective width.
+     *
+     * @param {number} width - Profile width value
+     * @param {string} [unit=baseUnit] - Profile width unit
+     */
+    function applyBaseWidth(width, unit = baseUnit) {
+        const previousUnit = baseUnit;
+        baseUnit = Units.normalizeUnit(unit);
+        baseWidth = Units.clampWidth(width, baseUnit);
+
+        // Auto width bounds follow the profile unit, so measure again
+        if (baseUnit !== previousUnit) {
+            autoWidthChoice = null;
+        }
+
+        applyEffectiveWidth();
+    }
+
+    /**
+     * Re-apply width and enhanced styles after the conversation or its pin changed.
+     */
+    function applyConversationSettings() {
+        applyEffectiveWidth();
+        updateCSSVariables();
+
+        // A pinned width turns auto width off for this chat, and with it the handles
+        updateResizeHandles();
+    }
+
+    /**
+     * Check the current URL for a conversation change and apply its pin.
+     * Called on SPA navigation (forwarded by the background script) and popstate.
+     *
+     * @returns {Promise<boolean>} True if the conversation changed
+     */
+    async function refreshConversationOverride() {
+        const chatId = Conversations.getChatIdFromUrl(window.location.href);
+
+        if (chatId === currentChatId) {
+            return false;
+        }
+
+        currentChatId = chatId;
+        const override = await Conversations.getConversationOverride(chatId);
+
+        // Another navigation may have happened while loading
+        if (chatId !== currentChatId) {
+            return false;
+        }
+
+        const hadOverride = conversationOverride !== null;
+        conversationOverride = override;
+
+        if (override || hadOverride) {
+            console.log(`[Claude Width] Conversation ${chatId || '(none)'}: ${override ? 'pinned settings applied' : 'using profile settings'}`);
+            applyConversationSettings();
+        }
+
+        return true;
+    }
+
+    /**
+     * Handle changes to the stored conversation pins.
+     *
+     * @param {Object} overrides - New override map from storage
+     */
+    function handleConversationOverridesChange(overrides) {
+        if (!currentChatId) return;
+
+        const override = Conversations.sanitizeConversationOverrides(overrides)[currentChatId] || null;
+
+        if (JSON.stringify(override) === JSON.stringify(conversationOverride)) {
+            return;
+        }
+
+        conversationOverride = override;
+        console.log(`[Claude Width] Conversation pin ${override ? 'updated' : 'removed'}`);
+        applyConversationSettings();
+    }
+
+    // =========================================================================
+    // VIEWPORT BREAKPOINTS (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Load the breakpoint tiers of the active profile.
+     *
+     * @returns {Promise<WidthBreakpoint[]>} Sanitized tiers (empty when not used)
+     */
+    async function loadBreakpoints() {
+        try {
+            const result = await browser.storage.local.get(WIDTH_BREAKPOINTS_KEY);
+            return Breakpoints.sanitizeBreakpoints(result[WIDTH_BREAKPOINTS_KEY]);
+        } catch (error) {
+            console.error('[Claude Width] Error loading breakpoints:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Pick the tier for the current window width.
+     *
+     * @returns {boolean} True if a different tier (or no tier) is now active
+     */
+    function updateActiveBreakpoint() {
+        const index = Breakpoints.findActiveBreakpoint(breakpoints, window.innerWidth);
+
+        if (index === activeBreakpointIndex) {
+            return false;
+        }
+
+        activeBreakpointIndex = index;
+        return true;
+    }
+
+    /**
+     * Ask the background script to refresh the badge, which shows the
+     * tier width. Fails silently while the background script is starting.
+     */
+    function requestBadgeUpdate() {
+        browser.runtime.sendMessage({ action: 'updateBadge' }).catch(() => {});
+    }
+
+    /**
+     * Re-apply the width when a resize moves the window into another tier.
+     */
+    function handleResize() {
+        clearTimeout(resizeDebounceTimer);
+        resizeDebounceTimer = setTimeout(() => {
+            if (!updateActiveBreakpoint()) return;
+
+            const tier = breakpoints[activeBreakpointIndex];
+            console.log(`[Claude Width] Window ${window.innerWidth}px: ${tier ? `tier ${Breakpoints.describeBreakpointRange(breakpoints, activeBreakpointIndex)}` : 'profile width'}`);
+            applyEffectiveWidth();
+            requestBadgeUpdate();
+        }, TIMING.RESIZE_DEBOUNCE_MS);
+    }
+
+    /**
+     * Handle edits to the stored breakpoint tiers.
+     *
+     * @param {Array<Object>} tiers - New tier list from storage
+     */
+    function handleBreakpointsChange(tiers) {
+        breakpoints = Breakpoints.sanitizeBreakpoints(tiers);
+        updateActiveBreakpoint();
+        console.log(`[Claude Width] Breakpoints updated: ${breakpoints.length} tier(s)`);
+        applyEffectiveWidth();
+    }
+
+    // =========================================================================
+    // RESIZE HANDLES (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Handles are hidden for users who prefer reduced motion.
+     * @type {MediaQueryList}
+     */
+    const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+    /**
+     * Check whether the drag handles should be shown. Auto width picks the
+     * width itself, so there is nothing to drag while it is active.
+     *
+     * @returns {boolean} True unless turned off by the profile, reduced motion or auto width
+     */
+    function shouldShowResizeHandles() {
+        return enhancedSettings[ENHANCED_KEYS.SHOW_RESIZE_HANDLES] !== false &&
+            !reducedMotionQuery.matches &&
+            !isAutoWidthActive();
+    }
+
+    /**
+     * Find the chat column the handles attach to: the tallest visible
+     * element styled with the chat width.
+     *
+     * @returns {Element|null} Chat column, or null if nothing is styled yet
+     */
+    function findChatColumn() {
+        if (!document.documentElement.hasAttribute(WIDTH_ACTIVE_ATTR)) return null;
+
+        let column = null;
+        let columnHeight = 0;
+
+        processNonSidebarElements(WIDTH_ELEMENT_SELECTOR, element => {
+            const rect = element.getBoundingClientRect();
+            if (rect.width > 0 && rect.height > columnHeight) {
+                column = element;
+                columnHeight = rect.height;
+            }
+        });
+
+        return column;
+    }
+
+    /**
+     * Create one drag handle.
+     *
+     * @param {'left'|'right'} side - Column edge the handle sits on
+     * @returns {HTMLElement} Handle element
+     */
+    function createResizeHandle(side) {
+        const handle = document.createElement('div');
+        handle.className = RESIZE_HANDLE_CLASS;
+        handle.dataset.side = side;
+        handle.tabIndex = 0;
+        handle.hidden = true;
+        handle.setAttribute('role', 'separator');
+        handle.setAttribute('aria-orientation', 'vertical');
+        handle.setAttribute('aria-label', `Chat width, ${side} edge`);
+
+        handle.addEventListener('pointerdown', handleResizePointerDown);
+        handle.addEventListener('pointermove', handleResizePointerMove);
+        handle.addEventListener('pointerup', handleResizePointerUp);
+        handle.addEventListener('pointercancel', cancelResizeDrag);
+        handle.addEventListener('keydown', handleResizeKeyDown);
+        handle.addEventListener('keyup', handleResizeKeyUp);
+        handle.addEventListener('focus', () => showResizeTooltip(handle, currentWidth, currentUnit));
+        handle.addEventListener('blur', hideResizeTooltip);
+
+        return handle;
+    }
+
+    /**
+     * Add or remove the handles to match the profile option and the
+     * reduced motion preference.
+     */
+    function updateResizeHandles() {
+        if (!shouldShowResizeHandles()) {
+            removeResizeHandles();
+            return;
+        }
+
+        if (!document.body) return;
+
+        if (!resizeHandles || !resizeHandles.left.isConnected) {
+            removeResizeHandles();
+            resizeHandles = {
+                left: createResizeHandle('left'),
+                right: createResizeHandle('right'),
+                tooltip: document.createElement('div')
+            };
+            resizeHandles.tooltip.className = RESIZE_TOOLTIP_CLASS;
+            resizeHandles.tooltip.hidden = true;
+            resizeHandles.tooltip.setAttribute('aria-hidden', 'true');
+            document.body.append(resizeHandles.left, resizeHandles.right, resizeHandles.tooltip);
+        }
+
+        refreshResizeHandles();
+    }
+
+    /**
+     * Remove the handles, restoring the width if a drag was in progress.
+     */
+    function removeResizeHandles() {
+        if (resizeDrag) {
+            cancelResizeDrag();
+        }
+
+        if (resizeHandles) {
+            resizeHandles.left.remove();
+            resizeHandles.right.remove();
+            resizeHandles.tooltip.remove();
+            resizeHandles = null;
+        }
+
+        if (resizeColumnObserver) {
+            resizeColumnObserver.disconnect();
+            resizeColumnObserver = null;
+        }
+        resizeColumn = null;
+    }
+
+    /**
+     * Re-find the chat column after the width was applied and move the
+     * handles to its edges.
+     */
+    function refreshResizeHandles() {
+        if (!resizeHandles) return;
+
+        const column = findChatColumn();
+
+        if (column !== resizeColumn) {
+            resizeColumn = column;
+
+            // Follow size changes the page makes without a resize event,
+            // such as opening the sidebar
+            if (resizeColumnObserver) {
+                resizeColumnObserver.disconnect();
+            } else {
+                resizeColumnObserver = new window.ResizeObserver(scheduleResizeHandlePosition);
+            }
+            if (column) {
+                resizeColumnObserver.observe(column);
+                if (column.parentElement) {
+                    resizeColumnObserver.observe(column.parentElement);
+                }
+            }
+        }
+
+        scheduleResizeHandlePosition();
+    }
+
+    /**
+     * Position the handles on the next animation frame.
+     */
+    function scheduleResizeHandlePosition() {
+        if (!resizeHandles || resizeHandleFrame) return;
+
+        resizeHandleFrame = window.requestAnimationFrame(() => {
+            resizeHandleFrame = null;
+            positionResizeHandles();
+        });
+    }
+
+    /**
+     * Place the handles on the visible part of the column edges and
+     * update their ARIA values. Hidden when the column is off screen.
+     */
+    function positionResizeHandles() {
+        if (!resizeHandles) return;
+
+        const rect = resizeColumn && resizeColumn.isConnected ? resizeColumn.getBoundingClientRect() : null;
+        const top = rect ? Math.max(rect.top, 0) : 0;
+        const bottom = rect ? Math.min(rect.bottom, window.innerHeight) : 0;
+        const visible = rect !== null && rect.width > 0 && bottom - top >= RESIZE_HANDLE_MIN_HEIGHT;
+        const { min, max } = Units.getUnitConfig(currentUnit);
+        const alignment = enhancedSettings[ENHANCED_KEYS.ALIGNMENT];
+
+        for (const handle of [resizeHandles.left, resizeHandles.right]) {
+            // An aligned column only resizes from its free edge
+            handle.hidden = !visible || handle.dataset.side === alignment;
+            if (handle.hidden) continue;
+
+            const edge = handle.dataset.side === 'left' ? rect.left : rect.right;
+            handle.style.left = `${Math.round(edge - RESIZE_HANDLE_WIDTH / 2)}px`;
+            handle.style.top = `${Math.round(top)}px`;
+            handle.style.height = `${Math.round(bottom - top)}px`;
+
+            handle.setAttribute('aria-valuemin', String(min));
+            handle.setAttribute('aria-valuemax', String(max));
+            handle.setAttribute('aria-valuenow', String(currentWidth));
+            handle.setAttribute('aria-valuetext', Units.formatWidth(currentWidth, currentUnit));
+        }
+
+        if (!visible) {
+            hideResizeTooltip();
+        }
+    }
+
+    /**
+     * Show the width next to a handle, on the column side.
+     *
+     * @param {HTMLElement} handle - Handle being dragged or focused
+     * @param {number} width - Width value to show
+     * @param {string} unit - Width unit
+     * @param {number} [clientY] - Pointer position; defaults to the handle middle
+     */
+    function showResizeTooltip(handle, width, unit, clientY) {
+        if (!resizeHandles || handle.hidden) return;
+
+        const rect = handle.getBoundingClientRect();
+        const tooltip = resizeHandles.tooltip;
+        const side = handle.dataset.side;
+
+        tooltip.textContent = Units.formatWidth(width, unit);
+        tooltip.dataset.side = side;
+        tooltip.style.left = `${Math.round(side === 'left' ? rect.right + 4 : rect.left - 4)}px`;
+        tooltip.style.top = `${Math.round(clientY ?? rect.top + rect.height / 2)}px`;
+        tooltip.hidden = false;
+    }
+
+    /**
+     * Hide the width tooltip.
+     */
+    function hideResizeTooltip() {
+        if (resizeHandles) {
+            resizeHandles.tooltip.hidden = true;
+        }
+    }
+
+    /**
+     * Measure how many CSS pixels one width unit is on the chat column.
+     *
+     * @param {Element} column - Chat column
+     * @param {string} unit - Width unit
+     * @returns {number} Pixels per unit
+     */
+    function getPixelsPerUnit(column, unit) {
+        switch (unit) {
+            case 'px':
+                return 1;
+            case 'rem':
+                return parseFloat(getComputedStyle(document.documentElement).fontSize) || 16;
+            case 'ch': {
+                // ch depends on the column font, so measure it in place
+                const probe = document.createElement('span');
+                probe.style.cssText = 'position: absolute; visibility: hidden; width: 100ch;';
+                column.appendChild(probe);
+                const pixels = probe.getBoundingClientRect().width / 100;
+                probe.remove();
+                return pixels || 8;
+            }
+            default: {
+                // Percent widths are relative to the column's container
+                const container = column.parentElement;
+                return (container ? container.clientWidth : window.innerWidth) / 100 || 1;
+            }
+        }
+    }
+
+    /**
+     * Round a width to the step of its unit and clamp it to the unit range.
+     *
+     * @param {number} value - Raw width value
+     * @param {string} unit - Width unit
+     * @returns {number} Snapped width
+     */
+    function snapWidth(value, unit) {
+        const { step } = Units.getUnitConfig(unit);
+        return Units.clampWidth(Math.round(value / step) * step, unit);
+    }
+
+    /**
+     * Start a drag on a handle.
+     *
+     * @param {PointerEvent} event - Pointer event
+     */
+    function handleResizePointerDown(event) {
+        if (event.button !== 0 || !resizeColumn || resizeDrag) return;
+
+        event.preventDefault();
+        const handle = event.currentTarget;
+        const rect = resizeColumn.getBoundingClientRect();
+
+        // The width follows the pointer's distance from the fixed edge; a
+        // centered column grows on both sides, so from the middle and doubled
+        const alignment = enhancedSettings[ENHANCED_KEYS.ALIGNMENT];
+        const anchors = { left: rect.left, right: rect.right };
+
+        resizeDrag = {
+            handle,
+            pointerId: event.pointerId,
+            anchorX: anchors[alignment] ?? rect.left + rect.width / 2,
+            scale: anchors[alignment] === undefined ? 2 : 1,
+            pixelsPerUnit: getPixelsPerUnit(resizeColumn, currentUnit),
+            unit: currentUnit,
+            startWidth: currentWidth,
+            width: currentWidth
+        };
+
+        handle.setPointerCapture(event.pointerId);
+        handle.focus({ preventScroll: true });
+        document.documentElement.setAttribute(RESIZING_ATTR, '');
+        showResizeTooltip(handle, currentWidth, currentUnit, event.clientY);
+    }
+
+    /**
+     * Preview the dragged width.
+     *
+     * @param {PointerEvent} event - Pointer event
+     */
+    function handleResizePointerMove(event) {
+        if (!resizeDrag || event.pointerId !== resizeDrag.pointerId) return;
+
+        const pixels = Math.abs(event.clientX - resizeDrag.anchorX) * resizeDrag.scale;
+        const width = snapWidth(pixels / resizeDrag.pixelsPerUnit, resizeDrag.unit);
+
+        if (width !== resizeDrag.width) {
+            resizeDrag.width = width;
+            applyWidthToChat(width, resizeDrag.unit);
+        }
+
+        showResizeTooltip(resizeDrag.handle, width, resizeDrag.unit, event.clientY);
+    }
+
+    /**
+     * Finish a drag and save the width.
+     *
+     * @param {PointerEvent} event - Pointer event
+     */
+    function handleResizePointerUp(event) {
+        if (!resizeDrag || event.pointerId !== resizeDrag.pointerId) return;
+
+        const { width, unit, startWidth } = resizeDrag;
+        endResizeDrag();
+
+        if (width !== startWidth) {
+            commitResizeWidth(width, unit);
+        }
+    }
+
+    /**
+     * Abandon a drag and restore the width it started from.
+     */
+    function cancelResizeDrag() {
+        if (!resizeDrag) return;
+
+        const { startWidth, unit } = resizeDrag;
+        endResizeDrag();
+        applyWidthToChat(startWidth, unit);
+    }
+
+    /**
+     * Clear the drag state.
+     */
+    function endResizeDrag() {
+        const { handle, pointerId } = resizeDrag;
+        resizeDrag = null;
+
+        if (handle.hasPointerCapture(pointerId)) {
+            handle.releasePointerCapture(pointerId);
+        }
+        document.documentElement.removeAttribute(RESIZING_ATTR);
+        hideResizeTooltip();
+    }
+
+    /**
+     * Keyboard resizing: arrows move the focused edge (outward widens),
+     * Page Up/Down take bigger steps, Home/End jump to the unit range.
+     * The width is previewed on key down and saved on key up.
+     *
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    function handleResizeKeyDown(event) {
+        if (event.key === 'Escape' && resizeDrag) {
+            event.preventDefault();
+            cancelResizeDrag();
+            return;
+        }
+
+        if (resizeDrag) return;
+
+        const handle = event.currentTarget;
+        const { min, max, step } = Units.getUnitConfig(currentUnit);
+        const outward = handle.dataset.side === 'left' ? 'ArrowLeft' : 'ArrowRight';
+        const inward = handle.dataset.side === 'left' ? 'ArrowRight' : 'ArrowLeft';
+        const width = keyboardResizeWidth ?? currentWidth;
+        let newWidth;
+
+        switch (event.key) {
+            case outward:
+            case 'ArrowUp':
+                newWidth = width + step;
+                break;
+            case inward:
+            case 'ArrowDown':
+                newWidth = width - step;
+                break;
+            case 'PageUp':
+                newWidth = width + step * 4;
+                break;
+            case 'PageDown':
+                newWidth = width - step * 4;
+                break;
+            case 'Home':
+                newWidth = min;
+                break;
+            case 'End':
+                newWidth = max;
+                break;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+        keyboardResizeWidth = Units.clampWidth(newWidth, currentUnit);
+        applyWidthToChat(keyboardResizeWidth, currentUnit);
+        showResizeTooltip(handle, keyboardResizeWidth, currentUnit);
+    }
+
+    /**
+     * Save the width previewed with the keyboard once the key is released.
+     */
+    function handleResizeKeyUp() {
+        if (keyboardResizeWidth === null) return;
+
+        const width = keyboardResizeWidth;
+        keyboardResizeWidth = null;
+        commitResizeWidth(width, currentUnit);
+    }
+
+    /**
+     * Save a width set with the handles. It goes where the current width
+     * comes from: the focus mode width, the conversation pin, the active
+     * breakpoint tier or the profile width, the same way popup edits update a pin.
+     *
+     * @param {number} width - Width value
+     * @param {string} unit - Width unit
+     */
+    async function commitResizeWidth(width, unit) {
+        try {
+            if (getFocusWidth()) {
+                await browser.storage.local.set({
+                    [ENHANCED_KEYS.FOCUS_WIDTH]: width,
+                    [ENHANCED_KEYS.FOCUS_WIDTH_UNIT]: unit
+                });
+            } else if (conversationOverride) {
+                await Conversations.pinConversation(currentChatId, { [STORAGE_KEY]: width, [WIDTH_UNIT_KEY]: unit });
+            } else if (breakpoints[activeBreakpointIndex]) {
+                const tiers = breakpoints.map((tier, index) =>
+                    index === activeBreakpointIndex ? { ...tier, width, unit } : tier
+                );
+                await browser.storage.local.set({ [WIDTH_BREAKPOINTS_KEY]: tiers });
+            } else {
+                await browser.storage.local.set({ [STORAGE_KEY]: width, [WIDTH_UNIT_KEY]: unit });
+                browser.runtime.sendMessage({ action: 'addRecentWidth', width, unit }).catch(() => {});
+            }
+
+            console.log(`[Claude Width] Resized to ${Units.formatWidth(width, unit)}`);
+        } catch (error) {
+            console.error('[Claude Width] Error saving resized width:', error);
+            applyEffectiveWidth();
+        }
+    }
+
+    // =========================================================================
+    // AUTO WIDTH (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Load the auto width mode of the active profile.
+     *
+     * @returns {Promise<{enabled: boolean, bounds: Object|null}>} Auto width settings
+     */
+    async function loadAutoWidth() {
+        try {
+            const result = await browser.storage.local.get([AUTO_WIDTH_KEY, AUTO_WIDTH_BOUNDS_KEY]);
+            return {
+                enabled: result[AUTO_WIDTH_KEY] === true,
+                bounds: result[AUTO_WIDTH_BOUNDS_KEY] ?? null
+            };
+        } catch (error) {
+            console.error('[Claude Width] Error loading auto width:', error);
+            return { enabled: false, bounds: null };
+        }
+    }
+
+    /**
+     * Get the bounds auto width picks between, in the profile unit.
+     * Bounds saved for another unit fall back to that unit's defaults.
+     *
+     * @returns {AutoWidthBounds} Sanitized bounds
+     */
+    function getAutoWidthBounds() {
+        return AutoWidth.sanitizeBounds(autoWidthBounds, baseUnit);
+    }
+
+    /**
+     * Get the current auto width, or the lower bound until the content
+     * has been measured.
+     *
+     * @param {AutoWidthBounds} bounds - Sanitized bounds
+     * @returns {number} Width in the bounds unit
+     */
+    function getAutoWidthChoice(bounds) {
+        return AutoWidth.getCandidateWidths(bounds).includes(autoWidthChoice) ? autoWidthChoice : bounds.min;
+    }
+
+    /**
+     * Check whether auto width decides the width of this chat.
+     *
+     * @returns {boolean} True when enabled, the chat has no pinned width and
+     *          focus mode doesn't force one
+     */
+    function isAutoWidthActive() {
+        return autoWidthEnabled && conversationOverride?.[STORAGE_KEY] === undefined && !getFocusWidth();
+    }
+
+    /**
+     * Check whether an element is on screen.
+     *
+     * @param {Element} element - Element to check
+     * @returns {boolean} True if any part of it is in the viewport
+     */
+    function isInViewport(element) {
+        const rect = element.getBoundingClientRect();
+        return rect.width > 0 && rect.bottom > 0 && rect.top < window.innerHeight;
+    }
+
+    /**
+     * Measure the natural width of a code block or table's content.
+     * Tables are laid out at max-content for a moment, since their cells
+     * wrap rather than overflow, overriding the table layout's width.
+     *
+     * @param {Element} element - Code block or table
+     * @returns {{content: number, available: number}} Content width and the width it has now (px)
+     */
+    function measureContentWidth(element) {
+        if (element.tagName === 'TABLE') {
+            const previous = element.style.cssText;
+            element.style.setProperty('width', 'max-content', 'important');
+            element.style.setProperty('max-width', 'none', 'important');
+            const content = element.getBoundingClientRect().width;
+            element.style.cssText = previous;
+
+            const container = element.parentElement;
+            return { content, available: container ? container.clientWidth : content };
+        }
+
+        const style = getComputedStyle(element);
+        const padding = (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0);
+        const range = document.createRange();
+        range.selectNodeContents(element);
+        const content = range.getBoundingClientRect().width;
+        range.detach();
+
+        return { content, available: element.clientWidth - padding };
+    }
+
+    /**
+     * Work out how wide the chat column must be for every visible code
+     * block and table to fit without scrolling sideways.
+     *
+     * @param {Element} column - Chat column
+     * @returns {number} Required column width in pixels (0 if nothing to fit)
+     */
+    function measureRequiredColumnWidth(column) {
+        const columnWidth = column.getBoundingClientRect().width;
+        let required = 0;
+
+        processNonSidebarElements(AUTO_WIDTH_SELECTOR, element => {
+            if (!isInViewport(element)) return;
+
+            // The element grows and shrinks one for one with the column
+            const { content, available } = measureContentWidth(element);
+            if (available > 0) {
+                required = Math.max(required, columnWidth - available + content);
+            }
+        });
+
+        return required;
+    }
+
+    /**
+     * Measure the visible content and switch to the narrowest candidate
+     * width that fits it.
+     */
+    function evaluateAutoWidth() {
+        if (!isAutoWidthActive()) return;
+
+        const column = findChatColumn();
+        if (!column) return;
+
+        const bounds = getAutoWidthBounds();
+        const width = AutoWidth.pickWidth(
+            AutoWidth.getCandidateWidths(bounds),
+            measureRequiredColumnWidth(column),
+            getPixelsPerUnit(column, bounds.unit)
+        );
+
+        if (width === autoWidthChoice) return;
+
+        autoWidthChoice = width;
+        console.log(`[Claude Width] ${AutoWidth.formatLabel(width, bounds.unit)}`);
+        applyWidthToChat(width, bounds.unit);
+        reportAutoWidth(width, bounds.unit);
+    }
+
+    /**
+     * Re-measure once the page has settled. Streaming replies, scrolling
+     * and resizing all call this; only the last call in a burst measures.
+     */
+    function scheduleAutoWidth() {
+        if (!isAutoWidthActive()) return;
+
+        clearTimeout(autoWidthTimer);
+        autoWidthTimer = setTimeout(evaluateAutoWidth, TIMING.AUTO_WIDTH_DEBOUNCE_MS);
+    }
+
+    /**
+     * Tell the background script which width auto mode picked, for the
+     * badge. Fails silently while the background script is starting.
+     *
+     * @param {number} width - Chosen width
+     * @param {string} unit - Width unit
+     */
+    function reportAutoWidth(width, unit) {
+        browser.runtime.sendMessage({ action: 'autoWidthChanged', width, unit }).catch(() => {});
+    }
+
+    /**
+     * Handle auto width being turned on or off, or its bounds edited.
+     *
+     * @param {Object} changes - Storage changes
+     */
+    function handleAutoWidthChange(changes) {
+        if (changes[AUTO_WIDTH_KEY]) {
+            autoWidthEnabled = changes[AUTO_WIDTH_KEY].newValue === true;
+        }
+        if (changes[AUTO_WIDTH_BOUNDS_KEY]) {
+            autoWidthBounds = changes[AUTO_WIDTH_BOUNDS_KEY].newValue ?? null;
+        }
+
+        autoWidthChoice = null;
+        console.log(`[Claude Width] Auto width ${autoWidthEnabled ? 'on' : 'off'}`);
+        applyEffectiveWidth();
+        updateResizeHandles();
+    }
+
+    // =========================================================================
+    // DOM OBSERVATION
+    // =========================================================================
+
+    /**
+     * Create zeroed observer counters. getStatus reports them so the cost
+     * of watching a streaming reply can be measured.
+     *
+     * @returns {Object} Observer counters
+     */
+    function createObserverStats() {
+        return {
+            observing: 'none',
+            attachCount: 0,
+            mutationBatches: 0,
+            mutationRecords: 0,
+            nodesQueued: 0,
+            nodesSkipped: 0,
+            subtreesProcessed: 0,
+            flushes: 0,
+            flushTimeMs: 0,
+            maxFlushTimeMs: 0,
+            styleReinjections: 0
+        };
+    }
+
+    /**
+     * Find the main conversation region.
+     *
+     * @returns {Element|null} Landmark element, or null while the page is loading
+     */
+    function findConversationLandmark() {
+        const resolution = Selectors.resolveRole('conversation', document, isOutsideSidebar);
+        return resolution ? resolution.element : null;
+    }
+
+    /**
+     * Check that an element is not part of the sidebar.
+     *
+     * @param {Element} element - Element to check
+     * @returns {boolean} True if outside the sidebar
+     */
+    function isOutsideSidebar(element) {
+        return !isInsideSidebar(element);
+    }
+
+    /**
+     * Resolve the selector roles against the page, so getStatus can report
+     * which strategy recognises each part of the current UI.
+     */
+    function resolveSelectorRoles() {
+        for (const role of Selectors.getRoles()) {
+            Selectors.resolveRole(role, document, role === 'sidebar' ? null : isOutsideSidebar);
+        }
+    }
+
+    /**
+     * Reduce the queued nodes to the roots of the added subtrees: nodes
+     * already removed again, or inside another queued node, are skipped.
+     *
+     * @param {Set<Element>} nodes - Queued nodes
+     * @returns {Element[]} Connected subtree roots
+     */
+    function collectSubtreeRoots(nodes) {
+        const roots = [];
+
+        for (const node of nodes) {
+            if (!node.isConnected) continue;
+
+            let ancestor = node.parentElement;
+            while (ancestor && !nodes.has(ancestor)) {
+                ancestor = ancestor.parentElement;
+            }
+
+            if (!ancestor) {
+                roots.push(node);
+            }
+        }
+
+        return roots;
+    }
+
+    /**
+     * Apply per-element styling to one added subtree. Width and enhanced
+     * styles come from the stylesheets; only what needs its own elements,
+     * such as the expand buttons of collapsed code blocks, is done here.
+     *
+     * @param {Element} root - Root of the added subtree
+     * @returns {{needsWidth: boolean}} Whether the chat column may have changed
+     */
+    function processAddedSubtree(root) {
+        if (isInsideSidebar(root)) {
+            return { needsWidth: false };
+        }
+
+        // Save buttons go first, so expand buttons sit to their left (v1.10.0)
+        addSaveButtons(root);
+
+        // Collapse blocks that grew past the threshold, keeping the
+        // summaries of collapsed ones current (v1.10.0)
+        if (enhancedSettings[ENHANCED_KEYS.CODE_BLOCKS_COLLAPSED] && !root.closest(CODE_BLOCK_UI_SELECTOR)) {
+            const enclosing = safeClosest(root, CODE_BLOCK_SELECTOR);
+            if (enclosing) {
+                updateCodeBlockCollapse(enclosing);
+            }
+            if (isEnhancedRelevant(root)) {
+                processNonSidebarElements(CODE_BLOCK_SELECTOR, updateCodeBlockCollapse, root);
+            }
+        }
+
+        // Numbered once the block stops changing (v1.10.0)
+        runOptionalStep('numbering new code blocks', () => LineNumbers.handleAddedElement(root));
+
+        // Tables get the layout while they stream in (v1.10.0)
+        runOptionalStep('laying out new tables', () => Tables.handleAddedElement(root));
+
+        // New messages are measured once the page settles (v1.10.0)
+        runOptionalStep('checking new messages for folding', () => MessageFolding.handleAddedElement(root));
+
+        return { needsWidth: isWidthRelevant(root) };
+    }
+
+    /**
+     * Process the nodes queued since the last frame.
+     */
+    function flushPendingNodes() {
+        mutationFrame = null;
+
+        const start = window.performance.now();
+        const roots = collectSubtreeRoots(pendingNodes);
+        let needsWidth = false;
+
+        observerStats.nodesSkipped += pendingNodes.size - roots.length;
+        pendingNodes.clear();
+
+        for (const root of roots) {
+            if (processAddedSubtree(root).needsWidth) {
+                needsWidth = true;
+            }
+        }
+
+        if (needsWidth) {
+            scheduleWidthTargetsRefresh();
+        }
+
+        // New or streamed content may need a wider column (v1.10.0)
+        if (roots.length > 0) {
+            scheduleAutoWidth();
+        }
+
+        // Switch from the whole document to the landmark once it renders
+        if (observedRoot === document.documentElement && findConversationLandmark()) {
+            attachDOMObserver();
+        }
+
+        const elapsed = window.performance.now() - start;
+        observerStats.subtreesProcessed += roots.length;
+        observerStats.flushes++;
+        observerStats.flushTimeMs += elapsed;
+        observerStats.maxFlushTimeMs = Math.max(observerStats.maxFlushTimeMs, elapsed);
+    }
+
+    /**
+     * Handle MutationObserver mutations.
+     * Only queues the added elements; the work happens once per frame in
+     * flushPendingNodes(), however many batches a streaming reply causes.
      *
      * @param {MutationRecord[]} mutations - Array of mutation records
      */
     function handleMutations(mutations) {
-        let needsWidthUpdate = false;
-        let needsEnhancedUpdate = false;
+        observerStats.mutationBatches++;
+        observerStats.mutationRecords += mutations.length;
 
-        // Process mutations to determine needed updates
         for (const mutation of mutations) {
-            const result = processMutation(mutation);
-
-            if (result.needsWidth) needsWidthUpdate = true;
-            if (result.needsEnhanced) needsEnhancedUpdate = true;
-
-            // Early exit if both flags are set
-            if (needsWidthUpdate && needsEnhancedUpdate) break;
+            for (const node of mutation.addedNodes) {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    pendingNodes.add(node);
+                    observerStats.nodesQueued++;
+                }
+            }
         }
 
-        // Apply updates as needed (debounced)
-        if (needsWidthUpdate) {
-            applyWidthDebounced(currentWidth);
+        if (pendingNodes.size > 0 && !mutationFrame) {
+            mutationFrame = window.requestAnimationFrame(flushPendingNodes);
         }
+    }
 
-        if (needsEnhancedUpdate) {
-            applyEnhancedInlineStylesDebounced();
+    /**
+     * Re-attach the observer if the page removed the landmark, for example
+     * when claude.ai renders a different view.
+     */
+    function handleLandmarkMutations() {
+        if (!observedRoot || !observedRoot.isConnected) {
+            attachDOMObserver();
         }
+    }
+
+    /**
+     * Put our style elements back if the page removed them.
+     *
+     * @param {MutationRecord[]} mutations - Mutations of <head>
+     */
+    function handleHeadMutations(mutations) {
+        const removed = mutations.some(mutation => mutation.removedNodes.length > 0);
+        if (!removed) return;
 
-        // Ensure our style elements exist (may be removed by page updates)
         if (!document.getElementById(STYLE_ELEMENT_ID)) {
-            injectMinimalCSS();
+            injectWidthCSS();
+            observerStats.styleReinjections++;
         }
         if (!document.getElementById(ENHANCED_STYLE_ID)) {
             injectEnhancedCSS();
+            observerStats.styleReinjections++;
+        }
+        if (isCustomCSSActive() && !isCustomCSSLast()) {
+            injectCustomCSS();
+            observerStats.styleReinjections++;
+        }
+    }
+
+    /**
+     * Attach the observer to the conversation landmark, or to the whole
+     * document until the landmark renders. The landmark's ancestors are
+     * watched (direct children only) so its replacement is noticed.
+     */
+    function attachDOMObserver() {
+        const landmark = findConversationLandmark();
+        const root = landmark || document.documentElement;
+
+        domObserver.disconnect();
+        landmarkObserver.disconnect();
+
+        domObserver.observe(root, { childList: true, subtree: true });
+
+        if (landmark) {
+            for (let ancestor = landmark.parentElement; ancestor; ancestor = ancestor.parentElement) {
+                landmarkObserver.observe(ancestor, { childList: true });
+            }
+        }
+
+        // A new landmark brings a new conversation to style, and possibly
+        // a different UI for the selector roles to recognise
+        if (root !== observedRoot && landmark) {
+            pendingNodes.add(landmark);
+            if (!mutationFrame) {
+                mutationFrame = window.requestAnimationFrame(flushPendingNodes);
+            }
+            window.requestIdleCallback(() => {
+                runOptionalStep('checking selector health', () => checkSelectorHealth(true));
+            }, { timeout: TIMING.OBSERVER_IDLE_TIMEOUT_MS });
         }
+
+        observedRoot = root;
+        observerStats.observing = landmark ? landmark.tagName.toLowerCase() : 'document';
+        observerStats.attachCount++;
+        console.log(`[Claude Width] DOM observer attached to ${observerStats.observing}`);
     }
 
     /**
-     * Set up the MutationObserver for dynamic content.
+     * Set up the MutationObservers for dynamic content.
      * Claude.ai is a React SPA that dynamically loads content,
      * so we need to watch for new elements to style.
      */
     function setupDOMObserver() {
         if (domObserver) {
             domObserver.disconnect();
+            landmarkObserver.disconnect();
+            headObserver.disconnect();
         }
 
         domObserver = new MutationObserver(handleMutations);
+        landmarkObserver = new MutationObserver(handleLandmarkMutations);
+        headObserver = new MutationObserver(handleHeadMutations);
 
-        domObserver.observe(document.documentElement, {
-            childList: true,
-            subtree: true
-        });
+        attachDOMObserver();
+
+        if (document.head) {
+            headObserver.observe(document.head, { childList: true });
+        }
 
         console.log('[Claude Width] DOM observer initialized');
     }
 
+    // =========================================================================
+    // CUSTOM CSS (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Check whether the profile's custom stylesheet should be in the page.
+     *
+     * @returns {boolean} True if it is turned on and not empty
+     */
+    function isCustomCSSActive() {
+        return customCSSEnabled && customCSS.trim() !== '';
+    }
+
+    /**
+     * Find the last of the extension's own stylesheets in <head>.
+     *
+     * @returns {Element|null} Width or enhanced style element
+     */
+    function findLastOwnStyle() {
+        const enhancedStyle = document.getElementById(ENHANCED_STYLE_ID);
+        const widthStyle = document.getElementById(STYLE_ELEMENT_ID);
+
+        if (!enhancedStyle || !widthStyle) {
+            return enhancedStyle || widthStyle;
+        }
+        return enhancedStyle.compareDocumentPosition(widthStyle) & Node.DOCUMENT_POSITION_FOLLOWING
+            ? widthStyle
+            : enhancedStyle;
+    }
+
+    /**
+     * Check whether the custom stylesheet is in the page, right after the
+     * extension's own stylesheets.
+     *
+     * @returns {boolean} True if it is in place
+     */
+    function isCustomCSSLast() {
+        const styleElement = document.getElementById(CUSTOM_STYLE_ID);
+        if (!styleElement) return false;
+
+        const lastOwnStyle = findLastOwnStyle();
+        return !lastOwnStyle || lastOwnStyle.nextElementSibling === styleElement;
+    }
+
+    /**
+     * Add, update or remove the custom stylesheet. The --claude-width-*
+     * variables on :root are available to it.
+     */
+    function injectCustomCSS() {
+        let styleElement = document.getElementById(CUSTOM_STYLE_ID);
+
+        if (!isCustomCSSActive()) {
+            if (styleElement) {
+                styleElement.remove();
+                console.log('[Claude Width] Custom CSS removed');
+            }
+            return;
+        }
+
+        if (!styleElement) {
+            styleElement = document.createElement('style');
+            styleElement.id = CUSTOM_STYLE_ID;
+            styleElement.type = 'text/css';
+        }
+        styleElement.textContent = customCSS;
+
+        if (!isCustomCSSLast()) {
+            const lastOwnStyle = findLastOwnStyle();
+            if (lastOwnStyle) {
+                lastOwnStyle.after(styleElement);
+            } else {
+                (document.head || document.documentElement).appendChild(styleElement);
+            }
+        }
+
+        console.log(`[Claude Width] Custom CSS applied (${CustomCSS.getByteSize(customCSS)} bytes)`);
+    }
+
+    /**
+     * Load the active profile's custom CSS.
+     */
+    async function loadCustomCSS() {
+        try {
+            const result = await browser.storage.local.get([CUSTOM_CSS_KEY, CUSTOM_CSS_ENABLED_KEY]);
+            customCSS = CustomCSS.sanitizeCSS(result[CUSTOM_CSS_KEY]);
+            customCSSEnabled = result[CUSTOM_CSS_ENABLED_KEY] !== false;
+        } catch (error) {
+            console.error('[Claude Width] Error loading custom CSS:', error);
+        }
+    }
+
+    /**
+     * Handle the custom CSS being edited, turned off or switched with the profile.
+     *
+     * @param {Object} changes - Storage changes
+     */
+    function handleCustomCSSChange(changes) {
+        if (changes[CUSTOM_CSS_KEY]) {
+            customCSS = CustomCSS.sanitizeCSS(changes[CUSTOM_CSS_KEY].newValue);
+        }
+        if (changes[CUSTOM_CSS_ENABLED_KEY]) {
+            customCSSEnabled = changes[CUSTOM_CSS_ENABLED_KEY].newValue !== false;
+        }
+
+        injectCustomCSS();
+    }
+
+    // =========================================================================
+    // SELECTOR OVERRIDES (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Put the user's selectors at the front of the registry chains and
+     * rebuild the cached selector strings. Roles matched so far are
+     * forgotten, since they were matched with the old chains.
+     *
+     * @param {Object<string, string[]>} profileOverrides - Active profile's selectors by role
+     * @param {Object<string, string[]>} globalOverrides - Selectors for all profiles by role
+     */
+    function useSelectorOverrides(profileOverrides, globalOverrides) {
+        Selectors.setOverrides(profileOverrides, globalOverrides);
+        buildSelectorStrings();
+        matchedRoles.clear();
+    }
+
+    /**
+     * Load the profile and global selector overrides.
+     */
+    async function loadSelectorOverrides() {
+        try {
+            const result = await browser.storage.local.get([SELECTOR_OVERRIDES_KEY, GLOBAL_SELECTOR_OVERRIDES_KEY]);
+            useSelectorOverrides(result[SELECTOR_OVERRIDES_KEY], result[GLOBAL_SELECTOR_OVERRIDES_KEY]);
+
+            const { profile, global } = Selectors.getOverrides();
+            const count = [...Object.values(profile), ...Object.values(global)].flat().length;
+            if (count > 0) {
+                console.log(`[Claude Width] Using ${count} selector override(s)`);
+            }
+        } catch (error) {
+            console.error('[Claude Width] Error loading selector overrides:', error);
+        }
+    }
+
+    /**
+     * Restyle the page after the selector overrides changed: regenerate
+     * both stylesheets and re-find everything found with the old selectors.
+     */
+    function refreshSelectorTargets() {
+        const widthStyle = document.getElementById(STYLE_ELEMENT_ID);
+        if (widthStyle) {
+            widthStyle.textContent = generateWidthCSS();
+        }
+
+        const enhancedStyle = document.getElementById(ENHANCED_STYLE_ID);
+        if (enhancedStyle) {
+            enhancedStyle.textContent = generateEnhancedCSS();
+        }
+
+        runOptionalStep('clearing the sidebar', Sidebar.clearSidebar);
+        applySidebarSettings();
+        runOptionalStep('clearing line numbers', LineNumbers.clearLineNumbers);
+        applyLineNumberSettings();
+        runOptionalStep('clearing table layout', Tables.clearTables);
+        applyTableSettings();
+        runOptionalStep('clearing message folds', MessageFolding.clearMessageFolds);
+        applyMessageFoldSettings();
+        refreshResizeHandles();
+
+        document.querySelectorAll('.claude-save-btn').forEach(btn => btn.remove());
+        addSaveButtons(document);
+
+        if (enhancedSettings[ENHANCED_KEYS.CODE_BLOCKS_COLLAPSED]) {
+            toggleAllCodeBlocks(true);
+        }
+        if (domObserver) {
+            attachDOMObserver();
+        }
+
+        runOptionalStep('checking selector health', () => checkSelectorHealth(true));
+    }
+
+    /**
+     * Handle the profile or global selector overrides being edited.
+     *
+     * @param {Object} changes - Storage changes
+     */
+    function handleSelectorOverridesChange(changes) {
+        const current = Selectors.getOverrides();
+
+        useSelectorOverrides(
+            changes[SELECTOR_OVERRIDES_KEY] ? changes[SELECTOR_OVERRIDES_KEY].newValue : current.profile,
+            changes[GLOBAL_SELECTOR_OVERRIDES_KEY] ? changes[GLOBAL_SELECTOR_OVERRIDES_KEY].newValue : current.global
+        );
+        console.log('[Claude Width] Selector overrides changed');
+        refreshSelectorTargets();
+    }
+
+    /**
+     * Count what a candidate selector matches on this page, for the options
+     * page to test a selector before saving it. The sidebar is left out
+     * except for the sidebar role.
+     *
+     * @param {string} role - Role the selector is meant for
+     * @param {string} selector - Candidate selector
+     * @returns {{success: boolean, matches?: number, current?: Object|null, error?: string}} Result
+     */
+    function testSelector(role, selector) {
+        if (!Selectors.getRoles().includes(role)) {
+            return { success: false, error: 'Unknown selector role' };
+        }
+        if (!Selectors.isValidSelector(selector)) {
+            return { success: false, error: 'Invalid selector' };
+        }
+
+        const accept = role === 'sidebar' ? null : isOutsideSidebar;
+        let matches = 0;
+        for (const element of document.querySelectorAll(selector.trim())) {
+            if (!accept || accept(element)) {
+                matches++;
+            }
+        }
+
+        const resolution = Selectors.resolveRole(role, document, accept);
+        return {
+            success: true,
+            matches,
+            current: resolution ? { strategy: resolution.strategy, count: resolution.count } : null
+        };
+    }
+
+    // =========================================================================
+    // SELECTOR HEALTH (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Count the elements the width stylesheet currently applies to.
+     *
+     * @returns {number} Styled elements, 0 while the width is cleared
+     */
+    function countStyledElements() {
+        if (!document.documentElement.hasAttribute(WIDTH_ACTIVE_ATTR)) return 0;
+        return processNonSidebarElements(WIDTH_ELEMENT_SELECTOR, () => {});
+    }
+
+    /**
+     * Grade a health report. Broken: a conversation page with no thread, or
+     * nothing for the width to style. Degraded: a required role is missing.
+     *
+     * @param {Object} report - Health report without its status
+     * @returns {string} 'healthy', 'degraded' or 'broken'
+     */
+    function getHealthStatus(report) {
+        if (!report.onConversation) return 'healthy';
+
+        if (!report.threadFound || (report.widthActive && report.styledElements === 0)) {
+            return 'broken';
+        }
+
+        return report.missingRoles.length > 0 ? 'degraded' : 'healthy';
+    }
+
+    /**
+     * Resolve every selector role and build the health report: matches per
+     * role, whether the composer and thread were found, how many elements
+     * the width styles, and which required roles are missing or stopped
+     * matching. Only conversation pages are graded.
+     *
+     * @returns {Object} Health report
+     */
+    function computeHealthReport() {
+        resolveSelectorRoles();
+
+        const onConversation = currentChatId !== null;
+        const resolutions = Selectors.getResolutions();
+        const roles = {};
+        const missingRoles = [];
+        const lostRoles = [];
+
+        for (const [role, resolution] of Object.entries(resolutions)) {
+            roles[role] = {
+                matches: resolution.count,
+                strategy: resolution.strategy,
+                fallback: resolution.fallback
+            };
+
+            if (!onConversation || !Selectors.isRequired(role)) continue;
+
+            if (resolution.count > 0) {
+                matchedRoles.add(role);
+            } else {
+                missingRoles.push(role);
+                if (matchedRoles.has(role)) {
+                    lostRoles.push(role);
+                }
+            }
+        }
+
+        const report = {
+            onConversation,
+            roles,
+            composerFound: roles.composer.matches > 0,
+            threadFound: roles.thread.matches > 0,
+            widthActive: document.documentElement.hasAttribute(WIDTH_ACTIVE_ATTR),
+            styledElements: countStyledElements(),
+            missingRoles,
+            lostRoles,
+            checkedAt: Date.now()
+        };
+        report.status = getHealthStatus(report);
+
+        return report;
+    }
+
+    /**
+     * Check the selectors, at most once per HEALTH_CHECK_INTERVAL_MS unless
+     * forced, and tell the background script when the result changed so it
+     * can colour the badge.
+     *
+     * @param {boolean} [force=false] - Check even if the last check was recent
+     * @returns {Object} Latest health report
+     */
+    function checkSelectorHealth(force = false) {
+        if (!force && healthReport && Date.now() - lastHealthCheck < TIMING.HEALTH_CHECK_INTERVAL_MS) {
+            return healthReport;
+        }
+
+        healthReport = computeHealthReport();
+        lastHealthCheck = Date.now();
+
+        const summary = `${healthReport.status}:${healthReport.lostRoles.join(',')}`;
+        if (summary !== reportedHealth) {
+            if (healthReport.status !== 'healthy') {
+                console.warn(`[Claude Width] Selector health ${healthReport.status}; missing: ${healthReport.missingRoles.join(', ')}`);
+            }
+            reportedHealth = summary;
+            reportSelectorHealth(healthReport);
+        }
+
+        return healthReport;
+    }
+
+    /**
+     * Tell the background script the selector health, for the badge.
+     * Fails silently while the background script is starting.
+     *
+     * @param {Object} report - Health report
+     */
+    function reportSelectorHealth(report) {
+        browser.runtime.sendMessage({
+            action: 'selectorHealthChanged',
+            status: report.status,
+            lostRoles: report.lostRoles
+        }).catch(() => {});
+    }
+
     // =========================================================================
     // MESSAGE HANDLING
     // =========================================================================
@@ -1618,10 +3873,10 @@
         switch (message.action) {
             case 'updateWidth':
                 if (typeof message.width === 'number') {
-                    console.log(`[Claude Width] Received updateWidth: ${message.width}%`);
-                    clearAllStyles();
-                    applyWidthToChat(message.width);
-                    sendResponse({ success: true, currentWidth: currentWidth });
+                    const unit = message.unit !== undefined ? message.unit : baseUnit;
+                    console.log(`[Claude Width] Received updateWidth: ${Units.formatWidth(message.width, unit)}`);
+                    applyBaseWidth(message.width, unit);
+                    sendResponse({ success: true, currentWidth: currentWidth, currentUnit: currentUnit });
                 } else {
                     sendResponse({ success: false, error: 'Invalid width value' });
                 }
@@ -1631,22 +3886,35 @@
                 sendResponse({
                     success: true,
                     currentWidth: currentWidth,
-                    styledElementCount: styledElements.size,
-                    enhancedSettings: enhancedSettings
+                    currentUnit: currentUnit,
+                    baseWidth: baseWidth,
+                    baseUnit: baseUnit,
+                    viewportWidth: window.innerWidth,
+                    activeBreakpointIndex: activeBreakpointIndex,
+                    enhancedSettings: getEffectiveEnhancedSettings(),
+                    conversationId: currentChatId,
+                    conversationOverride: conversationOverride,
+                    autoWidthActive: isAutoWidthActive(),
+                    observerStats: { ...observerStats },
+                    health: checkSelectorHealth(true),
+                    selectorResolutions: Selectors.getResolutions()
                 });
                 break;
 
-            case 'resetToDefault':
-                clearAllStyles();
-                applyWidthToChat(DEFAULT_WIDTH_PERCENT);
-                sendResponse({ success: true, currentWidth: DEFAULT_WIDTH_PERCENT });
+            case 'testSelector':
+                sendResponse(testSelector(message.role, message.selector));
                 break;
 
-            case 'cyclePresets': {
-                const newWidth = cycleToNextPreset();
-                sendResponse({ success: true, currentWidth: newWidth });
+            case 'resetToDefault':
+                applyBaseWidth(Units.getUnitConfig(baseUnit).defaultValue, baseUnit);
+                sendResponse({ success: true, currentWidth: currentWidth });
                 break;
-            }
+
+            case 'cyclePresets':
+                cycleToNextPreset().then(width => {
+                    sendResponse({ success: true, currentWidth: width });
+                });
+                return true; // Async response
 
             case 'toggleDefault':
                 toggleDefault().then(width => {
@@ -1668,10 +3936,21 @@
                 break;
             }
 
+            // Fold or unfold every long message (v1.10.0)
+            case 'foldMessages': {
+                const count = MessageFolding.foldAllMessages(message.fold === true);
+                sendResponse({ success: true, folded: message.fold === true, count });
+                break;
+            }
+
+            case 'saveAllCodeBlocks':
+                saveAllCodeBlocks().then(sendResponse);
+                return true; // Async response
+
             case 'getEnhancedSettings':
                 sendResponse({
                     success: true,
-                    settings: enhancedSettings
+                    settings: getEffectiveEnhancedSettings()
                 });
                 break;
 
@@ -1692,6 +3971,16 @@
                 });
                 return true; // Async response
 
+            // SPA navigation between conversations (v1.10.0)
+            case 'conversationChanged':
+                refreshConversationOverride().then(changed => {
+                    sendResponse({ success: true, changed: changed, conversationId: currentChatId });
+                }).catch(error => {
+                    console.error('[Claude Width] Error applying conversation pin:', error);
+                    sendResponse({ success: false, error: error.message });
+                });
+                return true; // Async response
+
             default:
                 sendResponse({ success: false, error: 'Unknown action' });
         }
@@ -1708,26 +3997,54 @@
 
         try {
             // Load saved width preference
-            const savedWidth = await loadWidthPreference();
-            currentWidth = savedWidth;
+            ({ width: baseWidth, unit: baseUnit } = await loadWidthPreference());
+            currentWidth = baseWidth;
+            currentUnit = baseUnit;
+
+            // Load breakpoint tiers for the current window width (v1.10.0)
+            breakpoints = await loadBreakpoints();
+            updateActiveBreakpoint();
+
+            // Load auto width mode (v1.10.0)
+            ({ enabled: autoWidthEnabled, bounds: autoWidthBounds } = await loadAutoWidth());
 
             // Load enhanced styling settings (v1.8.0)
             await loadEnhancedSettings();
 
-            // Inject minimal CSS for width
-            injectMinimalCSS();
+            // Load the user's selectors before anything is looked up (v1.10.0)
+            await loadSelectorOverrides();
+
+            // Load the profile's custom stylesheet (v1.10.0)
+            await loadCustomCSS();
+
+            // Manage the sidebar if the profile asks for it (v1.10.0)
+            applySidebarSettings();
+
+            // Number the code blocks if the profile asks for it (v1.10.0)
+            applyLineNumberSettings();
+
+            // Lay out the tables in the profile's layout (v1.10.0)
+            applyTableSettings();
+
+            // Fold the long messages the profile folds (v1.10.0)
+            applyMessageFoldSettings();
+
+            // Load the pin for the current conversation (v1.10.0)
+            currentChatId = Conversations.getChatIdFromUrl(window.location.href);
+            conversationOverride = await Conversations.getConversationOverride(currentChatId);
+
+            // Inject the width stylesheet
+            injectWidthCSS();
 
             // Inject enhanced styling CSS (v1.8.0)
             injectEnhancedCSS();
 
-            // Apply initial styles with delays to catch lazy-loaded content
-            TIMING.INIT_RETRY_INTERVALS.forEach((delay, index) => {
-                setTimeout(() => {
-                    applyWidthToChat(index === 0 ? savedWidth : currentWidth);
-                    // Also re-apply enhanced inline styles for lazy-loaded content
-                    applyEnhancedInlineStyles();
-                }, delay);
-            });
+            // Custom CSS goes last so it can override both (v1.10.0)
+            injectCustomCSS();
+
+            // Apply initial styles; the stylesheets also cover content loaded later
+            applyEffectiveWidth();
+            applyEnhancedInlineStyles();
 
             // Apply collapsed code blocks if enabled
             if (enhancedSettings[ENHANCED_KEYS.CODE_BLOCKS_COLLAPSED]) {
@@ -1737,8 +4054,24 @@
             // Set up listeners
             browser.storage.onChanged.addListener(handleStorageChange);
             browser.runtime.onMessage.addListener(handleMessage);
+            window.addEventListener('popstate', refreshConversationOverride);
+            window.addEventListener('resize', handleResize);
             setupDOMObserver();
 
+            // Save buttons for the code blocks already on the page (v1.10.0)
+            addSaveButtons(document);
+
+            // Resize handles follow the column as the page scrolls and reflows (v1.10.0)
+            updateResizeHandles();
+            window.addEventListener('resize', scheduleResizeHandlePosition);
+            document.addEventListener('scroll', scheduleResizeHandlePosition, { capture: true, passive: true });
+            document.addEventListener('transitionend', scheduleResizeHandlePosition, true);
+            reducedMotionQuery.addEventListener('change', updateResizeHandles);
+
+            // Auto width re-measures what is on screen (v1.10.0)
+            window.addEventListener('resize', scheduleAutoWidth);
+            document.addEventListener('scroll', scheduleAutoWidth, { capture: true, passive: true });
+
             console.log('[Claude Width] Content script initialized successfully');
         } catch (error) {
             console.error('[Claude Width] Initialization error:', error);
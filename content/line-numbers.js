@@ -0,0 +1,359 @@
+/**
+ * Claude Chat Width Customizer - Code Block Line Numbers
+ * ======================================================
+ *
+ * Optional line-number gutter for code blocks (v1.10.0). The numbers are
+ * drawn from a data attribute with CSS generated content in a gutter the
+ * code text never contains, so selecting and copying code stays clean.
+ *
+ * Each number is placed at the top of the first row of its line, measured
+ * with a Range, so lines that word wrap over several rows keep their
+ * number next to their start. Blocks are renumbered once they stop
+ * changing: while a reply streams in, and when wrapping or the font makes
+ * the code grow or shrink.
+ *
+ * @author DoubleGate
+ * @version 1.9.1
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // =========================================================================
+    // CONSTANTS (from lib/constants.js)
+    // =========================================================================
+
+    const { TIMING } = window.ClaudeWidthConstants;
+
+    const STYLE_ELEMENT_ID = 'claude-width-line-number-styles';
+
+    /**
+     * Gutter element added to each numbered block.
+     * @type {string}
+     */
+    const GUTTER_CLASS = 'claude-width-line-gutter';
+
+    /**
+     * Set on each numbered block, with the number of digits as its value.
+     * @type {string}
+     */
+    const NUMBERED_ATTR = 'data-claude-width-line-numbers';
+
+    /**
+     * Elements whose text is not code: our gutter and the buttons
+     * content.js adds to code blocks.
+     * @type {string}
+     */
+    const NOT_CODE_SELECTOR = `.${GUTTER_CLASS}, .claude-expand-btn, .claude-save-btn, .claude-code-summary`;
+
+    const Selectors = window.ClaudeWidthSelectors;
+
+    // =========================================================================
+    // STATE
+    // =========================================================================
+
+    let enabled = false;
+    let resizeObserver = null;
+    const numberedBlocks = new Set();
+    const pendingTimers = new Map();
+
+    // =========================================================================
+    // LINES
+    // =========================================================================
+
+    /**
+     * Find the code blocks in or around an element. Where the code block
+     * selectors match an element and its descendant (a wrapper and its
+     * <pre>), only the innermost one is numbered.
+     *
+     * @param {Element} root - Element to search, which may itself be inside a block
+     * @returns {Element[]} Code blocks to number
+     */
+    function findCodeBlocks(root) {
+        const selector = Selectors.getSelector('codeBlock');
+        const candidates = [];
+
+        const enclosing = root.closest(selector);
+        if (enclosing) {
+            candidates.push(enclosing);
+        }
+        candidates.push(...root.querySelectorAll(selector));
+
+        return [...new Set(candidates)].filter(block =>
+            !block.closest(NOT_CODE_SELECTOR) && !block.querySelector(selector));
+    }
+
+    /**
+     * Find where each line of a block's code starts.
+     * A newline at the very end doesn't start another line.
+     *
+     * @param {Element} block - Code block
+     * @returns {Array<{node: Text, offset: number}>} Start of each line
+     */
+    function getLineStarts(block) {
+        const walker = document.createTreeWalker(block, window.NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement.closest(NOT_CODE_SELECTOR)
+                ? window.NodeFilter.FILTER_REJECT
+                : window.NodeFilter.FILTER_ACCEPT
+        });
+        const starts = [];
+        let atLineStart = true;
+
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const text = node.data;
+            for (let offset = 0; offset < text.length; offset++) {
+                if (atLineStart) {
+                    starts.push({ node, offset });
+                    atLineStart = false;
+                }
+                if (text[offset] === '\n') {
+                    atLineStart = true;
+                }
+            }
+        }
+
+        return starts;
+    }
+
+    /**
+     * Measure how far below the top of the block each line starts.
+     * The first character of a line is measured rather than the point
+     * before it, which has no box; for an empty line that is its newline.
+     * A line that can't be measured goes one line height below the last.
+     *
+     * @param {Element} block - Code block
+     * @param {Array<{node: Text, offset: number}>} starts - Line starts
+     * @returns {number[]} Offset of each line (px) within the block's padding box
+     */
+    function measureLineOffsets(block, starts) {
+        const blockRect = block.getBoundingClientRect();
+        const origin = blockRect.top + block.clientTop - block.scrollTop;
+        const style = getComputedStyle(block);
+        const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2;
+        const range = document.createRange();
+        let lastTop = parseFloat(style.paddingTop) - lineHeight;
+
+        return starts.map(({ node, offset }) => {
+            range.setStart(node, offset);
+            range.setEnd(node, offset + 1);
+            const rect = range.getClientRects()[0];
+            lastTop = rect ? Math.round(rect.top - origin) : lastTop + lineHeight;
+            return lastTop;
+        });
+    }
+
+    // =========================================================================
+    // GUTTER
+    // =========================================================================
+
+    /**
+     * Build the CSS for numbered blocks. The block makes room for the
+     * gutter; the numbers are generated content, which can't be selected.
+     *
+     * @returns {string} CSS text
+     */
+    function generateLineNumberCSS() {
+        const digitRules = [1, 2, 3, 4, 5].map(digits =>
+            `[${NUMBERED_ATTR}="${digits}"] { --claude-width-gutter-digits: ${digits}; }`);
+
+        return `${digitRules.join('\n')}
+
+[${NUMBERED_ATTR}] {
+    position: relative !important;
+    padding-left: calc(var(--claude-width-gutter-digits, 5) * 1ch + 1.75em) !important;
+}
+
+.${GUTTER_CLASS} {
+    position: absolute;
+    top: 0;
+    left: 0;
+    width: calc(var(--claude-width-gutter-digits, 5) * 1ch + 1em);
+    pointer-events: none;
+    user-select: none;
+    opacity: 0.5;
+}
+
+.${GUTTER_CLASS} > span {
+    position: absolute;
+    right: 0.5em;
+    font-variant-numeric: tabular-nums;
+    white-space: nowrap;
+}
+
+.${GUTTER_CLASS} > span::before {
+    content: attr(data-line);
+}`;
+    }
+
+    /**
+     * Add the line number style element if it is missing.
+     */
+    function injectLineNumberCSS() {
+        if (document.getElementById(STYLE_ELEMENT_ID)) return;
+
+        const styleEl = document.createElement('style');
+        styleEl.id = STYLE_ELEMENT_ID;
+        styleEl.textContent = generateLineNumberCSS();
+        (document.head || document.documentElement).appendChild(styleEl);
+    }
+
+    /**
+     * Number a code block, replacing its previous numbers. The code is
+     * watched from then on, so a block without text yet is numbered once
+     * its text arrives.
+     *
+     * @param {Element} block - Code block
+     */
+    function numberBlock(block) {
+        pendingTimers.delete(block);
+        if (!enabled || !block.isConnected) {
+            removeGutter(block);
+            return;
+        }
+
+        if (!numberedBlocks.has(block)) {
+            numberedBlocks.add(block);
+            resizeObserver.observe(block.querySelector('code') || block);
+        }
+
+        const starts = getLineStarts(block);
+        if (starts.length === 0) return;
+
+        block.setAttribute(NUMBERED_ATTR, String(String(starts.length).length));
+
+        let gutter = block.querySelector(`:scope > .${GUTTER_CLASS}`);
+        if (!gutter) {
+            gutter = document.createElement('div');
+            gutter.className = GUTTER_CLASS;
+            gutter.setAttribute('aria-hidden', 'true');
+            block.prepend(gutter);
+        }
+
+        // Measured after the padding for the gutter is in place, since
+        // wrapped lines depend on the width left for the code
+        const offsets = measureLineOffsets(block, starts);
+        const fragment = document.createDocumentFragment();
+        offsets.forEach((top, index) => {
+            const number = document.createElement('span');
+            number.setAttribute('data-line', String(index + 1));
+            number.style.top = `${top}px`;
+            fragment.appendChild(number);
+        });
+        gutter.replaceChildren(fragment);
+    }
+
+    /**
+     * Remove a block's gutter and the room made for it.
+     *
+     * @param {Element} block - Code block
+     */
+    function removeGutter(block) {
+        const gutter = block.querySelector(`:scope > .${GUTTER_CLASS}`);
+        if (gutter) {
+            gutter.remove();
+        }
+        block.removeAttribute(NUMBERED_ATTR);
+        numberedBlocks.delete(block);
+    }
+
+    /**
+     * Number a block once it has stopped changing for a moment, so a
+     * block that is still streaming in is numbered once, when it's done.
+     *
+     * @param {Element} block - Code block
+     */
+    function scheduleBlock(block) {
+        clearTimeout(pendingTimers.get(block));
+        pendingTimers.set(block, setTimeout(() => numberBlock(block), TIMING.LINE_NUMBERS_SETTLE_MS));
+    }
+
+    /**
+     * Renumber blocks whose code changed size: new lines, wrapping turned
+     * on or off, another font size or a narrower column with wrapping on.
+     *
+     * @param {ResizeObserverEntry[]} entries - Resized code elements
+     */
+    function handleCodeResize(entries) {
+        for (const entry of entries) {
+            const block = [...numberedBlocks].find(numbered => numbered.contains(entry.target));
+            if (block) {
+                scheduleBlock(block);
+            } else {
+                resizeObserver.unobserve(entry.target);
+            }
+        }
+    }
+
+    // =========================================================================
+    // PUBLIC API
+    // =========================================================================
+
+    /**
+     * Remove every gutter and style this module added.
+     */
+    function clearLineNumbers() {
+        for (const timer of pendingTimers.values()) {
+            clearTimeout(timer);
+        }
+        pendingTimers.clear();
+
+        if (resizeObserver) {
+            resizeObserver.disconnect();
+            resizeObserver = null;
+        }
+
+        document.querySelectorAll(`[${NUMBERED_ATTR}]`).forEach(removeGutter);
+        numberedBlocks.clear();
+
+        const styleEl = document.getElementById(STYLE_ELEMENT_ID);
+        if (styleEl) {
+            styleEl.remove();
+        }
+    }
+
+    /**
+     * Number the code blocks in an element the page added or changed.
+     * Our own gutters and buttons are ignored.
+     *
+     * @param {Element} element - Added element
+     */
+    function handleAddedElement(element) {
+        if (!enabled || element.closest(NOT_CODE_SELECTOR)) return;
+
+        findCodeBlocks(element).forEach(scheduleBlock);
+    }
+
+    /**
+     * Turn line numbers on or off for all code blocks.
+     *
+     * @param {{enabled: boolean}} lineNumberSettings - Whether to show line numbers
+     */
+    function applyLineNumberSettings(lineNumberSettings) {
+        enabled = lineNumberSettings.enabled === true;
+
+        if (!enabled) {
+            clearLineNumbers();
+            return;
+        }
+
+        injectLineNumberCSS();
+        if (!resizeObserver) {
+            resizeObserver = new window.ResizeObserver(handleCodeResize);
+        }
+
+        // Blocks already on the page are complete, so they're numbered at once
+        findCodeBlocks(document.body || document.documentElement).forEach(numberBlock);
+    }
+
+    // =========================================================================
+    // EXPORT
+    // =========================================================================
+
+    window.ClaudeWidthLineNumbers = {
+        applyLineNumberSettings,
+        handleAddedElement,
+        clearLineNumbers
+    };
+
+})();
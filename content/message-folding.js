@@ -0,0 +1,410 @@
+/**
+ * Claude Chat Width Customizer - Message Folding
+ * ==============================================
+ *
+ * Folds messages taller than a threshold (v1.10.0), so a long exchange
+ * reads as a list of summaries: the message's first heading or sentence
+ * and an Expand button. Each profile decides separately whether long
+ * prompts and long replies fold, and the popup can fold or unfold every
+ * long message at once.
+ *
+ * Messages are found with the 'message' selector role; the 'humanMessage'
+ * and 'assistantMessage' roles tell whose they are. The last message is
+ * never folded on its own, so a reply isn't folded as soon as it has
+ * finished streaming; it folds once a newer message arrives.
+ *
+ * @author DoubleGate
+ * @version 1.9.1
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // =========================================================================
+    // CONSTANTS (from lib/constants.js)
+    // =========================================================================
+
+    const { MESSAGE_FOLD_HEIGHTS, TIMING } = window.ClaudeWidthConstants;
+
+    const STYLE_ELEMENT_ID = 'claude-width-message-fold-styles';
+
+    /**
+     * Set on folded messages.
+     * @type {string}
+     */
+    const FOLDED_ATTR = 'data-claude-width-folded';
+
+    /**
+     * Bar with the summary and the Expand button, added to the top of a
+     * message when it is first folded.
+     * @type {string}
+     */
+    const BAR_CLASS = 'claude-message-fold';
+
+    /**
+     * Longest summary shown, in characters.
+     * @type {number}
+     */
+    const SUMMARY_MAX_LENGTH = 120;
+
+    const Selectors = window.ClaudeWidthSelectors;
+
+    // =========================================================================
+    // STATE
+    // =========================================================================
+
+    let settings = { human: false, assistant: false, maxHeight: MESSAGE_FOLD_HEIGHTS[1] };
+    let evaluateTimer = null;
+
+    /**
+     * Messages already measured, which are left as they are from then on,
+     * so a message the user expanded isn't folded again.
+     * @type {WeakSet<Element>}
+     */
+    let evaluated = new WeakSet();
+
+    // =========================================================================
+    // MESSAGES
+    // =========================================================================
+
+    /**
+     * Tell whose message an element is.
+     *
+     * @param {Element} element - Candidate message
+     * @returns {'human'|'assistant'|null} Role, or null if the element holds
+     *          both kinds of message or neither
+     */
+    function getMessageRole(element) {
+        const containsRole = role => {
+            const selector = Selectors.getSelector(role);
+            return element.matches(selector) || element.querySelector(selector) !== null;
+        };
+
+        const human = containsRole('humanMessage');
+        const assistant = containsRole('assistantMessage');
+        if (human === assistant) return null;
+        return human ? 'human' : 'assistant';
+    }
+
+    /**
+     * Find the messages on the page, in order. Where the message selectors
+     * match an element and its ancestors, the innermost element that still
+     * holds the whole message is used.
+     *
+     * @returns {Array<{element: Element, role: string}>} Messages
+     */
+    function findMessages() {
+        const selector = Selectors.getSelector('message');
+        const candidates = [...document.querySelectorAll(selector)]
+            .filter(element => !element.closest(`.${BAR_CLASS}`))
+            .map(element => ({ element, role: getMessageRole(element) }))
+            .filter(({ role }) => role !== null);
+
+        return candidates.filter(({ element }) =>
+            !candidates.some(other => other.element !== element && element.contains(other.element)));
+    }
+
+    /**
+     * Pick the line a folded message shows: its first heading, or else
+     * its first sentence, shortened to SUMMARY_MAX_LENGTH.
+     *
+     * @param {string|null} heading - Text of the first heading, if any
+     * @param {string} text - Text of the message
+     * @returns {string} Summary, empty if the message has no text
+     */
+    function getSummaryText(heading, text) {
+        const source = (heading || text).replace(/\s+/g, ' ').trim();
+        const sentence = heading ? source : (source.match(/^.*?[.!?](?=\s|$)/) || [source])[0];
+
+        return sentence.length > SUMMARY_MAX_LENGTH
+            ? `${sentence.slice(0, SUMMARY_MAX_LENGTH - 1).trimEnd()}…`
+            : sentence;
+    }
+
+    /**
+     * Summarize a message from its rendered text, leaving out our bar.
+     *
+     * @param {Element} message - Message
+     * @returns {string} Summary
+     */
+    function summarizeMessage(message) {
+        const content = message.querySelector(Selectors.getSelector('prose')) || message;
+        const clone = content.cloneNode(true);
+        clone.querySelectorAll(`.${BAR_CLASS}`).forEach(bar => bar.remove());
+
+        const heading = clone.querySelector('h1, h2, h3, h4, h5, h6');
+        return getSummaryText(heading ? heading.textContent : null, clone.textContent);
+    }
+
+    // =========================================================================
+    // FOLDING
+    // =========================================================================
+
+    /**
+     * Show whether a message is folded on its button.
+     *
+     * @param {Element} message - Message with a fold bar
+     */
+    function updateFoldButton(message) {
+        const bar = message.querySelector(`:scope > .${BAR_CLASS}`);
+        if (!bar) return;
+
+        const folded = message.hasAttribute(FOLDED_ATTR);
+        const button = bar.querySelector('button');
+        const summary = bar.querySelector(`.${BAR_CLASS}-summary`).textContent;
+        button.textContent = folded ? 'Expand' : 'Fold';
+        button.setAttribute('aria-expanded', String(!folded));
+        button.setAttribute('aria-label', `${folded ? 'Expand' : 'Fold'} message: ${summary}`);
+    }
+
+    /**
+     * Fold a message, adding its bar the first time.
+     *
+     * @param {Element} message - Message
+     */
+    function foldMessage(message) {
+        let bar = message.querySelector(`:scope > .${BAR_CLASS}`);
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.className = BAR_CLASS;
+
+            const summary = document.createElement('span');
+            summary.className = `${BAR_CLASS}-summary`;
+            summary.textContent = summarizeMessage(message);
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                message.toggleAttribute(FOLDED_ATTR);
+                updateFoldButton(message);
+            });
+
+            bar.append(summary, button);
+            message.prepend(bar);
+        }
+
+        message.setAttribute(FOLDED_ATTR, '');
+        updateFoldButton(message);
+    }
+
+    /**
+     * Unfold a message and remove its bar.
+     *
+     * @param {Element} message - Message
+     */
+    function unfoldMessage(message) {
+        const bar = message.querySelector(`:scope > .${BAR_CLASS}`);
+        if (bar) {
+            bar.remove();
+        }
+        message.removeAttribute(FOLDED_ATTR);
+    }
+
+    /**
+     * Whether a message is taller than the threshold. Folded messages are
+     * measured as they are, so only unfolded ones give their real height.
+     *
+     * @param {Element} message - Unfolded message
+     * @returns {boolean} True if it should fold
+     */
+    function isLong(message) {
+        return message.getBoundingClientRect().height > settings.maxHeight;
+    }
+
+    /**
+     * Fold the long messages the profile's policy folds. Each message is
+     * measured once, and the last one waits until a newer one arrives.
+     */
+    function evaluateMessages() {
+        evaluateTimer = null;
+
+        const messages = findMessages().slice(0, -1);
+        for (const { element, role } of messages) {
+            if (evaluated.has(element)) continue;
+            evaluated.add(element);
+
+            if (settings[role] && !element.hasAttribute(FOLDED_ATTR) && isLong(element)) {
+                foldMessage(element);
+            }
+        }
+    }
+
+    /**
+     * Evaluate the messages once the page has stopped adding to them for
+     * a moment.
+     */
+    function scheduleEvaluation() {
+        clearTimeout(evaluateTimer);
+        evaluateTimer = setTimeout(evaluateMessages, TIMING.MESSAGE_FOLD_DEBOUNCE_MS);
+    }
+
+    // =========================================================================
+    // CSS
+    // =========================================================================
+
+    /**
+     * Generate the message folding CSS.
+     *
+     * @returns {string} CSS for folded messages and the fold bar
+     */
+    function generateFoldCSS() {
+        return `
+            [${FOLDED_ATTR}] > :not(.${BAR_CLASS}) {
+                display: none !important;
+            }
+
+            .${BAR_CLASS} {
+                display: flex !important;
+                align-items: center !important;
+                gap: 8px !important;
+                margin-bottom: 8px !important;
+                user-select: none !important;
+            }
+
+            [${FOLDED_ATTR}] > .${BAR_CLASS} {
+                margin-bottom: 0 !important;
+            }
+
+            .${BAR_CLASS}-summary {
+                flex: 1 !important;
+                min-width: 0 !important;
+                overflow: hidden !important;
+                text-overflow: ellipsis !important;
+                white-space: nowrap !important;
+                opacity: 0.8 !important;
+            }
+
+            :not([${FOLDED_ATTR}]) > .${BAR_CLASS} > .${BAR_CLASS}-summary {
+                visibility: hidden !important;
+            }
+
+            .${BAR_CLASS} button {
+                padding: 2px 10px !important;
+                background: rgba(0, 0, 0, 0.7) !important;
+                color: white !important;
+                border: none !important;
+                border-radius: 4px !important;
+                cursor: pointer !important;
+                font-size: 12px !important;
+                font-weight: 500 !important;
+            }
+
+            .${BAR_CLASS} button:hover {
+                background: rgba(0, 0, 0, 0.85) !important;
+            }
+
+            .${BAR_CLASS} button:focus {
+                outline: 2px solid #fff !important;
+                outline-offset: 2px !important;
+            }
+        `;
+    }
+
+    /**
+     * Inject the folding stylesheet if it isn't in the page yet.
+     */
+    function injectFoldCSS() {
+        if (document.getElementById(STYLE_ELEMENT_ID)) return;
+
+        const styleEl = document.createElement('style');
+        styleEl.id = STYLE_ELEMENT_ID;
+        styleEl.textContent = generateFoldCSS();
+        (document.head || document.documentElement).appendChild(styleEl);
+    }
+
+    // =========================================================================
+    // PUBLIC API
+    // =========================================================================
+
+    /**
+     * Unfold every message and remove the style this module added.
+     */
+    function clearMessageFolds() {
+        clearTimeout(evaluateTimer);
+        evaluateTimer = null;
+        evaluated = new WeakSet();
+
+        document.querySelectorAll(`.${BAR_CLASS}`).forEach(bar => unfoldMessage(bar.parentElement));
+        document.querySelectorAll(`[${FOLDED_ATTR}]`).forEach(unfoldMessage);
+
+        const styleEl = document.getElementById(STYLE_ELEMENT_ID);
+        if (styleEl) {
+            styleEl.remove();
+        }
+    }
+
+    /**
+     * Look for new long messages after the page added an element. Our own
+     * fold bars are ignored.
+     *
+     * @param {Element} element - Added element
+     */
+    function handleAddedElement(element) {
+        if (!(settings.human || settings.assistant) || element.closest(`.${BAR_CLASS}`)) return;
+
+        scheduleEvaluation();
+    }
+
+    /**
+     * Fold every long message, whoever wrote it, or unfold them all.
+     *
+     * @param {boolean} fold - True to fold, false to unfold
+     * @returns {number} Number of messages folded or unfolded
+     */
+    function foldAllMessages(fold) {
+        injectFoldCSS();
+        let count = 0;
+
+        for (const { element } of findMessages()) {
+            evaluated.add(element);
+
+            if (fold && !element.hasAttribute(FOLDED_ATTR) && isLong(element)) {
+                foldMessage(element);
+                count++;
+            } else if (!fold && element.hasAttribute(FOLDED_ATTR)) {
+                unfoldMessage(element);
+                count++;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Set which long messages fold and the height above which they do.
+     * Messages are measured afresh, so ones the user expanded may fold again.
+     *
+     * @param {{human: boolean, assistant: boolean, maxHeight: number}} foldSettings -
+     *        Whether long prompts and long replies fold, and the threshold in px
+     */
+    function applyMessageFoldSettings(foldSettings) {
+        clearMessageFolds();
+        settings = {
+            human: foldSettings.human === true,
+            assistant: foldSettings.assistant === true,
+            maxHeight: MESSAGE_FOLD_HEIGHTS.includes(foldSettings.maxHeight)
+                ? foldSettings.maxHeight
+                : MESSAGE_FOLD_HEIGHTS[1]
+        };
+
+        injectFoldCSS();
+        if (settings.human || settings.assistant) {
+            evaluateMessages();
+        }
+    }
+
+    // =========================================================================
+    // EXPORT
+    // =========================================================================
+
+    window.ClaudeWidthMessageFolding = {
+        applyMessageFoldSettings,
+        handleAddedElement,
+        foldAllMessages,
+        clearMessageFolds
+    };
+
+})();
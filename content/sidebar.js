@@ -0,0 +1,310 @@
+/**
+ * Claude Chat Width Customizer - Sidebar Management
+ * =================================================
+ *
+ * Optional control over the claude.ai sidebar (v1.10.0): set its width,
+ * collapse it to an icon rail, or hide it until the pointer reaches the
+ * left edge of the window. Focus mode hides it altogether.
+ *
+ * The sidebar is found with the same 'sidebar' selector role the content
+ * script uses to keep width styles out of it. Nothing on the page is touched while
+ * the mode is 'default', the width is 0 (the page's own width) and the
+ * sidebar isn't hidden.
+ *
+ * @author DoubleGate
+ * @version 1.9.1
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // =========================================================================
+    // CONSTANTS (from lib/constants.js)
+    // =========================================================================
+
+    const {
+        SIDEBAR_RAIL_WIDTH,
+        SIDEBAR_REVEAL_EDGE,
+        TIMING
+    } = window.ClaudeWidthConstants;
+
+    const STYLE_ELEMENT_ID = 'claude-width-sidebar-styles';
+
+    /**
+     * Set on the managed sidebar, with the mode as its value.
+     * @type {string}
+     */
+    const SIDEBAR_ATTR = 'data-claude-width-sidebar';
+
+    /**
+     * Set on an auto-hidden sidebar while it is slid in.
+     * @type {string}
+     */
+    const REVEALED_ATTR = 'data-claude-width-sidebar-revealed';
+
+    const Selectors = window.ClaudeWidthSelectors;
+
+    // =========================================================================
+    // STATE
+    // =========================================================================
+
+    let sidebar = null;
+    let settings = { mode: 'default', width: 0, hidden: false };
+    let hideTimer = null;
+
+    // =========================================================================
+    // DETECTION
+    // =========================================================================
+
+    /**
+     * Check whether the settings change anything on the page.
+     *
+     * @param {{mode: string, width: number, hidden?: boolean}} sidebarSettings - Sidebar settings
+     * @returns {boolean} True if the sidebar is hidden, or not in 'default' mode with the page width
+     */
+    function isManaged(sidebarSettings) {
+        return sidebarSettings.hidden === true || sidebarSettings.mode !== 'default' || sidebarSettings.width > 0;
+    }
+
+    /**
+     * Find the sidebar: the outermost element matching the sidebar role
+     * that runs down the left edge of the window. Narrower matches inside it
+     * (its nav, its history list) are parts of the same sidebar.
+     *
+     * @returns {Element|null} Sidebar element, or null if the page has none
+     */
+    function findSidebar() {
+        // Looked up each time, since the user's selector overrides can change.
+        // querySelectorAll returns ancestors before their descendants
+        for (const element of document.querySelectorAll(Selectors.getSelector('sidebar'))) {
+            const rect = element.getBoundingClientRect();
+            if (rect.width > 0 &&
+                rect.left <= 1 &&
+                rect.width < window.innerWidth / 2 &&
+                rect.height >= window.innerHeight / 2) {
+                return element;
+            }
+        }
+
+        return null;
+    }
+
+    // =========================================================================
+    // STYLING
+    // =========================================================================
+
+    /**
+     * Build the CSS for the current settings.
+     *
+     * @returns {string} CSS text
+     */
+    function generateSidebarCSS() {
+        const selector = `[${SIDEBAR_ATTR}]`;
+        const rules = [];
+
+        // Focus mode (v1.10.0): the mode and width apply again once it ends
+        if (settings.hidden) {
+            return `${selector} {
+    display: none !important;
+}`;
+        }
+
+        if (settings.mode === 'rail') {
+            // Labels stay on one line and are clipped, leaving the icons
+            rules.push(`${selector} {
+    width: ${SIDEBAR_RAIL_WIDTH}px !important;
+    min-width: ${SIDEBAR_RAIL_WIDTH}px !important;
+    max-width: ${SIDEBAR_RAIL_WIDTH}px !important;
+    overflow-x: hidden !important;
+}`);
+            rules.push(`${selector} * {
+    white-space: nowrap !important;
+}`);
+        } else if (settings.width > 0) {
+            rules.push(`${selector} {
+    width: ${settings.width}px !important;
+    min-width: ${settings.width}px !important;
+    max-width: ${settings.width}px !important;
+}`);
+        }
+
+        if (settings.mode === 'autohide') {
+            // Out of the page flow so the chat takes the space while hidden
+            rules.push(`${selector} {
+    position: fixed !important;
+    top: 0 !important;
+    bottom: 0 !important;
+    left: 0 !important;
+    height: 100vh !important;
+    z-index: 2147483000 !important;
+    transform: translateX(-100%);
+    transition: transform 150ms ease;
+}`);
+            rules.push(`${selector}[${REVEALED_ATTR}],
+${selector}:focus-within {
+    transform: none;
+    box-shadow: 4px 0 16px rgba(0, 0, 0, 0.2);
+}`);
+            rules.push(`@media (prefers-reduced-motion: reduce) {
+    ${selector} {
+        transition: none !important;
+    }
+}`);
+        }
+
+        return rules.join('\n\n');
+    }
+
+    /**
+     * Add or update the sidebar style element.
+     */
+    function injectSidebarCSS() {
+        let styleEl = document.getElementById(STYLE_ELEMENT_ID);
+
+        if (!styleEl) {
+            styleEl = document.createElement('style');
+            styleEl.id = STYLE_ELEMENT_ID;
+            (document.head || document.documentElement).appendChild(styleEl);
+        }
+
+        styleEl.textContent = generateSidebarCSS();
+    }
+
+    // =========================================================================
+    // AUTO-HIDE
+    // =========================================================================
+
+    /**
+     * Slide the auto-hidden sidebar in.
+     */
+    function revealSidebar() {
+        clearTimeout(hideTimer);
+        if (sidebar) {
+            sidebar.setAttribute(REVEALED_ATTR, '');
+        }
+    }
+
+    /**
+     * Slide the auto-hidden sidebar away after a short delay, so moving
+     * the pointer across its edge doesn't make it flicker.
+     */
+    function scheduleHideSidebar() {
+        clearTimeout(hideTimer);
+        hideTimer = setTimeout(() => {
+            if (sidebar) {
+                sidebar.removeAttribute(REVEALED_ATTR);
+            }
+        }, TIMING.SIDEBAR_HIDE_DELAY_MS);
+    }
+
+    /**
+     * Reveal the sidebar at the left window edge and hide it once the
+     * pointer moves off it.
+     *
+     * @param {PointerEvent} event - Pointer event
+     */
+    function handlePointerMove(event) {
+        if (!sidebar) return;
+
+        if (event.clientX <= SIDEBAR_REVEAL_EDGE || sidebar.contains(event.target)) {
+            revealSidebar();
+        } else if (sidebar.hasAttribute(REVEALED_ATTR)) {
+            scheduleHideSidebar();
+        }
+    }
+
+    /**
+     * Listen for the pointer only while the sidebar is auto-hidden.
+     *
+     * @param {boolean} enabled - Whether auto-hide is on
+     */
+    function setAutoHideListeners(enabled) {
+        document.removeEventListener('pointermove', handlePointerMove);
+        document.documentElement.removeEventListener('pointerleave', scheduleHideSidebar);
+
+        if (enabled) {
+            document.addEventListener('pointermove', handlePointerMove, { passive: true });
+            document.documentElement.addEventListener('pointerleave', scheduleHideSidebar);
+        }
+    }
+
+    // =========================================================================
+    // PUBLIC API
+    // =========================================================================
+
+    /**
+     * Stop managing the sidebar and remove every style this module added.
+     */
+    function clearSidebar() {
+        clearTimeout(hideTimer);
+        setAutoHideListeners(false);
+
+        if (sidebar) {
+            sidebar.removeAttribute(SIDEBAR_ATTR);
+            sidebar.removeAttribute(REVEALED_ATTR);
+            sidebar = null;
+        }
+
+        const styleEl = document.getElementById(STYLE_ELEMENT_ID);
+        if (styleEl) {
+            styleEl.remove();
+        }
+    }
+
+    /**
+     * Find the sidebar again if the page replaced it, and mark it.
+     * Cheap while the marked sidebar is still in the page, so the content
+     * script can call it whenever the chat is restyled.
+     */
+    function refreshSidebar() {
+        if (!isManaged(settings)) return;
+
+        if (!sidebar || !sidebar.isConnected) {
+            sidebar = findSidebar();
+            if (!sidebar) return;
+            console.log('[Claude Width Sidebar] Sidebar found');
+        }
+
+        sidebar.setAttribute(SIDEBAR_ATTR, settings.mode);
+
+        if (!document.getElementById(STYLE_ELEMENT_ID)) {
+            injectSidebarCSS();
+        }
+    }
+
+    /**
+     * Apply the profile's sidebar settings.
+     *
+     * @param {{mode: string, width: number, hidden?: boolean}} sidebarSettings - Sidebar mode, width
+     *        (px, 0 = page default) and whether focus mode hides it
+     */
+    function applySidebarSettings(sidebarSettings) {
+        settings = { ...sidebarSettings };
+
+        if (!isManaged(settings)) {
+            clearSidebar();
+            return;
+        }
+
+        if (sidebar) {
+            sidebar.removeAttribute(REVEALED_ATTR);
+        }
+
+        injectSidebarCSS();
+        setAutoHideListeners(settings.mode === 'autohide' && !settings.hidden);
+        refreshSidebar();
+    }
+
+    // =========================================================================
+    // EXPORT
+    // =========================================================================
+
+    window.ClaudeWidthSidebar = {
+        findSidebar,
+        applySidebarSettings,
+        refreshSidebar,
+        clearSidebar
+    };
+
+})();
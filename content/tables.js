@@ -0,0 +1,514 @@
+/**
+ * Claude Chat Width Customizer - Tables
+ * =====================================
+ *
+ * Layout for the markdown tables in Claude's answers (v1.10.0), which
+ * otherwise overflow the chat column or squash their columns whatever
+ * width is set. Two layouts, chosen per profile:
+ *
+ * - 'natural': tables that fit the column are left as the page draws
+ *   them. A table wider than the column is marked and becomes its own
+ *   scroll box, scrolling sideways, and down under a header row that
+ *   stays in view when it is also very tall.
+ * - 'fit': the table fills the column and its cells wrap, breaking long
+ *   words where they must. The header row stays in view while the
+ *   conversation scrolls.
+ *
+ * Whether a table is wider than the column is measured once it stops
+ * changing, and again whenever the table or the column changes size, so
+ * a table that fits after the column is widened loses its mark. Tables
+ * are never moved: the page's own code still inserts and removes nodes
+ * next to them while a message renders.
+ *
+ * Each table can also get Copy TSV and Copy CSV buttons, in a caption so
+ * they go away with the table.
+ *
+ * @author DoubleGate
+ * @version 1.9.1
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // =========================================================================
+    // CONSTANTS (from lib/constants.js)
+    // =========================================================================
+
+    const { TABLE_LAYOUTS, TIMING } = window.ClaudeWidthConstants;
+
+    const STYLE_ELEMENT_ID = 'claude-width-table-styles';
+
+    /**
+     * Set on the document, with the layout as its value.
+     * @type {string}
+     */
+    const LAYOUT_ATTR = 'data-claude-width-table-layout';
+
+    /**
+     * Set on each table the layout applies to: every table in 'fit', only
+     * the ones wider than the column in 'natural'.
+     * @type {string}
+     */
+    const TABLE_ATTR = 'data-claude-width-table';
+
+    /**
+     * Caption holding a table's copy buttons.
+     * @type {string}
+     */
+    const TOOLS_CLASS = 'claude-table-tools';
+
+    /**
+     * Clipboard formats of the copy buttons.
+     * @type {Object<string, {label: string, format: function(string[][]): string}>}
+     */
+    const COPY_FORMATS = {
+        tsv: { label: 'TSV', format: formatTSV },
+        csv: { label: 'CSV', format: formatCSV }
+    };
+
+    const Selectors = window.ClaudeWidthSelectors;
+
+    // =========================================================================
+    // STATE
+    // =========================================================================
+
+    let settings = { layout: null, copyButtons: false };
+    let measureTimer = null;
+    let resizeObserver = null;
+
+    /**
+     * Tables waiting to be measured.
+     * @type {Set<HTMLTableElement>}
+     */
+    const pendingTables = new Set();
+
+    /**
+     * Tables laid out by this module, watched for size changes.
+     * @type {Set<HTMLTableElement>}
+     */
+    const laidOutTables = new Set();
+
+    // =========================================================================
+    // TABLE TEXT
+    // =========================================================================
+
+    /**
+     * Get the text of a cell on one line.
+     *
+     * @param {HTMLTableCellElement} cell - Table cell
+     * @returns {string} Cell text with its whitespace collapsed
+     */
+    function getCellText(cell) {
+        return cell.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Read a table into rows of cell text. A cell spanning several columns
+     * is followed by empty cells, so the columns stay aligned.
+     *
+     * @param {HTMLTableElement} table - Table to read
+     * @returns {string[][]} Rows of cell text, header row first
+     */
+    function getTableRows(table) {
+        return [...table.rows].map(row => {
+            const cells = [];
+            for (const cell of row.cells) {
+                cells.push(getCellText(cell));
+                for (let span = 1; span < cell.colSpan; span++) {
+                    cells.push('');
+                }
+            }
+            return cells;
+        });
+    }
+
+    /**
+     * Format rows as tab-separated values. Cell text is already on one
+     * line, so only tabs need replacing.
+     *
+     * @param {string[][]} rows - Rows of cell text
+     * @returns {string} TSV text
+     */
+    function formatTSV(rows) {
+        return rows.map(cells => cells.map(cell => cell.replace(/\t/g, ' ')).join('\t')).join('\n');
+    }
+
+    /**
+     * Format rows as comma-separated values (RFC 4180), quoting the cells
+     * that need it.
+     *
+     * @param {string[][]} rows - Rows of cell text
+     * @returns {string} CSV text
+     */
+    function formatCSV(rows) {
+        return rows.map(cells => cells.map(cell =>
+            /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell
+        ).join(',')).join('\r\n');
+    }
+
+    // =========================================================================
+    // COPY BUTTONS
+    // =========================================================================
+
+    /**
+     * Copy a table to the clipboard and show the result on its button
+     * for a moment.
+     *
+     * @param {HTMLTableElement} table - Table to copy
+     * @param {string} format - Key of COPY_FORMATS
+     * @param {HTMLButtonElement} button - Button that was clicked
+     */
+    async function copyTable(table, format, button) {
+        const { label, format: formatRows } = COPY_FORMATS[format];
+        let result;
+
+        try {
+            await window.navigator.clipboard.writeText(formatRows(getTableRows(table)));
+            result = 'Copied';
+        } catch (error) {
+            console.error('[Claude Width] Error copying table:', error.message);
+            result = 'Failed';
+        }
+
+        button.textContent = result;
+        setTimeout(() => {
+            button.textContent = `Copy ${label}`;
+        }, TIMING.COPY_FEEDBACK_MS);
+    }
+
+    /**
+     * Add the copy buttons to a table, once.
+     *
+     * @param {HTMLTableElement} table - Table
+     */
+    function addCopyButtons(table) {
+        if (table.querySelector(`:scope > .${TOOLS_CLASS}`)) return;
+
+        const caption = document.createElement('caption');
+        caption.className = TOOLS_CLASS;
+
+        for (const [format, { label }] of Object.entries(COPY_FORMATS)) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = `Copy ${label}`;
+            button.setAttribute('aria-label', `Copy table as ${label}`);
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                copyTable(table, format, button);
+            });
+            caption.appendChild(button);
+        }
+
+        table.prepend(caption);
+    }
+
+    // =========================================================================
+    // TABLES
+    // =========================================================================
+
+    /**
+     * Find the message tables in or around an element. Tables outside
+     * rendered markdown (such as the page's own lists) are left alone.
+     *
+     * @param {Element} root - Element to search, which may itself be inside a table
+     * @returns {HTMLTableElement[]} Tables to lay out
+     */
+    function findTables(root) {
+        const candidates = [];
+
+        const enclosing = root.closest('table');
+        if (enclosing) {
+            candidates.push(enclosing);
+        }
+        candidates.push(...root.querySelectorAll('table'));
+
+        const prose = Selectors.getSelector('prose');
+        return [...new Set(candidates)].filter(table => table.closest(prose));
+    }
+
+    /**
+     * Check whether a table is wider than the space it has. A table already
+     * marked is its own scroll box, so it is wide while its content
+     * overflows it; any other table while it overflows the element it
+     * sits in.
+     *
+     * @param {HTMLTableElement} table - Table
+     * @returns {boolean} True if the table overflows the column
+     */
+    function isWide(table) {
+        if (table.hasAttribute(TABLE_ATTR)) {
+            return table.scrollWidth > table.clientWidth;
+        }
+        const container = table.parentElement;
+        return Boolean(container) && table.offsetWidth > container.clientWidth;
+    }
+
+    /**
+     * Mark or unmark a table in the 'natural' layout, depending on whether
+     * it is wider than the column.
+     *
+     * @param {HTMLTableElement} table - Table
+     */
+    function measureTable(table) {
+        if (!table.isConnected) {
+            laidOutTables.delete(table);
+            return;
+        }
+        if (settings.layout !== 'natural') return;
+
+        table.toggleAttribute(TABLE_ATTR, isWide(table));
+    }
+
+    /**
+     * Measure the pending tables once they have stopped changing, so a
+     * table streaming in is marked at most once.
+     *
+     * @param {HTMLTableElement} table - Table to measure
+     */
+    function scheduleMeasure(table) {
+        pendingTables.add(table);
+        clearTimeout(measureTimer);
+        measureTimer = setTimeout(() => {
+            measureTimer = null;
+            const tables = [...pendingTables];
+            pendingTables.clear();
+            tables.forEach(measureTable);
+        }, TIMING.TABLE_SETTLE_MS);
+    }
+
+    /**
+     * Measure tables again when they or the element holding them change
+     * size: a new column width, font size or sidebar.
+     *
+     * @param {ResizeObserverEntry[]} entries - Resized tables and containers
+     */
+    function handleResize(entries) {
+        for (const { target } of entries) {
+            for (const table of laidOutTables) {
+                if (table === target || table.parentElement === target) {
+                    scheduleMeasure(table);
+                }
+            }
+        }
+    }
+
+    /**
+     * Watch a table and the element holding it for size changes.
+     *
+     * @param {HTMLTableElement} table - Table
+     */
+    function observeTable(table) {
+        laidOutTables.add(table);
+        if (!resizeObserver || !table.parentElement) return;
+
+        resizeObserver.observe(table);
+        resizeObserver.observe(table.parentElement);
+    }
+
+    /**
+     * Apply the layout to a table and add or remove its copy buttons.
+     * In the 'natural' layout, tables are only measured here; the ones
+     * that fit are left alone.
+     *
+     * @param {HTMLTableElement} table - Table
+     */
+    function prepareTable(table) {
+        if (settings.layout === 'fit') {
+            laidOutTables.delete(table);
+            table.setAttribute(TABLE_ATTR, '');
+        } else {
+            // Marked by 'fit': start again from the page's layout
+            if (!laidOutTables.has(table)) {
+                table.removeAttribute(TABLE_ATTR);
+            }
+            observeTable(table);
+            scheduleMeasure(table);
+        }
+
+        if (settings.copyButtons) {
+            addCopyButtons(table);
+        } else {
+            removeCopyButtons(table);
+        }
+    }
+
+    /**
+     * Remove a table's copy buttons.
+     *
+     * @param {HTMLTableElement} table - Table
+     */
+    function removeCopyButtons(table) {
+        const caption = table.querySelector(`:scope > .${TOOLS_CLASS}`);
+        if (caption) {
+            caption.remove();
+        }
+    }
+
+    /**
+     * Return a table to the page's own layout.
+     *
+     * @param {HTMLTableElement} table - Table
+     */
+    function restoreTable(table) {
+        removeCopyButtons(table);
+        table.removeAttribute(TABLE_ATTR);
+    }
+
+    // =========================================================================
+    // CSS
+    // =========================================================================
+
+    /**
+     * Generate the table layout CSS.
+     *
+     * @returns {string} CSS for both layouts and the copy buttons
+     */
+    function generateTableCSS() {
+        return `
+            html[${LAYOUT_ATTR}="natural"] table[${TABLE_ATTR}] {
+                display: block !important;
+                width: max-content !important;
+                max-width: 100% !important;
+                max-height: 70vh !important;
+                overflow: auto !important;
+            }
+
+            html[${LAYOUT_ATTR}="fit"] table[${TABLE_ATTR}] {
+                display: table !important;
+                width: 100% !important;
+                max-width: 100% !important;
+            }
+
+            html[${LAYOUT_ATTR}="fit"] table[${TABLE_ATTR}] :is(th, td) {
+                overflow-wrap: anywhere !important;
+            }
+
+            /* Sticks to the top of the table's own scroll box in 'natural',
+               of the conversation in 'fit' */
+            html[${LAYOUT_ATTR}] table[${TABLE_ATTR}] > thead > tr > th {
+                position: sticky !important;
+                top: 0 !important;
+                z-index: 1 !important;
+                background-color: Canvas !important;
+            }
+
+            .${TOOLS_CLASS} {
+                caption-side: top !important;
+                text-align: left !important;
+                padding-bottom: 4px !important;
+                user-select: none !important;
+            }
+
+            .${TOOLS_CLASS} button {
+                margin-right: 4px !important;
+                padding: 2px 8px !important;
+                background: rgba(0, 0, 0, 0.7) !important;
+                color: white !important;
+                border: none !important;
+                border-radius: 4px !important;
+                cursor: pointer !important;
+                font-size: 12px !important;
+                font-weight: 500 !important;
+            }
+
+            .${TOOLS_CLASS} button:hover {
+                background: rgba(0, 0, 0, 0.85) !important;
+            }
+
+            .${TOOLS_CLASS} button:focus {
+                outline: 2px solid #fff !important;
+                outline-offset: 2px !important;
+            }
+        `;
+    }
+
+    /**
+     * Inject the table stylesheet if it isn't in the page yet.
+     */
+    function injectTableCSS() {
+        if (document.getElementById(STYLE_ELEMENT_ID)) return;
+
+        const styleEl = document.createElement('style');
+        styleEl.id = STYLE_ELEMENT_ID;
+        styleEl.textContent = generateTableCSS();
+        (document.head || document.documentElement).appendChild(styleEl);
+    }
+
+    // =========================================================================
+    // PUBLIC API
+    // =========================================================================
+
+    /**
+     * Remove every attribute, caption and style this module added.
+     */
+    function clearTables() {
+        settings = { layout: null, copyButtons: false };
+        clearTimeout(measureTimer);
+        measureTimer = null;
+        pendingTables.clear();
+
+        if (resizeObserver) {
+            resizeObserver.disconnect();
+            resizeObserver = null;
+        }
+
+        const tables = new Set([
+            ...laidOutTables,
+            ...document.querySelectorAll(`table[${TABLE_ATTR}]`)
+        ]);
+        tables.forEach(restoreTable);
+        laidOutTables.clear();
+        document.documentElement.removeAttribute(LAYOUT_ATTR);
+
+        const styleEl = document.getElementById(STYLE_ELEMENT_ID);
+        if (styleEl) {
+            styleEl.remove();
+        }
+    }
+
+    /**
+     * Lay out the tables in an element the page added or changed. Our own
+     * copy buttons are ignored.
+     *
+     * @param {Element} element - Added element
+     */
+    function handleAddedElement(element) {
+        if (!settings.layout || element.closest(`.${TOOLS_CLASS}`)) return;
+
+        findTables(element).forEach(prepareTable);
+    }
+
+    /**
+     * Set the table layout and copy buttons for all message tables.
+     *
+     * @param {{layout: string, copyButtons: boolean}} tableSettings - Layout
+     *        (one of TABLE_LAYOUTS) and whether tables get copy buttons
+     */
+    function applyTableSettings(tableSettings) {
+        settings = {
+            layout: TABLE_LAYOUTS.includes(tableSettings.layout) ? tableSettings.layout : TABLE_LAYOUTS[0],
+            copyButtons: tableSettings.copyButtons === true
+        };
+
+        injectTableCSS();
+        document.documentElement.setAttribute(LAYOUT_ATTR, settings.layout);
+        if (!resizeObserver && settings.layout === 'natural') {
+            resizeObserver = new window.ResizeObserver(handleResize);
+        }
+        findTables(document.body || document.documentElement).forEach(prepareTable);
+    }
+
+    // =========================================================================
+    // EXPORT
+    // =========================================================================
+
+    window.ClaudeWidthTables = {
+        TOOLS_CLASS,
+        applyTableSettings,
+        handleAddedElement,
+        clearTables
+    };
+
+})();
@@ -51,7 +51,9 @@ export default [
                 // Extension globals (from lib/constants.js)
                 ClaudeWidthConstants: 'readonly',
                 ClaudeWidthLogger: 'readonly',
-                ClaudeWidthProfiles: 'readonly'
+                ClaudeWidthProfiles: 'readonly',
+                ClaudeWidthConversations: 'readonly',
+                ClaudeWidthSelectors: 'readonly'
             }
         },
         rules: {
@@ -130,7 +132,9 @@ export default [
                 browser: 'readonly',
                 ClaudeWidthConstants: 'readonly',
                 ClaudeWidthLogger: 'readonly',
-                ClaudeWidthProfiles: 'readonly'
+                ClaudeWidthProfiles: 'readonly',
+                ClaudeWidthConversations: 'readonly',
+                ClaudeWidthSelectors: 'readonly'
             }
         },
         rules: {
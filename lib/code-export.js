@@ -0,0 +1,389 @@
+/**
+ * Claude Chat Width Customizer - Code Export
+ * ==========================================
+ *
+ * Helpers for saving code blocks as files (v1.10.0): the file extension
+ * for a block's language, numbered filenames and a ZIP archive for
+ * saving every block of a conversation at once. The summary collapsed
+ * blocks show ("Python · 184 lines") is built here too.
+ *
+ * The content script names the files; the background script builds the
+ * archive and downloads it, since content scripts can't use the
+ * downloads API.
+ *
+ * @author DoubleGate
+ * @version 1.9.1
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // =========================================================================
+    // CONSTANTS
+    // =========================================================================
+
+    /**
+     * File extension for each language name or alias, as found in a block's
+     * `language-*` class or header.
+     * @type {Object<string, string>}
+     */
+    const LANGUAGE_EXTENSIONS = {
+        bash: 'sh',
+        c: 'c',
+        'c#': 'cs',
+        'c++': 'cpp',
+        clojure: 'clj',
+        cpp: 'cpp',
+        cs: 'cs',
+        csharp: 'cs',
+        css: 'css',
+        dart: 'dart',
+        diff: 'diff',
+        elixir: 'ex',
+        go: 'go',
+        golang: 'go',
+        graphql: 'graphql',
+        haskell: 'hs',
+        html: 'html',
+        ini: 'ini',
+        java: 'java',
+        javascript: 'js',
+        js: 'js',
+        json: 'json',
+        jsx: 'jsx',
+        kotlin: 'kt',
+        latex: 'tex',
+        lua: 'lua',
+        markdown: 'md',
+        md: 'md',
+        perl: 'pl',
+        php: 'php',
+        plaintext: 'txt',
+        powershell: 'ps1',
+        py: 'py',
+        python: 'py',
+        r: 'r',
+        rb: 'rb',
+        ruby: 'rb',
+        rust: 'rs',
+        scala: 'scala',
+        scss: 'scss',
+        sh: 'sh',
+        shell: 'sh',
+        sql: 'sql',
+        svelte: 'svelte',
+        swift: 'swift',
+        text: 'txt',
+        toml: 'toml',
+        ts: 'ts',
+        tsx: 'tsx',
+        typescript: 'ts',
+        vue: 'vue',
+        xml: 'xml',
+        yaml: 'yml',
+        yml: 'yml',
+        zsh: 'sh'
+    };
+
+    /**
+     * Display names that aren't the language name capitalized.
+     * @type {Object<string, string>}
+     */
+    const LANGUAGE_LABELS = {
+        'c#': 'C#',
+        'c++': 'C++',
+        cpp: 'C++',
+        cs: 'C#',
+        csharp: 'C#',
+        css: 'CSS',
+        golang: 'Go',
+        graphql: 'GraphQL',
+        html: 'HTML',
+        ini: 'INI',
+        javascript: 'JavaScript',
+        js: 'JavaScript',
+        json: 'JSON',
+        jsx: 'JSX',
+        latex: 'LaTeX',
+        md: 'Markdown',
+        php: 'PHP',
+        plaintext: 'Text',
+        powershell: 'PowerShell',
+        py: 'Python',
+        rb: 'Ruby',
+        scss: 'SCSS',
+        sh: 'Shell',
+        sql: 'SQL',
+        toml: 'TOML',
+        ts: 'TypeScript',
+        tsx: 'TSX',
+        typescript: 'TypeScript',
+        xml: 'XML',
+        yaml: 'YAML',
+        yml: 'YAML'
+    };
+
+    /**
+     * Extension for code in an unknown language.
+     * @type {string}
+     */
+    const DEFAULT_EXTENSION = 'txt';
+
+    /**
+     * Most code blocks in one archive.
+     * @type {number}
+     */
+    const MAX_ARCHIVE_FILES = 500;
+
+    /**
+     * Filenames the background script accepts: no paths, no hidden files.
+     * @type {RegExp}
+     */
+    const FILENAME_PATTERN = /^[\w-][\w.-]{0,99}$/;
+
+    let crcTable = null;
+
+    // =========================================================================
+    // FILENAMES
+    // =========================================================================
+
+    /**
+     * Whether a language name or alias is known.
+     *
+     * @param {*} language - Language name
+     * @returns {boolean} True if it has its own extension
+     */
+    function isKnownLanguage(language) {
+        return typeof language === 'string' &&
+            Object.prototype.hasOwnProperty.call(LANGUAGE_EXTENSIONS, language.toLowerCase());
+    }
+
+    /**
+     * Get the file extension for a language.
+     *
+     * @param {*} language - Language name, or null if unknown
+     * @returns {string} Extension without the dot
+     */
+    function getExtension(language) {
+        return isKnownLanguage(language) ? LANGUAGE_EXTENSIONS[language.toLowerCase()] : DEFAULT_EXTENSION;
+    }
+
+    /**
+     * Build the filename of a code block from its position, padded so the
+     * files of a conversation sort in order.
+     *
+     * @param {number} index - Position of the block (1-based)
+     * @param {number} total - Number of blocks in the conversation
+     * @param {string|null} language - Language of the block
+     * @returns {string} Filename, e.g. "code-03.py"
+     */
+    function getCodeFilename(index, total, language) {
+        const digits = Math.max(2, String(total).length);
+        return `code-${String(index).padStart(digits, '0')}.${getExtension(language)}`;
+    }
+
+    /**
+     * Check a filename sent by the content script.
+     *
+     * @param {*} filename - Filename to check
+     * @returns {boolean} True if it is a plain filename
+     */
+    function isValidFilename(filename) {
+        return typeof filename === 'string' && FILENAME_PATTERN.test(filename);
+    }
+
+    /**
+     * Check the files for an archive: at least one, names unique and valid.
+     *
+     * @param {*} files - Files to check
+     * @returns {boolean} True if they can be archived
+     */
+    function isValidFileList(files) {
+        if (!Array.isArray(files) || files.length === 0 || files.length > MAX_ARCHIVE_FILES) {
+            return false;
+        }
+
+        const names = new Set();
+        for (const file of files) {
+            if (!file || !isValidFilename(file.name) || typeof file.text !== 'string' || names.has(file.name)) {
+                return false;
+            }
+            names.add(file.name);
+        }
+        return true;
+    }
+
+    // =========================================================================
+    // SUMMARY
+    // =========================================================================
+
+    /**
+     * Count the lines of some code. A newline at the very end doesn't
+     * start another line.
+     *
+     * @param {string} text - Code
+     * @returns {number} Number of lines, 0 for no code
+     */
+    function countLines(text) {
+        const trimmed = text.endsWith('\n') ? text.slice(0, -1) : text;
+        return trimmed ? trimmed.split('\n').length : 0;
+    }
+
+    /**
+     * Get the display name of a language.
+     *
+     * @param {string} language - Lower-case language name
+     * @returns {string} Display name, e.g. "TypeScript"
+     */
+    function getLanguageLabel(language) {
+        return Object.prototype.hasOwnProperty.call(LANGUAGE_LABELS, language)
+            ? LANGUAGE_LABELS[language]
+            : language.charAt(0).toUpperCase() + language.slice(1);
+    }
+
+    /**
+     * Describe a code block by its language and length.
+     *
+     * @param {string|null} language - Lower-case language name, or null if unknown
+     * @param {number} lines - Number of lines
+     * @returns {string} Summary, e.g. "Python · 184 lines"
+     */
+    function formatCodeSummary(language, lines) {
+        const length = `${lines} line${lines === 1 ? '' : 's'}`;
+        return language ? `${getLanguageLabel(language)} · ${length}` : length;
+    }
+
+    // =========================================================================
+    // ZIP ARCHIVE
+    // =========================================================================
+
+    /**
+     * Compute the CRC-32 checksum a ZIP entry needs.
+     *
+     * @param {Uint8Array} bytes - Entry data
+     * @returns {number} Unsigned checksum
+     */
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (const byte of bytes) {
+            crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Convert a date to the MS-DOS time and date fields of a ZIP entry.
+     *
+     * @param {Date} date - Modification date
+     * @returns {{time: number, date: number}} DOS time and date
+     */
+    function toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Build a ZIP archive of text files. The files are stored without
+     * compression, which every unzip tool reads and code barely needs.
+     *
+     * @param {Array<{name: string, text: string}>} files - Files to archive
+     * @param {Date} [modified=new Date()] - Modification date of the files
+     * @returns {Uint8Array} Archive bytes
+     */
+    function createZip(files, modified = new Date()) {
+        const encoder = new window.TextEncoder();
+        const { time, date } = toDosDateTime(modified);
+        const entries = files.map(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.text);
+            return { name, data, crc: crc32(data) };
+        });
+
+        const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+
+        // Local file headers, each followed by its data
+        const headerOffsets = entries.map(entry => {
+            const start = offset;
+            view.setUint32(offset, 0x04034B50, true);
+            view.setUint16(offset + 4, 20, true);           // Version needed
+            view.setUint16(offset + 6, 0x0800, true);       // UTF-8 names
+            view.setUint16(offset + 8, 0, true);            // Stored
+            view.setUint16(offset + 10, time, true);
+            view.setUint16(offset + 12, date, true);
+            view.setUint32(offset + 14, entry.crc, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint32(offset + 22, entry.data.length, true);
+            view.setUint16(offset + 26, entry.name.length, true);
+            view.setUint16(offset + 28, 0, true);           // Extra field length
+            bytes.set(entry.name, offset + 30);
+            bytes.set(entry.data, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.data.length;
+            return start;
+        });
+
+        // Central directory
+        entries.forEach((entry, index) => {
+            view.setUint32(offset, 0x02014B50, true);
+            view.setUint16(offset + 4, 20, true);           // Version made by
+            view.setUint16(offset + 6, 20, true);           // Version needed
+            view.setUint16(offset + 8, 0x0800, true);
+            view.setUint16(offset + 10, 0, true);
+            view.setUint16(offset + 12, time, true);
+            view.setUint16(offset + 14, date, true);
+            view.setUint32(offset + 16, entry.crc, true);
+            view.setUint32(offset + 20, entry.data.length, true);
+            view.setUint32(offset + 24, entry.data.length, true);
+            view.setUint16(offset + 28, entry.name.length, true);
+            // Extra field, comment, disk number and attributes stay 0
+            view.setUint32(offset + 42, headerOffsets[index], true);
+            bytes.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
+
+        // End of central directory record
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, centralSize, true);
+        view.setUint32(offset + 16, localSize, true);
+
+        return bytes;
+    }
+
+    // =========================================================================
+    // EXPORT
+    // =========================================================================
+
+    window.ClaudeWidthCodeExport = {
+        MAX_ARCHIVE_FILES,
+        isKnownLanguage,
+        getExtension,
+        getCodeFilename,
+        isValidFilename,
+        isValidFileList,
+        countLines,
+        getLanguageLabel,
+        formatCodeSummary,
+        crc32,
+        createZip
+    };
+
+})();
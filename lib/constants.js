@@ -19,7 +19,8 @@
  * @typedef {Object} CustomPreset
  * @property {string} id - Unique identifier for the preset
  * @property {string} name - Display name for the preset
- * @property {number} width - Width percentage (40-100)
+ * @property {number} width - Width value, in unit
+ * @property {'%'|'px'|'ch'|'rem'} [unit] - Width unit, '%' when missing (v1.10.0)
  * @property {number} order - Sort order for display
  * @property {boolean} favorite - Whether this preset is favorited
  */
@@ -33,45 +34,168 @@
  * @property {boolean} builtIn - Always true for built-in presets
  */
 
+/**
+ * Recently used width (v1.10.0; older versions stored bare percentages).
+ * @typedef {Object} RecentWidth
+ * @property {number} width - Width value
+ * @property {'%'|'px'|'ch'|'rem'} unit - Width unit
+ */
+
+/**
+ * Width to restore when the default-width toggle is used again (v1.10.0;
+ * older versions stored a bare number).
+ * @typedef {Object} LastWidth
+ * @property {number} width - Width value
+ * @property {'%'|'px'|'ch'|'rem'} unit - Width unit
+ * @property {string|null} chatId - Pinned conversation, or null for the profile
+ */
+
+/**
+ * Width unit configuration (v1.10.0).
+ * @typedef {Object} WidthUnitConfig
+ * @property {string} label - Display name
+ * @property {string} spoken - Unit name for screen reader announcements
+ * @property {number} min - Minimum value
+ * @property {number} max - Maximum value
+ * @property {number} step - Slider step
+ * @property {number} defaultValue - Default value
+ * @property {number[]} presets - Narrow/medium/wide/full values in this unit
+ */
+
+/**
+ * Viewport breakpoint tier (v1.10.0). A tier applies from its minViewport
+ * up to the next tier's minViewport.
+ * @typedef {Object} WidthBreakpoint
+ * @property {number} minViewport - Smallest window width (px) the tier applies to
+ * @property {number} width - Chat width value, in unit
+ * @property {'%'|'px'|'ch'|'rem'} unit - Chat width unit
+ */
+
+/**
+ * Range the auto width mode picks from (v1.10.0). Bounds saved for another
+ * unit than the profile width are replaced by that unit's defaults.
+ * @typedef {Object} AutoWidthBounds
+ * @property {number} min - Narrowest width, used when nothing needs more room
+ * @property {number} max - Widest width auto mode may pick
+ * @property {'%'|'px'|'ch'|'rem'} unit - Unit of min and max
+ */
+
 /**
  * Enhanced styling settings for typography, display, and visual options.
  * @typedef {Object} EnhancedSettings
  * @property {number} fontSizePercent - Font size percentage (80-120)
  * @property {'compact'|'normal'|'relaxed'} lineHeight - Line height setting
  * @property {'none'|'small'|'medium'|'large'} messagePadding - Message padding setting
+ * @property {'default'|'sans'|'serif'|'dyslexic'|'custom'} fontFamily - Prose font (v1.10.0)
+ * @property {string} customFontFamily - Installed font used when fontFamily is 'custom' (v1.10.0)
+ * @property {'tight'|'normal'|'wide'|'wider'} letterSpacing - Prose letter spacing (v1.10.0)
+ * @property {'compact'|'normal'|'relaxed'|'spacious'} paragraphSpacing - Space between paragraphs (v1.10.0)
+ * @property {'smaller'|'normal'|'larger'} headingScale - Heading size (v1.10.0)
  * @property {'compact'|'comfortable'|'spacious'|'custom'} displayMode - Display mode
  * @property {200|400|600|0} codeBlockMaxHeight - Code block max height (0 = unlimited)
  * @property {boolean} codeBlockWordWrap - Enable word wrap in code blocks
  * @property {boolean} codeBlocksCollapsed - Collapse all code blocks by default
+ * @property {3|5|10} codePreviewLines - Lines a collapsed code block still shows (v1.10.0)
+ * @property {0|20|50|100} codeCollapseMinLines - Collapse only blocks longer than this, 0 for all (v1.10.0)
+ * @property {'default'|'system'|'custom'} codeFontFamily - Code font (v1.10.0)
+ * @property {string} customCodeFontFamily - Installed font used when codeFontFamily is 'custom' (v1.10.0)
+ * @property {0|12|13|14|16} codeFontSize - Code font size in px, 0 to follow the text size (v1.10.0)
+ * @property {0|2|4|8} codeTabSize - Tab width in spaces, 0 for the page default (v1.10.0)
+ * @property {boolean} codeLigatures - Allow ligatures in code (v1.10.0)
+ * @property {boolean} codeLineNumbers - Show a line number gutter on code blocks (v1.10.0)
+ * @property {'natural'|'fit'} tableLayout - Let tables scroll at their natural width, or fit them to the column (v1.10.0)
+ * @property {boolean} tableCopyButtons - Add Copy TSV and Copy CSV buttons to tables (v1.10.0)
+ * @property {boolean} foldHumanMessages - Fold the user's messages taller than messageFoldHeight (v1.10.0)
+ * @property {boolean} foldAssistantMessages - Fold Claude's messages taller than messageFoldHeight (v1.10.0)
+ * @property {400|800|1600} messageFoldHeight - Height in px above which messages fold (v1.10.0)
+ * @property {0|60|75|90} humanMessageWidth - Width of the user's messages in % of the column, 0 for full (v1.10.0)
+ * @property {'left'|'center'|'right'} humanMessageAlignment - Where the user's messages sit in the column (v1.10.0)
+ * @property {'none'|'gray'|'blue'|'green'|'amber'} humanMessageTint - Background tint of the user's messages (v1.10.0)
+ * @property {90|100|110|125} humanMessageFontScale - Text size of the user's messages in % of the text size (v1.10.0)
+ * @property {0|60|75|90} assistantMessageWidth - Width of Claude's messages in % of the column, 0 for full (v1.10.0)
+ * @property {'left'|'center'|'right'} assistantMessageAlignment - Where Claude's messages sit in the column (v1.10.0)
+ * @property {'none'|'gray'|'blue'|'green'|'amber'} assistantMessageTint - Background tint of Claude's messages (v1.10.0)
+ * @property {90|100|110|125} assistantMessageFontScale - Text size of Claude's messages in % of the text size (v1.10.0)
  * @property {boolean} showTimestamps - Show message timestamps
  * @property {boolean} showAvatars - Show user/Claude avatars
  * @property {'rounded'|'square'|'minimal'} messageBubbleStyle - Message bubble style
+ * @property {boolean} showResizeHandles - Show drag handles on the chat column edges (v1.10.0)
+ * @property {'left'|'center'|'right'} chatAlignment - Chat column alignment (v1.10.0)
+ * @property {number} chatAlignmentOffset - Gap (px) between a left/right aligned column and its edge (v1.10.0)
+ * @property {'default'|'rail'|'autohide'} sidebarMode - Sidebar mode (v1.10.0)
+ * @property {0|220|280|360} sidebarWidth - Sidebar width in px, 0 for the page default (v1.10.0)
+ * @property {boolean} focusMode - Hide the page chrome around the conversation (v1.10.0)
+ * @property {number} focusWidth - Chat width in focus mode, in focusWidthUnit; 0 keeps the current width (v1.10.0)
+ * @property {'%'|'px'|'ch'|'rem'} focusWidthUnit - Unit of focusWidth (v1.10.0)
  */
 
 /**
  * Profile configuration with all settings.
  * @typedef {Object} Profile
  * @property {string} name - Profile display name
- * @property {number} chatWidthPercent - Chat width percentage (40-100)
+ * @property {number} chatWidthPercent - Chat width value, in chatWidthUnit (range depends on the unit)
+ * @property {'%'|'px'|'ch'|'rem'} chatWidthUnit - Chat width unit (v1.10.0)
+ * @property {WidthBreakpoint[]} widthBreakpoints - Viewport tiers that replace the chat width (v1.10.0)
+ * @property {boolean} autoWidth - Pick the width from the visible code and tables (v1.10.0)
+ * @property {AutoWidthBounds|null} autoWidthBounds - Auto width range, null for the unit defaults (v1.10.0)
  * @property {'light'|'dark'|'system'} theme - Theme preference
  * @property {CustomPreset[]} customPresets - Custom width presets
  * @property {number} fontSizePercent - Font size percentage
  * @property {'compact'|'normal'|'relaxed'} lineHeight - Line height
  * @property {'none'|'small'|'medium'|'large'} messagePadding - Message padding
+ * @property {'default'|'sans'|'serif'|'dyslexic'|'custom'} fontFamily - Prose font
+ * @property {string} customFontFamily - Installed font name for the 'custom' font
+ * @property {'tight'|'normal'|'wide'|'wider'} letterSpacing - Letter spacing
+ * @property {'compact'|'normal'|'relaxed'|'spacious'} paragraphSpacing - Paragraph spacing
+ * @property {'smaller'|'normal'|'larger'} headingScale - Heading size
  * @property {'compact'|'comfortable'|'spacious'|'custom'} displayMode - Display mode
  * @property {200|400|600|0} codeBlockMaxHeight - Code block max height
  * @property {boolean} codeBlockWordWrap - Code block word wrap
  * @property {boolean} codeBlocksCollapsed - Code blocks collapsed
+ * @property {3|5|10} codePreviewLines - Preview lines of collapsed code blocks
+ * @property {0|20|50|100} codeCollapseMinLines - Shortest code block that is collapsed, 0 for all
+ * @property {'default'|'system'|'custom'} codeFontFamily - Code font
+ * @property {string} customCodeFontFamily - Installed font name for the 'custom' code font
+ * @property {0|12|13|14|16} codeFontSize - Code font size in px, 0 to follow the text size
+ * @property {0|2|4|8} codeTabSize - Tab width in spaces, 0 for the page default
+ * @property {boolean} codeLigatures - Code ligatures
+ * @property {boolean} codeLineNumbers - Code block line numbers
+ * @property {'natural'|'fit'} tableLayout - Table layout
+ * @property {boolean} tableCopyButtons - Table copy buttons
+ * @property {boolean} foldHumanMessages - Fold long prompts
+ * @property {boolean} foldAssistantMessages - Fold long replies
+ * @property {400|800|1600} messageFoldHeight - Message fold threshold in px
+ * @property {0|60|75|90} humanMessageWidth - Width of your messages, 0 for full
+ * @property {'left'|'center'|'right'} humanMessageAlignment - Alignment of your messages
+ * @property {'none'|'gray'|'blue'|'green'|'amber'} humanMessageTint - Tint of your messages
+ * @property {90|100|110|125} humanMessageFontScale - Text size of your messages
+ * @property {0|60|75|90} assistantMessageWidth - Width of Claude's messages, 0 for full
+ * @property {'left'|'center'|'right'} assistantMessageAlignment - Alignment of Claude's messages
+ * @property {'none'|'gray'|'blue'|'green'|'amber'} assistantMessageTint - Tint of Claude's messages
+ * @property {90|100|110|125} assistantMessageFontScale - Text size of Claude's messages
  * @property {boolean} showTimestamps - Show timestamps
  * @property {boolean} showAvatars - Show avatars
  * @property {'rounded'|'square'|'minimal'} messageBubbleStyle - Bubble style
+ * @property {boolean} showResizeHandles - Show resize handles
+ * @property {'left'|'center'|'right'} chatAlignment - Chat column alignment
+ * @property {number} chatAlignmentOffset - Chat column edge offset (px)
+ * @property {'default'|'rail'|'autohide'} sidebarMode - Sidebar mode
+ * @property {0|220|280|360} sidebarWidth - Sidebar width (px, 0 = page default)
+ * @property {boolean} focusMode - Focus mode
+ * @property {number} focusWidth - Focus mode width (0 = keep the current width)
+ * @property {'%'|'px'|'ch'|'rem'} focusWidthUnit - Focus mode width unit
  */
 
 /**
  * Auto-profile rule for URL-based profile switching.
+ * Rules are evaluated in ascending priority order; the first enabled rule
+ * whose pattern matches the tab URL (and whose profile exists) wins.
  * @typedef {Object} AutoProfileRule
+ * @property {string} id - Unique rule ID (v1.10.0)
  * @property {string} pattern - URL pattern (supports * wildcards)
  * @property {string} profileId - Profile ID to activate when pattern matches
+ * @property {boolean} enabled - Whether the rule is evaluated (v1.10.0)
+ * @property {number} priority - Evaluation order, lower runs first (v1.10.0)
  */
 
 /**
@@ -83,6 +207,18 @@
  * @property {AutoProfileRule[]} autoProfileRules - Auto-profile rules
  */
 
+/**
+ * Settings pinned to a single conversation (v1.10.0).
+ * Every setting is optional; missing keys fall back to the active profile.
+ * @typedef {Object} ConversationOverride
+ * @property {number} [chatWidthPercent] - Chat width value, in chatWidthUnit
+ * @property {'%'|'px'|'ch'|'rem'} [chatWidthUnit] - Chat width unit (always set with the width)
+ * @property {number} [fontSizePercent] - Font size percentage (80-120)
+ * @property {200|400|600|0} [codeBlockMaxHeight] - Code block max height
+ * @property {boolean} [codeBlockWordWrap] - Code block word wrap
+ * @property {number} updatedAt - Timestamp of the last pin/update
+ */
+
 /**
  * Import/export data format.
  * @typedef {Object} ImportExportData
@@ -98,12 +234,17 @@
 /**
  * Storage data structure (flat format used by content script).
  * @typedef {Object} StorageData
- * @property {number} chatWidthPercent - Current width percentage
+ * @property {number} chatWidthPercent - Current width value, in chatWidthUnit
+ * @property {'%'|'px'|'ch'|'rem'} chatWidthUnit - Current width unit
+ * @property {WidthBreakpoint[]} widthBreakpoints - Viewport breakpoint tiers
+ * @property {boolean} autoWidth - Auto width mode
+ * @property {AutoWidthBounds|null} autoWidthBounds - Auto width range
  * @property {'light'|'dark'|'system'} theme - Theme preference
  * @property {CustomPreset[]} customPresets - Custom presets
  * @property {string[]} hiddenBuiltInPresets - Hidden built-in preset IDs
- * @property {number[]} recentWidths - Recently used widths
- * @property {number} lastNonDefaultWidth - Last width before toggling to default
+ * @property {RecentWidth[]} recentWidths - Recently used widths
+ * @property {LastWidth} lastNonDefaultWidth - Last profile width before toggling to default
+ * @property {LastWidth} lastNonDefaultPinnedWidth - Last pinned width before toggling to default
  * @property {number} migrationVersion - Data migration version
  * @property {number} fontSizePercent - Font size percentage
  * @property {'compact'|'normal'|'relaxed'} lineHeight - Line height
@@ -115,6 +256,11 @@
  * @property {boolean} showTimestamps - Show timestamps
  * @property {boolean} showAvatars - Show avatars
  * @property {'rounded'|'square'|'minimal'} messageBubbleStyle - Bubble style
+ * @property {boolean} showResizeHandles - Show resize handles
+ * @property {'left'|'center'|'right'} chatAlignment - Chat column alignment
+ * @property {number} chatAlignmentOffset - Chat column edge offset (px)
+ * @property {'default'|'rail'|'autohide'} sidebarMode - Sidebar mode
+ * @property {0|220|280|360} sidebarWidth - Sidebar width (px, 0 = page default)
  */
 
 /**
@@ -176,6 +322,221 @@
          */
         PRESET_CYCLE: [50, 70, 85, 100],
 
+        // =====================================================================
+        // WIDTH UNITS (v1.10.0)
+        // =====================================================================
+
+        /**
+         * Default width unit.
+         * @type {string}
+         */
+        DEFAULT_WIDTH_UNIT: '%',
+
+        /**
+         * Supported width units. Percentages scale with the window; the
+         * absolute units cap the chat column (it still shrinks on narrow windows).
+         * 'ch' is the "readable measure" mode: a line length in characters.
+         * Presets line up with BUILT_IN_PRESETS (narrow, medium, wide, full).
+         * @type {Object<string, WidthUnitConfig>}
+         */
+        WIDTH_UNITS: {
+            '%': { label: 'Percent', spoken: 'percent', min: 40, max: 100, step: 5, defaultValue: 85, presets: [50, 70, 85, 100] },
+            'px': { label: 'Pixels', spoken: 'pixels', min: 480, max: 2560, step: 20, defaultValue: 1200, presets: [800, 1000, 1200, 1600] },
+            'ch': { label: 'Readable measure', spoken: 'characters', min: 45, max: 160, step: 5, defaultValue: 80, presets: [65, 80, 100, 130] },
+            'rem': { label: 'Root em', spoken: 'rem', min: 30, max: 160, step: 2, defaultValue: 64, presets: [48, 64, 80, 110] }
+        },
+
+        // =====================================================================
+        // VIEWPORT BREAKPOINTS (v1.10.0)
+        // =====================================================================
+
+        /**
+         * Maximum number of breakpoint tiers per profile.
+         * @type {number}
+         */
+        MAX_WIDTH_BREAKPOINTS: 5,
+
+        /**
+         * Largest window width (px) a tier can start at.
+         * @type {number}
+         */
+        MAX_BREAKPOINT_VIEWPORT: 7680,
+
+        // =====================================================================
+        // COLUMN ALIGNMENT (v1.10.0)
+        // =====================================================================
+
+        /**
+         * Chat column alignments. The offset only applies to left and right.
+         * @type {string[]}
+         */
+        ALIGNMENT_OPTIONS: ['left', 'center', 'right'],
+
+        /**
+         * Largest gap (px) between an aligned column and its edge.
+         * @type {number}
+         */
+        MAX_ALIGNMENT_OFFSET: 400,
+
+        // =====================================================================
+        // TYPOGRAPHY (v1.10.0)
+        // =====================================================================
+
+        /**
+         * Prose fonts: the page's own, the system sans-serif or serif, a
+         * dyslexia-friendly font if one is installed, or any installed font
+         * named in customFontFamily.
+         * @type {string[]}
+         */
+        FONT_FAMILIES: ['default', 'sans', 'serif', 'dyslexic', 'custom'],
+
+        /**
+         * Letter spacing options. 'normal' keeps the page's spacing.
+         * @type {string[]}
+         */
+        LETTER_SPACINGS: ['tight', 'normal', 'wide', 'wider'],
+
+        /**
+         * Paragraph spacing options. 'normal' keeps the page's spacing.
+         * @type {string[]}
+         */
+        PARAGRAPH_SPACINGS: ['compact', 'normal', 'relaxed', 'spacious'],
+
+        /**
+         * Heading size options. 'normal' keeps the page's sizes.
+         * @type {string[]}
+         */
+        HEADING_SCALES: ['smaller', 'normal', 'larger'],
+
+        /**
+         * Longest installed font name accepted for the 'custom' font.
+         * @type {number}
+         */
+        CUSTOM_FONT_MAX_LENGTH: 64,
+
+        /**
+         * Characters allowed in an installed font name. Quotes, backslashes
+         * and semicolons are left out so the name can't break out of the
+         * font-family value it is put in.
+         * @type {RegExp}
+         */
+        CUSTOM_FONT_PATTERN: /^[\p{L}\p{N} ._-]+$/u,
+
+        /**
+         * Code fonts: the page's own, the system monospace font, or any
+         * installed font named in customCodeFontFamily.
+         * @type {string[]}
+         */
+        CODE_FONT_FAMILIES: ['default', 'system', 'custom'],
+
+        /**
+         * Code font sizes in px. 0 follows the text size, as code did
+         * before it had its own size.
+         * @type {number[]}
+         */
+        CODE_FONT_SIZES: [0, 12, 13, 14, 16],
+
+        /**
+         * Tab widths in spaces. 0 keeps the page's tab width.
+         * @type {number[]}
+         */
+        CODE_TAB_SIZES: [0, 2, 4, 8],
+
+        /**
+         * Lines a collapsed code block shows above its fade.
+         * @type {number[]}
+         */
+        CODE_PREVIEW_LINE_COUNTS: [3, 5, 10],
+
+        /**
+         * Line counts above which code blocks are collapsed. 0 collapses
+         * every block with more lines than its preview.
+         * @type {number[]}
+         */
+        CODE_COLLAPSE_THRESHOLDS: [0, 20, 50, 100],
+
+        // =====================================================================
+        // TABLES (v1.10.0)
+        // =====================================================================
+
+        /**
+         * Table layouts: columns at their natural width, scrolling sideways
+         * when the table is wider than the column, or fitted to the column
+         * with wrapping cells.
+         * @type {string[]}
+         */
+        TABLE_LAYOUTS: ['natural', 'fit'],
+
+        // =====================================================================
+        // MESSAGE FOLDING (v1.10.0)
+        // =====================================================================
+
+        /**
+         * Heights (px) above which messages fold.
+         * @type {number[]}
+         */
+        MESSAGE_FOLD_HEIGHTS: [400, 800, 1600],
+
+        // =====================================================================
+        // MESSAGE ROLES (v1.10.0)
+        // =====================================================================
+
+        /**
+         * Widths of a role's messages, in percent of the chat column. 0 keeps
+         * the page's width.
+         * @type {number[]}
+         */
+        MESSAGE_ROLE_WIDTHS: [0, 60, 75, 90],
+
+        /**
+         * Where a role's messages sit in the column. 'center' and 'right'
+         * shrink the message to its text, like a chat app bubble.
+         * @type {string[]}
+         */
+        MESSAGE_ROLE_ALIGNMENTS: ['left', 'center', 'right'],
+
+        /**
+         * Background tints of a role's messages.
+         * @type {string[]}
+         */
+        MESSAGE_ROLE_TINTS: ['none', 'gray', 'blue', 'green', 'amber'],
+
+        /**
+         * Text sizes of a role's messages, in percent of the text size.
+         * @type {number[]}
+         */
+        MESSAGE_ROLE_FONT_SCALES: [90, 100, 110, 125],
+
+        // =====================================================================
+        // SIDEBAR (v1.10.0)
+        // =====================================================================
+
+        /**
+         * Sidebar modes: leave it as the page has it, collapse it to an icon
+         * rail, or hide it until the pointer reaches the left window edge.
+         * @type {string[]}
+         */
+        SIDEBAR_MODES: ['default', 'rail', 'autohide'],
+
+        /**
+         * Sidebar widths (px) offered in the popup and cycled by the keyboard
+         * command. 0 keeps the page's own width.
+         * @type {number[]}
+         */
+        SIDEBAR_WIDTHS: [0, 220, 280, 360],
+
+        /**
+         * Width (px) of the collapsed icon rail.
+         * @type {number}
+         */
+        SIDEBAR_RAIL_WIDTH: 56,
+
+        /**
+         * Distance (px) from the left window edge that reveals an auto-hidden sidebar.
+         * @type {number}
+         */
+        SIDEBAR_REVEAL_EDGE: 8,
+
         // =====================================================================
         // STORAGE KEYS
         // =====================================================================
@@ -198,6 +559,34 @@
          */
         LAST_WIDTH_KEY: 'lastNonDefaultWidth',
 
+        /**
+         * Storage key for the last non-default width of a pinned conversation
+         * (v1.10.0), kept apart from LAST_WIDTH_KEY so toggling in a pinned
+         * conversation leaves the profile's toggle alone.
+         * @type {string}
+         */
+        LAST_PINNED_WIDTH_KEY: 'lastNonDefaultPinnedWidth',
+
+        /**
+         * Storage key for the unit of the width preference (v1.10.0).
+         * STORAGE_KEY keeps its historical name but holds a value in this unit.
+         * @type {string}
+         */
+        WIDTH_UNIT_KEY: 'chatWidthUnit',
+
+        /**
+         * Storage key for viewport breakpoint tiers (v1.10.0).
+         * @type {string}
+         */
+        WIDTH_BREAKPOINTS_KEY: 'widthBreakpoints',
+
+        /**
+         * Storage keys for the content-aware auto width mode (v1.10.0).
+         * @type {string}
+         */
+        AUTO_WIDTH_KEY: 'autoWidth',
+        AUTO_WIDTH_BOUNDS_KEY: 'autoWidthBounds',
+
         // =====================================================================
         // ENHANCED STYLING KEYS (v1.8.0)
         // =====================================================================
@@ -210,13 +599,47 @@
             FONT_SIZE: 'fontSizePercent',
             LINE_HEIGHT: 'lineHeight',
             MESSAGE_PADDING: 'messagePadding',
+            FONT_FAMILY: 'fontFamily',
+            CUSTOM_FONT_FAMILY: 'customFontFamily',
+            LETTER_SPACING: 'letterSpacing',
+            PARAGRAPH_SPACING: 'paragraphSpacing',
+            HEADING_SCALE: 'headingScale',
             DISPLAY_MODE: 'displayMode',
             CODE_BLOCK_HEIGHT: 'codeBlockMaxHeight',
             CODE_BLOCK_WRAP: 'codeBlockWordWrap',
             CODE_BLOCKS_COLLAPSED: 'codeBlocksCollapsed',
+            CODE_PREVIEW_LINES: 'codePreviewLines',
+            CODE_COLLAPSE_MIN_LINES: 'codeCollapseMinLines',
+            CODE_FONT_FAMILY: 'codeFontFamily',
+            CUSTOM_CODE_FONT_FAMILY: 'customCodeFontFamily',
+            CODE_FONT_SIZE: 'codeFontSize',
+            CODE_TAB_SIZE: 'codeTabSize',
+            CODE_LIGATURES: 'codeLigatures',
+            CODE_LINE_NUMBERS: 'codeLineNumbers',
+            TABLE_LAYOUT: 'tableLayout',
+            TABLE_COPY_BUTTONS: 'tableCopyButtons',
+            FOLD_HUMAN_MESSAGES: 'foldHumanMessages',
+            FOLD_ASSISTANT_MESSAGES: 'foldAssistantMessages',
+            MESSAGE_FOLD_HEIGHT: 'messageFoldHeight',
+            HUMAN_MESSAGE_WIDTH: 'humanMessageWidth',
+            HUMAN_MESSAGE_ALIGNMENT: 'humanMessageAlignment',
+            HUMAN_MESSAGE_TINT: 'humanMessageTint',
+            HUMAN_MESSAGE_FONT_SCALE: 'humanMessageFontScale',
+            ASSISTANT_MESSAGE_WIDTH: 'assistantMessageWidth',
+            ASSISTANT_MESSAGE_ALIGNMENT: 'assistantMessageAlignment',
+            ASSISTANT_MESSAGE_TINT: 'assistantMessageTint',
+            ASSISTANT_MESSAGE_FONT_SCALE: 'assistantMessageFontScale',
             SHOW_TIMESTAMPS: 'showTimestamps',
             SHOW_AVATARS: 'showAvatars',
-            BUBBLE_STYLE: 'messageBubbleStyle'
+            BUBBLE_STYLE: 'messageBubbleStyle',
+            SHOW_RESIZE_HANDLES: 'showResizeHandles',
+            ALIGNMENT: 'chatAlignment',
+            ALIGNMENT_OFFSET: 'chatAlignmentOffset',
+            SIDEBAR_MODE: 'sidebarMode',
+            SIDEBAR_WIDTH: 'sidebarWidth',
+            FOCUS_MODE: 'focusMode',
+            FOCUS_WIDTH: 'focusWidth',
+            FOCUS_WIDTH_UNIT: 'focusWidthUnit'
         },
 
         /**
@@ -227,34 +650,72 @@
             fontSizePercent: 100,
             lineHeight: 'normal',
             messagePadding: 'medium',
+            fontFamily: 'default',
+            customFontFamily: '',
+            letterSpacing: 'normal',
+            paragraphSpacing: 'normal',
+            headingScale: 'normal',
             displayMode: 'comfortable',
             codeBlockMaxHeight: 400,
             codeBlockWordWrap: false,
             codeBlocksCollapsed: false,
+            codePreviewLines: 5,
+            codeCollapseMinLines: 0,
+            codeFontFamily: 'default',
+            customCodeFontFamily: '',
+            codeFontSize: 0,
+            codeTabSize: 0,
+            codeLigatures: true,
+            codeLineNumbers: false,
+            tableLayout: 'natural',
+            tableCopyButtons: false,
+            foldHumanMessages: false,
+            foldAssistantMessages: false,
+            messageFoldHeight: 800,
+            humanMessageWidth: 0,
+            humanMessageAlignment: 'left',
+            humanMessageTint: 'none',
+            humanMessageFontScale: 100,
+            assistantMessageWidth: 0,
+            assistantMessageAlignment: 'left',
+            assistantMessageTint: 'none',
+            assistantMessageFontScale: 100,
             showTimestamps: true,
             showAvatars: true,
-            messageBubbleStyle: 'rounded'
+            messageBubbleStyle: 'rounded',
+            showResizeHandles: true,
+            chatAlignment: 'center',
+            chatAlignmentOffset: 0,
+            sidebarMode: 'default',
+            sidebarWidth: 0,
+            focusMode: false,
+            focusWidth: 0,
+            focusWidthUnit: '%'
         },
 
         /**
-         * Display mode presets.
-         * @type {Object<string, {lineHeight: string, messagePadding: string, fontSize: number}>}
+         * Display mode presets. codeFontSize keeps code at a fixed size
+         * where the text is made smaller or larger (v1.10.0).
+         * @type {Object<string, {lineHeight: string, messagePadding: string, fontSize: number, codeFontSize: number}>}
          */
         DISPLAY_MODE_PRESETS: {
             'compact': {
                 lineHeight: 'compact',
                 messagePadding: 'small',
-                fontSize: 95
+                fontSize: 95,
+                codeFontSize: 12
             },
             'comfortable': {
                 lineHeight: 'normal',
                 messagePadding: 'medium',
-                fontSize: 100
+                fontSize: 100,
+                codeFontSize: 0
             },
             'spacious': {
                 lineHeight: 'relaxed',
                 messagePadding: 'large',
-                fontSize: 105
+                fontSize: 105,
+                codeFontSize: 14
             }
             // 'custom' uses user-defined values
         },
@@ -287,11 +748,63 @@
             SR_ANNOUNCE_DELAY_MS: 50,
 
             /**
-             * Retry intervals for initialization (ms).
-             * Used to catch lazy-loaded content on claude.ai.
-             * @type {number[]}
+             * Debounce delay for window resize handling (ms).
+             * @type {number}
+             */
+            RESIZE_DEBOUNCE_MS: 150,
+
+            /**
+             * Delay before auto width re-measures after scrolling or new content (ms).
+             * @type {number}
+             */
+            AUTO_WIDTH_DEBOUNCE_MS: 400,
+
+            /**
+             * Delay before a revealed auto-hide sidebar slides away again (ms).
+             * @type {number}
+             */
+            SIDEBAR_HIDE_DELAY_MS: 300,
+
+            /**
+             * Time a code block must go unchanged before its lines are
+             * numbered, so a streaming block is numbered once it's done (ms).
+             * @type {number}
+             */
+            LINE_NUMBERS_SETTLE_MS: 400,
+
+            /**
+             * Time a table must go unchanged before it is measured against
+             * the column, so a streaming table is marked at most once (ms).
+             * @type {number}
              */
-            INIT_RETRY_INTERVALS: [100, 500, 1000, 2000, 3000]
+            TABLE_SETTLE_MS: 400,
+
+            /**
+             * Time a table copy button shows whether the copy worked (ms).
+             * @type {number}
+             */
+            COPY_FEEDBACK_MS: 1500,
+
+            /**
+             * Time the page must stop adding elements before new messages
+             * are measured for folding (ms).
+             * @type {number}
+             */
+            MESSAGE_FOLD_DEBOUNCE_MS: 400,
+
+            /**
+             * Longest wait for an idle moment before the resize handles and
+             * sidebar follow elements the page added (ms).
+             * @type {number}
+             */
+            OBSERVER_IDLE_TIMEOUT_MS: 500,
+
+            /**
+             * Shortest time between selector health checks while the page
+             * keeps changing (ms).
+             * @type {number}
+             */
+            HEALTH_CHECK_INTERVAL_MS: 5000
         },
 
         // =====================================================================
@@ -353,6 +866,22 @@
          */
         BADGE_TEXT_COLOR: '#FFFFFF',
 
+        /**
+         * Badge background color when the page's selectors stopped matching (amber).
+         * @type {string}
+         */
+        BADGE_WARNING_COLOR: '#D97706',
+
+        // =====================================================================
+        // SELECTOR HEALTH (v1.10.0)
+        // =====================================================================
+
+        /**
+         * Selector health levels reported by the content script, best first.
+         * @type {string[]}
+         */
+        HEALTH_STATUSES: ['healthy', 'degraded', 'broken'],
+
         // =====================================================================
         // PROFILE CONFIGURATION (v1.9.0)
         // =====================================================================
@@ -387,18 +916,59 @@
          */
         PROFILE_DEFAULTS: {
             chatWidthPercent: 85,
+            chatWidthUnit: '%',
+            widthBreakpoints: [],
+            autoWidth: false,
+            autoWidthBounds: null,
             theme: 'system',
             customPresets: [],
             fontSizePercent: 100,
             lineHeight: 'normal',
             messagePadding: 'medium',
+            fontFamily: 'default',
+            customFontFamily: '',
+            letterSpacing: 'normal',
+            paragraphSpacing: 'normal',
+            headingScale: 'normal',
             displayMode: 'comfortable',
             codeBlockMaxHeight: 400,
             codeBlockWordWrap: false,
             codeBlocksCollapsed: false,
+            codePreviewLines: 5,
+            codeCollapseMinLines: 0,
+            codeFontFamily: 'default',
+            customCodeFontFamily: '',
+            codeFontSize: 0,
+            codeTabSize: 0,
+            codeLigatures: true,
+            codeLineNumbers: false,
+            tableLayout: 'natural',
+            tableCopyButtons: false,
+            foldHumanMessages: false,
+            foldAssistantMessages: false,
+            messageFoldHeight: 800,
+            humanMessageWidth: 0,
+            humanMessageAlignment: 'left',
+            humanMessageTint: 'none',
+            humanMessageFontScale: 100,
+            assistantMessageWidth: 0,
+            assistantMessageAlignment: 'left',
+            assistantMessageTint: 'none',
+            assistantMessageFontScale: 100,
             showTimestamps: true,
             showAvatars: true,
-            messageBubbleStyle: 'rounded'
+            messageBubbleStyle: 'rounded',
+            showResizeHandles: true,
+            chatAlignment: 'center',
+            chatAlignmentOffset: 0,
+            sidebarMode: 'default',
+            sidebarWidth: 0,
+            focusMode: false,
+            focusWidth: 0,
+            focusWidthUnit: '%',
+            selectorOverrides: {},
+            customCSS: '',
+            customCSSEnabled: true
         },
 
         /**
@@ -424,7 +994,106 @@
          * Leave headroom for other data.
          * @type {number}
          */
-        SYNC_SAFE_LIMIT: 90000
+        SYNC_SAFE_LIMIT: 90000,
+
+        /**
+         * Firefox limit for one sync storage item (bytes), counting its key
+         * and its value as JSON. Each profile is synced as an item of its
+         * own (v1.10.0).
+         * @type {number}
+         */
+        SYNC_QUOTA_BYTES_PER_ITEM: 8192,
+
+        /**
+         * Sync storage key listing the synced profile IDs (v1.10.0).
+         * @type {string}
+         */
+        SYNC_PROFILE_IDS_KEY: 'profileIds',
+
+        /**
+         * Prefix of the sync storage key holding one profile, followed by
+         * its ID (v1.10.0). v1.9 synced every profile under 'profiles'.
+         * @type {string}
+         */
+        SYNC_PROFILE_KEY_PREFIX: 'profile:',
+
+        // =====================================================================
+        // CONVERSATION OVERRIDES (v1.10.0)
+        // =====================================================================
+
+        /**
+         * Storage key for per-conversation overrides (local storage only).
+         * Maps a chat UUID to the settings pinned to that conversation.
+         * @type {string}
+         */
+        CONVERSATION_OVERRIDES_KEY: 'conversationOverrides',
+
+        /**
+         * Settings that can be pinned to a conversation.
+         * @type {string[]}
+         */
+        CONVERSATION_OVERRIDE_KEYS: ['chatWidthPercent', 'chatWidthUnit', 'fontSizePercent', 'codeBlockMaxHeight', 'codeBlockWordWrap'],
+
+        /**
+         * Maximum number of pinned conversations kept in storage.
+         * The least recently updated pin is dropped when the limit is reached.
+         * @type {number}
+         */
+        MAX_CONVERSATION_OVERRIDES: 200,
+
+        // =====================================================================
+        // SELECTOR OVERRIDES (v1.10.0)
+        // =====================================================================
+
+        /**
+         * Storage key for the active profile's own selectors, by role.
+         * Also the profile field, so the overrides follow profile switches.
+         * @type {string}
+         */
+        SELECTOR_OVERRIDES_KEY: 'selectorOverrides',
+
+        /**
+         * Storage key for selectors used by every profile (local storage only).
+         * @type {string}
+         */
+        GLOBAL_SELECTOR_OVERRIDES_KEY: 'globalSelectorOverrides',
+
+        /**
+         * Maximum number of user selectors per role and scope.
+         * @type {number}
+         */
+        MAX_SELECTOR_OVERRIDES: 5,
+
+        /**
+         * Maximum length of one user selector.
+         * @type {number}
+         */
+        SELECTOR_OVERRIDE_MAX_LENGTH: 300,
+
+        // =====================================================================
+        // CUSTOM CSS (v1.10.0)
+        // =====================================================================
+
+        /**
+         * Storage key for the active profile's custom stylesheet.
+         * Also the profile field.
+         * @type {string}
+         */
+        CUSTOM_CSS_KEY: 'customCSS',
+
+        /**
+         * Storage key for whether the active profile's custom stylesheet applies.
+         * Turning it off keeps the CSS for later.
+         * @type {string}
+         */
+        CUSTOM_CSS_ENABLED_KEY: 'customCSSEnabled',
+
+        /**
+         * Maximum size of one profile's custom CSS (bytes). Leaves room for
+         * the rest of the profile in its SYNC_QUOTA_BYTES_PER_ITEM sync item.
+         * @type {number}
+         */
+        CUSTOM_CSS_MAX_BYTES: 4096
     };
 
     // =========================================================================
@@ -576,6 +1245,473 @@
         }
     };
 
+    // =========================================================================
+    // WIDTH UNIT UTILITIES (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Helpers for width values that carry a unit.
+     * Shared by the content script, popup, background and options page so
+     * clamping and labels stay consistent.
+     *
+     * @namespace
+     */
+    window.ClaudeWidthUnits = {
+        /**
+         * Check whether a unit is supported.
+         *
+         * @param {string} unit - Unit to check
+         * @returns {boolean} True if the unit is in WIDTH_UNITS
+         */
+        isValidUnit(unit) {
+            return typeof unit === 'string' &&
+                Object.prototype.hasOwnProperty.call(window.ClaudeWidthConstants.WIDTH_UNITS, unit);
+        },
+
+        /**
+         * Return the unit if supported, otherwise the default unit.
+         *
+         * @param {string} unit - Unit to normalize
+         * @returns {string} Supported unit
+         */
+        normalizeUnit(unit) {
+            return this.isValidUnit(unit) ? unit : window.ClaudeWidthConstants.DEFAULT_WIDTH_UNIT;
+        },
+
+        /**
+         * Get the configuration for a unit (falls back to the default unit).
+         *
+         * @param {string} unit - Width unit
+         * @returns {WidthUnitConfig} Unit configuration
+         */
+        getUnitConfig(unit) {
+            return window.ClaudeWidthConstants.WIDTH_UNITS[this.normalizeUnit(unit)];
+        },
+
+        /**
+         * Clamp a width value to the range of its unit.
+         * Non-numeric values become the unit's default.
+         *
+         * @param {number} value - Width value
+         * @param {string} unit - Width unit
+         * @returns {number} Clamped value
+         */
+        clampWidth(value, unit) {
+            const config = this.getUnitConfig(unit);
+            if (typeof value !== 'number' || isNaN(value)) {
+                return config.defaultValue;
+            }
+            return Math.max(config.min, Math.min(config.max, Math.round(value)));
+        },
+
+        /**
+         * Check whether a value is within the range of its unit.
+         *
+         * @param {number} value - Width value
+         * @param {string} unit - Width unit
+         * @returns {boolean} True if valid
+         */
+        isValidWidth(value, unit) {
+            const config = this.getUnitConfig(unit);
+            return typeof value === 'number' && value >= config.min && value <= config.max;
+        },
+
+        /**
+         * Format a width as a CSS length / display label (e.g. "85%", "80ch").
+         *
+         * @param {number} value - Width value
+         * @param {string} unit - Width unit
+         * @returns {string} Formatted width
+         */
+        formatWidth(value, unit) {
+            return `${value}${this.normalizeUnit(unit)}`;
+        },
+
+        /**
+         * Format a width for the toolbar badge, which only fits about four
+         * characters. Percentages and pixels show the bare number.
+         *
+         * @param {number} value - Width value
+         * @param {string} unit - Width unit
+         * @returns {string} Badge text
+         */
+        formatBadgeText(value, unit) {
+            const normalized = this.normalizeUnit(unit);
+            if (normalized === 'ch') return `${value}ch`;
+            if (normalized === 'rem') return `${value}r`;
+            return String(value);
+        },
+
+        /**
+         * Describe a width for screen readers (e.g. "80 characters").
+         *
+         * @param {number} value - Width value
+         * @param {string} unit - Width unit
+         * @returns {string} Spoken description
+         */
+        describeWidth(value, unit) {
+            return `${value} ${this.getUnitConfig(unit).spoken}`;
+        },
+
+        /**
+         * Get the narrow/medium/wide/full preset values for a unit.
+         *
+         * @param {string} unit - Width unit
+         * @returns {number[]} Preset values
+         */
+        getPresetWidths(unit) {
+            return this.getUnitConfig(unit).presets;
+        },
+
+        /**
+         * Normalize a stored recent widths list. Entries saved before width
+         * units existed are bare percentages; invalid entries are dropped.
+         *
+         * @param {Array<number|RecentWidth>} list - Stored recent widths
+         * @returns {RecentWidth[]} Normalized list
+         */
+        normalizeRecentWidths(list) {
+            if (!Array.isArray(list)) {
+                return [];
+            }
+
+            return list
+                .map(entry => (typeof entry === 'number'
+                    ? { width: entry, unit: '%' }
+                    : { width: entry?.width, unit: this.normalizeUnit(entry?.unit) }))
+                .filter(entry => this.isValidWidth(entry.width, entry.unit));
+        }
+    };
+
+    // =========================================================================
+    // VIEWPORT BREAKPOINT UTILITIES (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Helpers for per-profile viewport breakpoint tiers. Tiers are kept
+     * sorted by minViewport; a window width uses the last tier that starts
+     * at or below it, and no tier (the profile width) below the first one.
+     *
+     * @namespace
+     */
+    window.ClaudeWidthBreakpoints = {
+        /**
+         * Sanitize a stored tier list: drop malformed tiers and duplicate
+         * start widths, clamp values, sort, and cap the list length.
+         *
+         * @param {Array<Object>} list - Raw tier list
+         * @returns {WidthBreakpoint[]} Sanitized tiers
+         */
+        sanitizeBreakpoints(list) {
+            if (!Array.isArray(list)) {
+                return [];
+            }
+
+            const { MAX_WIDTH_BREAKPOINTS, MAX_BREAKPOINT_VIEWPORT } = window.ClaudeWidthConstants;
+            const Units = window.ClaudeWidthUnits;
+            const seen = new Set();
+            const tiers = [];
+
+            for (const tier of list) {
+                if (!tier || typeof tier.minViewport !== 'number' || isNaN(tier.minViewport) ||
+                    typeof tier.width !== 'number' || isNaN(tier.width)) {
+                    continue;
+                }
+
+                const minViewport = Math.max(0, Math.min(MAX_BREAKPOINT_VIEWPORT, Math.round(tier.minViewport)));
+                if (seen.has(minViewport)) {
+                    continue;
+                }
+                seen.add(minViewport);
+
+                const unit = Units.normalizeUnit(tier.unit);
+                tiers.push({ minViewport, width: Units.clampWidth(tier.width, unit), unit });
+            }
+
+            return tiers
+                .sort((a, b) => a.minViewport - b.minViewport)
+                .slice(0, MAX_WIDTH_BREAKPOINTS);
+        },
+
+        /**
+         * Find the tier that applies to a window width.
+         *
+         * @param {WidthBreakpoint[]} tiers - Sanitized tiers
+         * @param {number} viewportWidth - Window width in pixels
+         * @returns {number} Index of the active tier, or -1 if none applies
+         */
+        findActiveBreakpoint(tiers, viewportWidth) {
+            if (!Array.isArray(tiers) || typeof viewportWidth !== 'number') {
+                return -1;
+            }
+
+            let active = -1;
+            tiers.forEach((tier, index) => {
+                if (tier.minViewport <= viewportWidth) {
+                    active = index;
+                }
+            });
+            return active;
+        },
+
+        /**
+         * Describe the window widths a tier covers (e.g. "1200-2000px").
+         *
+         * @param {WidthBreakpoint[]} tiers - Sanitized tiers
+         * @param {number} index - Tier index
+         * @returns {string} Range label
+         */
+        describeBreakpointRange(tiers, index) {
+            const tier = tiers[index];
+            const next = tiers[index + 1];
+
+            if (!tier) return '';
+            if (!next) {
+                return tier.minViewport === 0 ? 'All window widths' : `${tier.minViewport}px and wider`;
+            }
+            if (tier.minViewport === 0) {
+                return `Below ${next.minViewport}px`;
+            }
+            return `${tier.minViewport}-${next.minViewport}px`;
+        }
+    };
+
+    // =========================================================================
+    // AUTO WIDTH UTILITIES (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Helpers for the content-aware auto width mode. Auto mode picks the
+     * narrowest candidate (the bounds plus the unit presets between them)
+     * that fits the widest visible code block or table.
+     *
+     * @namespace
+     */
+    window.ClaudeWidthAutoWidth = {
+        /**
+         * Default bounds for a unit: its default width up to its widest preset.
+         *
+         * @param {string} unit - Width unit
+         * @returns {AutoWidthBounds} Default bounds
+         */
+        getDefaultBounds(unit) {
+            const Units = window.ClaudeWidthUnits;
+            const config = Units.getUnitConfig(unit);
+
+            return {
+                min: config.defaultValue,
+                max: config.presets[config.presets.length - 1],
+                unit: Units.normalizeUnit(unit)
+            };
+        },
+
+        /**
+         * Sanitize stored bounds for the profile's width unit.
+         *
+         * @param {Object|null} bounds - Raw bounds
+         * @param {string} unit - Profile width unit
+         * @returns {AutoWidthBounds} Bounds in unit, with min <= max
+         */
+        sanitizeBounds(bounds, unit) {
+            const Units = window.ClaudeWidthUnits;
+            const defaults = this.getDefaultBounds(unit);
+
+            if (!bounds || typeof bounds !== 'object' || Units.normalizeUnit(bounds.unit) !== defaults.unit) {
+                return defaults;
+            }
+
+            const min = typeof bounds.min === 'number' ? Units.clampWidth(bounds.min, defaults.unit) : defaults.min;
+            const max = typeof bounds.max === 'number' ? Units.clampWidth(bounds.max, defaults.unit) : defaults.max;
+
+            return { min: Math.min(min, max), max: Math.max(min, max), unit: defaults.unit };
+        },
+
+        /**
+         * List the widths auto mode can pick, narrowest first.
+         *
+         * @param {AutoWidthBounds} bounds - Sanitized bounds
+         * @returns {number[]} Candidate widths
+         */
+        getCandidateWidths(bounds) {
+            const presets = window.ClaudeWidthUnits.getPresetWidths(bounds.unit)
+                .filter(width => width > bounds.min && width < bounds.max);
+
+            return [...new Set([bounds.min, ...presets, bounds.max])];
+        },
+
+        /**
+         * Pick the narrowest candidate at least as wide as the content needs.
+         *
+         * @param {number[]} candidates - Candidate widths, narrowest first
+         * @param {number} requiredPixels - Column width the content needs (0 if none)
+         * @param {number} pixelsPerUnit - Size of one width unit in pixels
+         * @returns {number} Chosen width (the widest candidate if none fits)
+         */
+        pickWidth(candidates, requiredPixels, pixelsPerUnit) {
+            // Allow a pixel of rounding so a fitting block doesn't pick the next size up
+            const fit = candidates.find(width => width * pixelsPerUnit >= requiredPixels - 1);
+            return fit ?? candidates[candidates.length - 1];
+        },
+
+        /**
+         * Label an auto-picked width for the popup and tooltip (e.g. "Auto (85%)").
+         *
+         * @param {number} width - Chosen width
+         * @param {string} unit - Width unit
+         * @returns {string} Label
+         */
+        formatLabel(width, unit) {
+            return `Auto (${window.ClaudeWidthUnits.formatWidth(width, unit)})`;
+        },
+
+        /**
+         * Badge text for an auto-picked width: "A" before the width when it
+         * still fits in four characters (e.g. "A85").
+         *
+         * @param {number} width - Chosen width
+         * @param {string} unit - Width unit
+         * @returns {string} Badge text
+         */
+        formatBadgeText(width, unit) {
+            const text = window.ClaudeWidthUnits.formatBadgeText(width, unit);
+            return text.length < 4 ? `A${text}` : text;
+        }
+    };
+
+    // =========================================================================
+    // CUSTOM CSS UTILITIES (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Helpers for the per-profile custom stylesheet. Browsers skip CSS they
+     * can't parse without reporting it, so validateCSS() catches the
+     * mistakes that silently swallow the rest of a stylesheet.
+     *
+     * @namespace
+     */
+    window.ClaudeWidthCustomCSS = {
+        /**
+         * Size of a stylesheet as stored (UTF-8 bytes).
+         *
+         * @param {string} css - Stylesheet text
+         * @returns {number} Size in bytes
+         */
+        getByteSize(css) {
+            return new Blob([css]).size;
+        },
+
+        /**
+         * Sanitize stored custom CSS. A stylesheet over the size limit is
+         * dropped rather than cut off mid-rule.
+         *
+         * @param {*} value - Raw value
+         * @returns {string} Stylesheet text, or '' if unusable
+         */
+        sanitizeCSS(value) {
+            if (typeof value !== 'string' || this.getByteSize(value) > window.ClaudeWidthConstants.CUSTOM_CSS_MAX_BYTES) {
+                return '';
+            }
+            return value;
+        },
+
+        /**
+         * Check a stylesheet for unclosed comments, strings and blocks,
+         * stray closing braces and @import, which could load styles from
+         * elsewhere.
+         *
+         * @param {string} css - Stylesheet text
+         * @returns {{valid: boolean, error?: string, line?: number}} Result with the line of the first problem
+         */
+        validateCSS(css) {
+            const maxBytes = window.ClaudeWidthConstants.CUSTOM_CSS_MAX_BYTES;
+            const fail = (message, line) => ({ valid: false, error: `Line ${line}: ${message}`, line });
+            const countLines = text => text.split('\n').length - 1;
+
+            if (typeof css !== 'string') {
+                return { valid: false, error: 'Custom CSS must be text' };
+            }
+            if (this.getByteSize(css) > maxBytes) {
+                return { valid: false, error: `Custom CSS must be ${maxBytes / 1024} KB or less` };
+            }
+
+            const openBlocks = [];
+            let line = 1;
+
+            for (let i = 0; i < css.length; i++) {
+                const char = css[i];
+
+                if (char === '\n') {
+                    line++;
+                } else if (char === '/' && css[i + 1] === '*') {
+                    const end = css.indexOf('*/', i + 2);
+                    if (end === -1) {
+                        return fail('comment is not closed', line);
+                    }
+                    line += countLines(css.slice(i, end));
+                    i = end + 1;
+                } else if (char === '"' || char === "'") {
+                    let end = i + 1;
+                    while (end < css.length && css[end] !== char && css[end] !== '\n') {
+                        // A backslash escapes the next character, including a line break
+                        end += css[end] === '\\' ? 2 : 1;
+                    }
+                    if (end >= css.length || css[end] !== char) {
+                        return fail('string is not closed', line);
+                    }
+                    line += countLines(css.slice(i, end));
+                    i = end;
+                } else if (char === '{') {
+                    openBlocks.push(line);
+                } else if (char === '}') {
+                    if (openBlocks.length === 0) {
+                        return fail('unexpected "}"', line);
+                    }
+                    openBlocks.pop();
+                } else if (char === '@' && /^@import\b/i.test(css.slice(i, i + 8))) {
+                    return fail('@import is not allowed', line);
+                }
+            }
+
+            if (openBlocks.length > 0) {
+                return fail('block is not closed with "}"', openBlocks[openBlocks.length - 1]);
+            }
+
+            return { valid: true };
+        }
+    };
+
+    // =========================================================================
+    // TYPOGRAPHY UTILITIES (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Helpers for the prose typography settings.
+     *
+     * @namespace
+     */
+    window.ClaudeWidthTypography = {
+        /**
+         * Sanitize the name of an installed font. It ends up inside a CSS
+         * font-family value, so only names of plain letters, digits, spaces,
+         * dots, hyphens and underscores are kept.
+         *
+         * @param {*} value - Raw font name
+         * @returns {string} Trimmed font name, or '' if unusable
+         */
+        sanitizeFontName(value) {
+            const { CUSTOM_FONT_MAX_LENGTH, CUSTOM_FONT_PATTERN } = window.ClaudeWidthConstants;
+            if (typeof value !== 'string') {
+                return '';
+            }
+
+            const name = value.trim().replace(/\s+/g, ' ');
+            if (name.length > CUSTOM_FONT_MAX_LENGTH || !CUSTOM_FONT_PATTERN.test(name)) {
+                return '';
+            }
+            return name;
+        }
+    };
+
     // =========================================================================
     // CONVENIENCE LOGGING SHORTCUTS
     // =========================================================================
@@ -0,0 +1,284 @@
+/**
+ * Claude Chat Width Customizer - Conversation Overrides
+ * =====================================================
+ *
+ * Per-conversation settings pinned to a claude.ai `/chat/<uuid>` URL.
+ * A pin stores the width and any subset of font size, code block height
+ * and code block word wrap; everything else comes from the active profile.
+ *
+ * Pins live in local storage only and are shared by all profiles.
+ *
+ * @author DoubleGate
+ * @version 1.9.1
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // =========================================================================
+    // CONSTANTS (from lib/constants.js)
+    // =========================================================================
+
+    const {
+        CONVERSATION_OVERRIDES_KEY,
+        CONVERSATION_OVERRIDE_KEYS,
+        MAX_CONVERSATION_OVERRIDES
+    } = window.ClaudeWidthConstants;
+
+    const Units = window.ClaudeWidthUnits;
+
+    /**
+     * Matches the conversation UUID in a claude.ai chat URL.
+     * @type {RegExp}
+     */
+    const CHAT_URL_PATTERN = /^https?:\/\/(?:[\w-]+\.)*claude\.ai\/chat\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(?:[/?#]|$)/i;
+
+    // =========================================================================
+    // URL PARSING
+    // =========================================================================
+
+    /**
+     * Extract the conversation ID from a claude.ai chat URL.
+     *
+     * @param {string} url - Page URL
+     * @returns {string|null} Lower-case chat UUID, or null for non-chat pages
+     */
+    function getChatIdFromUrl(url) {
+        if (typeof url !== 'string') {
+            return null;
+        }
+
+        const match = url.match(CHAT_URL_PATTERN);
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    // =========================================================================
+    // SANITIZATION
+    // =========================================================================
+
+    /**
+     * Sanitize a conversation override, dropping unknown keys and invalid values.
+     * Unlike profile sanitization, invalid values are removed rather than
+     * replaced with defaults so they fall back to the active profile.
+     *
+     * @param {Object} override - Raw override object
+     * @returns {ConversationOverride|null} Sanitized override, or null if nothing valid remains
+     */
+    function sanitizeConversationOverride(override) {
+        if (!override || typeof override !== 'object') {
+            return null;
+        }
+
+        const sanitized = {};
+
+        // Width and unit are always stored together; pins from before
+        // width units existed are percentages
+        const width = override.chatWidthPercent;
+        if (typeof width === 'number' && !isNaN(width)) {
+            const unit = Units.normalizeUnit(override.chatWidthUnit);
+            sanitized.chatWidthPercent = Units.clampWidth(width, unit);
+            sanitized.chatWidthUnit = unit;
+        }
+
+        const fontSize = override.fontSizePercent;
+        if (typeof fontSize === 'number' && !isNaN(fontSize)) {
+            sanitized.fontSizePercent = Math.max(80, Math.min(120, Math.round(fontSize)));
+        }
+
+        if ([200, 400, 600, 0].includes(override.codeBlockMaxHeight)) {
+            sanitized.codeBlockMaxHeight = override.codeBlockMaxHeight;
+        }
+
+        if (typeof override.codeBlockWordWrap === 'boolean') {
+            sanitized.codeBlockWordWrap = override.codeBlockWordWrap;
+        }
+
+        if (Object.keys(sanitized).length === 0) {
+            return null;
+        }
+
+        sanitized.updatedAt = typeof override.updatedAt === 'number' ? override.updatedAt : Date.now();
+        return sanitized;
+    }
+
+    /**
+     * Sanitize the stored override map, dropping malformed entries.
+     *
+     * @param {Object} overrides - Raw map of chat ID to override
+     * @returns {Object<string, ConversationOverride>} Sanitized map
+     */
+    function sanitizeConversationOverrides(overrides) {
+        const sanitized = {};
+
+        if (!overrides || typeof overrides !== 'object') {
+            return sanitized;
+        }
+
+        for (const [chatId, override] of Object.entries(overrides)) {
+            const clean = sanitizeConversationOverride(override);
+            if (clean && /^[0-9a-f-]{36}$/.test(chatId)) {
+                sanitized[chatId] = clean;
+            }
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Merge a conversation override over base settings.
+     * Only keys in CONVERSATION_OVERRIDE_KEYS are taken from the override.
+     *
+     * @param {Object} settings - Base (profile) settings
+     * @param {ConversationOverride|null} override - Override for the current chat
+     * @returns {Object} New settings object with the override applied
+     */
+    function applyConversationOverride(settings, override) {
+        const merged = { ...settings };
+
+        if (!override) {
+            return merged;
+        }
+
+        for (const key of CONVERSATION_OVERRIDE_KEYS) {
+            if (override[key] !== undefined) {
+                merged[key] = override[key];
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Drop the least recently updated pins until the map fits the limit.
+     *
+     * @param {Object<string, ConversationOverride>} overrides - Override map
+     * @returns {Object<string, ConversationOverride>} Trimmed map
+     */
+    function trimConversationOverrides(overrides) {
+        const entries = Object.entries(overrides);
+
+        if (entries.length <= MAX_CONVERSATION_OVERRIDES) {
+            return overrides;
+        }
+
+        entries.sort(([, a], [, b]) => b.updatedAt - a.updatedAt);
+        return Object.fromEntries(entries.slice(0, MAX_CONVERSATION_OVERRIDES));
+    }
+
+    // =========================================================================
+    // STORAGE OPERATIONS
+    // =========================================================================
+
+    /**
+     * Load all conversation overrides from local storage.
+     *
+     * @returns {Promise<Object<string, ConversationOverride>>} Map of chat ID to override
+     */
+    async function loadConversationOverrides() {
+        try {
+            const result = await browser.storage.local.get(CONVERSATION_OVERRIDES_KEY);
+            return sanitizeConversationOverrides(result[CONVERSATION_OVERRIDES_KEY]);
+        } catch (error) {
+            console.error('[Claude Width Conversations] Error loading overrides:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Get the override pinned to a conversation.
+     *
+     * @param {string} chatId - Chat UUID
+     * @returns {Promise<ConversationOverride|null>} Override or null
+     */
+    async function getConversationOverride(chatId) {
+        if (!chatId) {
+            return null;
+        }
+
+        const overrides = await loadConversationOverrides();
+        return overrides[chatId] || null;
+    }
+
+    /**
+     * Pin settings to a conversation. Merges with an existing pin so callers
+     * can update a single setting without resending the others.
+     *
+     * @param {string} chatId - Chat UUID
+     * @param {Object} settings - Settings to pin (any subset of CONVERSATION_OVERRIDE_KEYS)
+     * @returns {Promise<{success: boolean, override?: ConversationOverride, error?: string}>} Result
+     */
+    async function pinConversation(chatId, settings) {
+        if (!chatId) {
+            return { success: false, error: 'Not a conversation page' };
+        }
+
+        try {
+            const overrides = await loadConversationOverrides();
+            const override = sanitizeConversationOverride({
+                ...overrides[chatId],
+                ...settings,
+                updatedAt: Date.now()
+            });
+
+            if (!override) {
+                return { success: false, error: 'No valid settings to pin' };
+            }
+
+            overrides[chatId] = override;
+            await browser.storage.local.set({
+                [CONVERSATION_OVERRIDES_KEY]: trimConversationOverrides(overrides)
+            });
+
+            return { success: true, override };
+        } catch (error) {
+            console.error('[Claude Width Conversations] Error pinning conversation:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove the pin from a conversation.
+     *
+     * @param {string} chatId - Chat UUID
+     * @returns {Promise<{success: boolean, error?: string}>} Result
+     */
+    async function unpinConversation(chatId) {
+        try {
+            const overrides = await loadConversationOverrides();
+
+            if (!overrides[chatId]) {
+                return { success: false, error: 'Conversation is not pinned' };
+            }
+
+            delete overrides[chatId];
+            await browser.storage.local.set({ [CONVERSATION_OVERRIDES_KEY]: overrides });
+
+            return { success: true };
+        } catch (error) {
+            console.error('[Claude Width Conversations] Error unpinning conversation:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // =========================================================================
+    // EXPORT
+    // =========================================================================
+
+    window.ClaudeWidthConversations = {
+        // URL parsing
+        getChatIdFromUrl,
+
+        // Sanitization
+        sanitizeConversationOverride,
+        sanitizeConversationOverrides,
+        applyConversationOverride,
+
+        // Storage operations
+        loadConversationOverrides,
+        getConversationOverride,
+        pinConversation,
+        unpinConversation
+    };
+
+})();
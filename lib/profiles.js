@@ -26,9 +26,40 @@
         PROFILE_STORAGE_KEYS,
         MAX_PROFILES,
         PROFILE_NAME_MAX_LENGTH,
-        EXPORT_VERSION
+        EXPORT_VERSION,
+        ALIGNMENT_OPTIONS,
+        MAX_ALIGNMENT_OFFSET,
+        SIDEBAR_MODES,
+        SIDEBAR_WIDTHS,
+        FONT_FAMILIES,
+        LETTER_SPACINGS,
+        PARAGRAPH_SPACINGS,
+        HEADING_SCALES,
+        CODE_FONT_FAMILIES,
+        CODE_FONT_SIZES,
+        CODE_TAB_SIZES,
+        CODE_PREVIEW_LINE_COUNTS,
+        CODE_COLLAPSE_THRESHOLDS,
+        TABLE_LAYOUTS,
+        MESSAGE_FOLD_HEIGHTS,
+        MESSAGE_ROLE_WIDTHS,
+        MESSAGE_ROLE_ALIGNMENTS,
+        MESSAGE_ROLE_TINTS,
+        MESSAGE_ROLE_FONT_SCALES,
+        SYNC_SAFE_LIMIT,
+        SYNC_QUOTA_BYTES_PER_ITEM,
+        SYNC_PROFILE_IDS_KEY,
+        SYNC_PROFILE_KEY_PREFIX,
+        CUSTOM_CSS_MAX_BYTES
     } = window.ClaudeWidthConstants;
 
+    const Units = window.ClaudeWidthUnits;
+    const Breakpoints = window.ClaudeWidthBreakpoints;
+    const AutoWidth = window.ClaudeWidthAutoWidth;
+    const Selectors = window.ClaudeWidthSelectors;
+    const CustomCSS = window.ClaudeWidthCustomCSS;
+    const Typography = window.ClaudeWidthTypography;
+
     // =========================================================================
     // PROFILE ID GENERATION
     // =========================================================================
@@ -99,14 +130,33 @@
             return nameValidation;
         }
 
-        // Validate width if present
+        // Validate width unit if present (v1.10.0)
+        if (profile.chatWidthUnit !== undefined && !Units.isValidUnit(profile.chatWidthUnit)) {
+            return { valid: false, error: 'Width unit must be %, px, ch, or rem' };
+        }
+
+        // Validate width if present (range depends on the unit)
         if (profile.chatWidthPercent !== undefined) {
-            const width = profile.chatWidthPercent;
-            if (typeof width !== 'number' || width < 40 || width > 100) {
-                return { valid: false, error: 'Chat width must be a number between 40 and 100' };
+            const unit = Units.normalizeUnit(profile.chatWidthUnit);
+            if (!Units.isValidWidth(profile.chatWidthPercent, unit)) {
+                const { min, max } = Units.getUnitConfig(unit);
+                return { valid: false, error: `Chat width must be a number between ${min} and ${max}` };
             }
         }
 
+        // Validate breakpoint tiers if present (v1.10.0); individual tiers are sanitized
+        if (profile.widthBreakpoints !== undefined && !Array.isArray(profile.widthBreakpoints)) {
+            return { valid: false, error: 'Width breakpoints must be a list' };
+        }
+
+        // Validate custom CSS if present (v1.10.0)
+        if (profile.customCSS !== undefined && typeof profile.customCSS !== 'string') {
+            return { valid: false, error: 'Custom CSS must be text' };
+        }
+        if (typeof profile.customCSS === 'string' && CustomCSS.getByteSize(profile.customCSS) > CUSTOM_CSS_MAX_BYTES) {
+            return { valid: false, error: `Custom CSS must be ${CUSTOM_CSS_MAX_BYTES / 1024} KB or less` };
+        }
+
         // Validate theme if present
         if (profile.theme !== undefined) {
             const validThemes = ['light', 'dark', 'system'];
@@ -164,7 +214,8 @@
             valid: true,
             data: {
                 ...data,
-                profiles: sanitizedProfiles
+                profiles: sanitizedProfiles,
+                autoProfileRules: sanitizeAutoProfileRules(data.autoProfileRules)
             }
         };
     }
@@ -180,11 +231,21 @@
      * @returns {Object} Sanitized profile with all required fields
      */
     function sanitizeProfile(profile) {
+        const chatWidthUnit = Units.normalizeUnit(profile.chatWidthUnit);
         return {
             name: (profile.name || 'Unnamed Profile').trim().substring(0, PROFILE_NAME_MAX_LENGTH),
-            chatWidthPercent: clampNumber(profile.chatWidthPercent, 40, 100, DEFAULT_WIDTH),
+            chatWidthPercent: Units.clampWidth(profile.chatWidthPercent, chatWidthUnit),
+            chatWidthUnit,
+            widthBreakpoints: Breakpoints.sanitizeBreakpoints(profile.widthBreakpoints),
+            autoWidth: profile.autoWidth === true,
+            autoWidthBounds: profile.autoWidthBounds
+                ? AutoWidth.sanitizeBounds(profile.autoWidthBounds, chatWidthUnit)
+                : null,
             theme: ['light', 'dark', 'system'].includes(profile.theme) ? profile.theme : DEFAULT_THEME,
             customPresets: Array.isArray(profile.customPresets) ? profile.customPresets.slice(0, 4) : [],
+            selectorOverrides: Selectors.sanitizeOverrides(profile.selectorOverrides),
+            customCSS: CustomCSS.sanitizeCSS(profile.customCSS),
+            customCSSEnabled: profile.customCSSEnabled !== false,
             ...sanitizeEnhancedSettings(profile)
         };
     }
@@ -196,6 +257,8 @@
      * @returns {Object} Sanitized enhanced settings
      */
     function sanitizeEnhancedSettings(profile) {
+        const focusWidthUnit = Units.normalizeUnit(profile.focusWidthUnit);
+
         return {
             fontSizePercent: clampNumber(profile.fontSizePercent, 80, 120, ENHANCED_DEFAULTS.fontSizePercent),
             lineHeight: ['compact', 'normal', 'relaxed'].includes(profile.lineHeight)
@@ -204,6 +267,17 @@
             messagePadding: ['none', 'small', 'medium', 'large'].includes(profile.messagePadding)
                 ? profile.messagePadding
                 : ENHANCED_DEFAULTS.messagePadding,
+            fontFamily: FONT_FAMILIES.includes(profile.fontFamily) ? profile.fontFamily : ENHANCED_DEFAULTS.fontFamily,
+            customFontFamily: Typography.sanitizeFontName(profile.customFontFamily),
+            letterSpacing: LETTER_SPACINGS.includes(profile.letterSpacing)
+                ? profile.letterSpacing
+                : ENHANCED_DEFAULTS.letterSpacing,
+            paragraphSpacing: PARAGRAPH_SPACINGS.includes(profile.paragraphSpacing)
+                ? profile.paragraphSpacing
+                : ENHANCED_DEFAULTS.paragraphSpacing,
+            headingScale: HEADING_SCALES.includes(profile.headingScale)
+                ? profile.headingScale
+                : ENHANCED_DEFAULTS.headingScale,
             displayMode: ['compact', 'comfortable', 'spacious', 'custom'].includes(profile.displayMode)
                 ? profile.displayMode
                 : ENHANCED_DEFAULTS.displayMode,
@@ -216,6 +290,61 @@
             codeBlocksCollapsed: typeof profile.codeBlocksCollapsed === 'boolean'
                 ? profile.codeBlocksCollapsed
                 : ENHANCED_DEFAULTS.codeBlocksCollapsed,
+            codePreviewLines: CODE_PREVIEW_LINE_COUNTS.includes(profile.codePreviewLines)
+                ? profile.codePreviewLines
+                : ENHANCED_DEFAULTS.codePreviewLines,
+            codeCollapseMinLines: CODE_COLLAPSE_THRESHOLDS.includes(profile.codeCollapseMinLines)
+                ? profile.codeCollapseMinLines
+                : ENHANCED_DEFAULTS.codeCollapseMinLines,
+            codeFontFamily: CODE_FONT_FAMILIES.includes(profile.codeFontFamily)
+                ? profile.codeFontFamily
+                : ENHANCED_DEFAULTS.codeFontFamily,
+            customCodeFontFamily: Typography.sanitizeFontName(profile.customCodeFontFamily),
+            codeFontSize: CODE_FONT_SIZES.includes(profile.codeFontSize) ? profile.codeFontSize : ENHANCED_DEFAULTS.codeFontSize,
+            codeTabSize: CODE_TAB_SIZES.includes(profile.codeTabSize) ? profile.codeTabSize : ENHANCED_DEFAULTS.codeTabSize,
+            codeLigatures: typeof profile.codeLigatures === 'boolean'
+                ? profile.codeLigatures
+                : ENHANCED_DEFAULTS.codeLigatures,
+            codeLineNumbers: typeof profile.codeLineNumbers === 'boolean'
+                ? profile.codeLineNumbers
+                : ENHANCED_DEFAULTS.codeLineNumbers,
+            tableLayout: TABLE_LAYOUTS.includes(profile.tableLayout) ? profile.tableLayout : ENHANCED_DEFAULTS.tableLayout,
+            tableCopyButtons: typeof profile.tableCopyButtons === 'boolean'
+                ? profile.tableCopyButtons
+                : ENHANCED_DEFAULTS.tableCopyButtons,
+            foldHumanMessages: typeof profile.foldHumanMessages === 'boolean'
+                ? profile.foldHumanMessages
+                : ENHANCED_DEFAULTS.foldHumanMessages,
+            foldAssistantMessages: typeof profile.foldAssistantMessages === 'boolean'
+                ? profile.foldAssistantMessages
+                : ENHANCED_DEFAULTS.foldAssistantMessages,
+            messageFoldHeight: MESSAGE_FOLD_HEIGHTS.includes(profile.messageFoldHeight)
+                ? profile.messageFoldHeight
+                : ENHANCED_DEFAULTS.messageFoldHeight,
+            humanMessageWidth: MESSAGE_ROLE_WIDTHS.includes(profile.humanMessageWidth)
+                ? profile.humanMessageWidth
+                : ENHANCED_DEFAULTS.humanMessageWidth,
+            humanMessageAlignment: MESSAGE_ROLE_ALIGNMENTS.includes(profile.humanMessageAlignment)
+                ? profile.humanMessageAlignment
+                : ENHANCED_DEFAULTS.humanMessageAlignment,
+            humanMessageTint: MESSAGE_ROLE_TINTS.includes(profile.humanMessageTint)
+                ? profile.humanMessageTint
+                : ENHANCED_DEFAULTS.humanMessageTint,
+            humanMessageFontScale: MESSAGE_ROLE_FONT_SCALES.includes(profile.humanMessageFontScale)
+                ? profile.humanMessageFontScale
+                : ENHANCED_DEFAULTS.humanMessageFontScale,
+            assistantMessageWidth: MESSAGE_ROLE_WIDTHS.includes(profile.assistantMessageWidth)
+                ? profile.assistantMessageWidth
+                : ENHANCED_DEFAULTS.assistantMessageWidth,
+            assistantMessageAlignment: MESSAGE_ROLE_ALIGNMENTS.includes(profile.assistantMessageAlignment)
+                ? profile.assistantMessageAlignment
+                : ENHANCED_DEFAULTS.assistantMessageAlignment,
+            assistantMessageTint: MESSAGE_ROLE_TINTS.includes(profile.assistantMessageTint)
+                ? profile.assistantMessageTint
+                : ENHANCED_DEFAULTS.assistantMessageTint,
+            assistantMessageFontScale: MESSAGE_ROLE_FONT_SCALES.includes(profile.assistantMessageFontScale)
+                ? profile.assistantMessageFontScale
+                : ENHANCED_DEFAULTS.assistantMessageFontScale,
             showTimestamps: typeof profile.showTimestamps === 'boolean'
                 ? profile.showTimestamps
                 : ENHANCED_DEFAULTS.showTimestamps,
@@ -224,7 +353,21 @@
                 : ENHANCED_DEFAULTS.showAvatars,
             messageBubbleStyle: ['rounded', 'square', 'minimal'].includes(profile.messageBubbleStyle)
                 ? profile.messageBubbleStyle
-                : ENHANCED_DEFAULTS.messageBubbleStyle
+                : ENHANCED_DEFAULTS.messageBubbleStyle,
+            showResizeHandles: typeof profile.showResizeHandles === 'boolean'
+                ? profile.showResizeHandles
+                : ENHANCED_DEFAULTS.showResizeHandles,
+            chatAlignment: ALIGNMENT_OPTIONS.includes(profile.chatAlignment)
+                ? profile.chatAlignment
+                : ENHANCED_DEFAULTS.chatAlignment,
+            chatAlignmentOffset: Math.round(clampNumber(profile.chatAlignmentOffset, 0, MAX_ALIGNMENT_OFFSET, ENHANCED_DEFAULTS.chatAlignmentOffset)),
+            sidebarMode: SIDEBAR_MODES.includes(profile.sidebarMode) ? profile.sidebarMode : ENHANCED_DEFAULTS.sidebarMode,
+            sidebarWidth: SIDEBAR_WIDTHS.includes(profile.sidebarWidth) ? profile.sidebarWidth : ENHANCED_DEFAULTS.sidebarWidth,
+            focusMode: typeof profile.focusMode === 'boolean' ? profile.focusMode : ENHANCED_DEFAULTS.focusMode,
+            focusWidth: Units.isValidWidth(profile.focusWidth, focusWidthUnit)
+                ? Math.round(profile.focusWidth)
+                : ENHANCED_DEFAULTS.focusWidth,
+            focusWidthUnit
         };
     }
 
@@ -276,18 +419,59 @@
         return sanitizeProfile({
             name: 'Default',
             chatWidthPercent: existingSettings.chatWidthPercent || DEFAULT_WIDTH,
+            chatWidthUnit: existingSettings.chatWidthUnit,
+            widthBreakpoints: existingSettings.widthBreakpoints,
+            autoWidth: existingSettings.autoWidth,
+            autoWidthBounds: existingSettings.autoWidthBounds,
             theme: existingSettings.theme || DEFAULT_THEME,
             customPresets: existingSettings.customPresets || [],
+            selectorOverrides: existingSettings.selectorOverrides,
+            customCSS: existingSettings.customCSS,
+            customCSSEnabled: existingSettings.customCSSEnabled,
             fontSizePercent: existingSettings.fontSizePercent,
             lineHeight: existingSettings.lineHeight,
             messagePadding: existingSettings.messagePadding,
+            fontFamily: existingSettings.fontFamily,
+            customFontFamily: existingSettings.customFontFamily,
+            letterSpacing: existingSettings.letterSpacing,
+            paragraphSpacing: existingSettings.paragraphSpacing,
+            headingScale: existingSettings.headingScale,
             displayMode: existingSettings.displayMode,
             codeBlockMaxHeight: existingSettings.codeBlockMaxHeight,
             codeBlockWordWrap: existingSettings.codeBlockWordWrap,
             codeBlocksCollapsed: existingSettings.codeBlocksCollapsed,
+            codePreviewLines: existingSettings.codePreviewLines,
+            codeCollapseMinLines: existingSettings.codeCollapseMinLines,
+            codeFontFamily: existingSettings.codeFontFamily,
+            customCodeFontFamily: existingSettings.customCodeFontFamily,
+            codeFontSize: existingSettings.codeFontSize,
+            codeTabSize: existingSettings.codeTabSize,
+            codeLigatures: existingSettings.codeLigatures,
+            codeLineNumbers: existingSettings.codeLineNumbers,
+            tableLayout: existingSettings.tableLayout,
+            tableCopyButtons: existingSettings.tableCopyButtons,
+            foldHumanMessages: existingSettings.foldHumanMessages,
+            foldAssistantMessages: existingSettings.foldAssistantMessages,
+            messageFoldHeight: existingSettings.messageFoldHeight,
+            humanMessageWidth: existingSettings.humanMessageWidth,
+            humanMessageAlignment: existingSettings.humanMessageAlignment,
+            humanMessageTint: existingSettings.humanMessageTint,
+            humanMessageFontScale: existingSettings.humanMessageFontScale,
+            assistantMessageWidth: existingSettings.assistantMessageWidth,
+            assistantMessageAlignment: existingSettings.assistantMessageAlignment,
+            assistantMessageTint: existingSettings.assistantMessageTint,
+            assistantMessageFontScale: existingSettings.assistantMessageFontScale,
             showTimestamps: existingSettings.showTimestamps,
             showAvatars: existingSettings.showAvatars,
-            messageBubbleStyle: existingSettings.messageBubbleStyle
+            messageBubbleStyle: existingSettings.messageBubbleStyle,
+            showResizeHandles: existingSettings.showResizeHandles,
+            chatAlignment: existingSettings.chatAlignment,
+            chatAlignmentOffset: existingSettings.chatAlignmentOffset,
+            sidebarMode: existingSettings.sidebarMode,
+            sidebarWidth: existingSettings.sidebarWidth,
+            focusMode: existingSettings.focusMode,
+            focusWidth: existingSettings.focusWidth,
+            focusWidthUnit: existingSettings.focusWidthUnit
         });
     }
 
@@ -327,13 +511,109 @@
     // =========================================================================
 
     /**
-     * Get the appropriate storage API based on sync preference.
+     * Get the size of a sync storage item as Firefox counts it against
+     * SYNC_QUOTA_BYTES_PER_ITEM: its key and its value as JSON.
+     *
+     * @param {string} key - Storage key
+     * @param {*} value - Value stored under the key
+     * @returns {number} Size in bytes
+     */
+    function getSyncItemSize(key, value) {
+        return CustomCSS.getByteSize(key + JSON.stringify(value));
+    }
+
+    /**
+     * Split profile data into sync storage items, one per profile, so the
+     * profiles together are only held to the total sync quota.
+     *
+     * @param {Object} data - Profile data
+     * @param {string} data.activeProfileId - Active profile ID
+     * @param {Object} data.profiles - Profiles object
+     * @param {Array} [data.autoProfileRules] - Auto profile rules
+     * @returns {Object<string, *>} Sync storage items by key
+     */
+    function getSyncItems(data) {
+        const items = {
+            [PROFILE_STORAGE_KEYS.ACTIVE_PROFILE_ID]: data.activeProfileId,
+            [PROFILE_STORAGE_KEYS.AUTO_PROFILE_RULES]: data.autoProfileRules || [],
+            [SYNC_PROFILE_IDS_KEY]: Object.keys(data.profiles)
+        };
+        for (const [id, profile] of Object.entries(data.profiles)) {
+            items[SYNC_PROFILE_KEY_PREFIX + id] = profile;
+        }
+        return items;
+    }
+
+    /**
+     * Check that profile data fits in sync storage: each item within
+     * SYNC_QUOTA_BYTES_PER_ITEM and all of them within SYNC_SAFE_LIMIT.
+     *
+     * @param {Object} data - Profile data, as for getSyncItems()
+     * @returns {{valid: boolean, error?: string}} Validation result
+     */
+    function validateSyncSize(data) {
+        let totalSize = 0;
+
+        for (const [key, value] of Object.entries(getSyncItems(data))) {
+            const size = getSyncItemSize(key, value);
+            if (size > SYNC_QUOTA_BYTES_PER_ITEM) {
+                return {
+                    valid: false,
+                    error: key.startsWith(SYNC_PROFILE_KEY_PREFIX)
+                        ? `Profile "${value.name}" is too large to sync. Please shorten its custom CSS or selector overrides.`
+                        : 'Auto-profile rules are too large to sync. Please remove some rules.'
+                };
+            }
+            totalSize += size;
+        }
+
+        if (totalSize > SYNC_SAFE_LIMIT) {
+            return {
+                valid: false,
+                error: 'Profile data exceeds sync storage limit. Please reduce number of profiles, custom presets or custom CSS.'
+            };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Read the synced profiles, one item per profile, or the single
+     * 'profiles' item written by v1.9.
+     *
+     * @param {Object} syncData - Sync storage items already read
+     * @returns {Promise<Object|null>} Profiles object, or null if none are synced
+     */
+    async function loadSyncProfiles(syncData) {
+        const ids = syncData[SYNC_PROFILE_IDS_KEY];
+        if (!Array.isArray(ids)) {
+            return syncData[PROFILE_STORAGE_KEYS.PROFILES] || null;
+        }
+
+        const items = await browser.storage.sync.get(ids.map(id => SYNC_PROFILE_KEY_PREFIX + id));
+        const profiles = {};
+        for (const id of ids) {
+            const profile = items[SYNC_PROFILE_KEY_PREFIX + id];
+            if (profile) {
+                profiles[id] = profile;
+            }
+        }
+        return profiles;
+    }
+
+    /**
+     * Write profile data to sync storage, one item per profile, and remove
+     * the items of deleted profiles and the v1.9 'profiles' item.
      *
-     * @param {boolean} syncEnabled - Whether sync is enabled
-     * @returns {Object} Browser storage API (sync or local)
+     * @param {Object} data - Profile data, as for getSyncItems()
      */
-    function getStorage(syncEnabled) {
-        return syncEnabled && browser.storage.sync ? browser.storage.sync : browser.storage.local;
+    async function writeSyncProfileData(data) {
+        const stored = await browser.storage.sync.get(SYNC_PROFILE_IDS_KEY);
+        const staleKeys = (stored[SYNC_PROFILE_IDS_KEY] || [])
+            .filter(id => !data.profiles[id])
+            .map(id => SYNC_PROFILE_KEY_PREFIX + id);
+
+        await browser.storage.sync.set(getSyncItems(data));
+        await browser.storage.sync.remove([PROFILE_STORAGE_KEYS.PROFILES, ...staleKeys]);
     }
 
     /**
@@ -359,15 +639,17 @@
                     const syncData = await browser.storage.sync.get([
                         PROFILE_STORAGE_KEYS.ACTIVE_PROFILE_ID,
                         PROFILE_STORAGE_KEYS.PROFILES,
-                        PROFILE_STORAGE_KEYS.AUTO_PROFILE_RULES
+                        PROFILE_STORAGE_KEYS.AUTO_PROFILE_RULES,
+                        SYNC_PROFILE_IDS_KEY
                     ]);
+                    const syncProfiles = await loadSyncProfiles(syncData);
 
                     // If we have sync data, use it
-                    if (syncData[PROFILE_STORAGE_KEYS.PROFILES]) {
+                    if (syncProfiles) {
                         return {
                             syncEnabled: true,
                             activeProfileId: syncData[PROFILE_STORAGE_KEYS.ACTIVE_PROFILE_ID] || 'default',
-                            profiles: syncData[PROFILE_STORAGE_KEYS.PROFILES] || {},
+                            profiles: syncProfiles,
                             autoProfileRules: syncData[PROFILE_STORAGE_KEYS.AUTO_PROFILE_RULES] || []
                         };
                     }
@@ -419,28 +701,19 @@
                 [PROFILE_STORAGE_KEYS.AUTO_PROFILE_RULES]: autoProfileRules
             };
 
-            // Save to appropriate storage
-            const storage = getStorage(syncEnabled);
-
-            // Check storage quota for sync (100KB limit)
+            // Sync storage takes one item per profile, each within its quota
             if (syncEnabled && browser.storage.sync) {
-                const dataSize = new Blob([JSON.stringify(profileData)]).size;
-                // Leave some headroom (90KB of 100KB limit)
-                if (dataSize > 90000) {
-                    return {
-                        success: false,
-                        error: 'Profile data exceeds sync storage limit. Please reduce number of profiles or custom presets.'
-                    };
+                const syncCheck = validateSyncSize(data);
+                if (!syncCheck.valid) {
+                    return { success: false, error: syncCheck.error };
                 }
-            }
 
-            await storage.set(profileData);
-
-            // Also save to local as backup
-            if (syncEnabled) {
-                await browser.storage.local.set(profileData);
+                await writeSyncProfileData(data);
             }
 
+            // Local storage holds the profiles, or a backup of the synced ones
+            await browser.storage.local.set(profileData);
+
             return { success: true };
         } catch (error) {
             console.error('[Claude Width Profiles] Error saving profile data:', error);
@@ -758,22 +1031,12 @@
 
             // If enabling sync, copy local data to sync
             if (enabled && !data.syncEnabled) {
-                const profileData = {
-                    [PROFILE_STORAGE_KEYS.ACTIVE_PROFILE_ID]: data.activeProfileId,
-                    [PROFILE_STORAGE_KEYS.PROFILES]: data.profiles,
-                    [PROFILE_STORAGE_KEYS.AUTO_PROFILE_RULES]: data.autoProfileRules
-                };
-
-                // Check size limit
-                const dataSize = new Blob([JSON.stringify(profileData)]).size;
-                if (dataSize > 90000) {
-                    return {
-                        success: false,
-                        error: 'Profile data is too large for sync storage. Please reduce profiles or custom presets.'
-                    };
+                const syncCheck = validateSyncSize(data);
+                if (!syncCheck.valid) {
+                    return { success: false, error: syncCheck.error };
                 }
 
-                await browser.storage.sync.set(profileData);
+                await writeSyncProfileData(data);
             }
 
             // Update sync enabled flag
@@ -857,20 +1120,88 @@
     }
 
     /**
-     * Get the profile to use for a given URL based on auto-profile rules.
+     * Generate a unique auto-profile rule ID.
      *
-     * @param {string} url - Current URL
-     * @returns {Promise<string|null>} Profile ID or null if no rule matches
+     * @returns {string} Unique rule ID
      */
-    async function getAutoProfileForUrl(url) {
-        const data = await loadProfileData();
+    function generateRuleId() {
+        const timestamp = Date.now().toString(36);
+        const random = Math.random().toString(36).substring(2, 8);
+        return `rule_${timestamp}_${random}`;
+    }
+
+    /**
+     * Sanitize an auto-profile rule, filling in id, enabled and priority
+     * for rules saved before v1.10.0.
+     *
+     * @param {Object} rule - Rule to sanitize
+     * @param {number} [index=0] - Position in the rule list (fallback priority)
+     * @returns {AutoProfileRule|null} Sanitized rule, or null if unusable
+     */
+    function sanitizeAutoProfileRule(rule, index = 0) {
+        if (!rule || typeof rule !== 'object') {
+            return null;
+        }
 
-        for (const rule of data.autoProfileRules) {
+        const pattern = typeof rule.pattern === 'string' ? rule.pattern.trim() : '';
+        if (!pattern || typeof rule.profileId !== 'string' || !rule.profileId) {
+            return null;
+        }
+
+        return {
+            id: typeof rule.id === 'string' && rule.id ? rule.id : generateRuleId(),
+            pattern: pattern,
+            profileId: rule.profileId,
+            enabled: typeof rule.enabled === 'boolean' ? rule.enabled : true,
+            priority: typeof rule.priority === 'number' && Number.isFinite(rule.priority)
+                ? Math.round(rule.priority)
+                : index
+        };
+    }
+
+    /**
+     * Sanitize a list of auto-profile rules, dropping unusable entries.
+     *
+     * @param {Array} rules - Rules to sanitize
+     * @returns {AutoProfileRule[]} Sanitized rules
+     */
+    function sanitizeAutoProfileRules(rules) {
+        if (!Array.isArray(rules)) {
+            return [];
+        }
+
+        return rules
+            .map((rule, index) => sanitizeAutoProfileRule(rule, index))
+            .filter(rule => rule !== null);
+    }
+
+    /**
+     * Find the first enabled rule matching a URL, in priority order.
+     * Rules pointing at missing profiles are skipped. Ties on priority
+     * keep list order.
+     *
+     * @param {string} url - URL to match
+     * @param {AutoProfileRule[]} rules - Rules to evaluate
+     * @param {Object<string, Profile>} profiles - Existing profiles
+     * @returns {AutoProfileRule|null} Matching rule or null
+     */
+    function findAutoProfileRule(url, rules, profiles) {
+        if (!url || !Array.isArray(rules)) {
+            return null;
+        }
+
+        const ordered = rules
+            .map((rule, index) => ({ rule, index }))
+            .filter(({ rule }) => rule && rule.enabled !== false && profiles && profiles[rule.profileId])
+            .sort((a, b) => {
+                const priorityA = typeof a.rule.priority === 'number' ? a.rule.priority : a.index;
+                const priorityB = typeof b.rule.priority === 'number' ? b.rule.priority : b.index;
+                return (priorityA - priorityB) || (a.index - b.index);
+            });
+
+        for (const { rule } of ordered) {
             if (matchUrlPattern(url, rule.pattern)) {
-                // Verify the profile still exists
-                if (data.profiles[rule.profileId]) {
-                    return rule.profileId;
-                }
+                return rule;
             }
         }
 
@@ -878,47 +1209,143 @@
     }
 
     /**
-     * Add an auto-profile rule.
+     * Get the auto-profile rule that applies to a URL.
+     *
+     * @param {string} url - Current URL
+     * @returns {Promise<AutoProfileRule|null>} Matching rule or null
+     */
+    async function getAutoProfileRuleForUrl(url) {
+        const data = await loadProfileData();
+        return findAutoProfileRule(url, data.autoProfileRules, data.profiles);
+    }
+
+    /**
+     * Get the profile to use for a given URL based on auto-profile rules.
+     *
+     * @param {string} url - Current URL
+     * @returns {Promise<string|null>} Profile ID or null if no rule matches
+     */
+    async function getAutoProfileForUrl(url) {
+        const rule = await getAutoProfileRuleForUrl(url);
+        return rule ? rule.profileId : null;
+    }
+
+    /**
+     * Add an auto-profile rule. New rules run after all existing rules
+     * unless a priority is given.
      *
      * @param {string} pattern - URL pattern
      * @param {string} profileId - Profile ID to activate
-     * @returns {Promise<{success: boolean, error?: string}>} Result
+     * @param {Object} [options={}] - Rule options
+     * @param {boolean} [options.enabled=true] - Whether the rule is active
+     * @param {number} [options.priority] - Evaluation order, lower runs first
+     * @returns {Promise<{success: boolean, id?: string, error?: string}>} Result
      */
-    async function addAutoProfileRule(pattern, profileId) {
-        if (!pattern || typeof pattern !== 'string') {
+    async function addAutoProfileRule(pattern, profileId, options = {}) {
+        if (!pattern || typeof pattern !== 'string' || !pattern.trim()) {
             return { success: false, error: 'Invalid URL pattern' };
         }
 
         const data = await loadProfileData();
+        const rules = sanitizeAutoProfileRules(data.autoProfileRules);
 
         if (!data.profiles[profileId]) {
             return { success: false, error: 'Profile not found' };
         }
 
         // Check for duplicate pattern
-        if (data.autoProfileRules.some(r => r.pattern === pattern)) {
+        if (rules.some(r => r.pattern === pattern.trim())) {
             return { success: false, error: 'A rule with this pattern already exists' };
         }
 
-        data.autoProfileRules.push({
+        const nextPriority = rules.reduce((max, r) => Math.max(max, r.priority + 1), 0);
+        const rule = sanitizeAutoProfileRule({
+            id: generateRuleId(),
             pattern: pattern,
-            profileId: profileId
-        });
+            profileId: profileId,
+            enabled: options.enabled,
+            priority: options.priority
+        }, nextPriority);
+
+        rules.push(rule);
+        data.autoProfileRules = rules;
 
+        const result = await saveProfileData(data);
+        return result.success ? { success: true, id: rule.id } : result;
+    }
+
+    /**
+     * Update an auto-profile rule.
+     *
+     * @param {string} ruleId - Rule ID to update
+     * @param {Object} updates - Fields to change (pattern, profileId, enabled, priority)
+     * @returns {Promise<{success: boolean, error?: string}>} Result
+     */
+    async function updateAutoProfileRule(ruleId, updates) {
+        const data = await loadProfileData();
+        const rules = sanitizeAutoProfileRules(data.autoProfileRules);
+        const index = rules.findIndex(r => r.id === ruleId);
+
+        if (index === -1) {
+            return { success: false, error: 'Rule not found' };
+        }
+
+        const updated = sanitizeAutoProfileRule({ ...rules[index], ...updates, id: ruleId }, index);
+        if (!updated) {
+            return { success: false, error: 'Invalid URL pattern' };
+        }
+
+        if (!data.profiles[updated.profileId]) {
+            return { success: false, error: 'Profile not found' };
+        }
+
+        if (rules.some(r => r.id !== ruleId && r.pattern === updated.pattern)) {
+            return { success: false, error: 'A rule with this pattern already exists' };
+        }
+
+        rules[index] = updated;
+        data.autoProfileRules = rules;
+        return saveProfileData(data);
+    }
+
+    /**
+     * Reorder auto-profile rules. Priorities are reassigned from the given
+     * order; rules missing from the list keep their relative order after it.
+     *
+     * @param {string[]} ruleIds - Rule IDs in the desired evaluation order
+     * @returns {Promise<{success: boolean, error?: string}>} Result
+     */
+    async function reorderAutoProfileRules(ruleIds) {
+        if (!Array.isArray(ruleIds)) {
+            return { success: false, error: 'Invalid rule order' };
+        }
+
+        const data = await loadProfileData();
+        const rules = sanitizeAutoProfileRules(data.autoProfileRules)
+            .sort((a, b) => a.priority - b.priority);
+
+        const ordered = [
+            ...ruleIds.map(id => rules.find(r => r.id === id)).filter(Boolean),
+            ...rules.filter(r => !ruleIds.includes(r.id))
+        ];
+
+        data.autoProfileRules = ordered.map((rule, index) => ({ ...rule, priority: index }));
         return saveProfileData(data);
     }
 
     /**
      * Remove an auto-profile rule.
      *
-     * @param {string} pattern - URL pattern to remove
+     * @param {string} ruleIdOrPattern - Rule ID, or URL pattern for rules saved before v1.10.0
      * @returns {Promise<{success: boolean, error?: string}>} Result
      */
-    async function removeAutoProfileRule(pattern) {
+    async function removeAutoProfileRule(ruleIdOrPattern) {
         const data = await loadProfileData();
 
         const initialLength = data.autoProfileRules.length;
-        data.autoProfileRules = data.autoProfileRules.filter(r => r.pattern !== pattern);
+        data.autoProfileRules = data.autoProfileRules.filter(
+            r => r.id !== ruleIdOrPattern && r.pattern !== ruleIdOrPattern
+        );
 
         if (data.autoProfileRules.length === initialLength) {
             return { success: false, error: 'Rule not found' };
@@ -941,6 +1368,12 @@
     function profileToFlatSettings(profile) {
         return {
             chatWidthPercent: profile.chatWidthPercent,
+            // Profiles saved before v1.10.0 have no unit or tiers; always write
+            // both so switching profiles never keeps the previous profile's
+            chatWidthUnit: Units.normalizeUnit(profile.chatWidthUnit),
+            widthBreakpoints: Breakpoints.sanitizeBreakpoints(profile.widthBreakpoints),
+            autoWidth: profile.autoWidth === true,
+            autoWidthBounds: profile.autoWidthBounds ?? null,
             theme: profile.theme,
             customPresets: profile.customPresets,
             fontSizePercent: profile.fontSizePercent,
@@ -950,9 +1383,48 @@
             codeBlockMaxHeight: profile.codeBlockMaxHeight,
             codeBlockWordWrap: profile.codeBlockWordWrap,
             codeBlocksCollapsed: profile.codeBlocksCollapsed,
+            codePreviewLines: profile.codePreviewLines ?? ENHANCED_DEFAULTS.codePreviewLines,
+            codeCollapseMinLines: profile.codeCollapseMinLines ?? ENHANCED_DEFAULTS.codeCollapseMinLines,
+            codeFontFamily: profile.codeFontFamily || ENHANCED_DEFAULTS.codeFontFamily,
+            customCodeFontFamily: profile.customCodeFontFamily || '',
+            codeFontSize: profile.codeFontSize ?? ENHANCED_DEFAULTS.codeFontSize,
+            codeTabSize: profile.codeTabSize ?? ENHANCED_DEFAULTS.codeTabSize,
+            codeLigatures: profile.codeLigatures !== false,
+            codeLineNumbers: profile.codeLineNumbers === true,
+            tableLayout: profile.tableLayout || ENHANCED_DEFAULTS.tableLayout,
+            tableCopyButtons: profile.tableCopyButtons === true,
+            foldHumanMessages: profile.foldHumanMessages === true,
+            foldAssistantMessages: profile.foldAssistantMessages === true,
+            messageFoldHeight: profile.messageFoldHeight ?? ENHANCED_DEFAULTS.messageFoldHeight,
+            humanMessageWidth: profile.humanMessageWidth ?? ENHANCED_DEFAULTS.humanMessageWidth,
+            humanMessageAlignment: profile.humanMessageAlignment ?? ENHANCED_DEFAULTS.humanMessageAlignment,
+            humanMessageTint: profile.humanMessageTint ?? ENHANCED_DEFAULTS.humanMessageTint,
+            humanMessageFontScale: profile.humanMessageFontScale ?? ENHANCED_DEFAULTS.humanMessageFontScale,
+            assistantMessageWidth: profile.assistantMessageWidth ?? ENHANCED_DEFAULTS.assistantMessageWidth,
+            assistantMessageAlignment: profile.assistantMessageAlignment ?? ENHANCED_DEFAULTS.assistantMessageAlignment,
+            assistantMessageTint: profile.assistantMessageTint ?? ENHANCED_DEFAULTS.assistantMessageTint,
+            assistantMessageFontScale: profile.assistantMessageFontScale ?? ENHANCED_DEFAULTS.assistantMessageFontScale,
             showTimestamps: profile.showTimestamps,
             showAvatars: profile.showAvatars,
-            messageBubbleStyle: profile.messageBubbleStyle
+            messageBubbleStyle: profile.messageBubbleStyle,
+            // Profiles saved before v1.10.0 have none of these; write the
+            // defaults so the previous profile's values don't carry over
+            showResizeHandles: profile.showResizeHandles !== false,
+            chatAlignment: profile.chatAlignment || ENHANCED_DEFAULTS.chatAlignment,
+            chatAlignmentOffset: profile.chatAlignmentOffset ?? ENHANCED_DEFAULTS.chatAlignmentOffset,
+            sidebarMode: profile.sidebarMode || ENHANCED_DEFAULTS.sidebarMode,
+            sidebarWidth: profile.sidebarWidth ?? ENHANCED_DEFAULTS.sidebarWidth,
+            focusMode: profile.focusMode === true,
+            focusWidth: profile.focusWidth ?? ENHANCED_DEFAULTS.focusWidth,
+            focusWidthUnit: Units.normalizeUnit(profile.focusWidthUnit),
+            fontFamily: profile.fontFamily || ENHANCED_DEFAULTS.fontFamily,
+            customFontFamily: profile.customFontFamily || '',
+            letterSpacing: profile.letterSpacing || ENHANCED_DEFAULTS.letterSpacing,
+            paragraphSpacing: profile.paragraphSpacing || ENHANCED_DEFAULTS.paragraphSpacing,
+            headingScale: profile.headingScale || ENHANCED_DEFAULTS.headingScale,
+            selectorOverrides: profile.selectorOverrides || {},
+            customCSS: profile.customCSS || '',
+            customCSSEnabled: profile.customCSSEnabled !== false
         };
     }
 
@@ -967,6 +1439,7 @@
             const { profile } = await getActiveProfile();
             const flatSettings = profileToFlatSettings(profile);
 
+            expectFlatEchoes(flatSettings);
             await browser.storage.local.set(flatSettings);
             return { success: true };
         } catch (error) {
@@ -975,6 +1448,123 @@
         }
     }
 
+    // =========================================================================
+    // FLAT SETTINGS WRITE-BACK (v1.10.0)
+    // =========================================================================
+
+    /**
+     * How long a value pushed down by applyActiveProfileToStorage() is
+     * treated as an echo when it comes back through storage.onChanged.
+     * @type {number}
+     */
+    const ECHO_WINDOW_MS = 1000;
+
+    /**
+     * Flat values recently written from a profile, keyed by storage key.
+     * @type {Map<string, {value: string, expires: number}>}
+     */
+    const pendingFlatEchoes = new Map();
+
+    /**
+     * Get the flat storage keys that mirror profile fields.
+     *
+     * @returns {string[]} Flat keys
+     */
+    function getProfileFlatKeys() {
+        return Object.keys(profileToFlatSettings(PROFILE_DEFAULTS));
+    }
+
+    /**
+     * Remember values about to be pushed from a profile into flat storage,
+     * so the resulting storage change is not written back into a profile.
+     *
+     * @param {Object} flatSettings - Flat settings being written
+     */
+    function expectFlatEchoes(flatSettings) {
+        const expires = Date.now() + ECHO_WINDOW_MS;
+        for (const [key, value] of Object.entries(flatSettings)) {
+            pendingFlatEchoes.set(key, { value: JSON.stringify(value), expires });
+        }
+    }
+
+    /**
+     * Check (and consume) whether a flat storage change is the echo of a
+     * profile being applied rather than a user edit.
+     *
+     * @param {string} key - Flat storage key
+     * @param {*} value - New value
+     * @returns {boolean} True if the change should be ignored
+     */
+    function isFlatEcho(key, value) {
+        const echo = pendingFlatEchoes.get(key);
+        if (!echo) {
+            return false;
+        }
+
+        pendingFlatEchoes.delete(key);
+        return echo.expires >= Date.now() && echo.value === JSON.stringify(value);
+    }
+
+    /**
+     * Persist flat-key edits (popup, shortcuts, content script) into the
+     * active profile. Echoes of applyActiveProfileToStorage() and values the
+     * profile already holds are skipped, so the two stores never ping-pong.
+     *
+     * Callers that queue the write-back should pass the profile that was
+     * active when the change was seen; a profile switch in between would
+     * otherwise send the edit to the new profile.
+     *
+     * @param {Object} changes - storage.onChanged changes object
+     * @param {string} [profileId] - Profile the edit belongs to (defaults to the active profile)
+     * @returns {Promise<{success: boolean, updatedKeys: string[], error?: string}>} Result
+     */
+    async function persistFlatChangesToActiveProfile(changes, profileId) {
+        const updates = {};
+
+        for (const key of getProfileFlatKeys()) {
+            if (!changes[key] || !('newValue' in changes[key])) continue;
+
+            const value = changes[key].newValue;
+            if (isFlatEcho(key, value)) continue;
+
+            updates[key] = value;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return { success: true, updatedKeys: [] };
+        }
+
+        try {
+            const data = await loadProfileData();
+            const id = profileId || data.activeProfileId;
+            const profile = data.profiles[id];
+
+            // Nothing stored yet (pre-migration), or the profile has since been
+            // deleted: leave flat keys as the source of truth
+            if (!profile) {
+                return { success: true, updatedKeys: [] };
+            }
+
+            const changed = {};
+            for (const [key, value] of Object.entries(updates)) {
+                if (JSON.stringify(profile[key]) !== JSON.stringify(value)) {
+                    changed[key] = value;
+                }
+            }
+
+            const updatedKeys = Object.keys(changed);
+            if (updatedKeys.length === 0) {
+                return { success: true, updatedKeys };
+            }
+
+            const result = await updateProfileById(id, changed);
+            return { ...result, updatedKeys: result.success ? updatedKeys : [] };
+        } catch (error) {
+            console.error('[Claude Width Profiles] Write-back error:', error);
+            return { success: false, updatedKeys: [], error: error.message };
+        }
+    }
+
     // =========================================================================
     // EXPOSE PUBLIC API
     // =========================================================================
@@ -998,6 +1588,7 @@
         // Storage operations
         loadProfileData,
         saveProfileData,
+        validateSyncSize,
         getActiveProfile,
         setActiveProfile,
         addProfile,
@@ -1015,14 +1606,24 @@
 
         // Auto-profile
         getAutoProfileForUrl,
+        getAutoProfileRuleForUrl,
+        findAutoProfileRule,
         addAutoProfileRule,
+        updateAutoProfileRule,
+        reorderAutoProfileRules,
         removeAutoProfileRule,
+        sanitizeAutoProfileRule,
+        sanitizeAutoProfileRules,
         matchUrlPattern,
 
         // Conversion
         profileToFlatSettings,
         applyActiveProfileToStorage,
 
+        // Flat settings write-back
+        getProfileFlatKeys,
+        persistFlatChangesToActiveProfile,
+
         // Utilities
         generateProfileId
     };
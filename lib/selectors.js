@@ -0,0 +1,880 @@
+/**
+ * Claude Chat Width Customizer - Selector Registry
+ * ================================================
+ *
+ * Every CSS selector the extension uses to find parts of the claude.ai page,
+ * grouped by the role the element plays (sidebar, composer, code block...).
+ *
+ * Each role has an ordered chain of strategies. A strategy is one way of
+ * recognising the role, tagged with the extension release whose testing last
+ * verified it against the live claude.ai UI, or null until someone has
+ * checked it there. When Claude is redesigned, add
+ * a strategy for the new markup at the front of the chain and keep the old
+ * ones behind it as fallbacks for pages still on the previous UI.
+ *
+ * Two ways to use a role:
+ * - getSelector() joins the whole chain. Stylesheets use it, since they
+ *   must also match elements that render later.
+ * - resolveRole() tries the strategies in order against the page and
+ *   returns the first that matches. The winner is remembered per role
+ *   and reported by getResolutions() for diagnostics.
+ *
+ * Users can add their own selectors per role (v1.10.0), for the active
+ * profile or for all profiles. setOverrides() puts them at the front of the
+ * chain as 'profile-override' and 'global-override' strategies, so both
+ * ways of using a role pick them up.
+ *
+ * @author DoubleGate
+ * @version 1.9.1
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    const {
+        MAX_SELECTOR_OVERRIDES,
+        SELECTOR_OVERRIDE_MAX_LENGTH
+    } = window.ClaudeWidthConstants;
+
+    // =========================================================================
+    // REGISTRY
+    // =========================================================================
+
+    /**
+     * @typedef {Object} SelectorStrategy
+     * @property {string} id - Strategy name, unique within its role
+     * @property {string|null} verified - Extension release that last verified it against claude.ai,
+     *           null for user overrides and strategies not yet checked on the live site
+     * @property {string[]} selectors - Selectors that together recognise the role
+     */
+
+    /**
+     * @typedef {Object} SelectorRole
+     * @property {string} description - What the role is on the page
+     * @property {boolean} [required] - Present on every conversation page, so the
+     *           health check reports the page as degraded when it matches nothing
+     * @property {SelectorStrategy[]} strategies - Strategies, most preferred first
+     */
+
+    /**
+     * Claude.ai uses React with dynamically-generated class names (Tailwind CSS + custom classes).
+     * Class names may change between deployments, so each role combines several kinds of strategy:
+     *
+     * 1. **Semantic Elements** - <nav>, <main>, <time>, <pre> are reliable
+     * 2. **ARIA and Test IDs** - role, aria-label and data-testid attributes are more stable
+     * 3. **Class Pattern Matching** - [class*="Foo"] catches FooBar, BarFoo, etc.,
+     *    in both PascalCase (React components) and kebab-case (CSS classes)
+     * 4. **Exclusion Patterns** - :not() prevents matching unwanted containers
+     *
+     * @type {Object<string, SelectorRole>}
+     */
+    const SELECTOR_REGISTRY = {
+        /**
+         * Sidebar: conversation history, navigation menu, settings and project
+         * selector. Width styles never apply to it or anything inside it, and
+         * content/sidebar.js resizes it.
+         */
+        sidebar: {
+            description: 'Sidebar with navigation and conversation history',
+            strategies: [
+                {
+                    id: 'semantic',
+                    verified: '1.9.1',
+                    selectors: [
+                        'nav',                                 // HTML5 <nav> element
+                        'aside',                               // HTML5 <aside> element (sidebar content)
+                        '[role="navigation"]'                  // ARIA navigation landmark
+                    ]
+                },
+                {
+                    id: 'test-id',
+                    verified: '1.9.1',
+                    selectors: [
+                        '[data-testid="sidebar"]',             // Direct sidebar test ID
+                        '[data-testid="side-nav"]',            // Side navigation test ID
+                        '[data-testid="history-panel"]'        // Conversation history panel
+                    ]
+                },
+                {
+                    id: 'aria-label',
+                    verified: '1.9.1',
+                    selectors: [
+                        '[aria-label*="sidebar" i]',           // Any element labeled as sidebar
+                        '[aria-label*="navigation" i]',        // Any element labeled as navigation
+                        '[aria-label*="history" i]',           // Any element labeled as history
+                        '[aria-label*="menu" i]'               // Any element labeled as menu
+                    ]
+                },
+                {
+                    id: 'class-name',
+                    verified: '1.9.1',
+                    selectors: [
+                        '[class*="Sidebar"]',                  // Sidebar, LeftSidebar, SidebarNav, etc.
+                        '[class*="SideNav"]',                  // SideNav, SideNavigation, etc.
+                        '[class*="LeftPanel"]',                // LeftPanel, LeftPanelContainer, etc.
+                        '[class*="NavPanel"]',                 // NavPanel, NavPanelWrapper, etc.
+                        '[class*="NavigationMenu"]',           // NavigationMenu component
+                        '[class*="HistoryPanel"]',             // HistoryPanel for conversation list
+                        '[class*="ConversationList"]',         // ConversationList component
+                        '[class*="sidebar"]',                  // sidebar, left-sidebar, sidebar-nav
+                        '[class*="sidenav"]',                  // sidenav, sidenav-container
+                        '[class*="side-nav"]',                 // side-nav, side-nav-wrapper
+                        '[class*="left-panel"]',               // left-panel, left-panel-container
+                        '[class*="nav-panel"]',                // nav-panel, nav-panel-wrapper
+                        '[class*="navigation-menu"]',          // navigation-menu class
+                        '[class*="history-panel"]',            // history-panel for conversations
+                        '[class*="conversation-list"]'         // conversation-list component
+                    ]
+                }
+            ]
+        },
+
+        /**
+         * Top bar with the conversation title and its menus. Hidden in focus mode.
+         */
+        header: {
+            description: 'Page header above the conversation',
+            strategies: [
+                {
+                    id: 'semantic',
+                    verified: null,
+                    selectors: [
+                        'header',                              // HTML5 <header> element
+                        '[role="banner"]'                      // ARIA banner landmark
+                    ]
+                },
+                {
+                    id: 'test-id',
+                    verified: null,
+                    selectors: ['[data-testid="page-header"]', '[data-testid="chat-header"]']
+                }
+            ]
+        },
+
+        /**
+         * Notices across the page: upgrade offers, usage limits, announcements.
+         * Hidden in focus mode.
+         */
+        banner: {
+            description: 'Notice and announcement banners',
+            strategies: [
+                {
+                    id: 'test-id',
+                    verified: null,
+                    selectors: ['[data-testid*="banner"]']
+                },
+                {
+                    id: 'class-name',
+                    verified: null,
+                    selectors: [
+                        '[class*="Banner"]',                   // Banner, UpgradeBanner, NoticeBanner, etc.
+                        '[class*="banner"]'                    // banner, top-banner, etc.
+                    ]
+                }
+            ]
+        },
+
+        /**
+         * Model picker next to the composer. Hidden in focus mode.
+         */
+        modelSelector: {
+            description: 'Model selector',
+            strategies: [
+                {
+                    id: 'test-id',
+                    verified: null,
+                    selectors: ['[data-testid="model-selector-dropdown"]']
+                },
+                {
+                    id: 'class-name',
+                    verified: null,
+                    selectors: ['[class*="ModelSelector"]', '[class*="model-selector"]']
+                }
+            ]
+        },
+
+        /**
+         * Main conversation region the DOM observer attaches to.
+         */
+        conversation: {
+            description: 'Main conversation region',
+            required: true,
+            strategies: [
+                {
+                    id: 'landmark',
+                    verified: null,
+                    selectors: ['main', '[role="main"]']
+                }
+            ]
+        },
+
+        /**
+         * Centered column wrappers that get the chat width, width and alignment.
+         */
+        column: {
+            description: 'Centered chat column',
+            required: true,
+            strategies: [
+                {
+                    id: 'tailwind',
+                    verified: '1.9.1',
+                    selectors: ['[class*="mx-auto"]']          // Tailwind horizontal centering
+                }
+            ]
+        },
+
+        /**
+         * Message input. Sized like the column so it lines up with the thread.
+         */
+        composer: {
+            description: 'Message composer',
+            required: true,
+            strategies: [
+                {
+                    id: 'class-name',
+                    verified: '1.9.1',
+                    selectors: ['[class*="Composer"]', '[class*="composer"]']
+                },
+                {
+                    id: 'semantic',
+                    verified: '1.9.1',
+                    selectors: ['form']
+                }
+            ]
+        },
+
+        /**
+         * Plain wrappers directly inside the sticky footer around the composer.
+         */
+        stickyFooter: {
+            description: 'Sticky footer around the composer',
+            strategies: [
+                {
+                    id: 'class-name',
+                    verified: '1.9.1',
+                    selectors: ['[class*="sticky"] > div']
+                }
+            ]
+        },
+
+        /**
+         * Thread and message wrappers that are capped at the chat width.
+         */
+        thread: {
+            description: 'Conversation thread and message wrappers',
+            required: true,
+            strategies: [
+                {
+                    id: 'class-name',
+                    verified: '1.9.1',
+                    selectors: [
+                        '[class*="Message"]',
+                        '[class*="message"]',
+                        '[class*="Thread"]',
+                        '[class*="thread"]',
+                        '[class*="Conversation"]',
+                        '[class*="conversation"]'
+                    ]
+                }
+            ]
+        },
+
+        /**
+         * Individual messages: padding and bubble style. Lists that wrap
+         * several messages are excluded.
+         */
+        message: {
+            description: 'Individual message',
+            required: true,
+            strategies: [
+                {
+                    id: 'test-id',
+                    verified: '1.9.1',
+                    selectors: [
+                        '[data-testid*="message"]',            // Test ID containing "message"
+                        '[data-testid*="turn"]'                // Test ID containing "turn"
+                    ]
+                },
+                {
+                    id: 'class-name',
+                    verified: '1.9.1',
+                    selectors: [
+                        '[class*="Message"]:not([class*="MessageList"])',    // Exclude message lists
+                        '[class*="message"]:not([class*="message-list"])',   // kebab-case with exclusion
+                        '[class*="ConversationMessage"]',      // Conversation-level message wrapper
+                        '[class*="ChatMessage"]'               // Chat-specific message wrapper
+                    ]
+                },
+                {
+                    id: 'turn',
+                    verified: '1.9.1',
+                    selectors: [
+                        '[class*="turn-"]',                    // Hyphenated turn prefix
+                        '[class*="Turn"]'                      // PascalCase turn containers
+                    ]
+                }
+            ]
+        },
+
+        /**
+         * Marks a message as the user's. Long ones can be folded (v1.10.0).
+         */
+        humanMessage: {
+            description: 'Your message',
+            strategies: [
+                {
+                    id: 'test-id',
+                    verified: null,
+                    selectors: ['[data-testid="user-message"]']
+                },
+                {
+                    id: 'class-name',
+                    verified: null,
+                    selectors: ['[class*="HumanContent"]', '[class*="human-turn"]']
+                }
+            ]
+        },
+
+        /**
+         * Marks a message as Claude's. Long ones can be folded (v1.10.0).
+         */
+        assistantMessage: {
+            description: 'Claude\'s message',
+            strategies: [
+                {
+                    id: 'class-name',
+                    verified: null,
+                    selectors: [
+                        '[class*="font-claude-message"]',      // Claude's reply text
+                        '[class*="AssistantContent"]',
+                        '[class*="assistant-turn"]'
+                    ]
+                },
+                {
+                    id: 'streaming',
+                    verified: null,
+                    selectors: ['[data-is-streaming]']         // Set on replies, streaming or not
+                }
+            ]
+        },
+
+        /**
+         * Text-containing elements that get the font size and line height.
+         */
+        messageText: {
+            description: 'Message text',
+            strategies: [
+                {
+                    id: 'prose',
+                    verified: '1.9.1',
+                    selectors: [
+                        // Claude's primary text container (Tailwind Typography plugin)
+                        '.prose',
+                        '.prose p',
+                        '.prose li',
+                        '.prose span',
+                        '.prose div',
+                        '[class*="prose"]',                    // Any class containing "prose" (e.g., prose-sm)
+                        '[class*="prose"] p',
+                        '[class*="prose"] li'
+                    ]
+                },
+                {
+                    id: 'class-name',
+                    verified: '1.9.1',
+                    selectors: [
+                        '[class*="Message"]',                  // PascalCase (MessageContent, MessageBody, etc.)
+                        '[class*="message"]',                  // kebab-case variants
+                        '[class*="MessageContent"]',
+                        '[class*="message-content"]',
+                        '[class*="ConversationMessage"]',
+                        '[class*="conversation-message"]',
+                        '[class*="ChatMessage"]',
+                        '[class*="chat-message"]',
+                        '[class*="Markdown"]',                 // Rendered markdown content
+                        '[class*="markdown"]',
+                        '[class*="MarkdownContent"]'
+                    ]
+                },
+                {
+                    id: 'turn',
+                    verified: '1.9.1',
+                    selectors: [
+                        '[class*="ResponseContent"]',          // Claude's response content
+                        '[class*="HumanContent"]',             // User's message content
+                        '[class*="AssistantContent"]',         // Assistant-specific content
+                        '[class*="human-turn"]',
+                        '[class*="assistant-turn"]'
+                    ]
+                }
+            ]
+        },
+
+        /**
+         * Rendered markdown blocks, which fill their container.
+         */
+        prose: {
+            description: 'Rendered markdown',
+            strategies: [
+                {
+                    id: 'prose',
+                    verified: '1.9.1',
+                    selectors: ['.prose', '[class*="prose"]']
+                },
+                {
+                    id: 'markdown',
+                    verified: '1.9.1',
+                    selectors: ['[class*="Markdown"]', '[class*="markdown"]']
+                }
+            ]
+        },
+
+        /**
+         * User and Claude profile pictures, hidden on request.
+         */
+        avatar: {
+            description: 'Avatar',
+            strategies: [
+                {
+                    id: 'test-id',
+                    verified: '1.9.1',
+                    selectors: ['[data-testid*="avatar"]']
+                },
+                {
+                    id: 'class-name',
+                    verified: '1.9.1',
+                    selectors: [
+                        '[class*="avatar" i]',                 // Case-insensitive avatar class match
+                        '[class*="Avatar"]',                   // PascalCase (AvatarComponent, UserAvatar)
+                        '[class*="profile-pic" i]',            // Profile picture containers
+                        '[class*="user-icon" i]',              // User icon containers
+                        '[class*="ProfileImage"]',             // Profile image wrapper
+                        '[class*="UserIcon"]',                 // User icon component
+                        '[class*="ClaudeIcon"]',               // Claude's avatar icon
+                        '[class*="HumanIcon"]'                 // Human user's avatar icon
+                    ]
+                },
+                {
+                    id: 'image-alt',
+                    verified: '1.9.1',
+                    selectors: [
+                        'img[alt*="avatar" i]',                // Images with "avatar" in alt text
+                        'img[alt*="profile" i]'                // Images with "profile" in alt text
+                    ]
+                }
+            ]
+        },
+
+        /**
+         * Message time indicators, hidden on request.
+         */
+        timestamp: {
+            description: 'Message timestamp',
+            strategies: [
+                {
+                    id: 'semantic',
+                    verified: '1.9.1',
+                    selectors: [
+                        'time',                                // HTML5 <time> element
+                        '[datetime]'                           // Any element with datetime attribute
+                    ]
+                },
+                {
+                    id: 'test-id',
+                    verified: '1.9.1',
+                    selectors: [
+                        '[data-testid*="timestamp"]',
+                        '[data-testid*="time"]'
+                    ]
+                },
+                {
+                    id: 'class-name',
+                    verified: '1.9.1',
+                    selectors: [
+                        '[class*="timestamp" i]',              // Case-insensitive timestamp match
+                        '[class*="Timestamp"]',
+                        '[class*="TimeAgo"]',                  // "2 hours ago" style displays
+                        '[class*="time-ago"]',
+                        '[class*="MessageTime"]',
+                        '[class*="message-time"]'
+                    ]
+                }
+            ]
+        },
+
+        /**
+         * Code block elements: fill the column, get expand buttons when
+         * collapsed and are measured by auto width.
+         */
+        codeBlock: {
+            description: 'Code block',
+            strategies: [
+                {
+                    id: 'semantic',
+                    verified: '1.9.1',
+                    selectors: ['pre']
+                },
+                {
+                    id: 'class-name',
+                    verified: '1.9.1',
+                    selectors: ['[class*="CodeBlock"]', '[class*="code-block"]']
+                }
+            ]
+        },
+
+        /**
+         * Code inside and around code blocks, which shares their height limit.
+         */
+        codeContainer: {
+            description: 'Code block contents and wrappers',
+            strategies: [
+                {
+                    id: 'semantic',
+                    verified: '1.9.1',
+                    selectors: ['pre code']
+                },
+                {
+                    id: 'test-id',
+                    verified: '1.9.1',
+                    selectors: ['[data-testid*="code-block"]']
+                },
+                {
+                    id: 'class-name',
+                    verified: '1.9.1',
+                    selectors: [
+                        '[class*="codeblock"]',                // No-separator variant
+                        '[class*="code-container"]',
+                        '[class*="CodeContainer"]'
+                    ]
+                }
+            ]
+        }
+    };
+
+    // =========================================================================
+    // STATE
+    // =========================================================================
+
+    /**
+     * Last resolution per role.
+     * @type {Map<string, Object>}
+     */
+    const resolutions = new Map();
+
+    /**
+     * User selectors by role, per scope. The profile's come first.
+     * @type {{profile: Object<string, string[]>, global: Object<string, string[]>}}
+     */
+    const overrides = { profile: {}, global: {} };
+
+    // =========================================================================
+    // LOOKUP
+    // =========================================================================
+
+    /**
+     * Get a role from the registry.
+     *
+     * @param {string} role - Role name
+     * @returns {SelectorRole} Role
+     * @throws {Error} If the role is not in the registry
+     */
+    function getRole(role) {
+        const entry = SELECTOR_REGISTRY[role];
+        if (!entry) {
+            throw new Error(`Unknown selector role: ${role}`);
+        }
+        return entry;
+    }
+
+    /**
+     * Get the strategy chain of a role: user overrides first, then the
+     * built-in strategies.
+     *
+     * @param {string} role - Role name
+     * @returns {SelectorStrategy[]} Strategies, most preferred first
+     */
+    function getChain(role) {
+        const strategies = getRole(role).strategies;
+        const chain = [];
+
+        if (overrides.profile[role]) {
+            chain.push({ id: 'profile-override', verified: null, selectors: overrides.profile[role] });
+        }
+        if (overrides.global[role]) {
+            chain.push({ id: 'global-override', verified: null, selectors: overrides.global[role] });
+        }
+
+        return chain.length > 0 ? chain.concat(strategies) : strategies;
+    }
+
+    /**
+     * Get the names of all roles.
+     *
+     * @returns {string[]} Role names
+     */
+    function getRoles() {
+        return Object.keys(SELECTOR_REGISTRY);
+    }
+
+    /**
+     * Describe a role for people, e.g. in the options page.
+     *
+     * @param {string} role - Role name
+     * @returns {string} What the role is on the page
+     */
+    function describeRole(role) {
+        return getRole(role).description;
+    }
+
+    /**
+     * Check whether a role is expected on every conversation page.
+     *
+     * @param {string} role - Role name
+     * @returns {boolean} True for required roles
+     */
+    function isRequired(role) {
+        return getRole(role).required === true;
+    }
+
+    /**
+     * Get the strategies of a role, most preferred first.
+     *
+     * @param {string} role - Role name
+     * @returns {SelectorStrategy[]} Copies of the strategies
+     */
+    function getStrategies(role) {
+        return getChain(role).map(strategy => ({
+            ...strategy,
+            selectors: [...strategy.selectors]
+        }));
+    }
+
+    /**
+     * Get every selector of a role, across all its strategies.
+     *
+     * @param {string} role - Role name
+     * @returns {string[]} Selectors in chain order
+     */
+    function getSelectorList(role) {
+        return getChain(role).flatMap(strategy => strategy.selectors);
+    }
+
+    /**
+     * Get one selector matching a role by any of its strategies.
+     *
+     * @param {string} role - Role name
+     * @returns {string} Comma-separated selector
+     */
+    function getSelector(role) {
+        return getSelectorList(role).join(', ');
+    }
+
+    // =========================================================================
+    // RESOLUTION
+    // =========================================================================
+
+    /**
+     * Find the first element a strategy matches.
+     *
+     * @param {string} selector - Strategy selector
+     * @param {ParentNode} root - Root to search
+     * @param {function(Element): boolean} [accept] - Filter, such as "not in the sidebar"
+     * @returns {{element: Element|null, count: number}} First accepted match and the accepted match count
+     */
+    function findMatches(selector, root, accept) {
+        let element = null;
+        let count = 0;
+
+        for (const candidate of root.querySelectorAll(selector)) {
+            if (accept && !accept(candidate)) continue;
+            element = element || candidate;
+            count++;
+        }
+
+        return { element, count };
+    }
+
+    /**
+     * Resolve a role against the page: the first strategy, in chain order,
+     * that matches an accepted element wins. The outcome is remembered for
+     * getResolutions(). Invalid selectors are skipped.
+     *
+     * @param {string} role - Role name
+     * @param {ParentNode} [root=document] - Root to search
+     * @param {function(Element): boolean} [accept] - Filter, such as "not in the sidebar"
+     * @returns {{role: string, strategy: string, verified: string, selector: string, element: Element, count: number}|null}
+     *          Winning strategy with its first match, or null if none matched
+     */
+    function resolveRole(role, root = document, accept = null) {
+        const strategies = getChain(role);
+
+        for (let index = 0; index < strategies.length; index++) {
+            const strategy = strategies[index];
+            const selector = strategy.selectors.join(', ');
+            let matches;
+
+            try {
+                matches = findMatches(selector, root, accept);
+            } catch (error) {
+                console.warn(`[Claude Width Selectors] Invalid selector in ${role}/${strategy.id}:`, error);
+                continue;
+            }
+
+            if (matches.element) {
+                const result = {
+                    role,
+                    strategy: strategy.id,
+                    verified: strategy.verified,
+                    fallback: index > 0,
+                    selector,
+                    element: matches.element,
+                    count: matches.count
+                };
+                recordResolution(result);
+                return result;
+            }
+        }
+
+        recordResolution({ role, strategy: null, verified: null, fallback: false, selector: null, element: null, count: 0 });
+        return null;
+    }
+
+    /**
+     * Remember the outcome of a resolution, without the element itself.
+     *
+     * @param {Object} result - Resolution result
+     */
+    function recordResolution(result) {
+        const previous = resolutions.get(result.role);
+
+        if (previous && previous.strategy !== result.strategy) {
+            console.log(`[Claude Width Selectors] ${result.role}: ${previous.strategy || 'no match'} -> ${result.strategy || 'no match'}`);
+        }
+
+        resolutions.set(result.role, {
+            strategy: result.strategy,
+            verified: result.verified,
+            fallback: result.fallback,
+            count: result.count,
+            resolvedAt: Date.now()
+        });
+    }
+
+    /**
+     * Get the last resolution of every role resolved so far.
+     *
+     * @returns {Object<string, {strategy: string|null, verified: string|null, fallback: boolean, count: number, resolvedAt: number}>}
+     *          Resolutions by role; strategy is null when nothing matched
+     */
+    function getResolutions() {
+        const result = {};
+        for (const [role, resolution] of resolutions) {
+            result[role] = { ...resolution };
+        }
+        return result;
+    }
+
+    // =========================================================================
+    // USER OVERRIDES (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Check that a user selector is safe to put in a stylesheet: a single
+     * rule's selector that the browser can parse, without pseudo-elements
+     * (which never match elements) or braces (which could end the rule).
+     *
+     * @param {*} selector - Selector to check
+     * @returns {boolean} True if the selector can be used
+     */
+    function isValidSelector(selector) {
+        if (typeof selector !== 'string') return false;
+
+        const trimmed = selector.trim();
+        if (!trimmed || trimmed.length > SELECTOR_OVERRIDE_MAX_LENGTH) return false;
+        if (/[{}]/.test(trimmed) || trimmed.includes('::')) return false;
+
+        try {
+            document.createDocumentFragment().querySelector(trimmed);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Keep the valid selectors of known roles, trimmed and without
+     * duplicates, at most MAX_SELECTOR_OVERRIDES per role.
+     *
+     * @param {*} value - Stored overrides
+     * @returns {Object<string, string[]>} Selectors by role; roles without any are left out
+     */
+    function sanitizeOverrides(value) {
+        const result = {};
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return result;
+        }
+
+        for (const role of getRoles()) {
+            if (!Array.isArray(value[role])) continue;
+
+            const selectors = [...new Set(value[role].filter(isValidSelector).map(selector => selector.trim()))]
+                .slice(0, MAX_SELECTOR_OVERRIDES);
+            if (selectors.length > 0) {
+                result[role] = selectors;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Replace the user overrides. Invalid selectors are dropped, and the
+     * remembered resolutions are cleared since the chains changed.
+     *
+     * @param {Object<string, string[]>} profileOverrides - Active profile's selectors by role
+     * @param {Object<string, string[]>} globalOverrides - Selectors for all profiles by role
+     */
+    function setOverrides(profileOverrides, globalOverrides) {
+        overrides.profile = sanitizeOverrides(profileOverrides);
+        overrides.global = sanitizeOverrides(globalOverrides);
+        resolutions.clear();
+    }
+
+    /**
+     * Get the user overrides in effect.
+     *
+     * @returns {{profile: Object<string, string[]>, global: Object<string, string[]>}} Copies of the overrides
+     */
+    function getOverrides() {
+        const copy = scope => Object.fromEntries(
+            Object.entries(scope).map(([role, selectors]) => [role, [...selectors]])
+        );
+        return { profile: copy(overrides.profile), global: copy(overrides.global) };
+    }
+
+    // =========================================================================
+    // EXPORT
+    // =========================================================================
+
+    window.ClaudeWidthSelectors = {
+        // Registry
+        getRoles,
+        describeRole,
+        isRequired,
+        getStrategies,
+        getSelectorList,
+        getSelector,
+
+        // Resolution
+        resolveRole,
+        getResolutions,
+
+        // User overrides
+        isValidSelector,
+        sanitizeOverrides,
+        setOverrides,
+        getOverrides
+    };
+
+})();
@@ -4,6 +4,9 @@
  *
  * Handles the options page functionality including:
  * - Profile management (create, edit, delete)
+ * - Auto-profile rules (add, reorder, enable/disable, test)
+ * - Selector overrides per page part (add, reorder, test)
+ * - Custom CSS per profile (edit, validate, turn off)
  * - Browser sync toggle and status
  * - Import/Export settings
  * - Reset to defaults
@@ -21,12 +24,36 @@
         PROFILE_STORAGE_KEYS,
         PROFILE_DEFAULTS,
         MAX_PROFILES,
-        PROFILE_NAME_MAX_LENGTH
+        PROFILE_NAME_MAX_LENGTH,
+        SELECTOR_OVERRIDES_KEY,
+        GLOBAL_SELECTOR_OVERRIDES_KEY,
+        MAX_SELECTOR_OVERRIDES,
+        CUSTOM_CSS_MAX_BYTES
     } = window.ClaudeWidthConstants || {};
 
     // Get profile utilities
     const Profiles = window.ClaudeWidthProfiles || {};
 
+    // Get width unit helpers
+    const Units = window.ClaudeWidthUnits;
+
+    // Get the selector registry (v1.10.0)
+    const Selectors = window.ClaudeWidthSelectors;
+
+    // Get custom CSS helpers (v1.10.0)
+    const CustomCSS = window.ClaudeWidthCustomCSS;
+
+    /**
+     * Storage key of each selector override scope.
+     * @type {Object<string, string>}
+     */
+    const SELECTOR_SCOPE_KEYS = {
+        profile: SELECTOR_OVERRIDES_KEY,
+        global: GLOBAL_SELECTOR_OVERRIDES_KEY
+    };
+
+    const SELECTOR_HINT = 'Test a selector against the open claude.ai tab before adding it';
+
     // DOM element references
     const elements = {
         // Screen reader announcements
@@ -37,6 +64,37 @@
         profileList: null,
         createProfileBtn: null,
 
+        // Auto-profile rules section (v1.10.0)
+        rulePatternInput: null,
+        rulePatternHint: null,
+        ruleProfileSelect: null,
+        addRuleBtn: null,
+        ruleTestUrlInput: null,
+        ruleTestResult: null,
+        ruleList: null,
+        ruleEmpty: null,
+
+        // Selector overrides section (v1.10.0)
+        selectorRoleSelect: null,
+        selectorScopeSelect: null,
+        selectorScopeProfile: null,
+        selectorInput: null,
+        selectorInputHint: null,
+        testSelectorBtn: null,
+        addSelectorBtn: null,
+        selectorOverrideList: null,
+        selectorOverrideEmpty: null,
+        selectorBuiltIn: null,
+
+        // Custom CSS section (v1.10.0)
+        customCSSProfileSelect: null,
+        customCSSEnabledToggle: null,
+        customCSSInput: null,
+        customCSSHint: null,
+        customCSSSize: null,
+        revertCustomCSSBtn: null,
+        saveCustomCSSBtn: null,
+
         // Sync section
         syncEnabledToggle: null,
         syncStatus: null,
@@ -77,6 +135,8 @@
         deleteProfileModal: null,
         deleteProfileModalClose: null,
         deleteProfileName: null,
+        deleteProfileRulesWarning: null,
+        deleteProfileRulesText: null,
         deleteProfileModalCancel: null,
         deleteProfileModalConfirm: null,
 
@@ -95,7 +155,13 @@
         syncEnabled: false,
         editingProfileId: null,
         deletingProfileId: null,
-        pendingImportData: null
+        pendingImportData: null,
+        autoProfileRules: [],
+        ruleProfiles: {},
+        draggingRuleId: null,
+        selectorOverrides: { profile: {}, global: {} },
+        customCSSProfileId: null,
+        customCSSDirty: false
     };
 
     /**
@@ -105,7 +171,13 @@
         cacheElements();
         setupEventListeners();
         await loadData();
+        await loadRules();
+        await loadSelectorOverrides();
         renderProfiles();
+        renderRules();
+        renderSelectorRoleSelect();
+        renderSelectorOverrides();
+        renderCustomCSS();
         updateSyncStatus();
     }
 
@@ -120,6 +192,37 @@
         elements.profileList = document.getElementById('profileList');
         elements.createProfileBtn = document.getElementById('createProfileBtn');
 
+        // Auto-profile rules section (v1.10.0)
+        elements.rulePatternInput = document.getElementById('rulePatternInput');
+        elements.rulePatternHint = document.getElementById('rulePatternHint');
+        elements.ruleProfileSelect = document.getElementById('ruleProfileSelect');
+        elements.addRuleBtn = document.getElementById('addRuleBtn');
+        elements.ruleTestUrlInput = document.getElementById('ruleTestUrlInput');
+        elements.ruleTestResult = document.getElementById('ruleTestResult');
+        elements.ruleList = document.getElementById('ruleList');
+        elements.ruleEmpty = document.getElementById('ruleEmpty');
+
+        // Selector overrides section (v1.10.0)
+        elements.selectorRoleSelect = document.getElementById('selectorRoleSelect');
+        elements.selectorScopeSelect = document.getElementById('selectorScopeSelect');
+        elements.selectorScopeProfile = document.getElementById('selectorScopeProfile');
+        elements.selectorInput = document.getElementById('selectorInput');
+        elements.selectorInputHint = document.getElementById('selectorInputHint');
+        elements.testSelectorBtn = document.getElementById('testSelectorBtn');
+        elements.addSelectorBtn = document.getElementById('addSelectorBtn');
+        elements.selectorOverrideList = document.getElementById('selectorOverrideList');
+        elements.selectorOverrideEmpty = document.getElementById('selectorOverrideEmpty');
+        elements.selectorBuiltIn = document.getElementById('selectorBuiltIn');
+
+        // Custom CSS section (v1.10.0)
+        elements.customCSSProfileSelect = document.getElementById('customCSSProfileSelect');
+        elements.customCSSEnabledToggle = document.getElementById('customCSSEnabledToggle');
+        elements.customCSSInput = document.getElementById('customCSSInput');
+        elements.customCSSHint = document.getElementById('customCSSHint');
+        elements.customCSSSize = document.getElementById('customCSSSize');
+        elements.revertCustomCSSBtn = document.getElementById('revertCustomCSSBtn');
+        elements.saveCustomCSSBtn = document.getElementById('saveCustomCSSBtn');
+
         // Sync section
         elements.syncEnabledToggle = document.getElementById('syncEnabledToggle');
         elements.syncStatus = document.getElementById('syncStatus');
@@ -160,6 +263,8 @@
         elements.deleteProfileModal = document.getElementById('deleteProfileModal');
         elements.deleteProfileModalClose = document.getElementById('deleteProfileModalClose');
         elements.deleteProfileName = document.getElementById('deleteProfileName');
+        elements.deleteProfileRulesWarning = document.getElementById('deleteProfileRulesWarning');
+        elements.deleteProfileRulesText = document.getElementById('deleteProfileRulesText');
         elements.deleteProfileModalCancel = document.getElementById('deleteProfileModalCancel');
         elements.deleteProfileModalConfirm = document.getElementById('deleteProfileModalConfirm');
 
@@ -180,6 +285,68 @@
             elements.createProfileBtn.addEventListener('click', handleCreateProfile);
         }
 
+        // Auto-profile rules section
+        if (elements.addRuleBtn) {
+            elements.addRuleBtn.addEventListener('click', handleAddRule);
+        }
+        if (elements.rulePatternInput) {
+            elements.rulePatternInput.addEventListener('input', updateRuleTestResult);
+            elements.rulePatternInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    handleAddRule();
+                }
+            });
+        }
+        if (elements.ruleTestUrlInput) {
+            elements.ruleTestUrlInput.addEventListener('input', updateRuleTestResult);
+        }
+        if (elements.ruleList) {
+            elements.ruleList.addEventListener('dragstart', handleRuleDragStart);
+            elements.ruleList.addEventListener('dragend', handleRuleDragEnd);
+            elements.ruleList.addEventListener('dragover', handleRuleDragOver);
+            elements.ruleList.addEventListener('dragleave', handleRuleDragLeave);
+            elements.ruleList.addEventListener('drop', handleRuleDrop);
+        }
+
+        // Selector overrides section
+        if (elements.selectorRoleSelect) {
+            elements.selectorRoleSelect.addEventListener('change', renderSelectorOverrides);
+        }
+        if (elements.selectorInput) {
+            elements.selectorInput.addEventListener('input', () => setSelectorHint(SELECTOR_HINT));
+            elements.selectorInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    handleAddSelector();
+                }
+            });
+        }
+        if (elements.testSelectorBtn) {
+            elements.testSelectorBtn.addEventListener('click', handleTestSelector);
+        }
+        if (elements.addSelectorBtn) {
+            elements.addSelectorBtn.addEventListener('click', handleAddSelector);
+        }
+
+        // Custom CSS section
+        if (elements.customCSSProfileSelect) {
+            elements.customCSSProfileSelect.addEventListener('change', handleCustomCSSProfileChange);
+        }
+        if (elements.customCSSEnabledToggle) {
+            elements.customCSSEnabledToggle.addEventListener('change', handleCustomCSSToggle);
+        }
+        if (elements.customCSSInput) {
+            elements.customCSSInput.addEventListener('input', () => {
+                state.customCSSDirty = true;
+                validateCustomCSSInput();
+            });
+        }
+        if (elements.revertCustomCSSBtn) {
+            elements.revertCustomCSSBtn.addEventListener('click', handleRevertCustomCSS);
+        }
+        if (elements.saveCustomCSSBtn) {
+            elements.saveCustomCSSBtn.addEventListener('click', handleSaveCustomCSS);
+        }
+
         // Sync toggle
         if (elements.syncEnabledToggle) {
             elements.syncEnabledToggle.addEventListener('change', handleSyncToggle);
@@ -328,8 +495,8 @@
         // Clear existing content
         elements.profileList.textContent = '';
 
-        // Sort profiles
-        const sortedProfiles = Object.values(state.profiles).sort((a, b) => {
+        // Sort profiles (storage is keyed by ID, so attach it to each entry)
+        const sortedProfiles = Object.entries(state.profiles).map(([id, profile]) => ({ ...profile, id })).sort((a, b) => {
             if (a.id === 'default') return -1;
             if (b.id === 'default') return 1;
             return (a.name || '').localeCompare(b.name || '');
@@ -421,9 +588,17 @@
 
         const widthDetail = document.createElement('span');
         widthDetail.className = 'profile-detail';
-        widthDetail.textContent = `Width: ${settings.chatWidthPercent || 85}%`;
+        widthDetail.textContent = `Width: ${Units.formatWidth(settings.chatWidthPercent || 85, settings.chatWidthUnit)}`;
         details.appendChild(widthDetail);
 
+        const tierCount = (settings.widthBreakpoints || []).length;
+        if (tierCount > 0) {
+            const breakpointDetail = document.createElement('span');
+            breakpointDetail.className = 'profile-detail';
+            breakpointDetail.textContent = `Breakpoints: ${tierCount}`;
+            details.appendChild(breakpointDetail);
+        }
+
         const themeDetail = document.createElement('span');
         themeDetail.className = 'profile-detail';
         themeDetail.textContent = `Theme: ${capitalize(settings.theme || 'system')}`;
@@ -545,6 +720,978 @@
         }
     }
 
+    // =========================================================================
+    // Auto-Profile Rules (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Load auto-profile rules and the profiles they can point at.
+     * Reads through loadProfileData() so synced rules are picked up too.
+     */
+    async function loadRules() {
+        try {
+            const data = await Profiles.loadProfileData();
+            state.ruleProfiles = data.profiles || {};
+            state.autoProfileRules = Profiles.sanitizeAutoProfileRules(data.autoProfileRules)
+                .sort((a, b) => a.priority - b.priority);
+        } catch (error) {
+            console.error('[Options] Error loading auto-profile rules:', error);
+            state.ruleProfiles = {};
+            state.autoProfileRules = [];
+        }
+    }
+
+    /**
+     * Get the rules that activate a given profile.
+     *
+     * @param {string} profileId - Profile ID
+     * @returns {Object[]} Matching rules
+     */
+    function getRulesForProfile(profileId) {
+        return state.autoProfileRules.filter(rule => rule.profileId === profileId);
+    }
+
+    /**
+     * Render the rule editor's profile picker and the rule list.
+     */
+    function renderRules() {
+        renderRuleProfileSelect();
+
+        if (!elements.ruleList) return;
+
+        elements.ruleList.textContent = '';
+
+        state.autoProfileRules.forEach((rule, index) => {
+            elements.ruleList.appendChild(createRuleElement(rule, index));
+        });
+
+        if (elements.ruleEmpty) {
+            elements.ruleEmpty.hidden = state.autoProfileRules.length > 0;
+        }
+
+        updateRuleTestResult();
+    }
+
+    /**
+     * Fill the profile picker in the rule editor, keeping the current choice.
+     */
+    function renderRuleProfileSelect() {
+        const select = elements.ruleProfileSelect;
+        if (!select) return;
+
+        const previous = select.value;
+        select.textContent = '';
+
+        Object.entries(state.ruleProfiles || {})
+            .sort(([idA, a], [idB, b]) => {
+                if (idA === 'default') return -1;
+                if (idB === 'default') return 1;
+                return (a.name || '').localeCompare(b.name || '');
+            })
+            .forEach(([id, profile]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = profile.name || 'Unnamed';
+                select.appendChild(option);
+            });
+
+        if (previous && state.ruleProfiles[previous]) {
+            select.value = previous;
+        }
+    }
+
+    /**
+     * Create a rule list item using safe DOM methods.
+     *
+     * @param {Object} rule - Auto-profile rule
+     * @param {number} index - Position in priority order
+     * @returns {HTMLElement} Rule item element
+     */
+    function createRuleElement(rule, index) {
+        const profile = state.ruleProfiles[rule.profileId];
+
+        const item = document.createElement('div');
+        item.className = `rule-item${rule.enabled ? '' : ' disabled'}`;
+        item.setAttribute('role', 'listitem');
+        item.draggable = true;
+        item.tabIndex = 0;
+        item.dataset.ruleId = rule.id;
+        item.setAttribute('aria-label', `Rule ${index + 1}: ${rule.pattern}, uses ${profile?.name || 'missing profile'}. Press Alt plus arrow keys to reorder.`);
+
+        // Keyboard reordering for users who can't drag
+        item.addEventListener('keydown', (e) => {
+            if (e.target !== item || !e.altKey) return;
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                moveRule(rule.id, e.key === 'ArrowUp' ? -1 : 1);
+            }
+        });
+
+        const handle = document.createElement('span');
+        handle.className = 'rule-drag-handle';
+        handle.setAttribute('aria-hidden', 'true');
+        handle.textContent = '\u2261';
+        item.appendChild(handle);
+
+        const priority = document.createElement('span');
+        priority.className = 'rule-priority';
+        priority.textContent = String(index + 1);
+        item.appendChild(priority);
+
+        const info = document.createElement('div');
+        info.className = 'rule-item-info';
+
+        const pattern = document.createElement('code');
+        pattern.className = 'rule-pattern';
+        pattern.textContent = rule.pattern;
+        info.appendChild(pattern);
+
+        const target = document.createElement('span');
+        target.className = `rule-profile${profile ? '' : ' missing'}`;
+        target.textContent = profile ? `\u2192 ${profile.name}` : '\u2192 Missing profile';
+        info.appendChild(target);
+
+        item.appendChild(info);
+
+        // Enable/disable toggle
+        const toggle = document.createElement('label');
+        toggle.className = 'toggle-switch';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = rule.enabled;
+        checkbox.addEventListener('change', () => handleRuleToggle(rule.id, checkbox.checked));
+        const slider = document.createElement('span');
+        slider.className = 'toggle-slider';
+        const srLabel = document.createElement('span');
+        srLabel.className = 'sr-only';
+        srLabel.textContent = `Enable rule ${rule.pattern}`;
+        toggle.appendChild(checkbox);
+        toggle.appendChild(slider);
+        toggle.appendChild(srLabel);
+        item.appendChild(toggle);
+
+        // Delete button
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'profile-action profile-action-delete';
+        deleteBtn.title = 'Delete rule';
+        deleteBtn.setAttribute('aria-label', `Delete rule ${rule.pattern}`);
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('viewBox', '0 0 16 16');
+        svg.setAttribute('fill', 'none');
+        svg.setAttribute('aria-hidden', 'true');
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', 'M4 4L12 12M4 12L12 4');
+        path.setAttribute('stroke', 'currentColor');
+        path.setAttribute('stroke-width', '1.5');
+        path.setAttribute('stroke-linecap', 'round');
+        svg.appendChild(path);
+        deleteBtn.appendChild(svg);
+        deleteBtn.addEventListener('click', () => handleRuleDelete(rule.id));
+        item.appendChild(deleteBtn);
+
+        return item;
+    }
+
+    /**
+     * Show live feedback for the pattern being edited and the test URL.
+     */
+    function updateRuleTestResult() {
+        const pattern = elements.rulePatternInput?.value?.trim() || '';
+        const url = elements.ruleTestUrlInput?.value?.trim() || '';
+
+        // Highlight rules that match the test URL
+        elements.ruleList?.querySelectorAll('.rule-item').forEach(item => {
+            const rule = state.autoProfileRules.find(r => r.id === item.dataset.ruleId);
+            item.classList.toggle('matches', Boolean(url && rule && Profiles.matchUrlPattern(url, rule.pattern)));
+        });
+
+        if (!elements.ruleTestResult) return;
+
+        elements.ruleTestResult.classList.remove('match', 'no-match');
+
+        if (!url) {
+            elements.ruleTestResult.textContent = 'Enter a URL to see which rule would apply';
+            return;
+        }
+
+        const parts = [];
+
+        if (pattern) {
+            parts.push(Profiles.matchUrlPattern(url, pattern)
+                ? 'New pattern matches.'
+                : 'New pattern does not match.');
+        }
+
+        const winner = Profiles.findAutoProfileRule(url, state.autoProfileRules, state.ruleProfiles);
+        if (winner) {
+            const name = state.ruleProfiles[winner.profileId]?.name || 'Unnamed';
+            parts.push(`Saved rules: "${winner.pattern}" would switch to ${name}.`);
+        } else {
+            parts.push('Saved rules: no rule applies.');
+        }
+
+        const matched = pattern ? Profiles.matchUrlPattern(url, pattern) : Boolean(winner);
+        elements.ruleTestResult.classList.add(matched ? 'match' : 'no-match');
+        elements.ruleTestResult.textContent = parts.join(' ');
+    }
+
+    /**
+     * Handle add rule button click.
+     */
+    async function handleAddRule() {
+        const pattern = elements.rulePatternInput?.value?.trim();
+        const profileId = elements.ruleProfileSelect?.value;
+
+        if (!pattern) {
+            if (elements.rulePatternHint) {
+                elements.rulePatternHint.textContent = 'Please enter a URL pattern';
+                elements.rulePatternHint.classList.add('error');
+            }
+            elements.rulePatternInput?.focus();
+            return;
+        }
+
+        try {
+            const response = await browser.runtime.sendMessage({
+                action: 'addAutoProfileRule',
+                pattern: pattern,
+                profileId: profileId
+            });
+
+            if (response?.success) {
+                elements.rulePatternInput.value = '';
+                if (elements.rulePatternHint) {
+                    elements.rulePatternHint.textContent = 'Use * as a wildcard';
+                    elements.rulePatternHint.classList.remove('error');
+                }
+                showToast('Rule added', 'success');
+                announce(`Rule for ${pattern} added`);
+                await loadRules();
+                renderRules();
+            } else {
+                showToast(response?.error || 'Failed to add rule', 'error');
+            }
+        } catch (error) {
+            console.error('[Options] Error adding rule:', error);
+            showToast('Failed to add rule', 'error');
+        }
+    }
+
+    /**
+     * Handle rule enable/disable toggle.
+     *
+     * @param {string} ruleId - Rule ID
+     * @param {boolean} enabled - New enabled state
+     */
+    async function handleRuleToggle(ruleId, enabled) {
+        try {
+            const response = await browser.runtime.sendMessage({
+                action: 'updateAutoProfileRule',
+                ruleId: ruleId,
+                updates: { enabled }
+            });
+
+            if (response?.success) {
+                announce(enabled ? 'Rule enabled' : 'Rule disabled');
+            } else {
+                showToast(response?.error || 'Failed to update rule', 'error');
+            }
+        } catch (error) {
+            console.error('[Options] Error updating rule:', error);
+            showToast('Failed to update rule', 'error');
+        }
+
+        await loadRules();
+        renderRules();
+    }
+
+    /**
+     * Handle rule delete button click.
+     *
+     * @param {string} ruleId - Rule ID
+     */
+    async function handleRuleDelete(ruleId) {
+        try {
+            const response = await browser.runtime.sendMessage({
+                action: 'removeAutoProfileRule',
+                ruleId: ruleId
+            });
+
+            if (response?.success) {
+                showToast('Rule deleted', 'success');
+                announce('Rule deleted');
+                await loadRules();
+                renderRules();
+            } else {
+                showToast(response?.error || 'Failed to delete rule', 'error');
+            }
+        } catch (error) {
+            console.error('[Options] Error deleting rule:', error);
+            showToast('Failed to delete rule', 'error');
+        }
+    }
+
+    /**
+     * Move a rule up or down one place (keyboard reordering).
+     *
+     * @param {string} ruleId - Rule ID
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    async function moveRule(ruleId, offset) {
+        const ids = state.autoProfileRules.map(rule => rule.id);
+        const from = ids.indexOf(ruleId);
+        const to = from + offset;
+
+        if (from === -1 || to < 0 || to >= ids.length) return;
+
+        ids.splice(from, 1);
+        ids.splice(to, 0, ruleId);
+
+        await saveRuleOrder(ids);
+        elements.ruleList?.querySelector(`[data-rule-id="${CSS.escape(ruleId)}"]`)?.focus();
+        announce(`Rule moved to position ${to + 1}`);
+    }
+
+    /**
+     * Persist a new rule order; priority follows list position.
+     *
+     * @param {string[]} ruleIds - Rule IDs in priority order
+     */
+    async function saveRuleOrder(ruleIds) {
+        try {
+            const response = await browser.runtime.sendMessage({
+                action: 'reorderAutoProfileRules',
+                ruleIds: ruleIds
+            });
+
+            if (!response?.success) {
+                showToast(response?.error || 'Failed to reorder rules', 'error');
+            }
+        } catch (error) {
+            console.error('[Options] Error reordering rules:', error);
+            showToast('Failed to reorder rules', 'error');
+        }
+
+        await loadRules();
+        renderRules();
+    }
+
+    /**
+     * Handle rule drag start.
+     *
+     * @param {DragEvent} event
+     */
+    function handleRuleDragStart(event) {
+        const item = event.target.closest('.rule-item');
+        if (!item) return;
+
+        state.draggingRuleId = item.dataset.ruleId;
+        item.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', item.dataset.ruleId);
+    }
+
+    /**
+     * Handle rule drag end.
+     *
+     * @param {DragEvent} event
+     */
+    function handleRuleDragEnd(event) {
+        const item = event.target.closest('.rule-item');
+        if (item) {
+            item.classList.remove('dragging');
+        }
+        state.draggingRuleId = null;
+
+        elements.ruleList?.querySelectorAll('.rule-item.drag-over').forEach(el => {
+            el.classList.remove('drag-over');
+        });
+    }
+
+    /**
+     * Handle rule drag over.
+     *
+     * @param {DragEvent} event
+     */
+    function handleRuleDragOver(event) {
+        if (!state.draggingRuleId) return;
+
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+
+        const item = event.target.closest('.rule-item');
+        if (item && item.dataset.ruleId !== state.draggingRuleId) {
+            elements.ruleList.querySelectorAll('.rule-item.drag-over').forEach(el => {
+                el.classList.remove('drag-over');
+            });
+            item.classList.add('drag-over');
+        }
+    }
+
+    /**
+     * Handle rule drag leave.
+     *
+     * @param {DragEvent} event
+     */
+    function handleRuleDragLeave(event) {
+        const item = event.target.closest('.rule-item');
+        if (item) {
+            item.classList.remove('drag-over');
+        }
+    }
+
+    /**
+     * Handle rule drop: move the dragged rule into the drop target's slot.
+     *
+     * @param {DragEvent} event
+     */
+    function handleRuleDrop(event) {
+        event.preventDefault();
+
+        const dropTarget = event.target.closest('.rule-item');
+        const dragId = state.draggingRuleId;
+        if (!dropTarget || !dragId || dropTarget.dataset.ruleId === dragId) return;
+
+        dropTarget.classList.remove('drag-over');
+
+        const ids = state.autoProfileRules.map(rule => rule.id);
+        const from = ids.indexOf(dragId);
+        const to = ids.indexOf(dropTarget.dataset.ruleId);
+        if (from === -1 || to === -1) return;
+
+        ids.splice(from, 1);
+        ids.splice(to, 0, dragId);
+
+        saveRuleOrder(ids);
+        announce('Rule order updated');
+    }
+
+    // =========================================================================
+    // Selector Overrides (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Load the active profile's and the global selector overrides.
+     * The profile's are read from the flat key, which always holds the
+     * active profile's value.
+     */
+    async function loadSelectorOverrides() {
+        try {
+            const data = await browser.storage.local.get([SELECTOR_OVERRIDES_KEY, GLOBAL_SELECTOR_OVERRIDES_KEY]);
+            state.selectorOverrides = {
+                profile: Selectors.sanitizeOverrides(data[SELECTOR_OVERRIDES_KEY]),
+                global: Selectors.sanitizeOverrides(data[GLOBAL_SELECTOR_OVERRIDES_KEY])
+            };
+        } catch (error) {
+            console.error('[Options] Error loading selector overrides:', error);
+            state.selectorOverrides = { profile: {}, global: {} };
+        }
+    }
+
+    /**
+     * Fill the page part picker with the selector roles.
+     */
+    function renderSelectorRoleSelect() {
+        const select = elements.selectorRoleSelect;
+        if (!select) return;
+
+        select.textContent = '';
+
+        Selectors.getRoles().forEach(role => {
+            const option = document.createElement('option');
+            option.value = role;
+            option.textContent = Selectors.describeRole(role);
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Render the overrides of the selected role, the profile's first, and
+     * the built-in selectors they are tried before.
+     */
+    function renderSelectorOverrides() {
+        const role = elements.selectorRoleSelect?.value;
+        if (!role || !elements.selectorOverrideList) return;
+
+        if (elements.selectorScopeProfile) {
+            const profile = state.profiles[state.activeProfileId];
+            elements.selectorScopeProfile.textContent = `Active profile (${profile?.name || 'Default'})`;
+        }
+
+        const entries = ['profile', 'global'].flatMap(scope =>
+            (state.selectorOverrides[scope][role] || []).map((selector, index, list) => ({ scope, selector, index, count: list.length }))
+        );
+
+        elements.selectorOverrideList.textContent = '';
+        entries.forEach((entry, position) => {
+            elements.selectorOverrideList.appendChild(createSelectorOverrideElement(role, entry, position));
+        });
+
+        if (elements.selectorOverrideEmpty) {
+            elements.selectorOverrideEmpty.hidden = entries.length > 0;
+        }
+
+        if (elements.selectorBuiltIn) {
+            elements.selectorBuiltIn.textContent = `Built-in: ${Selectors.getSelectorList(role).join(', ')}`;
+        }
+    }
+
+    /**
+     * Create a selector override list item using safe DOM methods.
+     *
+     * @param {string} role - Selector role
+     * @param {{scope: string, selector: string, index: number, count: number}} entry - Override and its place in its scope
+     * @param {number} position - Position in the list
+     * @returns {HTMLElement} Override item element
+     */
+    function createSelectorOverrideElement(role, entry, position) {
+        const scopeLabel = entry.scope === 'profile' ? 'This profile' : 'All profiles';
+
+        const item = document.createElement('div');
+        item.className = 'rule-item selector-item';
+        item.setAttribute('role', 'listitem');
+        item.tabIndex = 0;
+        item.dataset.scope = entry.scope;
+        item.dataset.index = String(entry.index);
+        item.setAttribute('aria-label', `Selector ${position + 1}: ${entry.selector}, ${scopeLabel.toLowerCase()}. Press Alt plus arrow keys to reorder.`);
+
+        // Keyboard reordering, within the override's scope
+        item.addEventListener('keydown', (e) => {
+            if (e.target !== item || !e.altKey) return;
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                moveSelectorOverride(role, entry.scope, entry.index, e.key === 'ArrowUp' ? -1 : 1);
+            }
+        });
+
+        const priority = document.createElement('span');
+        priority.className = 'rule-priority';
+        priority.textContent = String(position + 1);
+        item.appendChild(priority);
+
+        const info = document.createElement('div');
+        info.className = 'rule-item-info';
+
+        const pattern = document.createElement('code');
+        pattern.className = 'rule-pattern';
+        pattern.textContent = entry.selector;
+        info.appendChild(pattern);
+
+        const scope = document.createElement('span');
+        scope.className = 'rule-profile';
+        scope.textContent = scopeLabel;
+        info.appendChild(scope);
+
+        item.appendChild(info);
+
+        const moves = [
+            { offset: -1, label: 'Move up', path: 'M4 10L8 6L12 10', disabled: entry.index === 0 },
+            { offset: 1, label: 'Move down', path: 'M4 6L8 10L12 6', disabled: entry.index === entry.count - 1 }
+        ];
+        for (const move of moves) {
+            item.appendChild(createSelectorButton(`${move.label}: ${entry.selector}`, move.label, move.path,
+                () => moveSelectorOverride(role, entry.scope, entry.index, move.offset), move.disabled));
+        }
+
+        const deleteBtn = createSelectorButton(`Delete selector ${entry.selector}`, 'Delete selector', 'M4 4L12 12M4 12L12 4',
+            () => handleSelectorDelete(role, entry.scope, entry.index));
+        deleteBtn.classList.add('profile-action-delete');
+        item.appendChild(deleteBtn);
+
+        return item;
+    }
+
+    /**
+     * Create an icon button for a selector override.
+     *
+     * @param {string} label - Accessible label
+     * @param {string} title - Tooltip
+     * @param {string} pathData - SVG path of the icon
+     * @param {Function} onClick - Click handler
+     * @param {boolean} [disabled=false] - Whether the button is disabled
+     * @returns {HTMLButtonElement} Button element
+     */
+    function createSelectorButton(label, title, pathData, onClick, disabled = false) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'profile-action';
+        button.title = title;
+        button.disabled = disabled;
+        button.setAttribute('aria-label', label);
+
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('viewBox', '0 0 16 16');
+        svg.setAttribute('fill', 'none');
+        svg.setAttribute('aria-hidden', 'true');
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', pathData);
+        path.setAttribute('stroke', 'currentColor');
+        path.setAttribute('stroke-width', '1.5');
+        path.setAttribute('stroke-linecap', 'round');
+        path.setAttribute('stroke-linejoin', 'round');
+        svg.appendChild(path);
+        button.appendChild(svg);
+
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Show a message under the selector input.
+     *
+     * @param {string} message - Message
+     * @param {string} [type] - 'error' or 'match'
+     */
+    function setSelectorHint(message, type) {
+        if (!elements.selectorInputHint) return;
+
+        elements.selectorInputHint.textContent = message;
+        elements.selectorInputHint.classList.toggle('error', type === 'error');
+        elements.selectorInputHint.classList.toggle('match', type === 'match');
+    }
+
+    /**
+     * Read the selector input, reporting an empty or invalid selector.
+     *
+     * @returns {string|null} Trimmed selector, or null if it can't be used
+     */
+    function readSelectorInput() {
+        const selector = elements.selectorInput?.value?.trim() || '';
+
+        if (!selector) {
+            setSelectorHint('Please enter a CSS selector', 'error');
+            elements.selectorInput?.focus();
+            return null;
+        }
+        if (!Selectors.isValidSelector(selector)) {
+            setSelectorHint('Not a valid selector. Pseudo-elements (::) and braces are not allowed.', 'error');
+            elements.selectorInput?.focus();
+            return null;
+        }
+
+        return selector;
+    }
+
+    /**
+     * Count what the selector matches in a claude.ai tab, preferring the
+     * active one, next to what the role matches there now.
+     */
+    async function handleTestSelector() {
+        const selector = readSelectorInput();
+        const role = elements.selectorRoleSelect?.value;
+        if (!selector || !role) return;
+
+        try {
+            const tabs = await browser.tabs.query({ url: '*://claude.ai/*' });
+            const tab = tabs.find(t => t.active) || tabs[0];
+
+            if (!tab) {
+                setSelectorHint('Open claude.ai in a tab to test selectors', 'error');
+                return;
+            }
+
+            const response = await browser.tabs.sendMessage(tab.id, { action: 'testSelector', role, selector });
+            if (!response?.success) {
+                setSelectorHint(response?.error || 'Could not test the selector', 'error');
+                return;
+            }
+
+            const found = `Matches ${response.matches} element${response.matches === 1 ? '' : 's'} on claude.ai.`;
+            const current = response.current
+                ? `Currently found by "${response.current.strategy}" (${response.current.count}).`
+                : 'Currently not found.';
+            setSelectorHint(`${found} ${current}`, response.matches > 0 ? 'match' : undefined);
+            announce(found);
+        } catch (error) {
+            console.error('[Options] Error testing selector:', error);
+            setSelectorHint('Reload the claude.ai tab to test selectors', 'error');
+        }
+    }
+
+    /**
+     * Handle add selector button click.
+     */
+    async function handleAddSelector() {
+        const selector = readSelectorInput();
+        const role = elements.selectorRoleSelect?.value;
+        const scope = elements.selectorScopeSelect?.value === 'global' ? 'global' : 'profile';
+        if (!selector || !role) return;
+
+        const list = state.selectorOverrides[scope][role] || [];
+
+        if (list.includes(selector)) {
+            setSelectorHint('This selector is already in the list', 'error');
+            return;
+        }
+        if (list.length >= MAX_SELECTOR_OVERRIDES) {
+            setSelectorHint(`Up to ${MAX_SELECTOR_OVERRIDES} selectors per page part and scope`, 'error');
+            return;
+        }
+
+        if (await saveSelectorOverrides(role, scope, [...list, selector])) {
+            elements.selectorInput.value = '';
+            setSelectorHint(SELECTOR_HINT);
+            showToast('Selector added', 'success');
+            announce(`Selector ${selector} added`);
+        }
+    }
+
+    /**
+     * Handle selector delete button click.
+     *
+     * @param {string} role - Selector role
+     * @param {string} scope - 'profile' or 'global'
+     * @param {number} index - Position within the scope
+     */
+    async function handleSelectorDelete(role, scope, index) {
+        const list = [...(state.selectorOverrides[scope][role] || [])];
+        list.splice(index, 1);
+
+        if (await saveSelectorOverrides(role, scope, list)) {
+            showToast('Selector deleted', 'success');
+            announce('Selector deleted');
+        }
+    }
+
+    /**
+     * Move a selector up or down one place within its scope.
+     *
+     * @param {string} role - Selector role
+     * @param {string} scope - 'profile' or 'global'
+     * @param {number} index - Position within the scope
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    async function moveSelectorOverride(role, scope, index, offset) {
+        const list = [...(state.selectorOverrides[scope][role] || [])];
+        const to = index + offset;
+        if (to < 0 || to >= list.length) return;
+
+        const [selector] = list.splice(index, 1);
+        list.splice(to, 0, selector);
+
+        if (await saveSelectorOverrides(role, scope, list)) {
+            elements.selectorOverrideList
+                ?.querySelector(`[data-scope="${scope}"][data-index="${to}"]`)
+                ?.focus();
+            announce(`Selector moved to position ${to + 1}`);
+        }
+    }
+
+    /**
+     * Store a role's selectors in one scope. Profile selectors go to the
+     * flat key, which the background script writes back into the active
+     * profile; claude.ai tabs pick either change up from storage.
+     *
+     * @param {string} role - Selector role
+     * @param {string} scope - 'profile' or 'global'
+     * @param {string[]} selectors - Selectors in priority order
+     * @returns {Promise<boolean>} True if saved
+     */
+    async function saveSelectorOverrides(role, scope, selectors) {
+        const overrides = { ...state.selectorOverrides[scope], [role]: selectors };
+
+        try {
+            await browser.storage.local.set({
+                [SELECTOR_SCOPE_KEYS[scope]]: Selectors.sanitizeOverrides(overrides)
+            });
+            await loadSelectorOverrides();
+            renderSelectorOverrides();
+            return true;
+        } catch (error) {
+            console.error('[Options] Error saving selector overrides:', error);
+            showToast('Failed to save selectors', 'error');
+            return false;
+        }
+    }
+
+    // =========================================================================
+    // Custom CSS (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Get the ID of the profile whose CSS is being edited, falling back to
+     * the active profile if none was picked or it was deleted.
+     *
+     * @returns {string} Profile ID
+     */
+    function getCustomCSSProfileId() {
+        if (state.customCSSProfileId && state.profiles[state.customCSSProfileId]) {
+            return state.customCSSProfileId;
+        }
+        return state.activeProfileId;
+    }
+
+    /**
+     * Render the custom CSS editor for the selected profile. Unsaved edits
+     * are kept when another page or the popup changes the profiles.
+     */
+    function renderCustomCSS() {
+        if (!elements.customCSSProfileSelect) return;
+
+        const profileId = getCustomCSSProfileId();
+        const profile = state.profiles[profileId] || {};
+
+        elements.customCSSProfileSelect.textContent = '';
+        Object.entries(state.profiles).forEach(([id, p]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = id === state.activeProfileId ? `${p.name || id} (active)` : (p.name || id);
+            elements.customCSSProfileSelect.appendChild(option);
+        });
+        elements.customCSSProfileSelect.value = profileId;
+
+        if (elements.customCSSEnabledToggle) {
+            elements.customCSSEnabledToggle.checked = profile.customCSSEnabled !== false;
+        }
+
+        if (!state.customCSSDirty && elements.customCSSInput) {
+            elements.customCSSInput.value = profile.customCSS || '';
+        }
+
+        validateCustomCSSInput();
+    }
+
+    /**
+     * Validate the editor contents and show the result and size.
+     *
+     * @returns {{valid: boolean, error?: string}} Validation result
+     */
+    function validateCustomCSSInput() {
+        const css = elements.customCSSInput?.value || '';
+        const result = CustomCSS.validateCSS(css);
+
+        if (elements.customCSSSize) {
+            const size = CustomCSS.getByteSize(css);
+            elements.customCSSSize.textContent = `${(size / 1024).toFixed(1)} of ${CUSTOM_CSS_MAX_BYTES / 1024} KB`;
+            elements.customCSSSize.classList.toggle('error', size > CUSTOM_CSS_MAX_BYTES);
+        }
+
+        if (elements.customCSSHint) {
+            let message = result.valid ? 'No syntax problems found' : result.error;
+            if (result.valid && state.customCSSDirty) {
+                message += ' · unsaved changes';
+            }
+            elements.customCSSHint.textContent = css.trim() || !result.valid ? message : '';
+            elements.customCSSHint.classList.toggle('error', !result.valid);
+        }
+
+        return result;
+    }
+
+    /**
+     * Check that the profiles still fit in sync storage with the new CSS:
+     * the edited profile in its own sync item, and all of them together.
+     *
+     * @param {string} profileId - Profile being edited
+     * @param {string} css - New stylesheet
+     * @returns {{valid: boolean, error?: string}} Validation result (valid if sync is off)
+     */
+    function checkSyncStorage(profileId, css) {
+        if (!state.syncEnabled) return { valid: true };
+
+        return Profiles.validateSyncSize({
+            activeProfileId: state.activeProfileId,
+            profiles: {
+                ...state.profiles,
+                [profileId]: { ...state.profiles[profileId], customCSS: css }
+            },
+            autoProfileRules: state.autoProfileRules
+        });
+    }
+
+    /**
+     * Send custom CSS changes for a profile to the background script.
+     *
+     * @param {string} profileId - Profile ID
+     * @param {Object} updates - customCSS and/or customCSSEnabled
+     * @returns {Promise<boolean>} True if saved
+     */
+    async function updateCustomCSS(profileId, updates) {
+        try {
+            const response = await browser.runtime.sendMessage({
+                action: 'updateProfile',
+                profileId,
+                updates
+            });
+
+            if (!response?.success) {
+                showToast(response?.error || 'Failed to save custom CSS', 'error');
+                return false;
+            }
+
+            await loadData();
+            return true;
+        } catch (error) {
+            console.error('[Options] Error saving custom CSS:', error);
+            showToast('Failed to save custom CSS', 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Handle save CSS button click.
+     */
+    async function handleSaveCustomCSS() {
+        const profileId = getCustomCSSProfileId();
+        const css = elements.customCSSInput?.value || '';
+
+        if (!validateCustomCSSInput().valid) {
+            elements.customCSSInput?.focus();
+            return;
+        }
+        const syncCheck = checkSyncStorage(profileId, css);
+        if (!syncCheck.valid) {
+            elements.customCSSHint.textContent = `${syncCheck.error} You can also turn off sync.`;
+            elements.customCSSHint.classList.add('error');
+            return;
+        }
+
+        if (await updateCustomCSS(profileId, { customCSS: css })) {
+            state.customCSSDirty = false;
+            renderCustomCSS();
+            renderProfiles();
+            showToast('Custom CSS saved', 'success');
+            announce('Custom CSS saved');
+        }
+    }
+
+    /**
+     * Turn the selected profile's custom CSS on or off, saving right away
+     * so a stylesheet that breaks the page is one click from gone.
+     */
+    async function handleCustomCSSToggle() {
+        const enabled = elements.customCSSEnabledToggle.checked;
+
+        if (await updateCustomCSS(getCustomCSSProfileId(), { customCSSEnabled: enabled })) {
+            announce(enabled ? 'Custom CSS turned on' : 'Custom CSS turned off');
+        } else {
+            elements.customCSSEnabledToggle.checked = !enabled;
+        }
+    }
+
+    /**
+     * Handle discard changes button click.
+     */
+    function handleRevertCustomCSS() {
+        state.customCSSDirty = false;
+        renderCustomCSS();
+        announce('Changes discarded');
+    }
+
+    /**
+     * Switch the editor to another profile. Unsaved edits are dropped.
+     */
+    function handleCustomCSSProfileChange() {
+        if (state.customCSSDirty) {
+            showToast('Unsaved CSS changes discarded', 'error');
+        }
+
+        state.customCSSProfileId = elements.customCSSProfileSelect.value;
+        state.customCSSDirty = false;
+        renderCustomCSS();
+    }
+
     // =========================================================================
     // Event Handlers
     // =========================================================================
@@ -621,6 +1768,17 @@
             elements.deleteProfileName.textContent = profile.name || 'Unnamed';
         }
 
+        // Warn about auto-profile rules that will be removed with the profile
+        const ruleCount = getRulesForProfile(profileId).length;
+        if (elements.deleteProfileRulesWarning) {
+            elements.deleteProfileRulesWarning.hidden = ruleCount === 0;
+        }
+        if (elements.deleteProfileRulesText) {
+            elements.deleteProfileRulesText.textContent = ruleCount === 1
+                ? '1 auto-profile rule uses this profile and will also be deleted.'
+                : `${ruleCount} auto-profile rules use this profile and will also be deleted.`;
+        }
+
         openModal(elements.deleteProfileModal);
     }
 
@@ -630,18 +1788,26 @@
     async function handleDeleteProfileConfirm() {
         if (!state.deletingProfileId) return;
 
+        const ruleCount = getRulesForProfile(state.deletingProfileId).length;
+
         try {
+            // deleteProfile() also drops the rules that point at the profile
             const response = await browser.runtime.sendMessage({
                 action: 'deleteProfile',
                 profileId: state.deletingProfileId
             });
 
             if (response?.success) {
-                showToast('Profile deleted', 'success');
-                announce('Profile deleted');
+                const message = ruleCount > 0
+                    ? `Profile and ${ruleCount} rule${ruleCount === 1 ? '' : 's'} deleted`
+                    : 'Profile deleted';
+                showToast(message, 'success');
+                announce(message);
                 closeDeleteProfileModal();
                 await loadData();
+                await loadRules();
                 renderProfiles();
+                renderRules();
             } else {
                 showToast(response?.error || 'Failed to delete profile', 'error');
             }
@@ -875,7 +2041,9 @@
                 announce('Settings imported successfully');
                 closeImportModal();
                 await loadData();
+                await loadRules();
                 renderProfiles();
+                renderRules();
                 updateSyncStatus();
             } else {
                 showToast(response?.error || 'Failed to import settings', 'error');
@@ -909,7 +2077,9 @@
                 announce('All settings reset to factory defaults');
                 closeResetModal();
                 await loadData();
+                await loadRules();
                 renderProfiles();
+                renderRules();
                 updateSyncStatus();
             } else {
                 showToast(response?.error || 'Failed to reset settings', 'error');
@@ -956,8 +2126,20 @@
             updateSyncStatus();
         }
 
+        if (needsRerender || changes[PROFILE_STORAGE_KEYS?.AUTO_PROFILE_RULES || 'autoProfileRules']) {
+            await loadRules();
+            renderRules();
+        }
+
+        if (changes[SELECTOR_OVERRIDES_KEY] || changes[GLOBAL_SELECTOR_OVERRIDES_KEY]) {
+            await loadSelectorOverrides();
+            needsRerender = true;
+        }
+
         if (needsRerender) {
             renderProfiles();
+            renderSelectorOverrides();
+            renderCustomCSS();
         }
     }
 
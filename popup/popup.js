@@ -11,6 +11,7 @@
  * - Custom preset management (create, edit, delete, reorder)
  * - Favorites and drag-and-drop reordering
  * - Recently used widths tracking
+ * - Responsive width breakpoint tiers (v1.10.0)
  * - Persistent storage of user preferences
  * - Live updates to all open claude.ai tabs
  * - Status indication showing if extension is active
@@ -49,9 +50,13 @@
 
     const {
         DEFAULT_WIDTH,
-        MIN_WIDTH,
-        MAX_WIDTH,
         STORAGE_KEY,
+        DEFAULT_WIDTH_UNIT,
+        WIDTH_UNIT_KEY,
+        WIDTH_UNITS,
+        WIDTH_BREAKPOINTS_KEY,
+        MAX_WIDTH_BREAKPOINTS,
+        MAX_BREAKPOINT_VIEWPORT,
         THEME_STORAGE_KEY,
         DEFAULT_THEME,
         VALID_THEMES,
@@ -62,32 +67,31 @@
         MAX_RECENT_WIDTHS,
         BUILT_IN_PRESETS,
         TIMING,
-        PROFILE_STORAGE_KEYS
+        PROFILE_STORAGE_KEYS,
+        CONVERSATION_OVERRIDE_KEYS,
+        AUTO_WIDTH_KEY,
+        AUTO_WIDTH_BOUNDS_KEY
     } = window.ClaudeWidthConstants;
 
+    const Conversations = window.ClaudeWidthConversations;
+    const Units = window.ClaudeWidthUnits;
+    const Breakpoints = window.ClaudeWidthBreakpoints;
+    const AutoWidth = window.ClaudeWidthAutoWidth;
+    const Typography = window.ClaudeWidthTypography;
+
     // =========================================================================
     // LOCAL CONSTANTS (specific to popup)
     // =========================================================================
 
     /**
-     * Preset width configurations mapped by keyboard key.
-     * Derived from BUILT_IN_PRESETS to avoid duplication.
-     * Keys 1-4 map to the first 4 built-in presets.
-     * @type {Object<string, {width: number, name: string}>}
+     * Built-in preset indexes mapped by keyboard key.
+     * Keys 1-4 map to the first 4 built-in presets; the width comes from
+     * the selected unit's preset list.
+     * @type {Object<string, {index: number, name: string}>}
      */
     const PRESET_KEYS = BUILT_IN_PRESETS.reduce((acc, preset, index) => {
         const key = String(index + 1);
-        acc[key] = { width: preset.width, name: preset.name };
-        return acc;
-    }, {});
-
-    /**
-     * Preset names by width value.
-     * Derived from BUILT_IN_PRESETS to avoid duplication.
-     * @type {Object<number, string>}
-     */
-    const PRESETS = BUILT_IN_PRESETS.reduce((acc, preset) => {
-        acc[preset.width] = preset.name;
+        acc[key] = { index, name: preset.name };
         return acc;
     }, {});
 
@@ -101,6 +105,16 @@
         'system': 'System'
     };
 
+    /**
+     * Selector health labels and the status dot class for each (v1.10.0).
+     * @type {Object<string, {label: string, dotClass: string}>}
+     */
+    const HEALTH_DISPLAY = {
+        'healthy': { label: 'Healthy', dotClass: 'active' },
+        'degraded': { label: 'Degraded', dotClass: 'inactive' },
+        'broken': { label: 'Broken', dotClass: 'error' }
+    };
+
     // =========================================================================
     // DOM REFERENCES
     // =========================================================================
@@ -115,6 +129,16 @@
      */
     let widthValueElement;
 
+    /**
+     * @type {HTMLSpanElement}
+     */
+    let widthUnitElement;
+
+    /**
+     * @type {NodeListOf<HTMLButtonElement>}
+     */
+    let unitButtons;
+
     /**
      * @type {HTMLDivElement}
      */
@@ -130,6 +154,11 @@
      */
     let statusTextElement;
 
+    /**
+     * @type {HTMLParagraphElement}
+     */
+    let statusDetailsElement;
+
     /**
      * @type {HTMLSpanElement}
      */
@@ -239,6 +268,45 @@
      */
     let syncIndicator;
 
+    /**
+     * Auto-profile rule indicator element (v1.10.0).
+     * @type {HTMLElement}
+     */
+    let autoRuleIndicator;
+
+    /**
+     * Conversation pin section and button (v1.10.0).
+     * @type {HTMLElement}
+     */
+    let conversationPinSection;
+
+    /**
+     * @type {HTMLButtonElement}
+     */
+    let pinConversationBtn;
+
+    /**
+     * Breakpoint tier list and add button (v1.10.0).
+     * @type {HTMLElement}
+     */
+    let breakpointList;
+
+    /**
+     * @type {HTMLButtonElement}
+     */
+    let addBreakpointBtn;
+
+    /**
+     * Auto width toggle and bound inputs (v1.10.0).
+     * @type {HTMLInputElement}
+     */
+    let autoWidthToggle;
+
+    /**
+     * @type {HTMLInputElement[]}
+     */
+    let autoWidthBoundInputs = [];
+
     // =========================================================================
     // CONSOLIDATED STATE MANAGEMENT
     // =========================================================================
@@ -254,20 +322,30 @@
      * @type {Object}
      * @property {number} selectedWidth - Currently selected width (may differ from saved during preview)
      * @property {number} savedWidth - Last saved/applied width (used to detect unsaved changes)
+     * @property {string} selectedUnit - Width unit of selectedWidth and savedWidth (v1.10.0)
      * @property {boolean} isOnClaudeTab - Whether user is currently on a claude.ai tab
      * @property {string} currentTheme - Current theme preference ('light', 'dark', 'system')
      * @property {HTMLElement[]} focusableElements - All focusable elements for focus trap
-     * @property {Array<Object>} customPresets - User's custom presets with id, name, width, favorite, order
-     * @property {number[]} recentWidths - Recently used width values
+     * @property {Array<Object>} customPresets - User's custom presets with id, name, width, unit, favorite, order
+     * @property {Array<{width: number, unit: string}>} recentWidths - Recently used widths
      * @property {string|null} editingPresetId - ID of preset currently being edited, or null
      * @property {HTMLElement|null} dragTarget - Current drag target element during drag-drop
      * @property {Object} enhancedSettings - Enhanced styling settings (v1.8.0)
      * @property {boolean} advancedExpanded - Whether advanced section is expanded
+     * @property {string|null} conversationId - Chat UUID of the active tab (v1.10.0)
+     * @property {Object|null} conversationPin - Settings pinned to that conversation (v1.10.0)
+     * @property {Array<Object>} breakpoints - Breakpoint tiers of the active profile (v1.10.0)
+     * @property {number|null} viewportWidth - Width of the active claude.ai tab, or null (v1.10.0)
+     * @property {boolean} autoWidth - Whether the active profile uses auto width (v1.10.0)
+     * @property {Object|null} autoWidthBounds - Stored auto width bounds (v1.10.0)
+     * @property {string} autoWidthUnit - Profile width unit the bounds are in (v1.10.0)
+     * @property {{width: number, unit: string}|null} autoWidthPicked - Width auto mode picked in the active tab (v1.10.0)
      */
     const state = {
         // Width state
         selectedWidth: DEFAULT_WIDTH,
         savedWidth: DEFAULT_WIDTH,
+        selectedUnit: DEFAULT_WIDTH_UNIT,
 
         // Tab state
         isOnClaudeTab: false,
@@ -294,7 +372,22 @@
         activeProfileId: 'default',
         activeProfileName: 'Default',
         profiles: {},
-        syncEnabled: false
+        syncEnabled: false,
+        autoProfileRule: null,
+
+        // Conversation pin state (v1.10.0)
+        conversationId: null,
+        conversationPin: null,
+
+        // Breakpoint state (v1.10.0)
+        breakpoints: [],
+        viewportWidth: null,
+
+        // Auto width state (v1.10.0)
+        autoWidth: false,
+        autoWidthBounds: null,
+        autoWidthUnit: DEFAULT_WIDTH_UNIT,
+        autoWidthPicked: null
     };
 
     // =========================================================================
@@ -308,9 +401,12 @@
         // Cache DOM references
         sliderElement = document.getElementById('widthSlider');
         widthValueElement = document.getElementById('widthValue');
+        widthUnitElement = document.getElementById('widthUnit');
+        unitButtons = document.querySelectorAll('.unit-btn');
         previewBarElement = document.getElementById('previewBar');
         statusDotElement = document.getElementById('statusDot');
         statusTextElement = document.getElementById('statusText');
+        statusDetailsElement = document.getElementById('statusDetails');
         nonDefaultIndicator = document.getElementById('nonDefaultIndicator');
         presetButtons = document.querySelectorAll('.preset-btn');
         applyButton = document.getElementById('applyBtn');
@@ -338,6 +434,20 @@
         profileSelect = document.getElementById('profileSelect');
         manageProfilesBtn = document.getElementById('manageProfilesBtn');
         syncIndicator = document.getElementById('syncIndicator');
+        autoRuleIndicator = document.getElementById('autoRuleIndicator');
+
+        // Conversation pin elements (v1.10.0)
+        conversationPinSection = document.getElementById('conversationPinSection');
+        pinConversationBtn = document.getElementById('pinConversationBtn');
+
+        // Breakpoint elements (v1.10.0)
+        breakpointList = document.getElementById('breakpointList');
+        addBreakpointBtn = document.getElementById('addBreakpointBtn');
+
+        // Auto width elements (v1.10.0)
+        autoWidthToggle = document.getElementById('autoWidthToggle');
+        autoWidthBoundInputs = [document.getElementById('autoWidthMin'), document.getElementById('autoWidthMax')]
+            .filter(Boolean);
 
         // Set up event listeners
         setupEventListeners();
@@ -347,10 +457,12 @@
 
         // Load saved preferences and check status
         loadSavedTheme();
-        loadSavedPreference();
+        // The conversation pin overrides profile values, so load it after them
+        Promise.all([loadSavedPreference(), loadEnhancedSettings()]).then(loadConversationPin);
         loadCustomPresets();
         loadRecentWidths();
-        loadEnhancedSettings();
+        loadBreakpoints();
+        loadAutoWidth();
         loadProfiles();
         checkClaudeTabStatus();
 
@@ -390,6 +502,11 @@
             button.addEventListener('click', handlePresetClick);
         });
 
+        // Width unit buttons (v1.10.0)
+        unitButtons.forEach(button => {
+            button.addEventListener('click', handleUnitClick);
+        });
+
         // Apply button
         applyButton.addEventListener('click', handleApplyClick);
 
@@ -410,6 +527,24 @@
         // Focus trap
         document.addEventListener('keydown', handleFocusTrap);
 
+        // Conversation pin (v1.10.0)
+        if (pinConversationBtn) {
+            pinConversationBtn.addEventListener('click', handlePinConversationClick);
+        }
+
+        // Breakpoint tiers (v1.10.0)
+        if (addBreakpointBtn) {
+            addBreakpointBtn.addEventListener('click', handleAddBreakpoint);
+        }
+
+        // Auto width (v1.10.0)
+        if (autoWidthToggle) {
+            autoWidthToggle.addEventListener('change', handleAutoWidthToggle);
+        }
+        autoWidthBoundInputs.forEach(input => {
+            input.addEventListener('change', () => handleAutoWidthBoundEdit(input.dataset.field, parseInt(input.value, 10)));
+        });
+
         // Custom preset events
         if (saveCurrentBtn) {
             saveCurrentBtn.addEventListener('click', handleSaveCurrentClick);
@@ -525,7 +660,7 @@
         state.selectedWidth = value;
         // Auto-apply on change for better UX
         saveAndApplyWidth(value);
-        announceChange(`Width set to ${value} percent`);
+        announceChange(`Width set to ${Units.describeWidth(value, state.selectedUnit)}`);
     }
 
     /**
@@ -537,7 +672,7 @@
         const button = event.currentTarget;
         const width = parseInt(button.dataset.width, 10);
 
-        if (width >= MIN_WIDTH && width <= MAX_WIDTH) {
+        if (Units.isValidWidth(width, state.selectedUnit)) {
             selectPreset(width);
         }
     }
@@ -545,7 +680,7 @@
     /**
      * Select a preset width and apply it.
      *
-     * @param {number} width - Width value to set
+     * @param {number} width - Width value to set, in the selected unit
      */
     function selectPreset(width) {
         state.selectedWidth = width;
@@ -554,33 +689,59 @@
         updatePresetHighlight(width);
         saveAndApplyWidth(width);
 
-        const presetName = PRESETS[width] || '';
-        if (presetName) {
-            announceChange(`${presetName} preset selected, ${width} percent width`);
+        const spoken = Units.describeWidth(width, state.selectedUnit);
+        const presetIndex = Units.getPresetWidths(state.selectedUnit).indexOf(width);
+        if (presetIndex !== -1 && BUILT_IN_PRESETS[presetIndex]) {
+            announceChange(`${BUILT_IN_PRESETS[presetIndex].name} preset selected, ${spoken} width`);
         } else {
-            announceChange(`Width set to ${width} percent`);
+            announceChange(`Width set to ${spoken}`);
         }
     }
 
+    /**
+     * Handle width unit button clicks (v1.10.0).
+     * A built-in preset keeps its position (e.g. Wide stays Wide) in the
+     * new unit; any other width resets to the new unit's default.
+     *
+     * @param {MouseEvent} event - The click event
+     */
+    function handleUnitClick(event) {
+        const unit = event.currentTarget.dataset.unit;
+        if (!Units.isValidUnit(unit) || unit === state.selectedUnit) {
+            return;
+        }
+
+        const presetIndex = Units.getPresetWidths(state.selectedUnit).indexOf(state.selectedWidth);
+        const width = presetIndex !== -1
+            ? Units.getPresetWidths(unit)[presetIndex]
+            : Units.getUnitConfig(unit).defaultValue;
+
+        setSelectedWidth(width, unit);
+        saveAndApplyWidth(width, unit);
+        announceChange(`Width unit set to ${Units.getUnitConfig(unit).label}, ${Units.describeWidth(width, unit)}`);
+    }
+
     /**
      * Handle Apply button click.
      */
     function handleApplyClick() {
         saveAndApplyWidth(state.selectedWidth);
         showApplyFeedback();
-        announceChange(`Width applied: ${state.selectedWidth} percent`);
+        announceChange(`Width applied: ${Units.describeWidth(state.selectedWidth, state.selectedUnit)}`);
     }
 
     /**
      * Handle Reset button click.
+     * Resets to the default width of the selected unit.
      */
     function handleResetClick() {
-        state.selectedWidth = DEFAULT_WIDTH;
-        sliderElement.value = DEFAULT_WIDTH;
-        updateDisplay(DEFAULT_WIDTH);
-        updatePresetHighlight(DEFAULT_WIDTH);
-        saveAndApplyWidth(DEFAULT_WIDTH);
-        announceChange(`Width reset to default, ${DEFAULT_WIDTH} percent`);
+        const defaultWidth = Units.getUnitConfig(state.selectedUnit).defaultValue;
+        state.selectedWidth = defaultWidth;
+        sliderElement.value = defaultWidth;
+        updateDisplay(defaultWidth);
+        updatePresetHighlight(defaultWidth);
+        saveAndApplyWidth(defaultWidth);
+        announceChange(`Width reset to default, ${Units.describeWidth(defaultWidth, state.selectedUnit)}`);
     }
 
     /**
@@ -589,41 +750,44 @@
      * @param {KeyboardEvent} event - The keydown event
      */
     function handleSliderKeydown(event) {
-        // Add larger jumps with Page Up/Down
+        const { min, max, step } = Units.getUnitConfig(state.selectedUnit);
+        const unit = state.selectedUnit;
+
+        // Add larger jumps with Page Up/Down (two slider steps)
         if (event.key === 'PageUp') {
             event.preventDefault();
-            const newValue = Math.min(MAX_WIDTH, state.selectedWidth + 10);
+            const newValue = Math.min(max, state.selectedWidth + step * 2);
             sliderElement.value = newValue;
             state.selectedWidth = newValue;
             updateDisplay(newValue);
             updatePresetHighlight(newValue);
             saveAndApplyWidth(newValue);
-            announceChange(`Width set to ${newValue} percent`);
+            announceChange(`Width set to ${Units.describeWidth(newValue, unit)}`);
         } else if (event.key === 'PageDown') {
             event.preventDefault();
-            const newValue = Math.max(MIN_WIDTH, state.selectedWidth - 10);
+            const newValue = Math.max(min, state.selectedWidth - step * 2);
             sliderElement.value = newValue;
             state.selectedWidth = newValue;
             updateDisplay(newValue);
             updatePresetHighlight(newValue);
             saveAndApplyWidth(newValue);
-            announceChange(`Width set to ${newValue} percent`);
+            announceChange(`Width set to ${Units.describeWidth(newValue, unit)}`);
         } else if (event.key === 'Home') {
             event.preventDefault();
-            sliderElement.value = MIN_WIDTH;
-            state.selectedWidth = MIN_WIDTH;
-            updateDisplay(MIN_WIDTH);
-            updatePresetHighlight(MIN_WIDTH);
-            saveAndApplyWidth(MIN_WIDTH);
-            announceChange(`Width set to minimum, ${MIN_WIDTH} percent`);
+            sliderElement.value = min;
+            state.selectedWidth = min;
+            updateDisplay(min);
+            updatePresetHighlight(min);
+            saveAndApplyWidth(min);
+            announceChange(`Width set to minimum, ${Units.describeWidth(min, unit)}`);
         } else if (event.key === 'End') {
             event.preventDefault();
-            sliderElement.value = MAX_WIDTH;
-            state.selectedWidth = MAX_WIDTH;
-            updateDisplay(MAX_WIDTH);
-            updatePresetHighlight(MAX_WIDTH);
-            saveAndApplyWidth(MAX_WIDTH);
-            announceChange(`Width set to maximum, ${MAX_WIDTH} percent`);
+            sliderElement.value = max;
+            state.selectedWidth = max;
+            updateDisplay(max);
+            updatePresetHighlight(max);
+            saveAndApplyWidth(max);
+            announceChange(`Width set to maximum, ${Units.describeWidth(max, unit)}`);
         }
     }
 
@@ -661,10 +825,10 @@
 
         const key = event.key.toLowerCase();
 
-        // Number keys 1-4 for presets
+        // Number keys 1-4 for presets (in the selected unit)
         if (PRESET_KEYS[key]) {
             event.preventDefault();
-            selectPreset(PRESET_KEYS[key].width);
+            selectPreset(Units.getPresetWidths(state.selectedUnit)[PRESET_KEYS[key].index]);
             return;
         }
 
@@ -875,6 +1039,7 @@
     // SVG path constants for commonly used icons
     const SVG_PATHS = {
         drag: 'M2 4h12v1H2V4zm0 3.5h12v1H2v-1zm0 3.5h12v1H2v-1z',
+        remove: 'M3.72 3.72a.75.75 0 011.06 0L8 6.94l3.22-3.22a.75.75 0 111.06 1.06L9.06 8l3.22 3.22a.75.75 0 11-1.06 1.06L8 9.06l-3.22 3.22a.75.75 0 01-1.06-1.06L6.94 8 3.72 4.78a.75.75 0 010-1.06z',
         edit: 'M11.013 1.427a1.75 1.75 0 012.474 0l1.086 1.086a1.75 1.75 0 010 2.474l-8.61 8.61c-.21.21-.47.364-.756.445l-3.251.93a.75.75 0 01-.927-.928l.929-3.25a1.75 1.75 0 01.445-.758l8.61-8.61zm1.414 1.06a.25.25 0 00-.354 0L10.811 3.75l1.439 1.44 1.263-1.263a.25.25 0 000-.354l-1.086-1.086zM11.189 6.25L9.75 4.81l-6.286 6.287a.25.25 0 00-.064.108l-.558 1.953 1.953-.558a.25.25 0 00.108-.064l6.286-6.286z',
         starFilled: 'M8 .25a.75.75 0 01.673.418l1.882 3.815 4.21.612a.75.75 0 01.416 1.279l-3.046 2.97.719 4.192a.75.75 0 01-1.088.791L8 12.347l-3.766 1.98a.75.75 0 01-1.088-.79l.72-4.194L.818 6.374a.75.75 0 01.416-1.28l4.21-.611L7.327.668A.75.75 0 018 .25z',
         starOutline: 'M8 .25a.75.75 0 01.673.418l1.882 3.815 4.21.612a.75.75 0 01.416 1.279l-3.046 2.97.719 4.192a.75.75 0 01-1.088.791L8 12.347l-3.766 1.98a.75.75 0 01-1.088-.79l.72-4.194L.818 6.374a.75.75 0 01.416-1.28l4.21-.611L7.327.668A.75.75 0 018 .25zm0 2.445L6.615 5.5a.75.75 0 01-.564.41l-3.097.45 2.24 2.184a.75.75 0 01.216.664l-.528 3.084 2.769-1.456a.75.75 0 01.698 0l2.77 1.456-.53-3.084a.75.75 0 01.216-.664l2.24-2.183-3.096-.45a.75.75 0 01-.564-.41L8 2.694z'
@@ -915,7 +1080,7 @@
         const applyBtn = document.createElement('button');
         applyBtn.className = 'preset-apply-btn';
         applyBtn.type = 'button';
-        applyBtn.setAttribute('aria-label', `Apply ${escapeHtml(preset.name)} preset (${preset.width}%)`);
+        applyBtn.setAttribute('aria-label', `Apply ${escapeHtml(preset.name)} preset (${Units.describeWidth(preset.width, preset.unit)})`);
 
         const nameSpan = document.createElement('span');
         nameSpan.className = 'preset-name';
@@ -923,7 +1088,7 @@
 
         const widthSpan = document.createElement('span');
         widthSpan.className = 'preset-width';
-        widthSpan.textContent = `${preset.width}%`;
+        widthSpan.textContent = Units.formatWidth(preset.width, preset.unit);
 
         applyBtn.appendChild(nameSpan);
         applyBtn.appendChild(widthSpan);
@@ -988,12 +1153,10 @@
      * @param {Object} preset - The preset to apply
      */
     function handleApplyCustomPreset(preset) {
-        selectedWidth = preset.width;
-        sliderElement.value = preset.width;
-        updateDisplay(preset.width);
-        updatePresetHighlight(preset.width);
-        saveAndApplyWidth(preset.width);
-        announceChange(`${preset.name} preset applied, ${preset.width} percent width`);
+        const unit = Units.normalizeUnit(preset.unit);
+        setSelectedWidth(preset.width, unit);
+        saveAndApplyWidth(preset.width, unit);
+        announceChange(`${preset.name} preset applied, ${Units.describeWidth(preset.width, unit)} width`);
     }
 
     /**
@@ -1047,6 +1210,7 @@
             id: generateUUID(),
             name: name,
             width: state.selectedWidth,
+            unit: state.selectedUnit,
             favorite: false,
             order: state.customPresets.length
         };
@@ -1060,7 +1224,7 @@
             newPresetForm.hidden = true;
         }
 
-        announceChange(`Custom preset "${name}" created at ${state.selectedWidth} percent`);
+        announceChange(`Custom preset "${name}" created at ${Units.describeWidth(state.selectedWidth, state.selectedUnit)}`);
     }
 
     /**
@@ -1113,8 +1277,9 @@
             return;
         }
 
-        if (isNaN(newWidth) || newWidth < MIN_WIDTH || newWidth > MAX_WIDTH) {
-            announceChange(`Width must be between ${MIN_WIDTH} and ${MAX_WIDTH}`);
+        if (!Units.isValidWidth(newWidth, preset.unit)) {
+            const { min, max } = Units.getUnitConfig(preset.unit);
+            announceChange(`Width must be between ${min} and ${max}`);
             editPresetWidthInput.focus();
             return;
         }
@@ -1125,7 +1290,7 @@
         renderCustomPresets();
 
         handleCancelEdit();
-        announceChange(`Preset updated to "${newName}" at ${newWidth} percent`);
+        announceChange(`Preset updated to "${newName}" at ${Units.describeWidth(newWidth, preset.unit)}`);
     }
 
     /**
@@ -1307,7 +1472,7 @@
     async function loadRecentWidths() {
         try {
             const result = await browser.storage.local.get('recentWidths');
-            state.recentWidths = result.recentWidths || [];
+            state.recentWidths = Units.normalizeRecentWidths(result.recentWidths);
             renderRecentWidths();
         } catch (error) {
             console.error('[Claude Width Popup] Error loading recent widths:', error);
@@ -1321,9 +1486,11 @@
     function renderRecentWidths() {
         if (!recentlyUsedList || !recentlyUsedContainer) return;
 
-        // Filter out widths that match built-in or custom presets
-        const presetWidths = [...BUILT_IN_PRESETS.map(p => p.width), ...state.customPresets.map(p => p.width)];
-        const uniqueRecent = state.recentWidths.filter(w => !presetWidths.includes(w));
+        // Filter out widths that match built-in or custom presets in the same unit
+        const isPresetWidth = ({ width, unit }) =>
+            Units.getPresetWidths(unit).includes(width) ||
+            state.customPresets.some(p => p.width === width && Units.normalizeUnit(p.unit) === unit);
+        const uniqueRecent = state.recentWidths.filter(entry => !isPresetWidth(entry));
 
         if (uniqueRecent.length === 0) {
             recentlyUsedContainer.hidden = true;
@@ -1333,19 +1500,16 @@
         recentlyUsedContainer.hidden = false;
         recentlyUsedList.textContent = '';
 
-        uniqueRecent.slice(0, MAX_RECENT_WIDTHS).forEach(width => {
+        uniqueRecent.slice(0, MAX_RECENT_WIDTHS).forEach(({ width, unit }) => {
             const btn = document.createElement('button');
             btn.className = 'recent-width-btn';
             btn.type = 'button';
-            btn.setAttribute('aria-label', `Apply ${width}% width`);
-            btn.textContent = `${width}%`;
+            btn.setAttribute('aria-label', `Apply ${Units.describeWidth(width, unit)} width`);
+            btn.textContent = Units.formatWidth(width, unit);
             btn.addEventListener('click', () => {
-                state.selectedWidth = width;
-                sliderElement.value = width;
-                updateDisplay(width);
-                updatePresetHighlight(width);
-                saveAndApplyWidth(width);
-                announceChange(`Width set to ${width} percent`);
+                setSelectedWidth(width, unit);
+                saveAndApplyWidth(width, unit);
+                announceChange(`Width set to ${Units.describeWidth(width, unit)}`);
             });
             recentlyUsedList.appendChild(btn);
         });
@@ -1353,6 +1517,433 @@
         cacheFocusableElements();
     }
 
+    // =========================================================================
+    // RESPONSIVE WIDTH BREAKPOINTS (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Load the active profile's breakpoint tiers and the width of the
+     * active claude.ai tab (used to show which tier applies).
+     */
+    async function loadBreakpoints() {
+        try {
+            const [result, tabs] = await Promise.all([
+                browser.storage.local.get(WIDTH_BREAKPOINTS_KEY),
+                browser.tabs.query({ active: true, currentWindow: true })
+            ]);
+            state.breakpoints = Breakpoints.sanitizeBreakpoints(result[WIDTH_BREAKPOINTS_KEY]);
+
+            const tab = tabs[0];
+            state.viewportWidth = tab && tab.url && tab.url.includes('claude.ai') && typeof tab.width === 'number'
+                ? tab.width
+                : null;
+        } catch (error) {
+            console.error('[Claude Width Popup] Error loading breakpoints:', error);
+            state.breakpoints = [];
+            state.viewportWidth = null;
+        }
+
+        renderBreakpoints();
+    }
+
+    /**
+     * Save breakpoint tiers. The content script and background pick the
+     * change up from storage, and the background writes it into the profile.
+     *
+     * @param {Array<Object>} tiers - Tiers to save (sanitized before saving)
+     * @returns {Promise<boolean>} True if saved
+     */
+    async function saveBreakpoints(tiers) {
+        const sanitized = Breakpoints.sanitizeBreakpoints(tiers);
+
+        try {
+            await browser.storage.local.set({ [WIDTH_BREAKPOINTS_KEY]: sanitized });
+            state.breakpoints = sanitized;
+            console.log(`[Claude Width Popup] Saved ${sanitized.length} breakpoint tier(s)`);
+            return true;
+        } catch (error) {
+            console.error('[Claude Width Popup] Error saving breakpoints:', error);
+            announceChange('Error saving breakpoints');
+            return false;
+        } finally {
+            renderBreakpoints();
+        }
+    }
+
+    /**
+     * Render the tier list, the active tier status and the section summary.
+     * Keeps focus on the same field when rows are rebuilt.
+     */
+    function renderBreakpoints() {
+        if (!breakpointList) return;
+
+        const tiers = state.breakpoints;
+        const activeIndex = Breakpoints.findActiveBreakpoint(tiers, state.viewportWidth);
+        const focused = breakpointList.contains(document.activeElement) ? document.activeElement.dataset : null;
+        const focusKey = focused ? `${focused.index}:${focused.field}` : null;
+
+        breakpointList.textContent = '';
+        tiers.forEach((tier, index) => {
+            breakpointList.appendChild(createBreakpointRow(tier, index, index === activeIndex));
+        });
+
+        if (focusKey) {
+            const target = Array.from(breakpointList.querySelectorAll('[data-field]'))
+                .find(el => `${el.dataset.index}:${el.dataset.field}` === focusKey);
+            if (target) target.focus();
+        }
+
+        const status = document.getElementById('breakpointStatus');
+        if (status) {
+            status.textContent = getBreakpointStatusText(tiers, activeIndex);
+        }
+
+        const summary = document.getElementById('breakpointSummary');
+        if (summary) {
+            if (tiers.length === 0) {
+                summary.textContent = 'Off';
+            } else if (activeIndex !== -1) {
+                summary.textContent = Breakpoints.describeBreakpointRange(tiers, activeIndex);
+            } else {
+                summary.textContent = `${tiers.length} tier${tiers.length > 1 ? 's' : ''}`;
+            }
+        }
+
+        if (addBreakpointBtn) {
+            addBreakpointBtn.disabled = tiers.length >= MAX_WIDTH_BREAKPOINTS;
+        }
+
+        cacheFocusableElements();
+    }
+
+    /**
+     * Describe which tier applies to the active tab.
+     *
+     * @param {Array<Object>} tiers - Sanitized tiers
+     * @param {number} activeIndex - Index of the active tier, or -1
+     * @returns {string} Status text
+     */
+    function getBreakpointStatusText(tiers, activeIndex) {
+        if (tiers.length === 0) {
+            return 'Add tiers to use a different width for each window size.';
+        }
+        if (state.viewportWidth === null) {
+            return 'Open claude.ai to see which tier applies.';
+        }
+
+        const tier = tiers[activeIndex];
+        if (!tier) {
+            return `Window ${state.viewportWidth}px is below the first tier; the profile width applies.`;
+        }
+        return `Window ${state.viewportWidth}px: ${Breakpoints.describeBreakpointRange(tiers, activeIndex)} tier active (${Units.formatWidth(tier.width, tier.unit)}).`;
+    }
+
+    /**
+     * Create a tier row: start width, chat width, unit and remove button.
+     *
+     * @param {Object} tier - Breakpoint tier
+     * @param {number} index - Tier index
+     * @param {boolean} isActive - Whether the tier applies to the active tab
+     * @returns {HTMLElement} Row element
+     */
+    function createBreakpointRow(tier, index, isActive) {
+        const position = index + 1;
+        const config = Units.getUnitConfig(tier.unit);
+
+        const row = document.createElement('div');
+        row.className = 'breakpoint-row' + (isActive ? ' active' : '');
+        row.setAttribute('role', 'listitem');
+        if (isActive) {
+            row.setAttribute('aria-current', 'true');
+        }
+
+        const fromText = document.createElement('span');
+        fromText.className = 'breakpoint-text';
+        fromText.textContent = 'From';
+
+        const minInput = createBreakpointInput(index, 'minViewport', tier.minViewport, {
+            min: 0,
+            max: MAX_BREAKPOINT_VIEWPORT,
+            step: 10,
+            label: `Tier ${position} starts at window width, in pixels`
+        });
+
+        const pxText = document.createElement('span');
+        pxText.className = 'breakpoint-text';
+        pxText.textContent = 'px:';
+
+        const widthInput = createBreakpointInput(index, 'width', tier.width, {
+            min: config.min,
+            max: config.max,
+            step: config.step,
+            label: `Tier ${position} chat width, ${config.spoken}`
+        });
+
+        const unitSelect = document.createElement('select');
+        unitSelect.className = 'breakpoint-unit';
+        unitSelect.dataset.index = String(index);
+        unitSelect.dataset.field = 'unit';
+        unitSelect.setAttribute('aria-label', `Tier ${position} width unit`);
+        for (const unit of Object.keys(WIDTH_UNITS)) {
+            const option = document.createElement('option');
+            option.value = unit;
+            option.textContent = unit;
+            option.selected = unit === tier.unit;
+            unitSelect.appendChild(option);
+        }
+        unitSelect.addEventListener('change', () => handleBreakpointEdit(index, 'unit', unitSelect.value));
+
+        const removeBtn = createIconButton({
+            className: 'edit-btn breakpoint-remove-btn',
+            ariaLabel: `Remove tier ${position} (${Breakpoints.describeBreakpointRange(state.breakpoints, index)})`,
+            title: 'Remove tier',
+            iconPath: SVG_PATHS.remove
+        });
+        removeBtn.addEventListener('click', () => handleRemoveBreakpoint(index));
+
+        row.appendChild(fromText);
+        row.appendChild(minInput);
+        row.appendChild(pxText);
+        row.appendChild(widthInput);
+        row.appendChild(unitSelect);
+        row.appendChild(removeBtn);
+
+        return row;
+    }
+
+    /**
+     * Create a number input for a tier field.
+     *
+     * @param {number} index - Tier index
+     * @param {string} field - Tier field ('minViewport' or 'width')
+     * @param {number} value - Current value
+     * @param {{min: number, max: number, step: number, label: string}} options - Input range and label
+     * @returns {HTMLInputElement} Input element
+     */
+    function createBreakpointInput(index, field, value, { min, max, step, label }) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'breakpoint-input';
+        input.min = String(min);
+        input.max = String(max);
+        input.step = String(step);
+        input.value = String(value);
+        input.dataset.index = String(index);
+        input.dataset.field = field;
+        input.setAttribute('aria-label', label);
+        input.addEventListener('change', () => handleBreakpointEdit(index, field, parseInt(input.value, 10)));
+        return input;
+    }
+
+    /**
+     * Handle an edit to one field of a tier.
+     * Changing the unit resets the width to the new unit's default.
+     *
+     * @param {number} index - Tier index
+     * @param {string} field - 'minViewport', 'width' or 'unit'
+     * @param {number|string} value - New value
+     */
+    function handleBreakpointEdit(index, field, value) {
+        const tiers = state.breakpoints.map(tier => ({ ...tier }));
+        const tier = tiers[index];
+        if (!tier) return;
+
+        if (field === 'unit') {
+            tier.unit = Units.normalizeUnit(value);
+            tier.width = Units.getUnitConfig(tier.unit).defaultValue;
+        } else if (typeof value === 'number' && !isNaN(value)) {
+            tier[field] = value;
+        } else {
+            // Invalid input: restore the saved value
+            renderBreakpoints();
+            return;
+        }
+
+        // Two tiers cannot start at the same width
+        if (field === 'minViewport' && tiers.some((other, i) => i !== index && other.minViewport === Math.round(value))) {
+            announceChange(`Another tier already starts at ${Math.round(value)}px`);
+            renderBreakpoints();
+            return;
+        }
+
+        saveBreakpoints(tiers);
+    }
+
+    /**
+     * Add a tier above the last one, using the selected width.
+     */
+    async function handleAddBreakpoint() {
+        const tiers = state.breakpoints;
+        if (tiers.length >= MAX_WIDTH_BREAKPOINTS) return;
+
+        const last = tiers[tiers.length - 1];
+        const minViewport = last ? Math.min(last.minViewport + 400, MAX_BREAKPOINT_VIEWPORT) : 1200;
+
+        if (tiers.some(tier => tier.minViewport === minViewport)) {
+            announceChange('No room for another tier above the last one');
+            return;
+        }
+
+        const saved = await saveBreakpoints([...tiers, { minViewport, width: state.selectedWidth, unit: state.selectedUnit }]);
+        if (saved) {
+            announceChange(`Added tier from ${minViewport}px at ${Units.describeWidth(state.selectedWidth, state.selectedUnit)}`);
+        }
+    }
+
+    /**
+     * Remove a tier.
+     *
+     * @param {number} index - Tier index
+     */
+    async function handleRemoveBreakpoint(index) {
+        const tiers = state.breakpoints.filter((_, i) => i !== index);
+        const saved = await saveBreakpoints(tiers);
+        if (saved) {
+            announceChange(tiers.length > 0 ? 'Tier removed' : 'All tiers removed, the profile width applies at every window size');
+        }
+    }
+
+    // =========================================================================
+    // AUTO WIDTH (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Load the active profile's auto width mode and bounds.
+     */
+    async function loadAutoWidth() {
+        try {
+            const result = await browser.storage.local.get([AUTO_WIDTH_KEY, AUTO_WIDTH_BOUNDS_KEY, WIDTH_UNIT_KEY]);
+            state.autoWidth = result[AUTO_WIDTH_KEY] === true;
+            state.autoWidthBounds = result[AUTO_WIDTH_BOUNDS_KEY] ?? null;
+            state.autoWidthUnit = Units.normalizeUnit(result[WIDTH_UNIT_KEY]);
+        } catch (error) {
+            console.error('[Claude Width Popup] Error loading auto width:', error);
+            state.autoWidth = false;
+            state.autoWidthBounds = null;
+        }
+
+        renderAutoWidth();
+    }
+
+    /**
+     * Save auto width settings. The content script re-measures and reports
+     * its pick to the background, which updates the badge.
+     *
+     * @param {Object} values - Storage values to save
+     * @returns {Promise<boolean>} True if saved
+     */
+    async function saveAutoWidth(values) {
+        try {
+            await browser.storage.local.set(values);
+            if (values[AUTO_WIDTH_KEY] !== undefined) {
+                state.autoWidth = values[AUTO_WIDTH_KEY];
+            }
+            if (values[AUTO_WIDTH_BOUNDS_KEY] !== undefined) {
+                state.autoWidthBounds = values[AUTO_WIDTH_BOUNDS_KEY];
+            }
+            state.autoWidthPicked = null;
+
+            // Show the new pick once the tab has measured
+            setTimeout(checkClaudeTabStatus, TIMING.AUTO_WIDTH_DEBOUNCE_MS * 2);
+            return true;
+        } catch (error) {
+            console.error('[Claude Width Popup] Error saving auto width:', error);
+            announceChange('Error saving auto width');
+            return false;
+        } finally {
+            renderAutoWidth();
+        }
+    }
+
+    /**
+     * Render the toggle, bound inputs, status and section summary.
+     */
+    function renderAutoWidth() {
+        if (!autoWidthToggle) return;
+
+        const bounds = AutoWidth.sanitizeBounds(state.autoWidthBounds, state.autoWidthUnit);
+        const config = Units.getUnitConfig(bounds.unit);
+
+        autoWidthToggle.checked = state.autoWidth;
+        autoWidthBoundInputs.forEach(input => {
+            input.min = String(config.min);
+            input.max = String(config.max);
+            input.step = String(config.step);
+            input.value = String(bounds[input.dataset.field]);
+            input.disabled = !state.autoWidth;
+        });
+
+        const unitLabel = document.getElementById('autoWidthUnit');
+        if (unitLabel) {
+            unitLabel.textContent = bounds.unit;
+        }
+
+        const picked = state.autoWidthPicked;
+        const summary = document.getElementById('autoWidthSummary');
+        if (summary) {
+            if (!state.autoWidth) {
+                summary.textContent = 'Off';
+            } else {
+                summary.textContent = picked ? AutoWidth.formatLabel(picked.width, picked.unit) : 'On';
+            }
+        }
+
+        const status = document.getElementById('autoWidthStatus');
+        if (status) {
+            status.textContent = getAutoWidthStatusText(picked);
+        }
+    }
+
+    /**
+     * Describe what auto width is doing in the active tab.
+     *
+     * @param {{width: number, unit: string}|null} picked - Width the tab picked, if known
+     * @returns {string} Status text
+     */
+    function getAutoWidthStatusText(picked) {
+        if (!state.autoWidth) {
+            return 'Widens the chat when code blocks or tables would scroll sideways.';
+        }
+        if (picked) {
+            return `Picked ${Units.formatWidth(picked.width, picked.unit)} for the code and tables on screen.`;
+        }
+        if (state.conversationPin?.[STORAGE_KEY] !== undefined) {
+            return 'This conversation has a pinned width, so auto width is paused.';
+        }
+        return 'Open a claude.ai chat to see the width it picks.';
+    }
+
+    /**
+     * Handle the auto width toggle.
+     *
+     * @param {Event} event - Change event
+     */
+    async function handleAutoWidthToggle(event) {
+        const enabled = event.target.checked;
+        const saved = await saveAutoWidth({ [AUTO_WIDTH_KEY]: enabled });
+        if (saved) {
+            announceChange(enabled ? 'Auto width on' : 'Auto width off, the profile width applies');
+        }
+    }
+
+    /**
+     * Handle an edit to the narrowest or widest auto width.
+     *
+     * @param {string} field - 'min' or 'max'
+     * @param {number} value - New value
+     */
+    function handleAutoWidthBoundEdit(field, value) {
+        if (typeof value !== 'number' || isNaN(value)) {
+            // Invalid input: restore the saved value
+            renderAutoWidth();
+            return;
+        }
+
+        const bounds = AutoWidth.sanitizeBounds(state.autoWidthBounds, state.autoWidthUnit);
+        bounds[field] = value;
+        saveAutoWidth({ [AUTO_WIDTH_BOUNDS_KEY]: AutoWidth.sanitizeBounds(bounds, bounds.unit) });
+    }
+
     // =========================================================================
     // SCREEN READER ANNOUNCEMENTS
     // =========================================================================
@@ -1378,10 +1969,80 @@
     // UI UPDATES
     // =========================================================================
 
+    /**
+     * Select a width in any unit and update the slider, presets and display.
+     * Does not save; callers follow up with saveAndApplyWidth().
+     *
+     * @param {number} width - Width value
+     * @param {string} unit - Width unit
+     */
+    function setSelectedWidth(width, unit) {
+        state.selectedUnit = Units.normalizeUnit(unit);
+        state.selectedWidth = Units.clampWidth(width, state.selectedUnit);
+        updateUnitUI();
+        sliderElement.value = state.selectedWidth;
+        updateDisplay(state.selectedWidth);
+        updatePresetHighlight(state.selectedWidth);
+    }
+
+    /**
+     * Update the unit toggle, slider range and built-in preset buttons
+     * for the selected unit (v1.10.0).
+     */
+    function updateUnitUI() {
+        const unit = state.selectedUnit;
+        const config = Units.getUnitConfig(unit);
+
+        unitButtons.forEach(button => {
+            const isActive = button.dataset.unit === unit;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-checked', isActive ? 'true' : 'false');
+        });
+
+        if (widthUnitElement) {
+            widthUnitElement.textContent = unit;
+        }
+
+        sliderElement.min = config.min;
+        sliderElement.max = config.max;
+        sliderElement.step = config.step;
+        sliderElement.setAttribute('aria-valuemin', config.min);
+        sliderElement.setAttribute('aria-valuemax', config.max);
+
+        const labels = {
+            sliderMinLabel: config.min,
+            sliderDefaultLabel: config.defaultValue,
+            sliderMaxLabel: config.max
+        };
+        for (const [id, value] of Object.entries(labels)) {
+            const label = document.getElementById(id);
+            if (label) {
+                label.textContent = Units.formatWidth(value, unit);
+            }
+        }
+
+        const rangeText = document.getElementById('sliderRangeText');
+        if (rangeText) {
+            rangeText.textContent = `${Units.formatWidth(config.min, unit)} to ${Units.formatWidth(config.max, unit)}`;
+        }
+
+        // Built-in presets keep their names; their widths follow the unit
+        presetButtons.forEach(button => {
+            const index = BUILT_IN_PRESETS.findIndex(p => p.id === button.dataset.presetId);
+            if (index === -1) return;
+
+            const preset = BUILT_IN_PRESETS[index];
+            const width = config.presets[index];
+            button.dataset.width = String(width);
+            button.title = `${preset.name} width (${Units.formatWidth(width, unit)})`;
+            button.setAttribute('aria-label', `${preset.name} preset, ${Units.describeWidth(width, unit)} width. Press ${index + 1} for shortcut.`);
+        });
+    }
+
     /**
      * Update all display elements to reflect current width value.
      *
-     * @param {number} width - Width percentage to display
+     * @param {number} width - Width value to display, in the selected unit
      */
     function updateDisplay(width) {
         // Update numeric display
@@ -1393,14 +2054,15 @@
 
         // Update slider ARIA attributes
         sliderElement.setAttribute('aria-valuenow', width);
-        sliderElement.setAttribute('aria-valuetext', `${width} percent`);
+        sliderElement.setAttribute('aria-valuetext', Units.describeWidth(width, state.selectedUnit));
 
         // Update slider visual progress
-        const progress = ((width - MIN_WIDTH) / (MAX_WIDTH - MIN_WIDTH)) * 100;
+        const { min, max } = Units.getUnitConfig(state.selectedUnit);
+        const progress = ((width - min) / (max - min)) * 100;
         sliderElement.style.setProperty('--slider-progress', `${progress}%`);
 
-        // Update preview bar width
-        previewBarElement.style.width = `${width}%`;
+        // Update preview bar width (absolute units are shown relative to their maximum)
+        previewBarElement.style.width = `${(width / max) * 100}%`;
 
         // Update non-default indicator
         updateNonDefaultIndicator(width);
@@ -1413,7 +2075,7 @@
      */
     function updateNonDefaultIndicator(width) {
         if (nonDefaultIndicator) {
-            if (width !== DEFAULT_WIDTH) {
+            if (width !== DEFAULT_WIDTH || state.selectedUnit !== DEFAULT_WIDTH_UNIT) {
                 nonDefaultIndicator.hidden = false;
             } else {
                 nonDefaultIndicator.hidden = true;
@@ -1432,7 +2094,7 @@
         if (applyButton) {
             if (hasUnsavedChanges) {
                 applyButton.classList.add('has-changes');
-                applyButton.setAttribute('aria-label', `Apply pending change to ${state.selectedWidth} percent`);
+                applyButton.setAttribute('aria-label', `Apply pending change to ${Units.describeWidth(state.selectedWidth, state.selectedUnit)}`);
             } else {
                 applyButton.classList.remove('has-changes');
                 applyButton.setAttribute('aria-label', 'Apply current width setting');
@@ -1487,22 +2149,60 @@
 
     /**
      * Update status indicator based on current tab.
+     * On conversation pages the selector health is appended, with what is
+     * missing shown below the status line.
      *
      * @param {boolean} active - Whether on claude.ai tab
      * @param {string} [message] - Optional status message
+     * @param {Object|null} [health=null] - Health report from the content script's getStatus
      */
-    function updateStatus(active, message) {
+    function updateStatus(active, message, health = null) {
         statusDotElement.classList.remove('active', 'inactive', 'error');
+        statusDetailsElement.textContent = '';
+        statusDetailsElement.hidden = true;
 
         if (active) {
-            statusDotElement.classList.add('active');
+            const display = health && health.onConversation ? HEALTH_DISPLAY[health.status] : null;
+            statusDotElement.classList.add(display ? display.dotClass : 'active');
             statusTextElement.textContent = message || 'Active on claude.ai';
+
+            if (display) {
+                statusTextElement.textContent += ` · ${display.label}`;
+                const details = formatHealthDetails(health);
+                if (details) {
+                    statusDetailsElement.textContent = details;
+                    statusDetailsElement.hidden = false;
+                }
+            }
         } else {
             statusDotElement.classList.add('inactive');
             statusTextElement.textContent = message || 'Not on claude.ai';
         }
     }
 
+    /**
+     * Describe what a health report found wrong.
+     *
+     * @param {Object} health - Health report
+     * @returns {string} Details, or an empty string when nothing is wrong
+     */
+    function formatHealthDetails(health) {
+        const details = [];
+        const notFound = health.missingRoles.filter(role => !health.lostRoles.includes(role));
+
+        if (health.lostRoles.length > 0) {
+            details.push(`Stopped matching: ${health.lostRoles.join(', ')}`);
+        }
+        if (notFound.length > 0) {
+            details.push(`Not found: ${notFound.join(', ')}`);
+        }
+        if (health.widthActive && health.styledElements === 0) {
+            details.push('No chat elements to resize');
+        }
+
+        return details.join('. ');
+    }
+
     /**
      * Show visual feedback when apply button is clicked.
      * Uses DOM manipulation instead of innerHTML for security.
@@ -1585,52 +2285,57 @@
      */
     async function loadSavedPreference() {
         try {
-            const result = await browser.storage.local.get(STORAGE_KEY);
+            const result = await browser.storage.local.get([STORAGE_KEY, WIDTH_UNIT_KEY]);
             const stored = result[STORAGE_KEY];
-
-            if (typeof stored === 'number' && stored >= MIN_WIDTH && stored <= MAX_WIDTH) {
-                state.selectedWidth = stored;
-                state.savedWidth = stored;
-            } else {
-                state.selectedWidth = DEFAULT_WIDTH;
-                state.savedWidth = DEFAULT_WIDTH;
-            }
+            const unit = Units.normalizeUnit(result[WIDTH_UNIT_KEY]);
+            const width = Units.isValidWidth(stored, unit) ? stored : Units.getUnitConfig(unit).defaultValue;
 
             // Update UI with loaded value
-            sliderElement.value = state.selectedWidth;
-            updateDisplay(state.selectedWidth);
-            updatePresetHighlight(state.selectedWidth);
+            setSelectedWidth(width, unit);
+            state.savedWidth = width;
             updateUnsavedIndicator();
 
         } catch (error) {
             console.error('[Claude Width Popup] Error loading preference:', error);
             // Use defaults on error
-            sliderElement.value = DEFAULT_WIDTH;
-            updateDisplay(DEFAULT_WIDTH);
+            setSelectedWidth(DEFAULT_WIDTH, DEFAULT_WIDTH_UNIT);
         }
     }
 
     /**
      * Save width preference to storage and notify content scripts.
      *
-     * @param {number} width - Width percentage to save
+     * @param {number} width - Width value to save
+     * @param {string} [unit=state.selectedUnit] - Width unit
      */
-    async function saveAndApplyWidth(width) {
+    async function saveAndApplyWidth(width, unit = state.selectedUnit) {
+        // While the conversation is pinned, edits update the pin instead
+        if (state.conversationPin) {
+            await savePinnedSettings({ [STORAGE_KEY]: width, [WIDTH_UNIT_KEY]: unit });
+            return;
+        }
+
         try {
-            // Save to storage
-            await browser.storage.local.set({ [STORAGE_KEY]: width });
+            // Save width and unit together (the background script writes them back into the active profile)
+            await browser.storage.local.set({ [STORAGE_KEY]: width, [WIDTH_UNIT_KEY]: unit });
             state.savedWidth = width;
             updateUnsavedIndicator();
 
-            console.log(`[Claude Width Popup] Saved width: ${width}%`);
+            // Auto width bounds are in the profile unit
+            if (unit !== state.autoWidthUnit) {
+                state.autoWidthUnit = unit;
+                renderAutoWidth();
+            }
+
+            console.log(`[Claude Width Popup] Saved width: ${Units.formatWidth(width, unit)}`);
 
             // Notify all claude.ai tabs
-            notifyClaudeTabs(width);
+            notifyClaudeTabs(width, unit);
 
             // Request badge update and recent widths from background script
             try {
                 await browser.runtime.sendMessage({ action: 'updateBadge' });
-                await browser.runtime.sendMessage({ action: 'addRecentWidth', width: width });
+                await browser.runtime.sendMessage({ action: 'addRecentWidth', width: width, unit: unit });
             } catch (e) {
                 // Background script might not be ready
                 console.log('[Claude Width Popup] Could not update badge or recent widths');
@@ -1665,7 +2370,14 @@
                     try {
                         const response = await browser.tabs.sendMessage(currentTab.id, { action: 'getStatus' });
                         if (response && response.success) {
-                            updateStatus(true, `Active (${response.currentWidth}%)`);
+                            state.autoWidthPicked = response.autoWidthActive
+                                ? { width: response.currentWidth, unit: response.currentUnit }
+                                : null;
+                            renderAutoWidth();
+                            updateStatus(true, response.autoWidthActive
+                                ? `Active: ${AutoWidth.formatLabel(response.currentWidth, response.currentUnit)}`
+                                : `Active (${Units.formatWidth(response.currentWidth, response.currentUnit)})`,
+                            response.health || null);
                         } else {
                             updateStatus(true);
                         }
@@ -1687,8 +2399,9 @@
      * Send width update to all claude.ai tabs.
      *
      * @param {number} width - New width value to apply
+     * @param {string} unit - Width unit
      */
-    async function notifyClaudeTabs(width) {
+    async function notifyClaudeTabs(width, unit) {
         try {
             const tabs = await browser.tabs.query({ url: '*://claude.ai/*' });
 
@@ -1696,7 +2409,8 @@
                 try {
                     await browser.tabs.sendMessage(tab.id, {
                         action: 'updateWidth',
-                        width: width
+                        width: width,
+                        unit: unit
                     });
                 } catch (e) {
                     // Tab might not have content script loaded
@@ -1756,14 +2470,36 @@
             });
         }
 
-        // Option buttons (line height, message padding, code block height, bubble style)
+        // Font selects and installed font names (v1.10.0)
+        FONT_CONTROLS.forEach(setupFontControl);
+
+        // Column alignment offset slider (v1.10.0)
+        const alignmentOffsetSlider = document.getElementById('alignmentOffsetSlider');
+        if (alignmentOffsetSlider) {
+            alignmentOffsetSlider.addEventListener('input', (e) => {
+                updateAlignmentOffsetUI(parseInt(e.target.value, 10));
+            });
+            alignmentOffsetSlider.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value, 10);
+                saveEnhancedSetting(ENHANCED_KEYS.ALIGNMENT_OFFSET, value);
+                announceChange(`Edge offset set to ${value} pixels`);
+            });
+        }
+
+        // Option buttons (line height, message padding, code block height, table layout, bubble style,
+        // alignment, sidebar, focus width)
         document.querySelectorAll('.option-btn[data-setting]').forEach(btn => {
             btn.addEventListener('click', () => {
                 const setting = btn.dataset.setting;
                 let value = btn.dataset.value;
 
                 // Convert numeric values
-                if (setting === ENHANCED_KEYS.CODE_BLOCK_HEIGHT) {
+                if ([ENHANCED_KEYS.CODE_BLOCK_HEIGHT, ENHANCED_KEYS.SIDEBAR_WIDTH,
+                    ENHANCED_KEYS.CODE_FONT_SIZE, ENHANCED_KEYS.CODE_TAB_SIZE,
+                    ENHANCED_KEYS.CODE_PREVIEW_LINES, ENHANCED_KEYS.CODE_COLLAPSE_MIN_LINES,
+                    ENHANCED_KEYS.MESSAGE_FOLD_HEIGHT, ENHANCED_KEYS.HUMAN_MESSAGE_WIDTH,
+                    ENHANCED_KEYS.HUMAN_MESSAGE_FONT_SCALE, ENHANCED_KEYS.ASSISTANT_MESSAGE_WIDTH,
+                    ENHANCED_KEYS.ASSISTANT_MESSAGE_FONT_SCALE].includes(setting)) {
                     value = parseInt(value, 10);
                 }
 
@@ -1778,10 +2514,20 @@
                     btn.setAttribute('aria-checked', 'true');
                 }
 
-                saveEnhancedSetting(setting, value);
+                // The focus width is saved with its unit (v1.10.0)
+                if (setting === ENHANCED_KEYS.FOCUS_WIDTH) {
+                    saveFocusWidth(parseInt(value, 10), btn.dataset.unit);
+                } else {
+                    saveEnhancedSetting(setting, value);
+                }
+
+                // The edge offset only applies to left and right alignment
+                if (setting === ENHANCED_KEYS.ALIGNMENT) {
+                    updateAlignmentOffsetUI(state.enhancedSettings[ENHANCED_KEYS.ALIGNMENT_OFFSET]);
+                }
 
                 // Switch to custom mode when manually adjusting typography
-                if (setting === ENHANCED_KEYS.LINE_HEIGHT || setting === ENHANCED_KEYS.MESSAGE_PADDING) {
+                if ([ENHANCED_KEYS.LINE_HEIGHT, ENHANCED_KEYS.MESSAGE_PADDING, ENHANCED_KEYS.CODE_FONT_SIZE].includes(setting)) {
                     saveEnhancedSetting(ENHANCED_KEYS.DISPLAY_MODE, 'custom');
                     updateDisplayModeButtons('custom');
                 }
@@ -1809,6 +2555,7 @@
                     saveEnhancedSetting(ENHANCED_KEYS.LINE_HEIGHT, preset.lineHeight);
                     saveEnhancedSetting(ENHANCED_KEYS.MESSAGE_PADDING, preset.messagePadding);
                     saveEnhancedSetting(ENHANCED_KEYS.FONT_SIZE, preset.fontSize);
+                    saveEnhancedSetting(ENHANCED_KEYS.CODE_FONT_SIZE, preset.codeFontSize);
 
                     // Update UI to reflect preset values
                     updateTypographyUI(preset);
@@ -1828,6 +2575,46 @@
             });
         }
 
+        const codeLigaturesToggle = document.getElementById('codeLigaturesToggle');
+        if (codeLigaturesToggle) {
+            codeLigaturesToggle.addEventListener('change', (e) => {
+                saveEnhancedSetting(ENHANCED_KEYS.CODE_LIGATURES, e.target.checked);
+                announceChange(`Code ligatures ${e.target.checked ? 'on' : 'off'}`);
+            });
+        }
+
+        const codeLineNumbersToggle = document.getElementById('codeLineNumbersToggle');
+        if (codeLineNumbersToggle) {
+            codeLineNumbersToggle.addEventListener('change', (e) => {
+                saveEnhancedSetting(ENHANCED_KEYS.CODE_LINE_NUMBERS, e.target.checked);
+                announceChange(`Code line numbers ${e.target.checked ? 'shown' : 'hidden'}`);
+            });
+        }
+
+        const tableCopyButtonsToggle = document.getElementById('tableCopyButtonsToggle');
+        if (tableCopyButtonsToggle) {
+            tableCopyButtonsToggle.addEventListener('change', (e) => {
+                saveEnhancedSetting(ENHANCED_KEYS.TABLE_COPY_BUTTONS, e.target.checked);
+                announceChange(`Table copy buttons ${e.target.checked ? 'shown' : 'hidden'}`);
+            });
+        }
+
+        const foldHumanMessagesToggle = document.getElementById('foldHumanMessagesToggle');
+        if (foldHumanMessagesToggle) {
+            foldHumanMessagesToggle.addEventListener('change', (e) => {
+                saveEnhancedSetting(ENHANCED_KEYS.FOLD_HUMAN_MESSAGES, e.target.checked);
+                announceChange(`Long prompts ${e.target.checked ? 'folded' : 'unfolded'}`);
+            });
+        }
+
+        const foldAssistantMessagesToggle = document.getElementById('foldAssistantMessagesToggle');
+        if (foldAssistantMessagesToggle) {
+            foldAssistantMessagesToggle.addEventListener('change', (e) => {
+                saveEnhancedSetting(ENHANCED_KEYS.FOLD_ASSISTANT_MESSAGES, e.target.checked);
+                announceChange(`Long replies ${e.target.checked ? 'folded' : 'unfolded'}`);
+            });
+        }
+
         const showTimestampsToggle = document.getElementById('showTimestampsToggle');
         if (showTimestampsToggle) {
             showTimestampsToggle.addEventListener('change', (e) => {
@@ -1844,6 +2631,23 @@
             });
         }
 
+        const showResizeHandlesToggle = document.getElementById('showResizeHandlesToggle');
+        if (showResizeHandlesToggle) {
+            showResizeHandlesToggle.addEventListener('change', (e) => {
+                saveEnhancedSetting(ENHANCED_KEYS.SHOW_RESIZE_HANDLES, e.target.checked);
+                announceChange(`Resize handles ${e.target.checked ? 'shown' : 'hidden'}`);
+            });
+        }
+
+        // Focus mode toggle (v1.10.0)
+        const focusModeToggle = document.getElementById('focusModeToggle');
+        if (focusModeToggle) {
+            focusModeToggle.addEventListener('change', (e) => {
+                saveEnhancedSetting(ENHANCED_KEYS.FOCUS_MODE, e.target.checked);
+                announceChange(`Focus mode ${e.target.checked ? 'on' : 'off'}`);
+            });
+        }
+
         // Toggle code blocks button
         const toggleCodeBlocksBtn = document.getElementById('toggleCodeBlocksBtn');
         if (toggleCodeBlocksBtn) {
@@ -1873,6 +2677,38 @@
             });
         }
 
+        // Fold or unfold every long message of the active conversation (v1.10.0)
+        const foldAllMessagesBtn = document.getElementById('foldAllMessagesBtn');
+        if (foldAllMessagesBtn) {
+            foldAllMessagesBtn.addEventListener('click', () => foldAllMessages(true));
+        }
+        const unfoldAllMessagesBtn = document.getElementById('unfoldAllMessagesBtn');
+        if (unfoldAllMessagesBtn) {
+            unfoldAllMessagesBtn.addEventListener('click', () => foldAllMessages(false));
+        }
+
+        // Save all code blocks of the active conversation (v1.10.0)
+        const saveAllCodeBtn = document.getElementById('saveAllCodeBtn');
+        if (saveAllCodeBtn) {
+            saveAllCodeBtn.addEventListener('click', async () => {
+                try {
+                    const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+                    if (!tab || !state.isOnClaudeTab) {
+                        announceChange('Open a claude.ai conversation to save its code');
+                        return;
+                    }
+
+                    const response = await browser.tabs.sendMessage(tab.id, { action: 'saveAllCodeBlocks' });
+                    announceChange(response && response.success
+                        ? `Saving ${response.count} code block${response.count === 1 ? '' : 's'}`
+                        : (response && response.error) || 'Could not save code blocks');
+                } catch (e) {
+                    console.error('[Claude Width Popup] Error saving code blocks:', e);
+                    announceChange('Could not save code blocks');
+                }
+            });
+        }
+
         // Reset all styles button
         const resetAllStylesBtn = document.getElementById('resetAllStylesBtn');
         if (resetAllStylesBtn) {
@@ -1913,8 +2749,15 @@
      * @param {*} value - The value to save
      */
     async function saveEnhancedSetting(key, value) {
+        if (state.conversationPin && CONVERSATION_OVERRIDE_KEYS.includes(key)) {
+            state.enhancedSettings[key] = value;
+            await savePinnedSettings({ [key]: value });
+            return;
+        }
+
         try {
             state.enhancedSettings[key] = value;
+            // Flat key only; the background script persists it into the active profile
             await browser.storage.local.set({ [key]: value });
             console.log(`[Claude Width Popup] Saved ${key}: ${value}`);
         } catch (error) {
@@ -1922,6 +2765,97 @@
         }
     }
 
+    /**
+     * Save the focus mode width and its unit together, so content scripts
+     * never apply the width in the previous unit (v1.10.0).
+     *
+     * @param {number} width - Width value, 0 to keep the current width
+     * @param {string} unit - Width unit
+     */
+    async function saveFocusWidth(width, unit) {
+        try {
+            state.enhancedSettings[ENHANCED_KEYS.FOCUS_WIDTH] = width;
+            state.enhancedSettings[ENHANCED_KEYS.FOCUS_WIDTH_UNIT] = unit;
+            await browser.storage.local.set({
+                [ENHANCED_KEYS.FOCUS_WIDTH]: width,
+                [ENHANCED_KEYS.FOCUS_WIDTH_UNIT]: unit
+            });
+            console.log(`[Claude Width Popup] Saved focus width: ${width ? Units.formatWidth(width, unit) : 'keep'}`);
+        } catch (error) {
+            console.error('[Claude Width Popup] Error saving focus width:', error);
+        }
+    }
+
+    /**
+     * Font selects, each with a field for the name of an installed font
+     * shown when 'custom' is selected (v1.10.0).
+     * @type {Array<{id: string, key: string, customKey: string, label: string}>}
+     */
+    const FONT_CONTROLS = [
+        { id: 'font', key: ENHANCED_KEYS.FONT_FAMILY, customKey: ENHANCED_KEYS.CUSTOM_FONT_FAMILY, label: 'Font' },
+        { id: 'codeFont', key: ENHANCED_KEYS.CODE_FONT_FAMILY, customKey: ENHANCED_KEYS.CUSTOM_CODE_FONT_FAMILY, label: 'Code font' }
+    ];
+
+    /**
+     * Save a font select and its installed font name as they change.
+     *
+     * @param {{id: string, key: string, customKey: string, label: string}} control - Font control
+     */
+    function setupFontControl(control) {
+        const select = document.getElementById(`${control.id}FamilySelect`);
+        if (select) {
+            select.addEventListener('change', (e) => {
+                saveEnhancedSetting(control.key, e.target.value);
+                updateFontControlUI(control);
+                announceChange(`${control.label} set to ${e.target.selectedOptions[0].textContent}`);
+            });
+        }
+
+        const input = document.getElementById(`${control.id}NameInput`);
+        if (input) {
+            input.addEventListener('change', (e) => {
+                const name = Typography.sanitizeFontName(e.target.value);
+                const invalid = e.target.value.trim() !== '' && !name;
+
+                e.target.setAttribute('aria-invalid', String(invalid));
+                if (invalid) {
+                    announceChange('Font names can only use letters, numbers, spaces, dots, dashes and underscores');
+                    return;
+                }
+
+                e.target.value = name;
+                saveEnhancedSetting(control.customKey, name);
+                announceChange(name ? `${control.label} set to ${name}` : 'Installed font cleared');
+            });
+        }
+    }
+
+    /**
+     * Sync a font select, and show its font name field only for an
+     * installed font.
+     *
+     * @param {{id: string, key: string, customKey: string}} control - Font control
+     */
+    function updateFontControlUI(control) {
+        const fontFamily = state.enhancedSettings[control.key];
+        const select = document.getElementById(`${control.id}FamilySelect`);
+        const input = document.getElementById(`${control.id}NameInput`);
+        const isCustom = fontFamily === 'custom';
+
+        if (select) {
+            select.value = fontFamily;
+        }
+        if (input && document.activeElement !== input) {
+            input.value = state.enhancedSettings[control.customKey] || '';
+            input.removeAttribute('aria-invalid');
+        }
+
+        const row = document.getElementById(`${control.id}NameRow`);
+        const hint = document.getElementById(`${control.id}NameHint`);
+        if (row) row.hidden = !isCustom;
+        if (hint) hint.hidden = !isCustom;
+    }
+
     /**
      * Update the enhanced styling UI to reflect current settings.
      */
@@ -1942,6 +2876,12 @@
         // Message padding buttons
         updateOptionButtons('messagePadding', state.enhancedSettings[ENHANCED_KEYS.MESSAGE_PADDING]);
 
+        // Font, letter and paragraph spacing, headings (v1.10.0)
+        FONT_CONTROLS.forEach(updateFontControlUI);
+        updateOptionButtons('letterSpacing', state.enhancedSettings[ENHANCED_KEYS.LETTER_SPACING]);
+        updateOptionButtons('paragraphSpacing', state.enhancedSettings[ENHANCED_KEYS.PARAGRAPH_SPACING]);
+        updateOptionButtons('headingScale', state.enhancedSettings[ENHANCED_KEYS.HEADING_SCALE]);
+
         // Display mode buttons
         updateDisplayModeButtons(state.enhancedSettings[ENHANCED_KEYS.DISPLAY_MODE]);
 
@@ -1954,6 +2894,50 @@
             codeWrapToggle.checked = state.enhancedSettings[ENHANCED_KEYS.CODE_BLOCK_WRAP];
         }
 
+        // Collapsed preview and threshold (v1.10.0)
+        updateOptionButtons('codePreviewLines', String(state.enhancedSettings[ENHANCED_KEYS.CODE_PREVIEW_LINES]));
+        updateOptionButtons('codeCollapseMinLines', String(state.enhancedSettings[ENHANCED_KEYS.CODE_COLLAPSE_MIN_LINES]));
+
+        // Code font size, tab width and ligatures (v1.10.0)
+        updateOptionButtons('codeFontSize', String(state.enhancedSettings[ENHANCED_KEYS.CODE_FONT_SIZE]));
+        updateOptionButtons('codeTabSize', String(state.enhancedSettings[ENHANCED_KEYS.CODE_TAB_SIZE]));
+        const codeLigaturesToggle = document.getElementById('codeLigaturesToggle');
+        if (codeLigaturesToggle) {
+            codeLigaturesToggle.checked = state.enhancedSettings[ENHANCED_KEYS.CODE_LIGATURES];
+        }
+
+        // Line numbers toggle (v1.10.0)
+        const codeLineNumbersToggle = document.getElementById('codeLineNumbersToggle');
+        if (codeLineNumbersToggle) {
+            codeLineNumbersToggle.checked = state.enhancedSettings[ENHANCED_KEYS.CODE_LINE_NUMBERS];
+        }
+
+        // Table layout and copy buttons (v1.10.0)
+        updateOptionButtons('tableLayout', state.enhancedSettings[ENHANCED_KEYS.TABLE_LAYOUT]);
+        const tableCopyButtonsToggle = document.getElementById('tableCopyButtonsToggle');
+        if (tableCopyButtonsToggle) {
+            tableCopyButtonsToggle.checked = state.enhancedSettings[ENHANCED_KEYS.TABLE_COPY_BUTTONS];
+        }
+
+        // Message folding (v1.10.0)
+        const foldHumanMessagesToggle = document.getElementById('foldHumanMessagesToggle');
+        if (foldHumanMessagesToggle) {
+            foldHumanMessagesToggle.checked = state.enhancedSettings[ENHANCED_KEYS.FOLD_HUMAN_MESSAGES];
+        }
+        const foldAssistantMessagesToggle = document.getElementById('foldAssistantMessagesToggle');
+        if (foldAssistantMessagesToggle) {
+            foldAssistantMessagesToggle.checked = state.enhancedSettings[ENHANCED_KEYS.FOLD_ASSISTANT_MESSAGES];
+        }
+        updateOptionButtons('messageFoldHeight', String(state.enhancedSettings[ENHANCED_KEYS.MESSAGE_FOLD_HEIGHT]));
+
+        // Width, alignment, tint and text size of each role's messages (v1.10.0)
+        for (const key of [ENHANCED_KEYS.HUMAN_MESSAGE_WIDTH, ENHANCED_KEYS.HUMAN_MESSAGE_ALIGNMENT,
+            ENHANCED_KEYS.HUMAN_MESSAGE_TINT, ENHANCED_KEYS.HUMAN_MESSAGE_FONT_SCALE,
+            ENHANCED_KEYS.ASSISTANT_MESSAGE_WIDTH, ENHANCED_KEYS.ASSISTANT_MESSAGE_ALIGNMENT,
+            ENHANCED_KEYS.ASSISTANT_MESSAGE_TINT, ENHANCED_KEYS.ASSISTANT_MESSAGE_FONT_SCALE]) {
+            updateOptionButtons(key, String(state.enhancedSettings[key]));
+        }
+
         // Show timestamps toggle
         const showTimestampsToggle = document.getElementById('showTimestampsToggle');
         if (showTimestampsToggle) {
@@ -1966,9 +2950,31 @@
             showAvatarsToggle.checked = state.enhancedSettings[ENHANCED_KEYS.SHOW_AVATARS];
         }
 
+        // Resize handles toggle (v1.10.0)
+        const showResizeHandlesToggle = document.getElementById('showResizeHandlesToggle');
+        if (showResizeHandlesToggle) {
+            showResizeHandlesToggle.checked = state.enhancedSettings[ENHANCED_KEYS.SHOW_RESIZE_HANDLES];
+        }
+
         // Bubble style buttons
         updateOptionButtons('messageBubbleStyle', state.enhancedSettings[ENHANCED_KEYS.BUBBLE_STYLE]);
 
+        // Column alignment (v1.10.0)
+        updateOptionButtons('chatAlignment', state.enhancedSettings[ENHANCED_KEYS.ALIGNMENT]);
+        updateAlignmentOffsetUI(state.enhancedSettings[ENHANCED_KEYS.ALIGNMENT_OFFSET]);
+
+        // Sidebar (v1.10.0)
+        updateOptionButtons('sidebarMode', state.enhancedSettings[ENHANCED_KEYS.SIDEBAR_MODE]);
+        updateOptionButtons('sidebarWidth', String(state.enhancedSettings[ENHANCED_KEYS.SIDEBAR_WIDTH]));
+
+        // Focus mode (v1.10.0)
+        const focusModeToggle = document.getElementById('focusModeToggle');
+        if (focusModeToggle) {
+            focusModeToggle.checked = state.enhancedSettings[ENHANCED_KEYS.FOCUS_MODE];
+        }
+        updateFocusWidthButtons(state.enhancedSettings[ENHANCED_KEYS.FOCUS_WIDTH],
+            state.enhancedSettings[ENHANCED_KEYS.FOCUS_WIDTH_UNIT]);
+
         // Code blocks collapsed button text
         updateCodeBlocksButtonText(state.enhancedSettings[ENHANCED_KEYS.CODE_BLOCKS_COLLAPSED]);
     }
@@ -1987,6 +2993,41 @@
         });
     }
 
+    /**
+     * Update the focus width buttons, which match on value and unit (v1.10.0).
+     * A width set by dragging the resize handles in focus mode matches none.
+     *
+     * @param {number} width - Focus width, 0 to keep the current width
+     * @param {string} unit - Focus width unit
+     */
+    function updateFocusWidthButtons(width, unit) {
+        document.querySelectorAll('.option-btn[data-setting="focusWidth"]').forEach(btn => {
+            const value = parseInt(btn.dataset.value, 10);
+            const isActive = value === width && (width === 0 || btn.dataset.unit === unit);
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-checked', String(isActive));
+        });
+    }
+
+    /**
+     * Update the edge offset slider. It is disabled while the column is centered.
+     *
+     * @param {number} offset - Offset in pixels
+     */
+    function updateAlignmentOffsetUI(offset) {
+        const slider = document.getElementById('alignmentOffsetSlider');
+        const valueLabel = document.getElementById('alignmentOffsetValue');
+
+        if (slider) {
+            slider.value = offset;
+            slider.disabled = state.enhancedSettings[ENHANCED_KEYS.ALIGNMENT] === 'center';
+            slider.style.setProperty('--slider-progress', `${(offset / slider.max) * 100}%`);
+        }
+        if (valueLabel) {
+            valueLabel.textContent = `${offset}px`;
+        }
+    }
+
     /**
      * Update display mode button active states.
      *
@@ -2021,6 +3062,33 @@
 
         // Message padding
         updateOptionButtons('messagePadding', preset.messagePadding);
+
+        // Code font size (v1.10.0)
+        updateOptionButtons('codeFontSize', String(preset.codeFontSize));
+    }
+
+    /**
+     * Fold or unfold every long message in the active conversation (v1.10.0).
+     *
+     * @param {boolean} fold - True to fold, false to unfold
+     */
+    async function foldAllMessages(fold) {
+        try {
+            const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+            if (!tab || !state.isOnClaudeTab) {
+                announceChange('Open a claude.ai conversation to fold its messages');
+                return;
+            }
+
+            const response = await browser.tabs.sendMessage(tab.id, { action: 'foldMessages', fold });
+            const verb = fold ? 'Folded' : 'Unfolded';
+            announceChange(response && response.success
+                ? `${verb} ${response.count} message${response.count === 1 ? '' : 's'}`
+                : `Could not ${fold ? 'fold' : 'unfold'} messages`);
+        } catch (e) {
+            console.error('[Claude Width Popup] Error folding messages:', e);
+            announceChange(`Could not ${fold ? 'fold' : 'unfold'} messages`);
+        }
     }
 
     /**
@@ -2045,8 +3113,29 @@
         const names = {
             [ENHANCED_KEYS.LINE_HEIGHT]: 'Line height',
             [ENHANCED_KEYS.MESSAGE_PADDING]: 'Message padding',
+            [ENHANCED_KEYS.LETTER_SPACING]: 'Letter spacing',
+            [ENHANCED_KEYS.PARAGRAPH_SPACING]: 'Paragraph spacing',
+            [ENHANCED_KEYS.HEADING_SCALE]: 'Heading size',
             [ENHANCED_KEYS.CODE_BLOCK_HEIGHT]: 'Code block max height',
-            [ENHANCED_KEYS.BUBBLE_STYLE]: 'Bubble style'
+            [ENHANCED_KEYS.CODE_FONT_SIZE]: 'Code font size',
+            [ENHANCED_KEYS.CODE_TAB_SIZE]: 'Tab width',
+            [ENHANCED_KEYS.CODE_PREVIEW_LINES]: 'Collapsed preview (lines)',
+            [ENHANCED_KEYS.CODE_COLLAPSE_MIN_LINES]: 'Collapse threshold (lines)',
+            [ENHANCED_KEYS.TABLE_LAYOUT]: 'Table layout',
+            [ENHANCED_KEYS.MESSAGE_FOLD_HEIGHT]: 'Message fold height',
+            [ENHANCED_KEYS.HUMAN_MESSAGE_WIDTH]: 'Your message width',
+            [ENHANCED_KEYS.HUMAN_MESSAGE_ALIGNMENT]: 'Your message alignment',
+            [ENHANCED_KEYS.HUMAN_MESSAGE_TINT]: 'Your message tint',
+            [ENHANCED_KEYS.HUMAN_MESSAGE_FONT_SCALE]: 'Your message text size',
+            [ENHANCED_KEYS.ASSISTANT_MESSAGE_WIDTH]: 'Claude\'s message width',
+            [ENHANCED_KEYS.ASSISTANT_MESSAGE_ALIGNMENT]: 'Claude\'s message alignment',
+            [ENHANCED_KEYS.ASSISTANT_MESSAGE_TINT]: 'Claude\'s message tint',
+            [ENHANCED_KEYS.ASSISTANT_MESSAGE_FONT_SCALE]: 'Claude\'s message text size',
+            [ENHANCED_KEYS.BUBBLE_STYLE]: 'Bubble style',
+            [ENHANCED_KEYS.ALIGNMENT]: 'Column alignment',
+            [ENHANCED_KEYS.SIDEBAR_MODE]: 'Sidebar mode',
+            [ENHANCED_KEYS.SIDEBAR_WIDTH]: 'Sidebar width',
+            [ENHANCED_KEYS.FOCUS_WIDTH]: 'Focus mode width'
         };
         return names[setting] || setting;
     }
@@ -2125,6 +3214,7 @@
             // Update UI
             renderProfileSelect();
             updateSyncIndicator();
+            await loadAutoProfileStatus();
 
             console.log(`[Claude Width Popup] Profiles loaded: ${Object.keys(state.profiles).length} profiles, active: "${state.activeProfileName}"`);
         } catch (error) {
@@ -2183,6 +3273,41 @@
         }
     }
 
+    /**
+     * Ask the background script which auto-profile rule (if any) selected
+     * the active profile for the current tab (v1.10.0).
+     */
+    async function loadAutoProfileStatus() {
+        try {
+            const response = await browser.runtime.sendMessage({ action: 'getAutoProfileStatus' });
+            state.autoProfileRule = response?.success ? response.rule : null;
+        } catch (error) {
+            console.error('[Claude Width Popup] Error loading auto-profile status:', error);
+            state.autoProfileRule = null;
+        }
+
+        updateAutoRuleIndicator();
+    }
+
+    /**
+     * Update auto-profile rule indicator visibility and text (v1.10.0).
+     */
+    function updateAutoRuleIndicator() {
+        if (!autoRuleIndicator) return;
+
+        const rule = state.autoProfileRule;
+        if (rule) {
+            const text = autoRuleIndicator.querySelector('.auto-rule-text');
+            if (text) {
+                text.textContent = `Auto: ${rule.pattern}`;
+            }
+            autoRuleIndicator.title = `Selected by auto-profile rule "${rule.pattern}"`;
+            autoRuleIndicator.hidden = false;
+        } else {
+            autoRuleIndicator.hidden = true;
+        }
+    }
+
     /**
      * Handle profile select change.
      *
@@ -2209,7 +3334,11 @@
                 // Reload settings from the new profile
                 await loadSavedPreference();
                 await loadEnhancedSettings();
+                await loadConversationPin();
                 await loadCustomPresets();
+                await loadBreakpoints();
+                await loadAutoWidth();
+                await loadAutoProfileStatus();
 
                 announceChange(`Switched to "${state.activeProfileName}" profile`);
                 console.log(`[Claude Width Popup] Switched to profile: ${state.activeProfileName}`);
@@ -2233,6 +3362,153 @@
         browser.runtime.openOptionsPage();
     }
 
+    // =========================================================================
+    // CONVERSATION PIN (v1.10.0)
+    // =========================================================================
+
+    /**
+     * Load the pin for the conversation open in the active tab.
+     * When pinned, the slider and pinnable enhanced controls show the
+     * pinned values instead of the profile values.
+     */
+    async function loadConversationPin() {
+        try {
+            const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+            state.conversationId = tabs.length > 0 ? Conversations.getChatIdFromUrl(tabs[0].url) : null;
+            state.conversationPin = await Conversations.getConversationOverride(state.conversationId);
+        } catch (error) {
+            console.error('[Claude Width Popup] Error loading conversation pin:', error);
+            state.conversationId = null;
+            state.conversationPin = null;
+        }
+
+        if (state.conversationPin) {
+            const pinned = Conversations.applyConversationOverride(
+                { [STORAGE_KEY]: state.savedWidth, [WIDTH_UNIT_KEY]: state.selectedUnit, ...state.enhancedSettings },
+                state.conversationPin
+            );
+
+            setSelectedWidth(pinned[STORAGE_KEY], pinned[WIDTH_UNIT_KEY]);
+            state.savedWidth = state.selectedWidth;
+            updateUnsavedIndicator();
+
+            for (const key of CONVERSATION_OVERRIDE_KEYS) {
+                if (key !== STORAGE_KEY && key !== WIDTH_UNIT_KEY) {
+                    state.enhancedSettings[key] = pinned[key];
+                }
+            }
+            updateEnhancedStyleUI();
+        }
+
+        updateConversationPinUI();
+        renderAutoWidth();
+    }
+
+    /**
+     * Update the conversation pin row for the active tab.
+     */
+    function updateConversationPinUI() {
+        if (!conversationPinSection || !pinConversationBtn) return;
+
+        if (!state.conversationId) {
+            conversationPinSection.hidden = true;
+            return;
+        }
+
+        const pinned = state.conversationPin !== null;
+        const text = document.getElementById('conversationPinText');
+        const label = document.getElementById('pinConversationLabel');
+
+        if (text) {
+            const pin = state.conversationPin;
+            const width = pinned && pin.chatWidthPercent !== undefined
+                ? Units.formatWidth(pin.chatWidthPercent, pin.chatWidthUnit)
+                : Units.formatWidth(state.savedWidth, state.selectedUnit);
+            text.textContent = pinned ? `Pinned to this chat (${width})` : 'Using profile settings';
+        }
+        if (label) {
+            label.textContent = pinned ? 'Unpin' : 'Pin to chat';
+        }
+
+        pinConversationBtn.setAttribute('aria-pressed', String(pinned));
+        pinConversationBtn.title = pinned
+            ? 'Remove the pin and use the profile settings in this conversation'
+            : 'Pin width, font size and code block settings to this conversation';
+        conversationPinSection.classList.toggle('pinned', pinned);
+        conversationPinSection.hidden = false;
+
+        cacheFocusableElements();
+    }
+
+    /**
+     * Pin the selected width and pinnable enhanced settings to the current
+     * conversation, or unpin it if already pinned.
+     */
+    async function handlePinConversationClick() {
+        if (!state.conversationId) return;
+
+        if (state.conversationPin) {
+            const result = await Conversations.unpinConversation(state.conversationId);
+            if (result.success) {
+                state.conversationPin = null;
+                // Back to the profile values
+                await loadSavedPreference();
+                await loadEnhancedSettings();
+                updateConversationPinUI();
+                announceChange('Conversation unpinned, using profile settings');
+            } else {
+                announceChange(result.error || 'Failed to unpin conversation');
+            }
+            return;
+        }
+
+        const settings = {};
+        for (const key of CONVERSATION_OVERRIDE_KEYS) {
+            if (key === STORAGE_KEY) {
+                settings[key] = state.selectedWidth;
+            } else if (key === WIDTH_UNIT_KEY) {
+                settings[key] = state.selectedUnit;
+            } else {
+                settings[key] = state.enhancedSettings[key];
+            }
+        }
+
+        const result = await Conversations.pinConversation(state.conversationId, settings);
+        if (result.success) {
+            state.conversationPin = result.override;
+            state.savedWidth = state.selectedWidth;
+            updateUnsavedIndicator();
+            updateConversationPinUI();
+            announceChange(`Pinned ${Units.describeWidth(state.selectedWidth, state.selectedUnit)} to this conversation`);
+        } else {
+            announceChange(result.error || 'Failed to pin conversation');
+        }
+    }
+
+    /**
+     * Save edited values into the current conversation's pin.
+     * The content script picks the change up from storage.
+     *
+     * @param {Object} settings - Settings to update in the pin
+     */
+    async function savePinnedSettings(settings) {
+        const result = await Conversations.pinConversation(state.conversationId, settings);
+
+        if (!result.success) {
+            console.error('[Claude Width Popup] Error updating conversation pin:', result.error);
+            updateStatus(false, 'Error saving');
+            return;
+        }
+
+        state.conversationPin = result.override;
+        if (settings[STORAGE_KEY] !== undefined) {
+            state.savedWidth = result.override[STORAGE_KEY];
+            updateUnsavedIndicator();
+        }
+        updateConversationPinUI();
+        console.log('[Claude Width Popup] Updated conversation pin:', settings);
+    }
+
     // =========================================================================
     // ENTRY POINT
     // =========================================================================
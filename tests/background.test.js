@@ -221,9 +221,91 @@ describe('Background Script', () => {
     it('should get all registered commands', async () => {
       const commands = await mockBrowser.commands.getAll();
       expect(Array.isArray(commands)).toBe(true);
-      expect(commands.length).toBe(3);
+      expect(commands.length).toBe(7);
       expect(commands.map(c => c.name)).toContain('cycle-presets');
       expect(commands.map(c => c.name)).toContain('toggle-default');
+      expect(commands.map(c => c.name)).toContain('toggle-sidebar-rail');
+      expect(commands.map(c => c.name)).toContain('toggle-focus-mode');
+    });
+  });
+
+  describe('Sidebar Commands', () => {
+    const { ENHANCED_KEYS, SIDEBAR_WIDTHS } = window.ClaudeWidthConstants;
+
+    // Mirrors toggleSidebarMode() in background.js
+    async function toggleSidebarMode(mode) {
+      const key = ENHANCED_KEYS.SIDEBAR_MODE;
+      const result = await mockBrowser.storage.local.get(key);
+      const newMode = result[key] === mode ? 'default' : mode;
+      await mockBrowser.storage.local.set({ [key]: newMode });
+    }
+
+    // Mirrors cycleSidebarWidth() in background.js
+    async function cycleSidebarWidth() {
+      const key = ENHANCED_KEYS.SIDEBAR_WIDTH;
+      const result = await mockBrowser.storage.local.get(key);
+      const index = SIDEBAR_WIDTHS.indexOf(result[key] ?? 0);
+      await mockBrowser.storage.local.set({ [key]: SIDEBAR_WIDTHS[(index + 1) % SIDEBAR_WIDTHS.length] });
+    }
+
+    it('should toggle a sidebar mode on and back to the page default', async () => {
+      await toggleSidebarMode('rail');
+      expect((await mockBrowser.storage.local.get('sidebarMode')).sidebarMode).toBe('rail');
+
+      await toggleSidebarMode('autohide');
+      expect((await mockBrowser.storage.local.get('sidebarMode')).sidebarMode).toBe('autohide');
+
+      await toggleSidebarMode('autohide');
+      expect((await mockBrowser.storage.local.get('sidebarMode')).sidebarMode).toBe('default');
+    });
+
+    it('should cycle sidebar widths and wrap to the page default', async () => {
+      const seen = [];
+      for (let i = 0; i < SIDEBAR_WIDTHS.length; i++) {
+        await cycleSidebarWidth();
+        seen.push((await mockBrowser.storage.local.get('sidebarWidth')).sidebarWidth);
+      }
+      expect(seen).toEqual([220, 280, 360, 0]);
+    });
+  });
+
+  describe('Focus Mode', () => {
+    const { ENHANCED_KEYS } = window.ClaudeWidthConstants;
+    const Units = window.ClaudeWidthUnits;
+
+    // Mirrors toggleFocusMode() in background.js
+    async function toggleFocusMode() {
+      const key = ENHANCED_KEYS.FOCUS_MODE;
+      const result = await mockBrowser.storage.local.get(key);
+      await mockBrowser.storage.local.set({ [key]: result[key] !== true });
+    }
+
+    // Mirrors readFocusMode() in background.js
+    function readFocusMode(values) {
+      const unit = Units.normalizeUnit(values[ENHANCED_KEYS.FOCUS_WIDTH_UNIT]);
+      const width = values[ENHANCED_KEYS.FOCUS_WIDTH];
+
+      return {
+        enabled: values[ENHANCED_KEYS.FOCUS_MODE] === true,
+        width: Units.isValidWidth(width, unit) ? width : 0,
+        unit
+      };
+    }
+
+    it('should turn focus mode on and off', async () => {
+      await toggleFocusMode();
+      expect((await mockBrowser.storage.local.get('focusMode')).focusMode).toBe(true);
+
+      await toggleFocusMode();
+      expect((await mockBrowser.storage.local.get('focusMode')).focusMode).toBe(false);
+    });
+
+    it('should read the focus width, dropping widths outside the unit range', () => {
+      expect(readFocusMode({ focusMode: true, focusWidth: 80, focusWidthUnit: 'ch' }))
+        .toEqual({ enabled: true, width: 80, unit: 'ch' });
+      expect(readFocusMode({ focusMode: true, focusWidth: 20, focusWidthUnit: '%' }))
+        .toEqual({ enabled: true, width: 0, unit: '%' });
+      expect(readFocusMode({})).toEqual({ enabled: false, width: 0, unit: '%' });
     });
   });
 
@@ -378,6 +460,372 @@ describe('Background Script', () => {
     });
   });
 
+  describe('Auto-Profile Rules', () => {
+    // Mirrors formatBadgeTitle() in background.js
+    function formatBadgeTitle(width, unit, autoRule, profileName, pinned = false, tierRange = null, auto = false, health = null, focus = false) {
+      const label = auto
+        ? window.ClaudeWidthAutoWidth.formatLabel(width, unit)
+        : window.ClaudeWidthUnits.formatWidth(width, unit);
+      const notes = [];
+      if (focus) {
+        notes.push('focus mode');
+      }
+      if (pinned) {
+        notes.push('pinned to this conversation');
+      }
+      if (tierRange) {
+        notes.push(`window ${tierRange}`);
+      }
+      if (autoRule) {
+        notes.push(`${profileName} via rule "${autoRule.pattern}"`);
+      }
+      if (health && health.status !== 'healthy') {
+        notes.push(health.lostRoles.length > 0
+          ? `page ${health.status}: ${health.lostRoles.join(', ')} not found`
+          : `page ${health.status}`);
+      }
+      if (notes.length > 0) {
+        return `Claude Width: ${label} (${notes.join('; ')})`;
+      }
+      return `Claude Width: ${label}`;
+    }
+
+    it('should name the rule in the badge title', () => {
+      const rule = { id: 'r1', pattern: '*claude.ai/project/*', profileId: 'work' };
+      expect(formatBadgeTitle(70, '%', rule, 'Work'))
+        .toBe('Claude Width: 70% (Work via rule "*claude.ai/project/*")');
+    });
+
+    it('should keep the plain title when no rule applied', () => {
+      expect(formatBadgeTitle(85, '%', null, 'Default')).toBe('Claude Width: 85%');
+    });
+
+    it('should mention a conversation pin in the badge title', () => {
+      expect(formatBadgeTitle(100, '%', null, 'Default', true))
+        .toBe('Claude Width: 100% (pinned to this conversation)');
+
+      const rule = { id: 'r1', pattern: '*claude.ai/chat/*', profileId: 'work' };
+      expect(formatBadgeTitle(100, '%', rule, 'Work', true))
+        .toBe('Claude Width: 100% (pinned to this conversation; Work via rule "*claude.ai/chat/*")');
+    });
+
+    it('should show absolute width units in the badge title', () => {
+      expect(formatBadgeTitle(80, 'ch', null, 'Default')).toBe('Claude Width: 80ch');
+      expect(formatBadgeTitle(1200, 'px', null, 'Default', true))
+        .toBe('Claude Width: 1200px (pinned to this conversation)');
+    });
+
+    it('should name the active breakpoint tier in the badge title', () => {
+      const rule = { id: 'r1', pattern: '*claude.ai/*', profileId: 'work' };
+      expect(formatBadgeTitle(80, '%', null, 'Default', false, '1200-2000px'))
+        .toBe('Claude Width: 80% (window 1200-2000px)');
+      expect(formatBadgeTitle(60, '%', rule, 'Work', false, '2000px and wider'))
+        .toBe('Claude Width: 60% (window 2000px and wider; Work via rule "*claude.ai/*")');
+    });
+
+    it('should pick the badge width from focus mode, then pin, then tier, then profile', () => {
+      const Breakpoints = window.ClaudeWidthBreakpoints;
+      const tiers = [{ minViewport: 1200, width: 80, unit: '%' }];
+
+      // Mirrors the width selection in updateBadgeForTab()
+      const badgeWidth = (override, tabWidth, focusMode = { enabled: false, width: 0 }) => {
+        const focusWidth = focusMode.enabled && focusMode.width > 0;
+        const pinnedWidth = !focusWidth && override?.chatWidthPercent !== undefined;
+        const tier = focusWidth || pinnedWidth ? undefined : tiers[Breakpoints.findActiveBreakpoint(tiers, tabWidth)];
+        if (focusWidth) {
+          return focusMode.width;
+        }
+        return pinnedWidth ? override.chatWidthPercent : (tier ? tier.width : 85);
+      };
+
+      expect(badgeWidth(null, 1440)).toBe(80);
+      expect(badgeWidth(null, 1024)).toBe(85);
+      expect(badgeWidth({ chatWidthPercent: 100 }, 1440)).toBe(100);
+      expect(badgeWidth({ fontSizePercent: 110 }, 1440)).toBe(80);
+      expect(badgeWidth({ chatWidthPercent: 100 }, 1440, { enabled: true, width: 70 })).toBe(70);
+      expect(badgeWidth(null, 1440, { enabled: true, width: 0 })).toBe(80);
+      expect(badgeWidth(null, 1440, { enabled: false, width: 70 })).toBe(80);
+    });
+
+    it('should mention focus mode in the badge title', () => {
+      expect(formatBadgeTitle(70, '%', null, 'Default', true, null, false, null, true))
+        .toBe('Claude Width: 70% (focus mode; pinned to this conversation)');
+    });
+
+    it('should label an auto-picked width in the badge title', () => {
+      expect(formatBadgeTitle(85, '%', null, 'Default', false, null, true))
+        .toBe('Claude Width: Auto (85%)');
+      expect(window.ClaudeWidthAutoWidth.formatBadgeText(85, '%')).toBe('A85');
+    });
+
+    it('should show the lower bound until a tab reports its auto width', () => {
+      const AutoWidth = window.ClaudeWidthAutoWidth;
+      const reports = new Map([[1, { width: 100, unit: '%' }], [2, { width: 1200, unit: 'px' }]]);
+
+      // Mirrors getAutoWidthForTab()
+      const autoWidthForTab = (tabId, bounds, unit) => {
+        const sanitized = AutoWidth.sanitizeBounds(bounds, unit);
+        const reported = reports.get(tabId);
+        if (reported && reported.unit === sanitized.unit) {
+          return reported;
+        }
+        return { width: sanitized.min, unit: sanitized.unit };
+      };
+
+      expect(autoWidthForTab(1, null, '%')).toEqual({ width: 100, unit: '%' });
+      expect(autoWidthForTab(3, { min: 70, max: 100, unit: '%' }, '%')).toEqual({ width: 70, unit: '%' });
+      expect(autoWidthForTab(2, null, '%')).toEqual({ width: 85, unit: '%' });
+    });
+
+    it('should note degraded selector health in the badge title', () => {
+      expect(formatBadgeTitle(85, '%', null, 'Default', false, null, false, { status: 'healthy', lostRoles: [] }))
+        .toBe('Claude Width: 85%');
+      expect(formatBadgeTitle(85, '%', null, 'Default', false, null, false, { status: 'degraded', lostRoles: ['composer'] }))
+        .toBe('Claude Width: 85% (page degraded: composer not found)');
+      expect(formatBadgeTitle(85, '%', null, 'Default', false, null, false, { status: 'broken', lostRoles: [] }))
+        .toBe('Claude Width: 85% (page broken)');
+    });
+
+    it('should use the warning badge colour when a role stopped matching', () => {
+      const { BADGE_COLOR, BADGE_WARNING_COLOR } = window.ClaudeWidthConstants;
+
+      // Mirrors needsHealthWarning() and the colour choice in updateBadgeForTab()
+      const needsHealthWarning = health =>
+        health !== null && (health.lostRoles.length > 0 || health.status === 'broken');
+      const badgeColor = health => needsHealthWarning(health) ? BADGE_WARNING_COLOR : BADGE_COLOR;
+
+      expect(badgeColor(null)).toBe(BADGE_COLOR);
+      expect(badgeColor({ status: 'healthy', lostRoles: [] })).toBe(BADGE_COLOR);
+      expect(badgeColor({ status: 'degraded', lostRoles: [] })).toBe(BADGE_COLOR);
+      expect(badgeColor({ status: 'degraded', lostRoles: ['message'] })).toBe(BADGE_WARNING_COLOR);
+      expect(badgeColor({ status: 'broken', lostRoles: [] })).toBe(BADGE_WARNING_COLOR);
+    });
+
+    it('should only accept known selector health reports', () => {
+      const { HEALTH_STATUSES } = window.ClaudeWidthConstants;
+
+      // Mirrors the validation in the selectorHealthChanged handler
+      const isValidReport = message =>
+        HEALTH_STATUSES.includes(message.status) && Array.isArray(message.lostRoles);
+
+      expect(isValidReport({ status: 'degraded', lostRoles: ['thread'] })).toBe(true);
+      expect(isValidReport({ status: 'fine', lostRoles: [] })).toBe(false);
+      expect(isValidReport({ status: 'broken' })).toBe(false);
+    });
+
+    describe('handleTabUpdated', () => {
+      const rule = { id: 'r1', pattern: '*claude.ai/project/*', profileId: 'work', enabled: true };
+      let activeProfileId;
+      let activateProfile;
+      let notifyConversationChanged;
+      let updateBadgeForTab;
+
+      // Mirrors applyAutoProfileRules() in background.js, with the rule
+      // lookup of getAutoProfileRuleForUrl()
+      async function applyAutoProfileRules(tab) {
+        if (!tab || !tab.url.includes('claude.ai')) {
+          return null;
+        }
+        const matched = tab.url.includes('claude.ai/project/') ? rule : null;
+        if (matched && matched.profileId !== activeProfileId) {
+          await activateProfile(matched.profileId);
+        }
+        return matched;
+      }
+
+      // Mirrors handleTabUpdated() in background.js
+      async function handleTabUpdated(tabId, changeInfo, tab) {
+        if (changeInfo.url && tab.active) {
+          await applyAutoProfileRules(tab);
+        }
+        if (changeInfo.url && changeInfo.url.includes('claude.ai')) {
+          await notifyConversationChanged(tabId);
+        }
+        if (changeInfo.url || changeInfo.status === 'complete') {
+          await updateBadgeForTab(tab);
+        }
+      }
+
+      beforeEach(() => {
+        activeProfileId = 'default';
+        activateProfile = vi.fn(async (profileId) => {
+          activeProfileId = profileId;
+          return { success: true };
+        });
+        notifyConversationChanged = vi.fn(async () => {});
+        updateBadgeForTab = vi.fn(async () => {});
+      });
+
+      it('should switch profile when the active tab navigates to a matching URL', async () => {
+        const url = 'https://claude.ai/project/abc';
+        await handleTabUpdated(1, { url }, { id: 1, url, active: true });
+
+        expect(activateProfile).toHaveBeenCalledWith('work');
+        expect(activeProfileId).toBe('work');
+        expect(notifyConversationChanged).toHaveBeenCalledWith(1);
+      });
+
+      it('should not switch profile when a background tab navigates', async () => {
+        const url = 'https://claude.ai/project/abc';
+        await handleTabUpdated(2, { url }, { id: 2, url, active: false });
+
+        expect(activateProfile).not.toHaveBeenCalled();
+        expect(activeProfileId).toBe('default');
+        expect(notifyConversationChanged).toHaveBeenCalledWith(2);
+        expect(updateBadgeForTab).toHaveBeenCalled();
+      });
+
+      it('should not evaluate rules when only the load status changes', async () => {
+        const tab = { id: 1, url: 'https://claude.ai/project/abc', active: true };
+        await handleTabUpdated(1, { status: 'complete' }, tab);
+
+        expect(activateProfile).not.toHaveBeenCalled();
+        expect(notifyConversationChanged).not.toHaveBeenCalled();
+        expect(updateBadgeForTab).toHaveBeenCalledWith(tab);
+      });
+    });
+  });
+
+  describe('Pinned Conversation Shortcuts', () => {
+    const Units = window.ClaudeWidthUnits;
+    const CHAT_ID = '123e4567-e89b-12d3-a456-426614174000';
+    const pinnedTab = { id: 1, url: `https://claude.ai/chat/${CHAT_ID}`, active: true };
+    const plainTab = { id: 2, url: 'https://claude.ai/new', active: true };
+    let pins;
+    let profileWidth;
+    let setWidth;
+    let pinConversation;
+
+    // Mirrors getWidthTarget() in background.js
+    function getWidthTarget(tab) {
+      const match = tab && tab.url.match(/\/chat\/([0-9a-f-]{36})/);
+      const chatId = match ? match[1] : null;
+      const override = chatId ? pins[chatId] || null : null;
+      if (!override) {
+        return { chatId: null, width: profileWidth, unit: '%' };
+      }
+      if (override.chatWidthPercent === undefined) {
+        return { chatId, width: profileWidth, unit: '%' };
+      }
+      return { chatId, width: override.chatWidthPercent, unit: Units.normalizeUnit(override.chatWidthUnit) };
+    }
+
+    // Mirrors cyclePresets() in background.js
+    async function cyclePresets(tab) {
+      const target = getWidthTarget(tab);
+      const presets = Units.getPresetWidths(target.unit);
+      const currentIndex = presets.indexOf(target.width);
+      const nextIndex = currentIndex === -1
+        ? Math.max(0, presets.findIndex(width => width > target.width))
+        : (currentIndex + 1) % presets.length;
+
+      const newWidth = presets[nextIndex];
+      if (target.chatId) {
+        await pinConversation(target.chatId, { chatWidthPercent: newWidth, chatWidthUnit: target.unit });
+        return newWidth;
+      }
+      await setWidth(newWidth);
+      return newWidth;
+    }
+
+    // Mirrors toggleDefault() in background.js
+    async function toggleDefault(tab) {
+      const target = getWidthTarget(tab);
+      const lastWidthKey = target.chatId ? 'lastNonDefaultPinnedWidth' : 'lastNonDefaultWidth';
+      const defaultWidth = Units.getUnitConfig(target.unit).defaultValue;
+      let newWidth = target.width;
+
+      if (target.width === defaultWidth) {
+        const lastWidth = (await mockBrowser.storage.local.get(lastWidthKey))[lastWidthKey];
+        const restorable = Boolean(lastWidth) &&
+          lastWidth.chatId === target.chatId &&
+          lastWidth.unit === target.unit &&
+          Units.isValidWidth(lastWidth.width, target.unit);
+        if (restorable && lastWidth.width !== defaultWidth) {
+          newWidth = lastWidth.width;
+        }
+      } else {
+        await mockBrowser.storage.local.set({
+          [lastWidthKey]: { width: target.width, unit: target.unit, chatId: target.chatId }
+        });
+        newWidth = defaultWidth;
+      }
+
+      if (newWidth === target.width) {
+        return newWidth;
+      }
+      if (target.chatId) {
+        await pinConversation(target.chatId, { chatWidthPercent: newWidth, chatWidthUnit: target.unit });
+      } else {
+        await setWidth(newWidth);
+      }
+      return newWidth;
+    }
+
+    beforeEach(() => {
+      pins = { [CHAT_ID]: { chatWidthPercent: 50, chatWidthUnit: '%' } };
+      profileWidth = 85;
+      setWidth = vi.fn(async width => {
+        profileWidth = width;
+      });
+      pinConversation = vi.fn(async (chatId, settings) => {
+        pins[chatId] = { ...pins[chatId], ...settings };
+        return { success: true, override: pins[chatId] };
+      });
+    });
+
+    it('should cycle the pinned width in a pinned conversation', async () => {
+      const width = await cyclePresets(pinnedTab);
+
+      expect(width).toBe(70);
+      expect(pins[CHAT_ID].chatWidthPercent).toBe(70);
+      expect(setWidth).not.toHaveBeenCalled();
+      expect(profileWidth).toBe(85);
+    });
+
+    it('should cycle the profile width outside a pinned conversation', async () => {
+      const width = await cyclePresets(plainTab);
+
+      expect(width).toBe(100);
+      expect(setWidth).toHaveBeenCalledWith(100);
+      expect(pinConversation).not.toHaveBeenCalled();
+    });
+
+    it('should give a pin without a width the next width after the profile width', async () => {
+      pins[CHAT_ID] = { fontSizePercent: 110 };
+      await cyclePresets(pinnedTab);
+
+      expect(pins[CHAT_ID]).toEqual({ fontSizePercent: 110, chatWidthPercent: 100, chatWidthUnit: '%' });
+      expect(profileWidth).toBe(85);
+    });
+
+    it('should toggle a pinned width back without touching the profile toggle', async () => {
+      await mockBrowser.storage.local.set({ lastNonDefaultWidth: { width: 65, unit: '%', chatId: null } });
+
+      expect(await toggleDefault(pinnedTab)).toBe(85);
+      expect(await toggleDefault(pinnedTab)).toBe(50);
+      expect(pins[CHAT_ID].chatWidthPercent).toBe(50);
+
+      // The profile is at its default and still goes back to its own width
+      expect(await toggleDefault(plainTab)).toBe(65);
+      expect(profileWidth).toBe(65);
+    });
+
+    it('should not restore a last width saved in another unit', async () => {
+      await mockBrowser.storage.local.set({ lastNonDefaultWidth: { width: 100, unit: 'ch', chatId: null } });
+
+      expect(await toggleDefault(plainTab)).toBe(85);
+      expect(setWidth).not.toHaveBeenCalled();
+    });
+
+    it('should ignore a last width stored as a bare number by older versions', async () => {
+      await mockBrowser.storage.local.set({ lastNonDefaultWidth: 65 });
+
+      expect(await toggleDefault(plainTab)).toBe(85);
+      expect(setWidth).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Custom Presets', () => {
     it('should store custom presets', async () => {
       const customPresets = [
@@ -0,0 +1,347 @@
+/**
+ * Unit Tests for lib/code-export.js
+ * ===================================
+ *
+ * Tests for saving code blocks as files: extensions for each language,
+ * numbered filenames, the checks on files sent by the content script and
+ * the ZIP archive for saving all blocks at once; and the summary
+ * collapsed blocks show.
+ *
+ * Note: These tests implement the code export functions directly to test
+ * the logic without depending on the actual module loading mechanism.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// =========================================================================
+// Test Implementations of Code Export Functions
+// These mirror the actual implementation in lib/code-export.js
+// =========================================================================
+
+// Part of LANGUAGE_EXTENSIONS
+const LANGUAGE_EXTENSIONS = {
+  bash: 'sh',
+  'c++': 'cpp',
+  javascript: 'js',
+  python: 'py',
+  shell: 'sh',
+  typescript: 'ts',
+  yaml: 'yml'
+};
+
+// Part of LANGUAGE_LABELS
+const LANGUAGE_LABELS = {
+  'c++': 'C++',
+  javascript: 'JavaScript',
+  sh: 'Shell'
+};
+
+const DEFAULT_EXTENSION = 'txt';
+const MAX_ARCHIVE_FILES = 500;
+const FILENAME_PATTERN = /^[\w-][\w.-]{0,99}$/;
+
+let crcTable = null;
+
+function isKnownLanguage(language) {
+  return typeof language === 'string' &&
+    Object.prototype.hasOwnProperty.call(LANGUAGE_EXTENSIONS, language.toLowerCase());
+}
+
+function getExtension(language) {
+  return isKnownLanguage(language) ? LANGUAGE_EXTENSIONS[language.toLowerCase()] : DEFAULT_EXTENSION;
+}
+
+function getCodeFilename(index, total, language) {
+  const digits = Math.max(2, String(total).length);
+  return `code-${String(index).padStart(digits, '0')}.${getExtension(language)}`;
+}
+
+function isValidFilename(filename) {
+  return typeof filename === 'string' && FILENAME_PATTERN.test(filename);
+}
+
+function isValidFileList(files) {
+  if (!Array.isArray(files) || files.length === 0 || files.length > MAX_ARCHIVE_FILES) {
+    return false;
+  }
+
+  const names = new Set();
+  for (const file of files) {
+    if (!file || !isValidFilename(file.name) || typeof file.text !== 'string' || names.has(file.name)) {
+      return false;
+    }
+    names.add(file.name);
+  }
+  return true;
+}
+
+function countLines(text) {
+  const trimmed = text.endsWith('\n') ? text.slice(0, -1) : text;
+  return trimmed ? trimmed.split('\n').length : 0;
+}
+
+function getLanguageLabel(language) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGE_LABELS, language)
+    ? LANGUAGE_LABELS[language]
+    : language.charAt(0).toUpperCase() + language.slice(1);
+}
+
+function formatCodeSummary(language, lines) {
+  const length = `${lines} line${lines === 1 ? '' : 's'}`;
+  return language ? `${getLanguageLabel(language)} · ${length}` : length;
+}
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function createZip(files, modified = new Date()) {
+  const encoder = new window.TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const entries = files.map(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.text);
+    return { name, data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+
+  const headerOffsets = entries.map(entry => {
+    const start = offset;
+    view.setUint32(offset, 0x04034B50, true);
+    view.setUint16(offset + 4, 20, true);
+    view.setUint16(offset + 6, 0x0800, true);
+    view.setUint16(offset + 8, 0, true);
+    view.setUint16(offset + 10, time, true);
+    view.setUint16(offset + 12, date, true);
+    view.setUint32(offset + 14, entry.crc, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint32(offset + 22, entry.data.length, true);
+    view.setUint16(offset + 26, entry.name.length, true);
+    view.setUint16(offset + 28, 0, true);
+    bytes.set(entry.name, offset + 30);
+    bytes.set(entry.data, offset + 30 + entry.name.length);
+    offset += 30 + entry.name.length + entry.data.length;
+    return start;
+  });
+
+  entries.forEach((entry, index) => {
+    view.setUint32(offset, 0x02014B50, true);
+    view.setUint16(offset + 4, 20, true);
+    view.setUint16(offset + 6, 20, true);
+    view.setUint16(offset + 8, 0x0800, true);
+    view.setUint16(offset + 10, 0, true);
+    view.setUint16(offset + 12, time, true);
+    view.setUint16(offset + 14, date, true);
+    view.setUint32(offset + 16, entry.crc, true);
+    view.setUint32(offset + 20, entry.data.length, true);
+    view.setUint32(offset + 24, entry.data.length, true);
+    view.setUint16(offset + 28, entry.name.length, true);
+    view.setUint32(offset + 42, headerOffsets[index], true);
+    bytes.set(entry.name, offset + 46);
+    offset += 46 + entry.name.length;
+  });
+
+  view.setUint32(offset, 0x06054B50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, centralSize, true);
+  view.setUint32(offset + 16, localSize, true);
+
+  return bytes;
+}
+
+/**
+ * Read the entries of an archive back through its central directory,
+ * the way unzip tools do.
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer);
+  const decoder = new window.TextDecoder();
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054B50);
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014B50);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const headerOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    expect(view.getUint32(headerOffset, true)).toBe(0x04034B50);
+    const dataStart = headerOffset + 30 + view.getUint16(headerOffset + 26, true);
+    const data = bytes.subarray(dataStart, dataStart + size);
+
+    entries.push({ name, text: decoder.decode(data), crc: view.getUint32(offset + 16, true), dataCrc: crc32(data) });
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+// =========================================================================
+// Tests
+// =========================================================================
+
+describe('Code Export', () => {
+  describe('getExtension', () => {
+    it('should map languages and aliases to their extension', () => {
+      expect(getExtension('python')).toBe('py');
+      expect(getExtension('TypeScript')).toBe('ts');
+      expect(getExtension('bash')).toBe('sh');
+      expect(getExtension('c++')).toBe('cpp');
+    });
+
+    it('should fall back to .txt for unknown or missing languages', () => {
+      expect(getExtension('brainfuck')).toBe('txt');
+      expect(getExtension(null)).toBe('txt');
+      expect(getExtension('constructor')).toBe('txt');
+    });
+  });
+
+  describe('getCodeFilename', () => {
+    it('should number files so they sort in order', () => {
+      expect(getCodeFilename(3, 12, 'python')).toBe('code-03.py');
+      expect(getCodeFilename(7, 120, 'yaml')).toBe('code-007.yml');
+    });
+
+    it('should make names the background script accepts', () => {
+      expect(isValidFilename(getCodeFilename(1, 1, null))).toBe(true);
+    });
+  });
+
+  describe('isValidFilename', () => {
+    it('should reject paths and hidden files', () => {
+      expect(isValidFilename('../code-01.py')).toBe(false);
+      expect(isValidFilename('dir/code-01.py')).toBe(false);
+      expect(isValidFilename('.bashrc')).toBe(false);
+      expect(isValidFilename('')).toBe(false);
+      expect(isValidFilename(42)).toBe(false);
+    });
+  });
+
+  describe('isValidFileList', () => {
+    it('should accept uniquely named text files', () => {
+      expect(isValidFileList([
+        { name: 'code-01.py', text: 'print(1)' },
+        { name: 'code-02.sh', text: '' }
+      ])).toBe(true);
+    });
+
+    it('should reject empty, duplicate or malformed lists', () => {
+      expect(isValidFileList([])).toBe(false);
+      expect(isValidFileList('code-01.py')).toBe(false);
+      expect(isValidFileList([{ name: 'a.py', text: '1' }, { name: 'a.py', text: '2' }])).toBe(false);
+      expect(isValidFileList([{ name: 'a.py', text: 1 }])).toBe(false);
+      expect(isValidFileList([null])).toBe(false);
+    });
+
+    it('should reject more files than an archive holds', () => {
+      const files = Array.from({ length: MAX_ARCHIVE_FILES + 1 }, (_, i) => ({ name: `code-${i}.txt`, text: '' }));
+      expect(isValidFileList(files)).toBe(false);
+    });
+  });
+
+  describe('countLines', () => {
+    it('should count lines without a trailing newline as another line', () => {
+      expect(countLines('a\nb\nc')).toBe(3);
+      expect(countLines('a\nb\nc\n')).toBe(3);
+    });
+
+    it('should count empty lines inside the code', () => {
+      expect(countLines('a\n\n\nb')).toBe(4);
+    });
+
+    it('should count no lines for no code', () => {
+      expect(countLines('')).toBe(0);
+      expect(countLines('\n')).toBe(0);
+    });
+  });
+
+  describe('formatCodeSummary', () => {
+    it('should name the language and the line count', () => {
+      expect(formatCodeSummary('python', 184)).toBe('Python · 184 lines');
+      expect(formatCodeSummary('javascript', 12)).toBe('JavaScript · 12 lines');
+      expect(formatCodeSummary('c++', 40)).toBe('C++ · 40 lines');
+    });
+
+    it('should use the singular for one line', () => {
+      expect(formatCodeSummary('sh', 1)).toBe('Shell · 1 line');
+    });
+
+    it('should give only the line count for unknown languages', () => {
+      expect(formatCodeSummary(null, 7)).toBe('7 lines');
+    });
+  });
+
+  describe('crc32', () => {
+    it('should match the standard CRC-32 check value', () => {
+      expect(crc32(new window.TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+      expect(crc32(new Uint8Array(0))).toBe(0);
+    });
+  });
+
+  describe('createZip', () => {
+    const modified = new Date(2026, 9, 19, 14, 30, 10);
+
+    it('should store each file under its name', () => {
+      const entries = readZip(createZip([
+        { name: 'code-01.py', text: 'print("hi")\n' },
+        { name: 'code-02.sh', text: 'echo hi' }
+      ], modified));
+
+      expect(entries.map(entry => entry.name)).toEqual(['code-01.py', 'code-02.sh']);
+      expect(entries[0].text).toBe('print("hi")\n');
+      expect(entries[1].text).toBe('echo hi');
+    });
+
+    it('should record the checksum of each file', () => {
+      const [entry] = readZip(createZip([{ name: 'code-01.ts', text: 'const a = 1;' }], modified));
+
+      expect(entry.crc).toBe(entry.dataCrc);
+    });
+
+    it('should keep non-ASCII code intact', () => {
+      const [entry] = readZip(createZip([{ name: 'code-01.py', text: 'print("héllo → 世界")' }], modified));
+
+      expect(entry.text).toBe('print("héllo → 世界")');
+    });
+
+    it('should write the modification date in MS-DOS format', () => {
+      const view = new DataView(createZip([{ name: 'a.txt', text: '' }], modified).buffer);
+
+      expect(view.getUint16(10, true)).toBe((14 << 11) | (30 << 5) | 5);
+      expect(view.getUint16(12, true)).toBe((46 << 9) | (10 << 5) | 19);
+    });
+  });
+});
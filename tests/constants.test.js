@@ -69,7 +69,8 @@ describe('ClaudeWidthConstants', () => {
       const expectedKeys = [
         'FONT_SIZE', 'LINE_HEIGHT', 'MESSAGE_PADDING', 'DISPLAY_MODE',
         'CODE_BLOCK_HEIGHT', 'CODE_BLOCK_WRAP', 'CODE_BLOCKS_COLLAPSED',
-        'SHOW_TIMESTAMPS', 'SHOW_AVATARS', 'BUBBLE_STYLE'
+        'SHOW_TIMESTAMPS', 'SHOW_AVATARS', 'BUBBLE_STYLE', 'SHOW_RESIZE_HANDLES',
+        'ALIGNMENT', 'ALIGNMENT_OFFSET', 'SIDEBAR_MODE', 'SIDEBAR_WIDTH'
       ];
 
       for (const key of expectedKeys) {
@@ -99,6 +100,11 @@ describe('ClaudeWidthConstants', () => {
       expect(ENHANCED_DEFAULTS.showTimestamps).toBe(true);
       expect(ENHANCED_DEFAULTS.showAvatars).toBe(true);
       expect(ENHANCED_DEFAULTS.messageBubbleStyle).toBe('rounded');
+      expect(ENHANCED_DEFAULTS.showResizeHandles).toBe(true);
+      expect(ENHANCED_DEFAULTS.chatAlignment).toBe('center');
+      expect(ENHANCED_DEFAULTS.chatAlignmentOffset).toBe(0);
+      expect(ENHANCED_DEFAULTS.sidebarMode).toBe('default');
+      expect(ENHANCED_DEFAULTS.sidebarWidth).toBe(0);
     });
   });
 
@@ -119,6 +125,7 @@ describe('ClaudeWidthConstants', () => {
         expect(preset).toHaveProperty('messagePadding');
         expect(preset).toHaveProperty('fontSize');
         expect(typeof preset.fontSize).toBe('number');
+        expect(window.ClaudeWidthConstants.CODE_FONT_SIZES).toContain(preset.codeFontSize);
       }
     });
 
@@ -139,7 +146,6 @@ describe('ClaudeWidthConstants', () => {
       expect(TIMING.DEBOUNCE_MS).toBeDefined();
       expect(TIMING.ANIMATION_MS).toBeDefined();
       expect(TIMING.SR_ANNOUNCE_DELAY_MS).toBeDefined();
-      expect(TIMING.INIT_RETRY_INTERVALS).toBeDefined();
     });
 
     it('should have positive timing values', () => {
@@ -149,15 +155,6 @@ describe('ClaudeWidthConstants', () => {
       expect(TIMING.ANIMATION_MS).toBeGreaterThan(0);
       expect(TIMING.SR_ANNOUNCE_DELAY_MS).toBeGreaterThan(0);
     });
-
-    it('should have INIT_RETRY_INTERVALS in ascending order', () => {
-      const { TIMING } = window.ClaudeWidthConstants;
-
-      for (let i = 1; i < TIMING.INIT_RETRY_INTERVALS.length; i++) {
-        expect(TIMING.INIT_RETRY_INTERVALS[i])
-          .toBeGreaterThan(TIMING.INIT_RETRY_INTERVALS[i - 1]);
-      }
-    });
   });
 
   describe('Preset Configuration', () => {
@@ -231,6 +228,342 @@ describe('ClaudeWidthConstants', () => {
   });
 });
 
+describe('ClaudeWidthUnits', () => {
+  const Units = () => window.ClaudeWidthUnits;
+
+  describe('Unit Configuration', () => {
+    it('should default to percent', () => {
+      expect(window.ClaudeWidthConstants.DEFAULT_WIDTH_UNIT).toBe('%');
+      expect(window.ClaudeWidthConstants.WIDTH_UNIT_KEY).toBe('chatWidthUnit');
+    });
+
+    it('should keep the percent unit in line with the legacy width range', () => {
+      const { WIDTH_UNITS, MIN_WIDTH, MAX_WIDTH, DEFAULT_WIDTH, PRESET_CYCLE } = window.ClaudeWidthConstants;
+      expect(WIDTH_UNITS['%']).toMatchObject({ min: MIN_WIDTH, max: MAX_WIDTH, defaultValue: DEFAULT_WIDTH });
+      expect(WIDTH_UNITS['%'].presets).toEqual(PRESET_CYCLE);
+    });
+
+    it('should have one ascending preset per built-in preset, within range', () => {
+      const { WIDTH_UNITS, BUILT_IN_PRESETS } = window.ClaudeWidthConstants;
+
+      for (const config of Object.values(WIDTH_UNITS)) {
+        expect(config.presets).toHaveLength(BUILT_IN_PRESETS.length);
+        expect(config.defaultValue).toBeGreaterThanOrEqual(config.min);
+        expect(config.defaultValue).toBeLessThanOrEqual(config.max);
+        for (let i = 0; i < config.presets.length; i++) {
+          expect(config.presets[i]).toBeGreaterThanOrEqual(config.min);
+          expect(config.presets[i]).toBeLessThanOrEqual(config.max);
+          if (i > 0) {
+            expect(config.presets[i]).toBeGreaterThan(config.presets[i - 1]);
+          }
+        }
+      }
+    });
+  });
+
+  describe('normalizeUnit()', () => {
+    it('should accept supported units', () => {
+      expect(Units().normalizeUnit('ch')).toBe('ch');
+      expect(Units().normalizeUnit('px')).toBe('px');
+    });
+
+    it('should fall back to percent for missing or unknown units', () => {
+      expect(Units().normalizeUnit(undefined)).toBe('%');
+      expect(Units().normalizeUnit('vw')).toBe('%');
+      expect(Units().normalizeUnit('constructor')).toBe('%');
+    });
+  });
+
+  describe('clampWidth()', () => {
+    it('should clamp to the range of the unit', () => {
+      expect(Units().clampWidth(3000, 'px')).toBe(2560);
+      expect(Units().clampWidth(20, 'ch')).toBe(45);
+      expect(Units().clampWidth(150, '%')).toBe(100);
+    });
+
+    it('should round fractional values', () => {
+      expect(Units().clampWidth(80.4, 'ch')).toBe(80);
+    });
+
+    it('should use the unit default for non-numbers', () => {
+      expect(Units().clampWidth('wide', 'rem')).toBe(64);
+      expect(Units().clampWidth(NaN, 'px')).toBe(1200);
+    });
+  });
+
+  describe('isValidWidth()', () => {
+    it('should validate against the unit range', () => {
+      expect(Units().isValidWidth(1200, 'px')).toBe(true);
+      expect(Units().isValidWidth(1200, '%')).toBe(false);
+      expect(Units().isValidWidth(85, undefined)).toBe(true);
+    });
+  });
+
+  describe('formatting', () => {
+    it('should format CSS lengths', () => {
+      expect(Units().formatWidth(80, 'ch')).toBe('80ch');
+      expect(Units().formatWidth(85, undefined)).toBe('85%');
+    });
+
+    it('should keep badge text short', () => {
+      expect(Units().formatBadgeText(85, '%')).toBe('85');
+      expect(Units().formatBadgeText(1200, 'px')).toBe('1200');
+      expect(Units().formatBadgeText(80, 'ch')).toBe('80ch');
+      expect(Units().formatBadgeText(64, 'rem')).toBe('64r');
+    });
+
+    it('should describe widths for screen readers', () => {
+      expect(Units().describeWidth(80, 'ch')).toBe('80 characters');
+      expect(Units().describeWidth(85, '%')).toBe('85 percent');
+    });
+  });
+
+  describe('normalizeRecentWidths()', () => {
+    it('should convert legacy numbers to percent entries', () => {
+      expect(Units().normalizeRecentWidths([70, { width: 80, unit: 'ch' }])).toEqual([
+        { width: 70, unit: '%' },
+        { width: 80, unit: 'ch' }
+      ]);
+    });
+
+    it('should drop entries outside the unit range', () => {
+      expect(Units().normalizeRecentWidths([1200, { width: 10, unit: 'ch' }, null])).toEqual([]);
+    });
+
+    it('should handle missing storage', () => {
+      expect(Units().normalizeRecentWidths(undefined)).toEqual([]);
+    });
+  });
+});
+
+describe('ClaudeWidthBreakpoints', () => {
+  const Breakpoints = () => window.ClaudeWidthBreakpoints;
+  const TIERS = [
+    { minViewport: 0, width: 100, unit: '%' },
+    { minViewport: 1200, width: 80, unit: '%' },
+    { minViewport: 2000, width: 60, unit: '%' }
+  ];
+
+  describe('sanitizeBreakpoints()', () => {
+    it('should sort tiers by start width', () => {
+      const result = Breakpoints().sanitizeBreakpoints([TIERS[2], TIERS[0], TIERS[1]]);
+      expect(result).toEqual(TIERS);
+    });
+
+    it('should clamp widths per unit and default the unit to percent', () => {
+      const result = Breakpoints().sanitizeBreakpoints([
+        { minViewport: 1200.4, width: 5000, unit: 'px' },
+        { minViewport: -50, width: 70 }
+      ]);
+      expect(result).toEqual([
+        { minViewport: 0, width: 70, unit: '%' },
+        { minViewport: 1200, width: 2560, unit: 'px' }
+      ]);
+    });
+
+    it('should drop malformed tiers and duplicate start widths', () => {
+      const result = Breakpoints().sanitizeBreakpoints([
+        { minViewport: 1200, width: 80, unit: '%' },
+        { minViewport: 1200, width: 60, unit: '%' },
+        { minViewport: '1600', width: 60 },
+        { minViewport: 1600 },
+        null
+      ]);
+      expect(result).toEqual([{ minViewport: 1200, width: 80, unit: '%' }]);
+    });
+
+    it('should cap the number of tiers', () => {
+      const { MAX_WIDTH_BREAKPOINTS } = window.ClaudeWidthConstants;
+      const many = Array.from({ length: MAX_WIDTH_BREAKPOINTS + 2 }, (_, i) => ({ minViewport: i * 100, width: 80 }));
+      expect(Breakpoints().sanitizeBreakpoints(many)).toHaveLength(MAX_WIDTH_BREAKPOINTS);
+    });
+
+    it('should handle missing storage', () => {
+      expect(Breakpoints().sanitizeBreakpoints(undefined)).toEqual([]);
+    });
+  });
+
+  describe('findActiveBreakpoint()', () => {
+    it('should pick the last tier starting at or below the window width', () => {
+      expect(Breakpoints().findActiveBreakpoint(TIERS, 1024)).toBe(0);
+      expect(Breakpoints().findActiveBreakpoint(TIERS, 1200)).toBe(1);
+      expect(Breakpoints().findActiveBreakpoint(TIERS, 1999)).toBe(1);
+      expect(Breakpoints().findActiveBreakpoint(TIERS, 3440)).toBe(2);
+    });
+
+    it('should return -1 below the first tier or without a window width', () => {
+      expect(Breakpoints().findActiveBreakpoint(TIERS.slice(1), 1024)).toBe(-1);
+      expect(Breakpoints().findActiveBreakpoint(TIERS, null)).toBe(-1);
+      expect(Breakpoints().findActiveBreakpoint([], 1024)).toBe(-1);
+    });
+  });
+
+  describe('describeBreakpointRange()', () => {
+    it('should describe each tier range', () => {
+      expect(Breakpoints().describeBreakpointRange(TIERS, 0)).toBe('Below 1200px');
+      expect(Breakpoints().describeBreakpointRange(TIERS, 1)).toBe('1200-2000px');
+      expect(Breakpoints().describeBreakpointRange(TIERS, 2)).toBe('2000px and wider');
+    });
+
+    it('should describe a single tier starting at zero', () => {
+      expect(Breakpoints().describeBreakpointRange([TIERS[0]], 0)).toBe('All window widths');
+      expect(Breakpoints().describeBreakpointRange(TIERS, 5)).toBe('');
+    });
+  });
+});
+
+describe('ClaudeWidthAutoWidth', () => {
+  const AutoWidth = () => window.ClaudeWidthAutoWidth;
+
+  describe('sanitizeBounds()', () => {
+    it('should default to the unit default up to its widest preset', () => {
+      expect(AutoWidth().sanitizeBounds(null, '%')).toEqual({ min: 85, max: 100, unit: '%' });
+      expect(AutoWidth().sanitizeBounds(undefined, 'ch')).toEqual({ min: 80, max: 130, unit: 'ch' });
+    });
+
+    it('should clamp bounds and keep min below max', () => {
+      expect(AutoWidth().sanitizeBounds({ min: 120, max: 20, unit: '%' }, '%')).toEqual({ min: 40, max: 100, unit: '%' });
+    });
+
+    it('should replace bounds saved for another unit', () => {
+      expect(AutoWidth().sanitizeBounds({ min: 70, max: 100, unit: '%' }, 'px')).toEqual({ min: 1200, max: 1600, unit: 'px' });
+    });
+  });
+
+  describe('getCandidateWidths()', () => {
+    it('should list the bounds and the presets between them', () => {
+      expect(AutoWidth().getCandidateWidths({ min: 60, max: 100, unit: '%' })).toEqual([60, 70, 85, 100]);
+    });
+
+    it('should not repeat a bound that is also a preset', () => {
+      expect(AutoWidth().getCandidateWidths({ min: 85, max: 85, unit: '%' })).toEqual([85]);
+    });
+  });
+
+  describe('pickWidth()', () => {
+    const candidates = [70, 85, 100];
+
+    it('should pick the narrowest width when nothing needs more room', () => {
+      expect(AutoWidth().pickWidth(candidates, 0, 10)).toBe(70);
+    });
+
+    it('should pick the narrowest width that fits', () => {
+      expect(AutoWidth().pickWidth(candidates, 800, 10)).toBe(85);
+      expect(AutoWidth().pickWidth(candidates, 851, 10)).toBe(85);
+    });
+
+    it('should fall back to the widest width when nothing fits', () => {
+      expect(AutoWidth().pickWidth(candidates, 5000, 10)).toBe(100);
+    });
+  });
+
+  describe('formatLabel() and formatBadgeText()', () => {
+    it('should label the chosen width', () => {
+      expect(AutoWidth().formatLabel(85, '%')).toBe('Auto (85%)');
+    });
+
+    it('should mark short badge texts as auto', () => {
+      expect(AutoWidth().formatBadgeText(85, '%')).toBe('A85');
+      expect(AutoWidth().formatBadgeText(1200, 'px')).toBe('1200');
+    });
+  });
+});
+
+describe('ClaudeWidthCustomCSS', () => {
+  const CustomCSS = () => window.ClaudeWidthCustomCSS;
+
+  describe('validateCSS()', () => {
+    it('should accept complete stylesheets', () => {
+      expect(CustomCSS().validateCSS('')).toEqual({ valid: true });
+      expect(CustomCSS().validateCSS('@media (min-width: 800px) {\n  pre { max-width: var(--claude-width-chat-width); }\n}')).toEqual({ valid: true });
+    });
+
+    it('should ignore braces inside strings and comments', () => {
+      expect(CustomCSS().validateCSS('p::after { content: "}"; }\n/* { */')).toEqual({ valid: true });
+      expect(CustomCSS().validateCSS("p::after { content: 'a\\'}'; }")).toEqual({ valid: true });
+    });
+
+    it('should report the line of an unclosed block', () => {
+      const result = CustomCSS().validateCSS('a { color: red; }\n\nb {\n  color: blue;\n');
+      expect(result.valid).toBe(false);
+      expect(result.line).toBe(3);
+      expect(result.error).toBe('Line 3: block is not closed with "}"');
+    });
+
+    it('should report stray braces, unclosed strings and comments', () => {
+      expect(CustomCSS().validateCSS('a { }\n}').line).toBe(2);
+      expect(CustomCSS().validateCSS('a { content: "x; }\n').error).toBe('Line 1: string is not closed');
+      expect(CustomCSS().validateCSS('/* a\n\nb {} */\n/* c').error).toBe('Line 4: comment is not closed');
+    });
+
+    it('should not allow @import', () => {
+      expect(CustomCSS().validateCSS('@import url("https://example.com/a.css");').valid).toBe(false);
+      expect(CustomCSS().validateCSS('@IMPORT "a.css";').valid).toBe(false);
+    });
+
+    it('should reject stylesheets over the size limit', () => {
+      const css = `/* ${'x'.repeat(window.ClaudeWidthConstants.CUSTOM_CSS_MAX_BYTES)} */`;
+      expect(CustomCSS().validateCSS(css)).toEqual({ valid: false, error: 'Custom CSS must be 4 KB or less' });
+    });
+  });
+
+  describe('sanitizeCSS()', () => {
+    it('should keep text within the limit and drop anything else', () => {
+      expect(CustomCSS().sanitizeCSS('a { color: red; }')).toBe('a { color: red; }');
+      expect(CustomCSS().sanitizeCSS(42)).toBe('');
+      expect(CustomCSS().sanitizeCSS('é'.repeat(5000))).toBe('');
+    });
+
+    it('should leave room for the largest stylesheet in a profile\'s sync item', () => {
+      const C = window.ClaudeWidthConstants;
+      const rule = '.font-claude-message p > code { color: var(--claude-width-accent, "#c96442"); }\n';
+      const profile = {
+        ...C.PROFILE_DEFAULTS,
+        name: 'n'.repeat(C.PROFILE_NAME_MAX_LENGTH),
+        widthBreakpoints: Array.from({ length: C.MAX_WIDTH_BREAKPOINTS }, (_, i) => (
+          { minViewport: 1000 + i * 400, width: 1200 + i * 100, unit: 'px' }
+        )),
+        autoWidthBounds: { min: 800, max: 1600, unit: 'px' },
+        customPresets: Array.from({ length: C.MAX_CUSTOM_PRESETS }, (_, i) => (
+          { id: `custom-${Date.now()}-${i}`, name: 'p'.repeat(20), width: 1920, unit: 'px', order: i, favorite: true }
+        )),
+        customFontFamily: 'f'.repeat(C.CUSTOM_FONT_MAX_LENGTH),
+        customCodeFontFamily: 'f'.repeat(C.CUSTOM_FONT_MAX_LENGTH),
+        selectorOverrides: { assistantMessage: ['[data-testid="assistant-message"] .markdown'] },
+        customCSS: rule.repeat(Math.floor(C.CUSTOM_CSS_MAX_BYTES / rule.length)),
+        customCSSEnabled: true
+      };
+      const key = `${C.SYNC_PROFILE_KEY_PREFIX}profile_${Date.now().toString(36)}_abcdef`;
+
+      expect(CustomCSS().getByteSize(key + JSON.stringify(profile))).toBeLessThanOrEqual(C.SYNC_QUOTA_BYTES_PER_ITEM);
+    });
+  });
+});
+
+describe('ClaudeWidthTypography', () => {
+  const Typography = () => window.ClaudeWidthTypography;
+
+  describe('sanitizeFontName()', () => {
+    it('should trim names and collapse their whitespace', () => {
+      expect(Typography().sanitizeFontName('  Atkinson   Hyperlegible ')).toBe('Atkinson Hyperlegible');
+      expect(Typography().sanitizeFontName('Source_Serif-4.0')).toBe('Source_Serif-4.0');
+      expect(Typography().sanitizeFontName('Noto Sans 日本語')).toBe('Noto Sans 日本語');
+    });
+
+    it('should drop names that could break out of a font-family value', () => {
+      expect(Typography().sanitizeFontName('Arial", serif')).toBe('');
+      expect(Typography().sanitizeFontName('Arial; } body { display: none')).toBe('');
+      expect(Typography().sanitizeFontName('a'.repeat(window.ClaudeWidthConstants.CUSTOM_FONT_MAX_LENGTH + 1))).toBe('');
+    });
+
+    it('should return an empty name for blanks and non-strings', () => {
+      expect(Typography().sanitizeFontName('   ')).toBe('');
+      expect(Typography().sanitizeFontName(null)).toBe('');
+      expect(Typography().sanitizeFontName(12)).toBe('');
+    });
+  });
+});
+
 describe('ClaudeWidthLogger', () => {
   beforeEach(() => {
     // Reset logger mocks
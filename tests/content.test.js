@@ -401,40 +401,67 @@ describe('Content Script', () => {
   });
 
   describe('Style Application', () => {
-    it('should apply width style to elements', () => {
+    const WIDTH_ACTIVE_ATTR = 'data-claude-width-active';
+    const WIDTH_VARS = {
+      MAX_WIDTH: '--claude-width-chat-max-width',
+      WIDTH: '--claude-width-chat-width',
+      MARGIN_LEFT: '--claude-width-chat-margin-left',
+      MARGIN_RIGHT: '--claude-width-chat-margin-right'
+    };
+    const Units = window.ClaudeWidthUnits;
+
+    function applyWidthToChat(width, unit) {
+      const length = Units.formatWidth(Units.clampWidth(width, unit), unit);
+      const root = document.documentElement;
+
+      root.style.setProperty(WIDTH_VARS.MAX_WIDTH, length);
+      root.style.setProperty(WIDTH_VARS.WIDTH, unit === '%' ? length : '100%');
+      root.style.setProperty(WIDTH_VARS.MARGIN_LEFT, 'auto');
+      root.style.setProperty(WIDTH_VARS.MARGIN_RIGHT, 'auto');
+      root.setAttribute(WIDTH_ACTIVE_ATTR, length);
+    }
+
+    function clearAllStyles() {
+      const root = document.documentElement;
+      Object.values(WIDTH_VARS).forEach(varName => root.style.removeProperty(varName));
+      root.removeAttribute(WIDTH_ACTIVE_ATTR);
+    }
+
+    it('should set the width variables on the root element only', () => {
       const el = document.createElement('div');
       el.className = 'mx-auto';
+      el.style.maxWidth = '48rem';
       document.body.appendChild(el);
 
-      // Simulate width application
-      const width = 85;
-      el.style.maxWidth = `${width}%`;
-      el.style.width = `${width}%`;
-      el.style.marginLeft = 'auto';
-      el.style.marginRight = 'auto';
-      el.setAttribute('data-claude-width-applied', 'true');
+      applyWidthToChat(85, '%');
 
-      expect(el.style.maxWidth).toBe('85%');
-      expect(el.style.width).toBe('85%');
-      expect(el.getAttribute('data-claude-width-applied')).toBe('true');
+      const root = document.documentElement;
+      expect(root.style.getPropertyValue(WIDTH_VARS.MAX_WIDTH)).toBe('85%');
+      expect(root.style.getPropertyValue(WIDTH_VARS.WIDTH)).toBe('85%');
+      expect(root.getAttribute(WIDTH_ACTIVE_ATTR)).toBe('85%');
+      expect(el.style.maxWidth).toBe('48rem');
     });
 
-    it('should clear applied styles', () => {
+    it('should let containers fill up to an absolute cap', () => {
+      applyWidthToChat(900, 'px');
+
+      const root = document.documentElement;
+      expect(root.style.getPropertyValue(WIDTH_VARS.MAX_WIDTH)).toBe('900px');
+      expect(root.style.getPropertyValue(WIDTH_VARS.WIDTH)).toBe('100%');
+    });
+
+    it('should clear the variables without touching page styles', () => {
       const el = document.createElement('div');
-      el.style.maxWidth = '85%';
-      el.style.width = '85%';
-      el.setAttribute('data-claude-width-applied', 'true');
+      el.style.maxWidth = '48rem';
       document.body.appendChild(el);
 
-      // Clear styles
-      el.style.maxWidth = '';
-      el.style.width = '';
-      el.style.marginLeft = '';
-      el.style.marginRight = '';
-      el.removeAttribute('data-claude-width-applied');
+      applyWidthToChat(85, '%');
+      clearAllStyles();
 
-      expect(el.style.maxWidth).toBe('');
-      expect(el.getAttribute('data-claude-width-applied')).toBeNull();
+      const root = document.documentElement;
+      expect(root.style.getPropertyValue(WIDTH_VARS.MAX_WIDTH)).toBe('');
+      expect(root.hasAttribute(WIDTH_ACTIVE_ATTR)).toBe(false);
+      expect(el.style.maxWidth).toBe('48rem');
     });
   });
 
@@ -550,6 +577,452 @@ describe('Content Script', () => {
     });
   });
 
+  describe('Column Alignment', () => {
+    function getAlignmentMargins(alignment, offset) {
+      switch (alignment) {
+        case 'left':
+          return { left: `${offset}px`, right: 'auto' };
+        case 'right':
+          return { left: 'auto', right: `${offset}px` };
+        default:
+          return { left: 'auto', right: 'auto' };
+      }
+    }
+
+    it('should center the column by default', () => {
+      expect(getAlignmentMargins('center', 120)).toEqual({ left: 'auto', right: 'auto' });
+      expect(getAlignmentMargins(undefined, 0)).toEqual({ left: 'auto', right: 'auto' });
+    });
+
+    it('should hold the column the offset away from its edge', () => {
+      expect(getAlignmentMargins('left', 40)).toEqual({ left: '40px', right: 'auto' });
+      expect(getAlignmentMargins('right', 0)).toEqual({ left: 'auto', right: '0px' });
+    });
+  });
+
+  describe('Resize Handles', () => {
+    const WIDTH_ACTIVE_ATTR = 'data-claude-width-active';
+    const Units = window.ClaudeWidthUnits;
+
+    function snapWidth(value, unit) {
+      const { step } = Units.getUnitConfig(unit);
+      return Units.clampWidth(Math.round(value / step) * step, unit);
+    }
+
+    function findChatColumn() {
+      if (!document.documentElement.hasAttribute(WIDTH_ACTIVE_ATTR)) return null;
+
+      let column = null;
+      let columnHeight = 0;
+
+      for (const element of document.querySelectorAll('[class*="mx-auto"], [class*="Thread"]')) {
+        if (element.closest('nav')) continue;
+        const rect = element.getBoundingClientRect();
+        if (rect.width > 0 && rect.height > columnHeight) {
+          column = element;
+          columnHeight = rect.height;
+        }
+      }
+
+      return column;
+    }
+
+    function addStyledElement(width, height, parent = document.body) {
+      const element = document.createElement('div');
+      element.className = 'Thread';
+      element.getBoundingClientRect = () => ({ width, height, top: 0, bottom: height, left: 0, right: width });
+      parent.appendChild(element);
+      return element;
+    }
+
+    it('should snap dragged widths to the unit step', () => {
+      expect(snapWidth(72.4, '%')).toBe(70);
+      expect(snapWidth(1213, 'px')).toBe(1220);
+      expect(snapWidth(63.4, 'rem')).toBe(64);
+    });
+
+    it('should clamp dragged widths to the unit range', () => {
+      expect(snapWidth(10, '%')).toBe(40);
+      expect(snapWidth(9000, 'px')).toBe(2560);
+    });
+
+    it('should attach to the tallest visible styled element', () => {
+      document.documentElement.setAttribute(WIDTH_ACTIVE_ATTR, '85%');
+      addStyledElement(800, 120);
+      const thread = addStyledElement(800, 900);
+      addStyledElement(0, 2000);
+
+      expect(findChatColumn()).toBe(thread);
+    });
+
+    it('should skip elements in the sidebar', () => {
+      document.documentElement.setAttribute(WIDTH_ACTIVE_ATTR, '85%');
+      const nav = document.createElement('nav');
+      document.body.appendChild(nav);
+      addStyledElement(300, 2000, nav);
+      const thread = addStyledElement(800, 900);
+
+      expect(findChatColumn()).toBe(thread);
+    });
+
+    it('should find no column before the width is applied', () => {
+      addStyledElement(800, 900);
+      expect(findChatColumn()).toBeNull();
+    });
+  });
+
+  describe('Auto Width', () => {
+    const AutoWidth = window.ClaudeWidthAutoWidth;
+
+    function getAutoWidthChoice(bounds, choice) {
+      return AutoWidth.getCandidateWidths(bounds).includes(choice) ? choice : bounds.min;
+    }
+
+    function isAutoWidthActive(enabled, override, focusWidth = null) {
+      return enabled && override?.chatWidthPercent === undefined && !focusWidth;
+    }
+
+    function isInViewport(element) {
+      const rect = element.getBoundingClientRect();
+      return rect.width > 0 && rect.bottom > 0 && rect.top < window.innerHeight;
+    }
+
+    function requiredColumnWidth(columnWidth, blocks) {
+      let required = 0;
+      for (const { content, available } of blocks) {
+        if (available > 0) {
+          required = Math.max(required, columnWidth - available + content);
+        }
+      }
+      return required;
+    }
+
+    it('should start at the lower bound until content is measured', () => {
+      const bounds = { min: 70, max: 100, unit: '%' };
+      expect(getAutoWidthChoice(bounds, null)).toBe(70);
+      expect(getAutoWidthChoice(bounds, 85)).toBe(85);
+    });
+
+    it('should drop a choice that is no longer a candidate', () => {
+      expect(getAutoWidthChoice({ min: 800, max: 1600, unit: 'px' }, 85)).toBe(800);
+    });
+
+    it('should give way to a pinned width', () => {
+      expect(isAutoWidthActive(true, null)).toBe(true);
+      expect(isAutoWidthActive(true, { fontSizePercent: 110 })).toBe(true);
+      expect(isAutoWidthActive(true, { chatWidthPercent: 90 })).toBe(false);
+      expect(isAutoWidthActive(false, null)).toBe(false);
+    });
+
+    it('should give way to a focus mode width', () => {
+      expect(isAutoWidthActive(true, null, { width: 80, unit: 'ch' })).toBe(false);
+    });
+
+    it('should only measure elements on screen', () => {
+      const element = document.createElement('pre');
+      element.getBoundingClientRect = () => ({ width: 600, top: -400, bottom: -10 });
+      expect(isInViewport(element)).toBe(false);
+
+      element.getBoundingClientRect = () => ({ width: 600, top: -400, bottom: 10 });
+      expect(isInViewport(element)).toBe(true);
+    });
+
+    it('should size the column for the widest overflowing block', () => {
+      const required = requiredColumnWidth(800, [
+        { content: 700, available: 760 },
+        { content: 1000, available: 760 }
+      ]);
+      expect(required).toBe(1040);
+    });
+
+    it('should allow the column to shrink when content is narrow', () => {
+      expect(requiredColumnWidth(1200, [{ content: 400, available: 1160 }])).toBe(440);
+      expect(requiredColumnWidth(1200, [])).toBe(0);
+    });
+  });
+
+  describe('Focus Mode', () => {
+    const FOCUS_ATTR = 'data-claude-focus-mode';
+    const CHROME_SELECTOR = `html[${FOCUS_ATTR}="true"] :is(header, [role="banner"], [data-testid*="banner"], [data-testid="model-selector-dropdown"])`;
+
+    function getFocusWidth(settings) {
+      const width = settings.focusWidth;
+      if (settings.focusMode !== true || !(width > 0)) {
+        return null;
+      }
+      return { width, unit: window.ClaudeWidthUnits.normalizeUnit(settings.focusWidthUnit) };
+    }
+
+    function setFocusAttribute(focusMode) {
+      if (focusMode === true) {
+        document.documentElement.setAttribute(FOCUS_ATTR, 'true');
+      } else {
+        document.documentElement.removeAttribute(FOCUS_ATTR);
+      }
+    }
+
+    afterEach(() => {
+      document.documentElement.removeAttribute(FOCUS_ATTR);
+    });
+
+    it('should force the focus width only while focus mode is on', () => {
+      expect(getFocusWidth({ focusMode: true, focusWidth: 80, focusWidthUnit: 'ch' })).toEqual({ width: 80, unit: 'ch' });
+      expect(getFocusWidth({ focusMode: false, focusWidth: 80, focusWidthUnit: 'ch' })).toBeNull();
+    });
+
+    it('should keep the current width when no focus width is set', () => {
+      expect(getFocusWidth({ focusMode: true, focusWidth: 0, focusWidthUnit: '%' })).toBeNull();
+    });
+
+    it('should hide the page chrome but not the thread or composer', () => {
+      document.body.innerHTML = `
+        <header></header>
+        <div data-testid="upgrade-banner"></div>
+        <main><div class="Thread"></div><form class="Composer">
+          <button data-testid="model-selector-dropdown"></button>
+        </form></main>`;
+
+      setFocusAttribute(true);
+      expect(document.querySelector('header').matches(CHROME_SELECTOR)).toBe(true);
+      expect(document.querySelector('[data-testid="upgrade-banner"]').matches(CHROME_SELECTOR)).toBe(true);
+      expect(document.querySelector('button').matches(CHROME_SELECTOR)).toBe(true);
+      expect(document.querySelector('.Thread').matches(CHROME_SELECTOR)).toBe(false);
+      expect(document.querySelector('form').matches(CHROME_SELECTOR)).toBe(false);
+    });
+
+    it('should restore the page by removing the attribute', () => {
+      document.body.innerHTML = '<header></header>';
+
+      setFocusAttribute(true);
+      setFocusAttribute(false);
+      expect(document.documentElement.hasAttribute(FOCUS_ATTR)).toBe(false);
+      expect(document.querySelector('header').matches(CHROME_SELECTOR)).toBe(false);
+    });
+  });
+
+  describe('Typography', () => {
+    const FONT_ATTR = 'data-claude-font-family';
+    const FONT_SELECTOR = `html[${FONT_ATTR}] :is([class*="Message"] p):not(pre, pre *, code, code *, kbd, samp),
+      html[${FONT_ATTR}] :is(.prose) :is(h1, h2, h3, h4, h5, h6)`;
+    const FONT_FAMILY_STACKS = {
+      'sans': 'system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
+      'serif': 'ui-serif, Georgia, Cambria, "Times New Roman", Times, serif',
+      'dyslexic': '"OpenDyslexic", "OpenDyslexic3", "Lexend", "Atkinson Hyperlegible", "Comic Sans MS", sans-serif'
+    };
+
+    const CODE_FONT_STACKS = {
+      'system': 'ui-monospace, "SF Mono", "Cascadia Code", "JetBrains Mono", Menlo, Consolas, "Liberation Mono", monospace'
+    };
+    const CODE_SIZE_ATTR = 'data-claude-code-font-size';
+    const CODE_SIZE_SELECTOR = `html[${CODE_SIZE_ATTR}] :is(pre, [class*="CodeBlock"], code, kbd, samp)`;
+
+    function getFontFamilyStack(choice, customName, stacks, fallback) {
+      if (choice === 'custom') {
+        const name = window.ClaudeWidthTypography.sanitizeFontName(customName);
+        return name ? `"${name}", ${fallback}` : null;
+      }
+      return stacks[choice] || null;
+    }
+
+    function getProseFont(settings) {
+      return getFontFamilyStack(settings.fontFamily, settings.customFontFamily, FONT_FAMILY_STACKS, 'system-ui, sans-serif');
+    }
+
+    afterEach(() => {
+      document.documentElement.removeAttribute(FONT_ATTR);
+      document.documentElement.removeAttribute(CODE_SIZE_ATTR);
+    });
+
+    it('should keep the page font by default', () => {
+      expect(getProseFont({ fontFamily: 'default', customFontFamily: '' })).toBeNull();
+    });
+
+    it('should end every font stack in a generic family', () => {
+      for (const fontFamily of ['sans', 'serif', 'dyslexic']) {
+        expect(getProseFont({ fontFamily })).toMatch(/(sans-serif|serif)$/);
+      }
+      expect(getFontFamilyStack('system', '', CODE_FONT_STACKS, 'monospace')).toMatch(/monospace$/);
+    });
+
+    it('should quote an installed font and fall back to the page font without a usable name', () => {
+      expect(getProseFont({ fontFamily: 'custom', customFontFamily: 'Iosevka Aile' }))
+        .toBe('"Iosevka Aile", system-ui, sans-serif');
+      expect(getProseFont({ fontFamily: 'custom', customFontFamily: '' })).toBeNull();
+      expect(getProseFont({ fontFamily: 'custom', customFontFamily: 'x"; }' })).toBeNull();
+    });
+
+    it('should put an installed code font before the monospace fallback', () => {
+      expect(getFontFamilyStack('custom', 'JetBrains Mono', CODE_FONT_STACKS, 'ui-monospace, monospace'))
+        .toBe('"JetBrains Mono", ui-monospace, monospace');
+      expect(getFontFamilyStack('default', 'JetBrains Mono', CODE_FONT_STACKS, 'monospace')).toBeNull();
+    });
+
+    it('should size code blocks and inline code but not the text around them', () => {
+      document.body.innerHTML = `
+        <div class="prose"><p>Run <code>npm test</code></p><pre><code>x</code></pre></div>`;
+
+      document.documentElement.setAttribute(CODE_SIZE_ATTR, '13');
+      expect(document.querySelector('pre').matches(CODE_SIZE_SELECTOR)).toBe(true);
+      expect(document.querySelector('p code').matches(CODE_SIZE_SELECTOR)).toBe(true);
+      expect(document.querySelector('p').matches(CODE_SIZE_SELECTOR)).toBe(false);
+    });
+
+    it('should change prose and headings but not code', () => {
+      document.body.innerHTML = `
+        <div class="Message"><p>Text <code>inline</code></p></div>
+        <div class="prose"><h2>Heading</h2></div>
+        <div class="Message"><pre><p>code</p></pre></div>`;
+
+      document.documentElement.setAttribute(FONT_ATTR, 'serif');
+      expect(document.querySelector('.Message p').matches(FONT_SELECTOR)).toBe(true);
+      expect(document.querySelector('h2').matches(FONT_SELECTOR)).toBe(true);
+      expect(document.querySelector('code').matches(FONT_SELECTOR)).toBe(false);
+      expect(document.querySelector('pre p').matches(FONT_SELECTOR)).toBe(false);
+    });
+  });
+
+  describe('Message Roles', () => {
+    const LAYOUT_ATTR = 'data-claude-human-layout';
+    const TINT_ATTR = 'data-claude-human-tint';
+    const HUMAN_SELECTOR = '[data-testid="user-message"], [class*="HumanContent"], [class*="human-turn"]';
+    const LAYOUT_SELECTOR = `html[${LAYOUT_ATTR}] :is(${HUMAN_SELECTOR})`;
+    const TINT_SELECTOR = `html[${TINT_ATTR}] :is(${HUMAN_SELECTOR})`;
+
+    const MESSAGE_TINT_COLORS = {
+      'none': 'transparent',
+      'gray': 'rgba(128, 128, 128, 0.12)',
+      'blue': 'rgba(59, 130, 246, 0.14)',
+      'green': 'rgba(34, 197, 94, 0.14)',
+      'amber': 'rgba(245, 158, 11, 0.16)'
+    };
+
+    const MESSAGE_ALIGNMENT_MARGINS = {
+      'left': { left: '0', right: 'auto' },
+      'center': { left: 'auto', right: 'auto' },
+      'right': { left: 'auto', right: '0' }
+    };
+
+    function getRoleStyle(settings) {
+      const width = settings.width > 0 ? settings.width : 0;
+      const alignment = MESSAGE_ALIGNMENT_MARGINS[settings.alignment] ? settings.alignment : 'left';
+      const tint = MESSAGE_TINT_COLORS[settings.tint] ? settings.tint : 'none';
+      const fontScale = settings.fontScale > 0 ? settings.fontScale : 100;
+
+      return {
+        vars: {
+          maxWidth: width ? `${width}%` : 'none',
+          marginLeft: MESSAGE_ALIGNMENT_MARGINS[alignment].left,
+          marginRight: MESSAGE_ALIGNMENT_MARGINS[alignment].right,
+          tint: MESSAGE_TINT_COLORS[tint],
+          fontScale: String(fontScale / 100)
+        },
+        attrs: {
+          layout: width || alignment !== 'left' ? alignment : null,
+          tint: tint !== 'none' ? tint : null,
+          fontScale: fontScale !== 100 ? String(fontScale) : null
+        }
+      };
+    }
+
+    afterEach(() => {
+      document.documentElement.removeAttribute(LAYOUT_ATTR);
+      document.documentElement.removeAttribute(TINT_ATTR);
+    });
+
+    it('should set no attributes for the defaults', () => {
+      const { vars, attrs } = getRoleStyle({ width: 0, alignment: 'left', tint: 'none', fontScale: 100 });
+
+      expect(attrs).toEqual({ layout: null, tint: null, fontScale: null });
+      expect(vars.maxWidth).toBe('none');
+    });
+
+    it('should push right-aligned messages to the right edge', () => {
+      const { vars, attrs } = getRoleStyle({ width: 75, alignment: 'right', tint: 'none', fontScale: 100 });
+
+      expect(attrs.layout).toBe('right');
+      expect(vars).toMatchObject({ maxWidth: '75%', marginLeft: 'auto', marginRight: '0' });
+    });
+
+    it('should lay out a narrower left-aligned message', () => {
+      expect(getRoleStyle({ width: 60, alignment: 'left' }).attrs.layout).toBe('left');
+    });
+
+    it('should turn the text size into a multiplier', () => {
+      const { vars, attrs } = getRoleStyle({ fontScale: 125 });
+
+      expect(vars.fontScale).toBe('1.25');
+      expect(attrs.fontScale).toBe('125');
+    });
+
+    it('should fall back to the defaults for unknown values', () => {
+      const { attrs } = getRoleStyle({ width: -10, alignment: 'top', tint: 'pink', fontScale: 'big' });
+
+      expect(attrs).toEqual({ layout: null, tint: null, fontScale: null });
+    });
+
+    it('should style only the user\'s messages', () => {
+      document.body.innerHTML = `
+        <div data-testid="user-message" id="human">Hi</div>
+        <div class="font-claude-message" id="assistant">Hello</div>`;
+
+      document.documentElement.setAttribute(LAYOUT_ATTR, 'right');
+      document.documentElement.setAttribute(TINT_ATTR, 'blue');
+      expect(document.getElementById('human').matches(LAYOUT_SELECTOR)).toBe(true);
+      expect(document.getElementById('human').matches(TINT_SELECTOR)).toBe(true);
+      expect(document.getElementById('assistant').matches(LAYOUT_SELECTOR)).toBe(false);
+    });
+  });
+
+  describe('Optional Module Isolation', () => {
+    const WIDTH_ACTIVE_ATTR = 'data-claude-width-active';
+
+    // Mirrors runOptionalStep() in content.js
+    function runOptionalStep(name, step) {
+      try {
+        step();
+      } catch (error) {
+        console.error(`[Claude Width] Error ${name}:`, error);
+      }
+    }
+
+    // Mirrors the order of the apply calls in initialize()
+    function initialize(modules) {
+      runOptionalStep('applying sidebar settings', modules.sidebar);
+      runOptionalStep('applying line numbers', modules.lineNumbers);
+      runOptionalStep('applying table layout', modules.tables);
+      runOptionalStep('applying message folding', modules.messageFolding);
+
+      document.documentElement.style.setProperty('--claude-width-chat-max-width', '85%');
+      document.documentElement.setAttribute(WIDTH_ACTIVE_ATTR, '85%');
+    }
+
+    afterEach(() => {
+      document.documentElement.removeAttribute(WIDTH_ACTIVE_ATTR);
+      document.documentElement.style.removeProperty('--claude-width-chat-max-width');
+      vi.restoreAllMocks();
+    });
+
+    it('should still apply the width and later modules when one module throws', () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const modules = {
+        sidebar: vi.fn(),
+        lineNumbers: vi.fn(() => {
+          throw new TypeError('range.getClientRects is not a function');
+        }),
+        tables: vi.fn(),
+        messageFolding: vi.fn()
+      };
+
+      initialize(modules);
+
+      expect(modules.tables).toHaveBeenCalled();
+      expect(modules.messageFolding).toHaveBeenCalled();
+      expect(document.documentElement.getAttribute(WIDTH_ACTIVE_ATTR)).toBe('85%');
+      expect(document.documentElement.style.getPropertyValue('--claude-width-chat-max-width')).toBe('85%');
+      expect(errorSpy).toHaveBeenCalledWith('[Claude Width] Error applying line numbers:', expect.any(TypeError));
+    });
+  });
+
   describe('Style Element Management', () => {
     it('should create style element with correct ID', () => {
       const styleEl = document.createElement('style');
@@ -596,6 +1069,91 @@ describe('Content Script', () => {
     });
   });
 
+  describe('Custom CSS', () => {
+    const CUSTOM_STYLE_ID = 'claude-width-custom-styles';
+
+    // Mirrors findLastOwnStyle() and injectCustomCSS() in content.js
+    function findLastOwnStyle() {
+      const enhancedStyle = document.getElementById('claude-enhanced-styles');
+      const widthStyle = document.getElementById('claude-width-customizer-styles');
+
+      if (!enhancedStyle || !widthStyle) {
+        return enhancedStyle || widthStyle;
+      }
+      return enhancedStyle.compareDocumentPosition(widthStyle) & Node.DOCUMENT_POSITION_FOLLOWING
+        ? widthStyle
+        : enhancedStyle;
+    }
+
+    function injectCustomCSS(css, enabled) {
+      let styleElement = document.getElementById(CUSTOM_STYLE_ID);
+
+      if (!enabled || css.trim() === '') {
+        styleElement?.remove();
+        return;
+      }
+
+      if (!styleElement) {
+        styleElement = document.createElement('style');
+        styleElement.id = CUSTOM_STYLE_ID;
+      }
+      styleElement.textContent = css;
+
+      const lastOwnStyle = findLastOwnStyle();
+      if (!lastOwnStyle) {
+        document.head.appendChild(styleElement);
+      } else if (lastOwnStyle.nextElementSibling !== styleElement) {
+        lastOwnStyle.after(styleElement);
+      }
+    }
+
+    function addStyle(id) {
+      const styleEl = document.createElement('style');
+      styleEl.id = id;
+      document.head.appendChild(styleEl);
+      return styleEl;
+    }
+
+    it('should go right after the enhanced stylesheet', () => {
+      addStyle('claude-width-customizer-styles');
+      addStyle('claude-enhanced-styles');
+      addStyle('page-styles');
+
+      injectCustomCSS('pre { tab-size: 2; }', true);
+
+      const ids = [...document.head.children].map(el => el.id);
+      expect(ids).toEqual(['claude-width-customizer-styles', 'claude-enhanced-styles', CUSTOM_STYLE_ID, 'page-styles']);
+    });
+
+    it('should move after a re-injected width stylesheet', () => {
+      addStyle('claude-enhanced-styles');
+      injectCustomCSS('pre {}', true);
+      addStyle('claude-width-customizer-styles');
+
+      injectCustomCSS('pre {}', true);
+
+      expect(document.head.lastElementChild.id).toBe(CUSTOM_STYLE_ID);
+    });
+
+    it('should be removed when turned off or emptied', () => {
+      injectCustomCSS('pre {}', true);
+      injectCustomCSS('pre {}', false);
+      expect(document.getElementById(CUSTOM_STYLE_ID)).toBeNull();
+
+      injectCustomCSS('pre {}', true);
+      injectCustomCSS('  ', true);
+      expect(document.getElementById(CUSTOM_STYLE_ID)).toBeNull();
+    });
+
+    it('should update the existing element', () => {
+      injectCustomCSS('a {}', true);
+      injectCustomCSS('b {}', true);
+
+      expect(document.querySelectorAll(`#${CUSTOM_STYLE_ID}`)).toHaveLength(1);
+      expect(document.getElementById(CUSTOM_STYLE_ID).textContent).toBe('b {}');
+    });
+  });
+
   describe('MutationObserver Behavior', () => {
     it('should detect added elements', async () => {
       const addedNodes = [];
@@ -648,11 +1206,419 @@ describe('Content Script', () => {
     });
   });
 
+  describe('Incremental DOM Observation', () => {
+    function collectSubtreeRoots(nodes) {
+      const roots = [];
+
+      for (const node of nodes) {
+        if (!node.isConnected) continue;
+
+        let ancestor = node.parentElement;
+        while (ancestor && !nodes.has(ancestor)) {
+          ancestor = ancestor.parentElement;
+        }
+
+        if (!ancestor) {
+          roots.push(node);
+        }
+      }
+
+      return roots;
+    }
+
+    function findConversationLandmark() {
+      for (const element of document.querySelectorAll('main, [role="main"]')) {
+        if (!element.closest('nav, aside')) {
+          return element;
+        }
+      }
+      return null;
+    }
+
+    function createQueue() {
+      const stats = { mutationBatches: 0, nodesQueued: 0, nodesSkipped: 0, subtreesProcessed: 0, flushes: 0 };
+      const pending = new Set();
+      const processed = [];
+
+      return {
+        stats,
+        processed,
+        handleMutations(mutations) {
+          stats.mutationBatches++;
+          for (const mutation of mutations) {
+            for (const node of mutation.addedNodes) {
+              if (node.nodeType === Node.ELEMENT_NODE) {
+                pending.add(node);
+                stats.nodesQueued++;
+              }
+            }
+          }
+        },
+        flush() {
+          const roots = collectSubtreeRoots(pending);
+          stats.nodesSkipped += pending.size - roots.length;
+          pending.clear();
+          processed.push(...roots);
+          stats.subtreesProcessed += roots.length;
+          stats.flushes++;
+        }
+      };
+    }
+
+    it('should keep only the roots of added subtrees', () => {
+      const message = document.createElement('div');
+      const paragraph = document.createElement('p');
+      const code = document.createElement('pre');
+      message.append(paragraph, code);
+      document.body.appendChild(message);
+
+      expect(collectSubtreeRoots(new Set([paragraph, message, code]))).toEqual([message]);
+    });
+
+    it('should skip nodes removed before the frame', () => {
+      const probe = document.createElement('span');
+      document.body.appendChild(probe);
+      probe.remove();
+
+      expect(collectSubtreeRoots(new Set([probe]))).toEqual([]);
+    });
+
+    it('should find the conversation landmark outside the sidebar', () => {
+      document.body.innerHTML = '<nav><div role="main" id="nav-main"></div></nav><main id="chat"></main>';
+      expect(findConversationLandmark().id).toBe('chat');
+    });
+
+    it('should find no landmark while the page is loading', () => {
+      expect(findConversationLandmark()).toBeNull();
+    });
+
+    it('should process one flush for many streamed batches', async () => {
+      const main = document.createElement('main');
+      document.body.appendChild(main);
+      const queue = createQueue();
+      const observer = new MutationObserver(queue.handleMutations);
+      observer.observe(main, { childList: true, subtree: true });
+
+      const reply = document.createElement('div');
+      main.appendChild(reply);
+      await waitForDOMUpdate(0);
+      for (let i = 0; i < 5; i++) {
+        reply.appendChild(document.createElement('p'));
+        await waitForDOMUpdate(0);
+      }
+      queue.flush();
+      observer.disconnect();
+
+      expect(queue.stats.mutationBatches).toBe(6);
+      expect(queue.stats.nodesQueued).toBe(6);
+      expect(queue.stats.nodesSkipped).toBe(5);
+      expect(queue.stats.flushes).toBe(1);
+      expect(queue.processed).toEqual([reply]);
+    });
+
+    it('should not see insertions outside the landmark', async () => {
+      const main = document.createElement('main');
+      document.body.appendChild(main);
+      const queue = createQueue();
+      const observer = new MutationObserver(queue.handleMutations);
+      observer.observe(main, { childList: true, subtree: true });
+
+      document.body.appendChild(document.createElement('div'));
+      await waitForDOMUpdate(0);
+      observer.disconnect();
+
+      expect(queue.stats.mutationBatches).toBe(0);
+    });
+  });
+
+  describe('Selector Health', () => {
+    const REQUIRED_ROLES = ['conversation', 'column', 'composer', 'thread', 'message'];
+
+    // Mirrors getHealthStatus() in content.js
+    function getHealthStatus(report) {
+      if (!report.onConversation) return 'healthy';
+
+      if (!report.threadFound || (report.widthActive && report.styledElements === 0)) {
+        return 'broken';
+      }
+
+      return report.missingRoles.length > 0 ? 'degraded' : 'healthy';
+    }
+
+    // Mirrors the role loop of computeHealthReport() in content.js
+    function gradeRoles(counts, matchedRoles, onConversation = true) {
+      const missingRoles = [];
+      const lostRoles = [];
+
+      for (const [role, count] of Object.entries(counts)) {
+        if (!onConversation || !REQUIRED_ROLES.includes(role)) continue;
+
+        if (count > 0) {
+          matchedRoles.add(role);
+        } else {
+          missingRoles.push(role);
+          if (matchedRoles.has(role)) {
+            lostRoles.push(role);
+          }
+        }
+      }
+
+      return { missingRoles, lostRoles };
+    }
+
+    const healthyCounts = { conversation: 1, column: 2, composer: 1, thread: 6, message: 4, avatar: 0 };
+
+    it('should grade a page with every required role as healthy', () => {
+      const { missingRoles } = gradeRoles(healthyCounts, new Set());
+      expect(getHealthStatus({
+        onConversation: true, threadFound: true, widthActive: true, styledElements: 9, missingRoles
+      })).toBe('healthy');
+    });
+
+    it('should ignore optional roles that match nothing', () => {
+      expect(gradeRoles(healthyCounts, new Set()).missingRoles).toEqual([]);
+    });
+
+    it('should grade a missing composer as degraded', () => {
+      const { missingRoles } = gradeRoles({ ...healthyCounts, composer: 0 }, new Set());
+      expect(getHealthStatus({
+        onConversation: true, threadFound: true, widthActive: true, styledElements: 9, missingRoles
+      })).toBe('degraded');
+    });
+
+    it('should grade a missing thread or nothing to style as broken', () => {
+      const base = { onConversation: true, threadFound: true, widthActive: true, styledElements: 9, missingRoles: [] };
+      expect(getHealthStatus({ ...base, threadFound: false, missingRoles: ['thread'] })).toBe('broken');
+      expect(getHealthStatus({ ...base, styledElements: 0 })).toBe('broken');
+      expect(getHealthStatus({ ...base, widthActive: false, styledElements: 0 })).toBe('healthy');
+    });
+
+    it('should not grade pages without a conversation', () => {
+      const counts = { ...healthyCounts, thread: 0, message: 0 };
+      const { missingRoles } = gradeRoles(counts, new Set(), false);
+      expect(missingRoles).toEqual([]);
+      expect(getHealthStatus({ onConversation: false, threadFound: false, missingRoles })).toBe('healthy');
+    });
+
+    it('should report roles that stopped matching', () => {
+      const matchedRoles = new Set();
+      gradeRoles(healthyCounts, matchedRoles);
+
+      const { missingRoles, lostRoles } = gradeRoles({ ...healthyCounts, message: 0 }, matchedRoles);
+      expect(missingRoles).toEqual(['message']);
+      expect(lostRoles).toEqual(['message']);
+    });
+
+    it('should not report roles that never matched as lost', () => {
+      const { lostRoles } = gradeRoles({ ...healthyCounts, column: 0 }, new Set());
+      expect(lostRoles).toEqual([]);
+    });
+  });
+
+  describe('Code Downloads', () => {
+    const CODE_BLOCK_SELECTOR = 'pre, [class*="CodeBlock"], [class*="code-block"]';
+    const CODE_BLOCK_UI_SELECTOR = '.claude-width-line-gutter, .claude-expand-btn, .claude-save-btn, .claude-code-summary';
+    const LANGUAGE_CLASS_PATTERN = /(?:^|\s)(?:language|lang)-([\w#+-]+)/i;
+    const KNOWN_LANGUAGES = ['python', 'bash', 'typescript'];
+
+    function getCodeBlocks() {
+      return [...document.querySelectorAll(CODE_BLOCK_SELECTOR)]
+        .filter(block => !block.querySelector(CODE_BLOCK_SELECTOR));
+    }
+
+    function getCodeText(block) {
+      const code = block.querySelector('code');
+      if (code) {
+        return code.textContent;
+      }
+
+      const copy = block.cloneNode(true);
+      copy.querySelectorAll(CODE_BLOCK_UI_SELECTOR).forEach(element => element.remove());
+      return copy.textContent;
+    }
+
+    function detectCodeLanguage(block) {
+      for (const element of [block.querySelector('code'), block]) {
+        const match = element && typeof element.className === 'string'
+          ? element.className.match(LANGUAGE_CLASS_PATTERN)
+          : null;
+        if (match) {
+          return match[1].toLowerCase();
+        }
+      }
+
+      let element = block;
+      for (let depth = 0; depth < 3 && element; depth++) {
+        for (let sibling = element.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+          const label = sibling.textContent.trim();
+          if (KNOWN_LANGUAGES.includes(label.toLowerCase())) {
+            return label.toLowerCase();
+          }
+        }
+        element = element.parentElement;
+      }
+
+      return null;
+    }
+
+    it('should detect the language from the code class', () => {
+      document.body.innerHTML = '<pre><code class="hljs language-Python">print(1)</code></pre>';
+
+      expect(detectCodeLanguage(document.querySelector('pre'))).toBe('python');
+    });
+
+    it('should detect the language from the label above the block', () => {
+      document.body.innerHTML = `
+        <div class="relative">
+          <div class="text-xs">bash</div>
+          <div class="sticky"><button>Copy</button></div>
+          <div><pre><code>echo hi</code></pre></div>
+        </div>`;
+
+      expect(detectCodeLanguage(document.querySelector('pre'))).toBe('bash');
+    });
+
+    it('should not take other text for a language', () => {
+      document.body.innerHTML = '<p>Run this:</p><pre><code>make</code></pre>';
+
+      expect(detectCodeLanguage(document.querySelector('pre'))).toBeNull();
+    });
+
+    it('should leave our buttons and gutter out of the saved code', () => {
+      document.body.innerHTML = `
+        <pre><div class="claude-width-line-gutter"><span data-line="1"></span></div><code>a = 1\nb = 2</code><button class="claude-save-btn">Save</button></pre>
+        <pre>plain<button class="claude-save-btn">Save</button><button class="claude-expand-btn">Expand</button></pre>`;
+      const [highlighted, plain] = getCodeBlocks();
+
+      expect(getCodeText(highlighted)).toBe('a = 1\nb = 2');
+      expect(getCodeText(plain)).toBe('plain');
+    });
+
+    it('should count a wrapper and its <pre> as one block', () => {
+      document.body.innerHTML = '<div class="code-block"><pre><code>1</code></pre></div><pre><code>2</code></pre>';
+
+      expect(getCodeBlocks()).toHaveLength(2);
+      expect(getCodeBlocks()[0].tagName).toBe('PRE');
+    });
+  });
+
+  describe('Collapsed Code Previews', () => {
+    const COLLAPSED_ATTR = 'data-claude-code-collapsed';
+    const PREVIEW_ATTR = 'data-claude-code-preview';
+    const CODE_BLOCK_SELECTOR = 'pre, [class*="CodeBlock"], [class*="code-block"]';
+    const PREVIEW_SELECTOR = `html[${COLLAPSED_ATTR}="true"] [${PREVIEW_ATTR}]`;
+
+    function countLines(text) {
+      const trimmed = text.endsWith('\n') ? text.slice(0, -1) : text;
+      return trimmed ? trimmed.split('\n').length : 0;
+    }
+
+    function updateCodeBlockCollapse(block, settings) {
+      const lines = block.querySelector(CODE_BLOCK_SELECTOR)
+        ? 0
+        : countLines(block.querySelector('code').textContent);
+      const minLines = Math.max(settings.codePreviewLines, settings.codeCollapseMinLines);
+
+      if (!settings.codeBlocksCollapsed || lines <= minLines) {
+        block.removeAttribute(PREVIEW_ATTR);
+        block.querySelectorAll(':scope > .claude-expand-btn, :scope > .claude-code-summary')
+          .forEach(element => element.remove());
+        return;
+      }
+
+      block.setAttribute(PREVIEW_ATTR, 'true');
+
+      let summary = block.querySelector(':scope > .claude-code-summary');
+      if (!summary) {
+        summary = document.createElement('span');
+        summary.className = 'claude-code-summary';
+        block.appendChild(summary);
+      }
+      summary.textContent = `${lines} line${lines === 1 ? '' : 's'}`;
+    }
+
+    function createBlock(lineCount) {
+      const pre = document.createElement('pre');
+      const code = document.createElement('code');
+      code.textContent = Array.from({ length: lineCount }, (_, i) => `line ${i + 1}`).join('\n');
+      pre.appendChild(code);
+      document.body.appendChild(pre);
+      return pre;
+    }
+
+    const settings = { codeBlocksCollapsed: true, codePreviewLines: 5, codeCollapseMinLines: 0 };
+
+    beforeEach(() => {
+      document.documentElement.setAttribute(COLLAPSED_ATTR, 'true');
+    });
+
+    afterEach(() => {
+      document.documentElement.removeAttribute(COLLAPSED_ATTR);
+    });
+
+    it('should collapse blocks longer than their preview', () => {
+      const block = createBlock(12);
+      updateCodeBlockCollapse(block, settings);
+
+      expect(block.matches(PREVIEW_SELECTOR)).toBe(true);
+      expect(block.querySelector('.claude-code-summary').textContent).toBe('12 lines');
+    });
+
+    it('should keep blocks that fit in the preview open', () => {
+      const block = createBlock(5);
+      updateCodeBlockCollapse(block, settings);
+
+      expect(block.matches(PREVIEW_SELECTOR)).toBe(false);
+      expect(block.querySelector('.claude-code-summary')).toBeNull();
+    });
+
+    it('should keep short snippets open below the threshold', () => {
+      const short = createBlock(30);
+      const long = createBlock(60);
+      const thresholdSettings = { ...settings, codeCollapseMinLines: 50 };
+      updateCodeBlockCollapse(short, thresholdSettings);
+      updateCodeBlockCollapse(long, thresholdSettings);
+
+      expect(short.hasAttribute(PREVIEW_ATTR)).toBe(false);
+      expect(long.hasAttribute(PREVIEW_ATTR)).toBe(true);
+    });
+
+    it('should collapse a streaming block once it passes the threshold', () => {
+      const block = createBlock(3);
+      updateCodeBlockCollapse(block, settings);
+      expect(block.hasAttribute(PREVIEW_ATTR)).toBe(false);
+
+      block.querySelector('code').textContent += '\n4\n5\n6\n7';
+      updateCodeBlockCollapse(block, settings);
+      expect(block.hasAttribute(PREVIEW_ATTR)).toBe(true);
+      expect(block.querySelector('.claude-code-summary').textContent).toBe('7 lines');
+    });
+
+    it('should leave wrappers to the <pre> inside them', () => {
+      document.body.innerHTML = '<div class="code-block"><pre><code>1\n2\n3\n4\n5\n6\n7</code></pre></div>';
+      const wrapper = document.querySelector('.code-block');
+      updateCodeBlockCollapse(wrapper, settings);
+      updateCodeBlockCollapse(document.querySelector('pre'), settings);
+
+      expect(wrapper.hasAttribute(PREVIEW_ATTR)).toBe(false);
+      expect(document.querySelector('pre').hasAttribute(PREVIEW_ATTR)).toBe(true);
+    });
+
+    it('should open every block when collapsing is turned off', () => {
+      const block = createBlock(12);
+      updateCodeBlockCollapse(block, settings);
+      updateCodeBlockCollapse(block, { ...settings, codeBlocksCollapsed: false });
+
+      expect(block.hasAttribute(PREVIEW_ATTR)).toBe(false);
+      expect(block.querySelector('.claude-code-summary')).toBeNull();
+    });
+  });
+
   describe('Display Mode Presets', () => {
     const DISPLAY_MODE_PRESETS = {
-      'compact': { lineHeight: 'compact', messagePadding: 'small', fontSize: 95 },
-      'comfortable': { lineHeight: 'normal', messagePadding: 'medium', fontSize: 100 },
-      'spacious': { lineHeight: 'relaxed', messagePadding: 'large', fontSize: 105 }
+      'compact': { lineHeight: 'compact', messagePadding: 'small', fontSize: 95, codeFontSize: 12 },
+      'comfortable': { lineHeight: 'normal', messagePadding: 'medium', fontSize: 100, codeFontSize: 0 },
+      'spacious': { lineHeight: 'relaxed', messagePadding: 'large', fontSize: 105, codeFontSize: 14 }
     };
 
     it('should have correct compact preset values', () => {
@@ -660,6 +1626,7 @@ describe('Content Script', () => {
       expect(compact.lineHeight).toBe('compact');
       expect(compact.messagePadding).toBe('small');
       expect(compact.fontSize).toBe(95);
+      expect(compact.codeFontSize).toBe(12);
     });
 
     it('should have correct comfortable preset values', () => {
@@ -667,6 +1634,7 @@ describe('Content Script', () => {
       expect(comfortable.lineHeight).toBe('normal');
       expect(comfortable.messagePadding).toBe('medium');
       expect(comfortable.fontSize).toBe(100);
+      expect(comfortable.codeFontSize).toBe(0);
     });
 
     it('should have correct spacious preset values', () => {
@@ -674,6 +1642,7 @@ describe('Content Script', () => {
       expect(spacious.lineHeight).toBe('relaxed');
       expect(spacious.messagePadding).toBe('large');
       expect(spacious.fontSize).toBe(105);
+      expect(spacious.codeFontSize).toBe(14);
     });
   });
 
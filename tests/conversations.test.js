@@ -0,0 +1,334 @@
+/**
+ * Unit Tests for lib/conversations.js
+ * =====================================
+ *
+ * Tests for per-conversation setting overrides: chat URL parsing,
+ * sanitization, merging over profile settings, and pin storage.
+ *
+ * Note: These tests implement the conversation functions directly to test
+ * the logic without depending on the actual module loading mechanism.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetMocks, mockBrowser, setStorageData } from './mocks/browser.js';
+
+// =========================================================================
+// Test Implementations of Conversation Functions
+// These mirror the actual implementation in lib/conversations.js
+// =========================================================================
+
+const {
+  MAX_WIDTH,
+  CONVERSATION_OVERRIDES_KEY,
+  CONVERSATION_OVERRIDE_KEYS,
+  MAX_CONVERSATION_OVERRIDES
+} = window.ClaudeWidthConstants;
+
+const Units = window.ClaudeWidthUnits;
+
+const CHAT_URL_PATTERN = /^https?:\/\/(?:[\w-]+\.)*claude\.ai\/chat\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(?:[/?#]|$)/i;
+
+function getChatIdFromUrl(url) {
+  if (typeof url !== 'string') {
+    return null;
+  }
+
+  const match = url.match(CHAT_URL_PATTERN);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function sanitizeConversationOverride(override) {
+  if (!override || typeof override !== 'object') {
+    return null;
+  }
+
+  const sanitized = {};
+
+  const width = override.chatWidthPercent;
+  if (typeof width === 'number' && !isNaN(width)) {
+    const unit = Units.normalizeUnit(override.chatWidthUnit);
+    sanitized.chatWidthPercent = Units.clampWidth(width, unit);
+    sanitized.chatWidthUnit = unit;
+  }
+
+  const fontSize = override.fontSizePercent;
+  if (typeof fontSize === 'number' && !isNaN(fontSize)) {
+    sanitized.fontSizePercent = Math.max(80, Math.min(120, Math.round(fontSize)));
+  }
+
+  if ([200, 400, 600, 0].includes(override.codeBlockMaxHeight)) {
+    sanitized.codeBlockMaxHeight = override.codeBlockMaxHeight;
+  }
+
+  if (typeof override.codeBlockWordWrap === 'boolean') {
+    sanitized.codeBlockWordWrap = override.codeBlockWordWrap;
+  }
+
+  if (Object.keys(sanitized).length === 0) {
+    return null;
+  }
+
+  sanitized.updatedAt = typeof override.updatedAt === 'number' ? override.updatedAt : Date.now();
+  return sanitized;
+}
+
+function sanitizeConversationOverrides(overrides) {
+  const sanitized = {};
+
+  if (!overrides || typeof overrides !== 'object') {
+    return sanitized;
+  }
+
+  for (const [chatId, override] of Object.entries(overrides)) {
+    const clean = sanitizeConversationOverride(override);
+    if (clean && /^[0-9a-f-]{36}$/.test(chatId)) {
+      sanitized[chatId] = clean;
+    }
+  }
+
+  return sanitized;
+}
+
+function applyConversationOverride(settings, override) {
+  const merged = { ...settings };
+
+  if (!override) {
+    return merged;
+  }
+
+  for (const key of CONVERSATION_OVERRIDE_KEYS) {
+    if (override[key] !== undefined) {
+      merged[key] = override[key];
+    }
+  }
+
+  return merged;
+}
+
+function trimConversationOverrides(overrides) {
+  const entries = Object.entries(overrides);
+
+  if (entries.length <= MAX_CONVERSATION_OVERRIDES) {
+    return overrides;
+  }
+
+  entries.sort(([, a], [, b]) => b.updatedAt - a.updatedAt);
+  return Object.fromEntries(entries.slice(0, MAX_CONVERSATION_OVERRIDES));
+}
+
+async function loadConversationOverrides() {
+  const result = await mockBrowser.storage.local.get(CONVERSATION_OVERRIDES_KEY);
+  return sanitizeConversationOverrides(result[CONVERSATION_OVERRIDES_KEY]);
+}
+
+async function pinConversation(chatId, settings) {
+  if (!chatId) {
+    return { success: false, error: 'Not a conversation page' };
+  }
+
+  const overrides = await loadConversationOverrides();
+  const override = sanitizeConversationOverride({
+    ...overrides[chatId],
+    ...settings,
+    updatedAt: Date.now()
+  });
+
+  if (!override) {
+    return { success: false, error: 'No valid settings to pin' };
+  }
+
+  overrides[chatId] = override;
+  await mockBrowser.storage.local.set({
+    [CONVERSATION_OVERRIDES_KEY]: trimConversationOverrides(overrides)
+  });
+
+  return { success: true, override };
+}
+
+async function unpinConversation(chatId) {
+  const overrides = await loadConversationOverrides();
+
+  if (!overrides[chatId]) {
+    return { success: false, error: 'Conversation is not pinned' };
+  }
+
+  delete overrides[chatId];
+  await mockBrowser.storage.local.set({ [CONVERSATION_OVERRIDES_KEY]: overrides });
+
+  return { success: true };
+}
+
+// =========================================================================
+// Tests
+// =========================================================================
+
+const CHAT_ID = '3f2b8c1e-4d5a-4b6c-8d7e-9f0a1b2c3d4e';
+
+describe('Conversation Overrides', () => {
+  beforeEach(() => {
+    resetMocks();
+  });
+
+  describe('getChatIdFromUrl', () => {
+    it('should extract the chat UUID from a chat URL', () => {
+      expect(getChatIdFromUrl(`https://claude.ai/chat/${CHAT_ID}`)).toBe(CHAT_ID);
+    });
+
+    it('should ignore query strings and fragments', () => {
+      expect(getChatIdFromUrl(`https://claude.ai/chat/${CHAT_ID}?model=x`)).toBe(CHAT_ID);
+      expect(getChatIdFromUrl(`https://claude.ai/chat/${CHAT_ID}#end`)).toBe(CHAT_ID);
+    });
+
+    it('should normalize the UUID to lower case', () => {
+      expect(getChatIdFromUrl(`https://claude.ai/chat/${CHAT_ID.toUpperCase()}`)).toBe(CHAT_ID);
+    });
+
+    it('should return null for non-chat pages', () => {
+      expect(getChatIdFromUrl('https://claude.ai/new')).toBeNull();
+      expect(getChatIdFromUrl('https://claude.ai/project/abc')).toBeNull();
+      expect(getChatIdFromUrl('https://claude.ai/chat/not-a-uuid')).toBeNull();
+    });
+
+    it('should reject other hosts', () => {
+      expect(getChatIdFromUrl(`https://example.com/chat/${CHAT_ID}`)).toBeNull();
+      expect(getChatIdFromUrl(`https://claude.ai.example.com/chat/${CHAT_ID}`)).toBeNull();
+    });
+
+    it('should return null for non-string input', () => {
+      expect(getChatIdFromUrl(undefined)).toBeNull();
+      expect(getChatIdFromUrl(null)).toBeNull();
+    });
+  });
+
+  describe('sanitizeConversationOverride', () => {
+    it('should keep a partial override', () => {
+      const result = sanitizeConversationOverride({ chatWidthPercent: 100, updatedAt: 1 });
+      expect(result).toEqual({ chatWidthPercent: 100, chatWidthUnit: '%', updatedAt: 1 });
+    });
+
+    it('should keep the width unit and clamp to its range', () => {
+      const result = sanitizeConversationOverride({ chatWidthPercent: 5000, chatWidthUnit: 'px' });
+      expect(result.chatWidthPercent).toBe(2560);
+      expect(result.chatWidthUnit).toBe('px');
+    });
+
+    it('should drop a unit without a width', () => {
+      expect(sanitizeConversationOverride({ chatWidthUnit: 'ch' })).toBeNull();
+    });
+
+    it('should clamp width and font size', () => {
+      const result = sanitizeConversationOverride({ chatWidthPercent: 150, fontSizePercent: 50 });
+      expect(result.chatWidthPercent).toBe(MAX_WIDTH);
+      expect(result.fontSizePercent).toBe(80);
+    });
+
+    it('should drop invalid values instead of defaulting them', () => {
+      const result = sanitizeConversationOverride({
+        chatWidthPercent: 90,
+        codeBlockMaxHeight: 999,
+        codeBlockWordWrap: 'yes',
+        theme: 'dark'
+      });
+      expect(result).not.toHaveProperty('codeBlockMaxHeight');
+      expect(result).not.toHaveProperty('codeBlockWordWrap');
+      expect(result).not.toHaveProperty('theme');
+    });
+
+    it('should accept unlimited code block height', () => {
+      expect(sanitizeConversationOverride({ codeBlockMaxHeight: 0 }).codeBlockMaxHeight).toBe(0);
+    });
+
+    it('should return null when nothing valid remains', () => {
+      expect(sanitizeConversationOverride({ theme: 'dark' })).toBeNull();
+      expect(sanitizeConversationOverride(null)).toBeNull();
+    });
+  });
+
+  describe('sanitizeConversationOverrides', () => {
+    it('should drop entries with malformed chat IDs', () => {
+      const result = sanitizeConversationOverrides({
+        [CHAT_ID]: { chatWidthPercent: 100 },
+        '../etc': { chatWidthPercent: 100 }
+      });
+      expect(Object.keys(result)).toEqual([CHAT_ID]);
+    });
+
+    it('should handle missing storage', () => {
+      expect(sanitizeConversationOverrides(undefined)).toEqual({});
+    });
+  });
+
+  describe('applyConversationOverride', () => {
+    const base = { chatWidthPercent: 70, fontSizePercent: 100, codeBlockWordWrap: false, lineHeight: 'normal' };
+
+    it('should return the base settings when not pinned', () => {
+      expect(applyConversationOverride(base, null)).toEqual(base);
+    });
+
+    it('should override only the pinned keys', () => {
+      const result = applyConversationOverride(base, { chatWidthPercent: 100, updatedAt: 1 });
+      expect(result.chatWidthPercent).toBe(100);
+      expect(result.fontSizePercent).toBe(100);
+      expect(result).not.toHaveProperty('updatedAt');
+    });
+
+    it('should not mutate the base settings', () => {
+      applyConversationOverride(base, { chatWidthPercent: 100 });
+      expect(base.chatWidthPercent).toBe(70);
+    });
+  });
+
+  describe('pinConversation', () => {
+    it('should store a pin for the conversation', async () => {
+      const result = await pinConversation(CHAT_ID, { chatWidthPercent: 100 });
+      expect(result.success).toBe(true);
+
+      const stored = await loadConversationOverrides();
+      expect(stored[CHAT_ID].chatWidthPercent).toBe(100);
+    });
+
+    it('should merge updates into an existing pin', async () => {
+      await pinConversation(CHAT_ID, { chatWidthPercent: 100, fontSizePercent: 110 });
+      const result = await pinConversation(CHAT_ID, { chatWidthPercent: 90 });
+
+      expect(result.override.chatWidthPercent).toBe(90);
+      expect(result.override.fontSizePercent).toBe(110);
+    });
+
+    it('should fail without a chat ID', async () => {
+      const result = await pinConversation(null, { chatWidthPercent: 100 });
+      expect(result.success).toBe(false);
+    });
+
+    it('should fail when no valid settings are given', async () => {
+      const result = await pinConversation(CHAT_ID, { theme: 'dark' });
+      expect(result.success).toBe(false);
+    });
+
+    it('should drop the least recently updated pins beyond the limit', () => {
+      const overrides = {};
+      for (let i = 0; i <= MAX_CONVERSATION_OVERRIDES; i++) {
+        overrides[`id-${i}`] = { chatWidthPercent: 70, updatedAt: i };
+      }
+
+      const trimmed = trimConversationOverrides(overrides);
+      expect(Object.keys(trimmed)).toHaveLength(MAX_CONVERSATION_OVERRIDES);
+      expect(trimmed).not.toHaveProperty('id-0');
+    });
+  });
+
+  describe('unpinConversation', () => {
+    it('should remove an existing pin', async () => {
+      setStorageData({ [CONVERSATION_OVERRIDES_KEY]: { [CHAT_ID]: { chatWidthPercent: 100, updatedAt: 1 } } });
+
+      const result = await unpinConversation(CHAT_ID);
+      expect(result.success).toBe(true);
+      expect(await loadConversationOverrides()).toEqual({});
+    });
+
+    it('should report conversations that are not pinned', async () => {
+      const result = await unpinConversation(CHAT_ID);
+      expect(result.success).toBe(false);
+    });
+  });
+});
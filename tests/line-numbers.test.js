@@ -0,0 +1,196 @@
+/**
+ * Unit Tests for content/line-numbers.js
+ * ========================================
+ *
+ * Tests for the code block line numbers: which blocks are numbered, where
+ * each line starts and the CSS that keeps the numbers out of the code.
+ *
+ * Note: These tests implement the line number functions directly to test
+ * the logic without depending on the actual module loading mechanism.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// =========================================================================
+// Test Implementations of Line Number Functions
+// These mirror the actual implementation in content/line-numbers.js
+// =========================================================================
+
+const GUTTER_CLASS = 'claude-width-line-gutter';
+const NUMBERED_ATTR = 'data-claude-width-line-numbers';
+const NOT_CODE_SELECTOR = `.${GUTTER_CLASS}, .claude-expand-btn, .claude-save-btn, .claude-code-summary`;
+
+// The 'codeBlock' role of lib/selectors.js
+const CODE_BLOCK_SELECTOR = 'pre, [class*="CodeBlock"], [class*="code-block"]';
+
+function findCodeBlocks(root) {
+  const candidates = [];
+
+  const enclosing = root.closest(CODE_BLOCK_SELECTOR);
+  if (enclosing) {
+    candidates.push(enclosing);
+  }
+  candidates.push(...root.querySelectorAll(CODE_BLOCK_SELECTOR));
+
+  return [...new Set(candidates)].filter(block =>
+    !block.closest(NOT_CODE_SELECTOR) && !block.querySelector(CODE_BLOCK_SELECTOR));
+}
+
+function getLineStarts(block) {
+  const walker = document.createTreeWalker(block, window.NodeFilter.SHOW_TEXT, {
+    acceptNode: node => node.parentElement.closest(NOT_CODE_SELECTOR)
+      ? window.NodeFilter.FILTER_REJECT
+      : window.NodeFilter.FILTER_ACCEPT
+  });
+  const starts = [];
+  let atLineStart = true;
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const text = node.data;
+    for (let offset = 0; offset < text.length; offset++) {
+      if (atLineStart) {
+        starts.push({ node, offset });
+        atLineStart = false;
+      }
+      if (text[offset] === '\n') {
+        atLineStart = true;
+      }
+    }
+  }
+
+  return starts;
+}
+
+function generateLineNumberCSS() {
+  const digitRules = [1, 2, 3, 4, 5].map(digits =>
+    `[${NUMBERED_ATTR}="${digits}"] { --claude-width-gutter-digits: ${digits}; }`);
+
+  return `${digitRules.join('\n')}
+
+[${NUMBERED_ATTR}] {
+    position: relative !important;
+    padding-left: calc(var(--claude-width-gutter-digits, 5) * 1ch + 1.75em) !important;
+}
+
+.${GUTTER_CLASS} {
+    position: absolute;
+    top: 0;
+    left: 0;
+    width: calc(var(--claude-width-gutter-digits, 5) * 1ch + 1em);
+    pointer-events: none;
+    user-select: none;
+    opacity: 0.5;
+}
+
+.${GUTTER_CLASS} > span {
+    position: absolute;
+    right: 0.5em;
+    font-variant-numeric: tabular-nums;
+    white-space: nowrap;
+}
+
+.${GUTTER_CLASS} > span::before {
+    content: attr(data-line);
+}`;
+}
+
+// =========================================================================
+// Tests
+// =========================================================================
+
+describe('Code Block Line Numbers', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('findCodeBlocks', () => {
+    it('should find code blocks inside an added element', () => {
+      document.body.innerHTML = '<div id="message"><pre><code>a</code></pre><pre><code>b</code></pre></div>';
+
+      expect(findCodeBlocks(document.getElementById('message'))).toHaveLength(2);
+    });
+
+    it('should find the block around an element added inside it', () => {
+      document.body.innerHTML = '<pre id="block"><code><span id="token">a</span></code></pre>';
+
+      expect(findCodeBlocks(document.getElementById('token'))).toEqual([document.getElementById('block')]);
+    });
+
+    it('should number only the innermost of nested matches', () => {
+      document.body.innerHTML = '<div class="code-block" id="wrapper"><pre id="block"><code>a</code></pre></div>';
+
+      expect(findCodeBlocks(document.body)).toEqual([document.getElementById('block')]);
+    });
+
+    it('should skip blocks inside a gutter', () => {
+      document.body.innerHTML = `<div class="${GUTTER_CLASS}"><pre>1</pre></div>`;
+
+      expect(findCodeBlocks(document.body)).toEqual([]);
+    });
+  });
+
+  describe('getLineStarts', () => {
+    function createBlock(html) {
+      document.body.innerHTML = `<pre>${html}</pre>`;
+      return document.querySelector('pre');
+    }
+
+    it('should find one start per line', () => {
+      const starts = getLineStarts(createBlock('<code>one\ntwo\nthree</code>'));
+
+      expect(starts).toHaveLength(3);
+      expect(starts.map(({ offset }) => offset)).toEqual([0, 4, 8]);
+    });
+
+    it('should not count a newline at the very end as another line', () => {
+      expect(getLineStarts(createBlock('<code>one\ntwo\n</code>'))).toHaveLength(2);
+    });
+
+    it('should count empty lines', () => {
+      expect(getLineStarts(createBlock('<code>one\n\nthree</code>'))).toHaveLength(3);
+    });
+
+    it('should follow lines across highlighted tokens', () => {
+      const starts = getLineStarts(createBlock('<code><span>const</span> a = 1;\n<span>let</span> b;</code>'));
+
+      expect(starts).toHaveLength(2);
+      expect(starts[1].node.data).toBe('let');
+      expect(starts[1].offset).toBe(0);
+    });
+
+    it('should ignore the gutter and the code block buttons', () => {
+      const block = createBlock(
+        `<div class="${GUTTER_CLASS}"><span data-line="1">9\n9</span></div>` +
+        '<code>one\ntwo</code>' +
+        '<button class="claude-save-btn">Save\n</button>' +
+        '<button class="claude-expand-btn">Show more\n</button>'
+      );
+
+      expect(getLineStarts(block)).toHaveLength(2);
+    });
+
+    it('should find no lines in an empty block', () => {
+      expect(getLineStarts(createBlock('<code></code>'))).toEqual([]);
+    });
+  });
+
+  describe('generateLineNumberCSS', () => {
+    it('should draw the numbers as generated content', () => {
+      expect(generateLineNumberCSS()).toContain('content: attr(data-line)');
+    });
+
+    it('should keep the gutter out of selections', () => {
+      const css = generateLineNumberCSS();
+
+      expect(css).toContain('user-select: none');
+      expect(css).toContain('pointer-events: none');
+    });
+
+    it('should size the gutter for up to five digits', () => {
+      const css = generateLineNumberCSS();
+
+      expect(css).toContain(`[${NUMBERED_ATTR}="1"] { --claude-width-gutter-digits: 1; }`);
+      expect(css).toContain(`[${NUMBERED_ATTR}="5"] { --claude-width-gutter-digits: 5; }`);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit Tests for content/message-folding.js
+ * ===========================================
+ *
+ * Tests for message folding: which elements are messages, whose they
+ * are and the summary line a folded message shows.
+ *
+ * Note: These tests implement the folding functions directly to test
+ * the logic without depending on the actual module loading mechanism.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// =========================================================================
+// Test Implementations of Message Folding Functions
+// These mirror the actual implementation in content/message-folding.js
+// =========================================================================
+
+const BAR_CLASS = 'claude-message-fold';
+const SUMMARY_MAX_LENGTH = 120;
+
+// The 'message', 'humanMessage' and 'assistantMessage' roles of lib/selectors.js
+const ROLE_SELECTORS = {
+  message: '[data-testid*="message"], [data-testid*="turn"], [class*="Message"]:not([class*="MessageList"]), ' +
+    '[class*="message"]:not([class*="message-list"]), [class*="ConversationMessage"], [class*="ChatMessage"], ' +
+    '[class*="turn-"], [class*="Turn"]',
+  humanMessage: '[data-testid="user-message"], [class*="HumanContent"], [class*="human-turn"]',
+  assistantMessage: '[class*="font-claude-message"], [class*="AssistantContent"], [class*="assistant-turn"], ' +
+    '[data-is-streaming]'
+};
+
+function getMessageRole(element) {
+  const containsRole = role => {
+    const selector = ROLE_SELECTORS[role];
+    return element.matches(selector) || element.querySelector(selector) !== null;
+  };
+
+  const human = containsRole('humanMessage');
+  const assistant = containsRole('assistantMessage');
+  if (human === assistant) return null;
+  return human ? 'human' : 'assistant';
+}
+
+function findMessages() {
+  const candidates = [...document.querySelectorAll(ROLE_SELECTORS.message)]
+    .filter(element => !element.closest(`.${BAR_CLASS}`))
+    .map(element => ({ element, role: getMessageRole(element) }))
+    .filter(({ role }) => role !== null);
+
+  return candidates.filter(({ element }) =>
+    !candidates.some(other => other.element !== element && element.contains(other.element)));
+}
+
+function getSummaryText(heading, text) {
+  const source = (heading || text).replace(/\s+/g, ' ').trim();
+  const sentence = heading ? source : (source.match(/^.*?[.!?](?=\s|$)/) || [source])[0];
+
+  return sentence.length > SUMMARY_MAX_LENGTH
+    ? `${sentence.slice(0, SUMMARY_MAX_LENGTH - 1).trimEnd()}…`
+    : sentence;
+}
+
+// =========================================================================
+// Tests
+// =========================================================================
+
+describe('Message Folding', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('getMessageRole', () => {
+    it('should tell the user\'s messages from Claude\'s', () => {
+      document.body.innerHTML =
+        '<div id="human" data-testid="user-message">Hi</div>' +
+        '<div id="assistant" class="ConversationMessage"><div class="font-claude-message">Hello</div></div>';
+
+      expect(getMessageRole(document.getElementById('human'))).toBe('human');
+      expect(getMessageRole(document.getElementById('assistant'))).toBe('assistant');
+    });
+
+    it('should not give a role to an element holding both kinds of message', () => {
+      document.body.innerHTML =
+        '<div id="thread"><div data-testid="user-message">Hi</div><div data-is-streaming="false">Hello</div></div>';
+
+      expect(getMessageRole(document.getElementById('thread'))).toBeNull();
+    });
+
+    it('should not give a role to an element holding neither', () => {
+      document.body.innerHTML = '<div id="other" class="message-actions">Copy</div>';
+
+      expect(getMessageRole(document.getElementById('other'))).toBeNull();
+    });
+  });
+
+  describe('findMessages', () => {
+    it('should find each message once, in order', () => {
+      document.body.innerHTML =
+        '<div class="turn-1"><div data-testid="user-message" id="first">Hi</div></div>' +
+        '<div class="turn-2"><div class="font-claude-message" id="second">Hello</div></div>';
+
+      const messages = findMessages();
+      expect(messages.map(({ element }) => element.id)).toEqual(['first', 'second']);
+      expect(messages.map(({ role }) => role)).toEqual(['human', 'assistant']);
+    });
+
+    it('should skip containers that hold several messages', () => {
+      document.body.innerHTML =
+        '<div class="ChatMessages"><div data-testid="user-message">Hi</div><div class="font-claude-message">Hello</div></div>';
+
+      expect(findMessages()).toHaveLength(2);
+    });
+
+    it('should ignore the fold bar', () => {
+      document.body.innerHTML =
+        `<div data-testid="user-message"><div class="${BAR_CLASS}"><span class="message-summary">Hi</span></div>Hi</div>`;
+
+      expect(findMessages()).toHaveLength(1);
+    });
+  });
+
+  describe('getSummaryText', () => {
+    it('should use the first heading', () => {
+      expect(getSummaryText('  Setup\n guide ', 'Setup guide. First install it.')).toBe('Setup guide');
+    });
+
+    it('should use the first sentence without a heading', () => {
+      expect(getSummaryText(null, 'Here is the plan. First, install it.')).toBe('Here is the plan.');
+    });
+
+    it('should not end a sentence inside a number or file name', () => {
+      expect(getSummaryText(null, 'Version 1.10 of app.js is out! Try it.')).toBe('Version 1.10 of app.js is out!');
+    });
+
+    it('should use all the text when it has no sentence end', () => {
+      expect(getSummaryText(null, 'just a fragment')).toBe('just a fragment');
+    });
+
+    it('should shorten long summaries', () => {
+      const summary = getSummaryText(null, 'word '.repeat(50));
+
+      expect(summary).toHaveLength(SUMMARY_MAX_LENGTH);
+      expect(summary.endsWith('…')).toBe(true);
+    });
+
+    it('should give an empty summary for an empty message', () => {
+      expect(getSummaryText(null, '  ')).toBe('');
+    });
+  });
+});
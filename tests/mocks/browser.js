@@ -345,7 +345,11 @@ export const mockCommands = {
     return [
       { name: '_execute_browser_action', shortcut: 'Alt+Shift+W' },
       { name: 'cycle-presets', shortcut: 'Alt+Shift+C' },
-      { name: 'toggle-default', shortcut: 'Alt+Shift+D' }
+      { name: 'toggle-default', shortcut: 'Alt+Shift+D' },
+      { name: 'toggle-sidebar-rail', shortcut: '' },
+      { name: 'toggle-sidebar-autohide', shortcut: '' },
+      { name: 'cycle-sidebar-width', shortcut: '' },
+      { name: 'toggle-focus-mode', shortcut: '' }
     ];
   }
 };
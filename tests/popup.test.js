@@ -517,6 +517,49 @@ describe('Popup Controller', () => {
       expect(statusDot.classList.contains('active')).toBe(false);
     });
 
+    it('should describe what a degraded health report is missing', () => {
+      // Mirrors formatHealthDetails() in popup.js
+      const formatHealthDetails = health => {
+        const details = [];
+        const notFound = health.missingRoles.filter(role => !health.lostRoles.includes(role));
+        if (health.lostRoles.length > 0) {
+          details.push(`Stopped matching: ${health.lostRoles.join(', ')}`);
+        }
+        if (notFound.length > 0) {
+          details.push(`Not found: ${notFound.join(', ')}`);
+        }
+        if (health.widthActive && health.styledElements === 0) {
+          details.push('No chat elements to resize');
+        }
+        return details.join('. ');
+      };
+
+      expect(formatHealthDetails({ missingRoles: [], lostRoles: [], widthActive: true, styledElements: 12 }))
+        .toBe('');
+      expect(formatHealthDetails({ missingRoles: ['column', 'composer'], lostRoles: ['composer'], widthActive: true, styledElements: 4 }))
+        .toBe('Stopped matching: composer. Not found: column');
+      expect(formatHealthDetails({ missingRoles: ['thread'], lostRoles: [], widthActive: true, styledElements: 0 }))
+        .toBe('Not found: thread. No chat elements to resize');
+    });
+
+    it('should colour the status dot by selector health', () => {
+      // Mirrors HEALTH_DISPLAY and the dot choice in updateStatus()
+      const HEALTH_DISPLAY = {
+        'healthy': { label: 'Healthy', dotClass: 'active' },
+        'degraded': { label: 'Degraded', dotClass: 'inactive' },
+        'broken': { label: 'Broken', dotClass: 'error' }
+      };
+      const dotClass = health => {
+        const display = health && health.onConversation ? HEALTH_DISPLAY[health.status] : null;
+        return display ? display.dotClass : 'active';
+      };
+
+      expect(dotClass(null)).toBe('active');
+      expect(dotClass({ onConversation: false, status: 'healthy' })).toBe('active');
+      expect(dotClass({ onConversation: true, status: 'degraded' })).toBe('inactive');
+      expect(dotClass({ onConversation: true, status: 'broken' })).toBe('error');
+    });
+
     it('should show non-default indicator when width differs', () => {
       const indicator = document.getElementById('nonDefaultIndicator');
       const currentWidth = 75;
@@ -17,7 +17,15 @@ import { resetMocks, mockBrowser } from './mocks/browser.js';
 // These mirror the actual implementation in lib/profiles.js for unit testing
 // =========================================================================
 
-const { ClaudeWidthConstants } = window;
+const {
+  ClaudeWidthConstants,
+  ClaudeWidthUnits: Units,
+  ClaudeWidthBreakpoints: Breakpoints,
+  ClaudeWidthAutoWidth: AutoWidth,
+  ClaudeWidthSelectors: Selectors,
+  ClaudeWidthCustomCSS: CustomCSS,
+  ClaudeWidthTypography: Typography
+} = window;
 
 /**
  * Generate a unique profile ID.
@@ -73,13 +81,29 @@ function validateProfile(profile) {
     return nameValidation;
   }
 
+  if (profile.chatWidthUnit !== undefined && !Units.isValidUnit(profile.chatWidthUnit)) {
+    return { valid: false, error: 'Width unit must be %, px, ch, or rem' };
+  }
+
   if (profile.chatWidthPercent !== undefined) {
-    const width = profile.chatWidthPercent;
-    if (typeof width !== 'number' || width < 40 || width > 100) {
-      return { valid: false, error: 'Chat width must be a number between 40 and 100' };
+    const unit = Units.normalizeUnit(profile.chatWidthUnit);
+    if (!Units.isValidWidth(profile.chatWidthPercent, unit)) {
+      const { min, max } = Units.getUnitConfig(unit);
+      return { valid: false, error: `Chat width must be a number between ${min} and ${max}` };
     }
   }
 
+  if (profile.widthBreakpoints !== undefined && !Array.isArray(profile.widthBreakpoints)) {
+    return { valid: false, error: 'Width breakpoints must be a list' };
+  }
+
+  if (profile.customCSS !== undefined && typeof profile.customCSS !== 'string') {
+    return { valid: false, error: 'Custom CSS must be text' };
+  }
+  if (typeof profile.customCSS === 'string' && CustomCSS.getByteSize(profile.customCSS) > ClaudeWidthConstants.CUSTOM_CSS_MAX_BYTES) {
+    return { valid: false, error: `Custom CSS must be ${ClaudeWidthConstants.CUSTOM_CSS_MAX_BYTES / 1024} KB or less` };
+  }
+
   if (profile.theme !== undefined) {
     const validThemes = ['light', 'dark', 'system'];
     if (!validThemes.includes(profile.theme)) {
@@ -105,6 +129,7 @@ function clampNumber(value, min, max, defaultValue) {
  */
 function sanitizeEnhancedSettings(profile) {
   const defaults = ClaudeWidthConstants.ENHANCED_DEFAULTS;
+  const focusWidthUnit = Units.normalizeUnit(profile.focusWidthUnit);
 
   return {
     fontSizePercent: clampNumber(profile.fontSizePercent, 80, 120, defaults.fontSizePercent),
@@ -114,6 +139,17 @@ function sanitizeEnhancedSettings(profile) {
     messagePadding: ['none', 'small', 'medium', 'large'].includes(profile.messagePadding)
       ? profile.messagePadding
       : defaults.messagePadding,
+    fontFamily: ClaudeWidthConstants.FONT_FAMILIES.includes(profile.fontFamily) ? profile.fontFamily : defaults.fontFamily,
+    customFontFamily: Typography.sanitizeFontName(profile.customFontFamily),
+    letterSpacing: ClaudeWidthConstants.LETTER_SPACINGS.includes(profile.letterSpacing)
+      ? profile.letterSpacing
+      : defaults.letterSpacing,
+    paragraphSpacing: ClaudeWidthConstants.PARAGRAPH_SPACINGS.includes(profile.paragraphSpacing)
+      ? profile.paragraphSpacing
+      : defaults.paragraphSpacing,
+    headingScale: ClaudeWidthConstants.HEADING_SCALES.includes(profile.headingScale)
+      ? profile.headingScale
+      : defaults.headingScale,
     displayMode: ['compact', 'comfortable', 'spacious', 'custom'].includes(profile.displayMode)
       ? profile.displayMode
       : defaults.displayMode,
@@ -126,6 +162,61 @@ function sanitizeEnhancedSettings(profile) {
     codeBlocksCollapsed: typeof profile.codeBlocksCollapsed === 'boolean'
       ? profile.codeBlocksCollapsed
       : defaults.codeBlocksCollapsed,
+    codePreviewLines: ClaudeWidthConstants.CODE_PREVIEW_LINE_COUNTS.includes(profile.codePreviewLines)
+      ? profile.codePreviewLines
+      : defaults.codePreviewLines,
+    codeCollapseMinLines: ClaudeWidthConstants.CODE_COLLAPSE_THRESHOLDS.includes(profile.codeCollapseMinLines)
+      ? profile.codeCollapseMinLines
+      : defaults.codeCollapseMinLines,
+    codeFontFamily: ClaudeWidthConstants.CODE_FONT_FAMILIES.includes(profile.codeFontFamily)
+      ? profile.codeFontFamily
+      : defaults.codeFontFamily,
+    customCodeFontFamily: Typography.sanitizeFontName(profile.customCodeFontFamily),
+    codeFontSize: ClaudeWidthConstants.CODE_FONT_SIZES.includes(profile.codeFontSize) ? profile.codeFontSize : defaults.codeFontSize,
+    codeTabSize: ClaudeWidthConstants.CODE_TAB_SIZES.includes(profile.codeTabSize) ? profile.codeTabSize : defaults.codeTabSize,
+    codeLigatures: typeof profile.codeLigatures === 'boolean'
+      ? profile.codeLigatures
+      : defaults.codeLigatures,
+    codeLineNumbers: typeof profile.codeLineNumbers === 'boolean'
+      ? profile.codeLineNumbers
+      : defaults.codeLineNumbers,
+    tableLayout: ClaudeWidthConstants.TABLE_LAYOUTS.includes(profile.tableLayout) ? profile.tableLayout : defaults.tableLayout,
+    tableCopyButtons: typeof profile.tableCopyButtons === 'boolean'
+      ? profile.tableCopyButtons
+      : defaults.tableCopyButtons,
+    foldHumanMessages: typeof profile.foldHumanMessages === 'boolean'
+      ? profile.foldHumanMessages
+      : defaults.foldHumanMessages,
+    foldAssistantMessages: typeof profile.foldAssistantMessages === 'boolean'
+      ? profile.foldAssistantMessages
+      : defaults.foldAssistantMessages,
+    messageFoldHeight: ClaudeWidthConstants.MESSAGE_FOLD_HEIGHTS.includes(profile.messageFoldHeight)
+      ? profile.messageFoldHeight
+      : defaults.messageFoldHeight,
+    humanMessageWidth: ClaudeWidthConstants.MESSAGE_ROLE_WIDTHS.includes(profile.humanMessageWidth)
+      ? profile.humanMessageWidth
+      : defaults.humanMessageWidth,
+    humanMessageAlignment: ClaudeWidthConstants.MESSAGE_ROLE_ALIGNMENTS.includes(profile.humanMessageAlignment)
+      ? profile.humanMessageAlignment
+      : defaults.humanMessageAlignment,
+    humanMessageTint: ClaudeWidthConstants.MESSAGE_ROLE_TINTS.includes(profile.humanMessageTint)
+      ? profile.humanMessageTint
+      : defaults.humanMessageTint,
+    humanMessageFontScale: ClaudeWidthConstants.MESSAGE_ROLE_FONT_SCALES.includes(profile.humanMessageFontScale)
+      ? profile.humanMessageFontScale
+      : defaults.humanMessageFontScale,
+    assistantMessageWidth: ClaudeWidthConstants.MESSAGE_ROLE_WIDTHS.includes(profile.assistantMessageWidth)
+      ? profile.assistantMessageWidth
+      : defaults.assistantMessageWidth,
+    assistantMessageAlignment: ClaudeWidthConstants.MESSAGE_ROLE_ALIGNMENTS.includes(profile.assistantMessageAlignment)
+      ? profile.assistantMessageAlignment
+      : defaults.assistantMessageAlignment,
+    assistantMessageTint: ClaudeWidthConstants.MESSAGE_ROLE_TINTS.includes(profile.assistantMessageTint)
+      ? profile.assistantMessageTint
+      : defaults.assistantMessageTint,
+    assistantMessageFontScale: ClaudeWidthConstants.MESSAGE_ROLE_FONT_SCALES.includes(profile.assistantMessageFontScale)
+      ? profile.assistantMessageFontScale
+      : defaults.assistantMessageFontScale,
     showTimestamps: typeof profile.showTimestamps === 'boolean'
       ? profile.showTimestamps
       : defaults.showTimestamps,
@@ -134,7 +225,21 @@ function sanitizeEnhancedSettings(profile) {
       : defaults.showAvatars,
     messageBubbleStyle: ['rounded', 'square', 'minimal'].includes(profile.messageBubbleStyle)
       ? profile.messageBubbleStyle
-      : defaults.messageBubbleStyle
+      : defaults.messageBubbleStyle,
+    showResizeHandles: typeof profile.showResizeHandles === 'boolean'
+      ? profile.showResizeHandles
+      : defaults.showResizeHandles,
+    chatAlignment: ClaudeWidthConstants.ALIGNMENT_OPTIONS.includes(profile.chatAlignment)
+      ? profile.chatAlignment
+      : defaults.chatAlignment,
+    chatAlignmentOffset: Math.round(clampNumber(profile.chatAlignmentOffset, 0, ClaudeWidthConstants.MAX_ALIGNMENT_OFFSET, defaults.chatAlignmentOffset)),
+    sidebarMode: ClaudeWidthConstants.SIDEBAR_MODES.includes(profile.sidebarMode) ? profile.sidebarMode : defaults.sidebarMode,
+    sidebarWidth: ClaudeWidthConstants.SIDEBAR_WIDTHS.includes(profile.sidebarWidth) ? profile.sidebarWidth : defaults.sidebarWidth,
+    focusMode: typeof profile.focusMode === 'boolean' ? profile.focusMode : defaults.focusMode,
+    focusWidth: Units.isValidWidth(profile.focusWidth, focusWidthUnit)
+      ? Math.round(profile.focusWidth)
+      : defaults.focusWidth,
+    focusWidthUnit
   };
 }
 
@@ -143,14 +248,23 @@ function sanitizeEnhancedSettings(profile) {
  */
 function sanitizeProfile(profile) {
   const MAX_LENGTH = ClaudeWidthConstants.PROFILE_NAME_MAX_LENGTH;
-  const DEFAULT_WIDTH = ClaudeWidthConstants.DEFAULT_WIDTH;
   const DEFAULT_THEME = ClaudeWidthConstants.DEFAULT_THEME;
+  const chatWidthUnit = Units.normalizeUnit(profile.chatWidthUnit);
 
   return {
     name: (profile.name || 'Unnamed Profile').trim().substring(0, MAX_LENGTH),
-    chatWidthPercent: clampNumber(profile.chatWidthPercent, 40, 100, DEFAULT_WIDTH),
+    chatWidthPercent: Units.clampWidth(profile.chatWidthPercent, chatWidthUnit),
+    chatWidthUnit,
+    widthBreakpoints: Breakpoints.sanitizeBreakpoints(profile.widthBreakpoints),
+    autoWidth: profile.autoWidth === true,
+    autoWidthBounds: profile.autoWidthBounds
+      ? AutoWidth.sanitizeBounds(profile.autoWidthBounds, chatWidthUnit)
+      : null,
     theme: ['light', 'dark', 'system'].includes(profile.theme) ? profile.theme : DEFAULT_THEME,
     customPresets: Array.isArray(profile.customPresets) ? profile.customPresets.slice(0, 4) : [],
+    selectorOverrides: Selectors.sanitizeOverrides(profile.selectorOverrides),
+    customCSS: CustomCSS.sanitizeCSS(profile.customCSS),
+    customCSSEnabled: profile.customCSSEnabled !== false,
     ...sanitizeEnhancedSettings(profile)
   };
 }
@@ -223,18 +337,59 @@ function createDefaultProfile(existingSettings = {}) {
   return sanitizeProfile({
     name: 'Default',
     chatWidthPercent: existingSettings.chatWidthPercent || DEFAULT_WIDTH,
+    chatWidthUnit: existingSettings.chatWidthUnit,
+    widthBreakpoints: existingSettings.widthBreakpoints,
+    autoWidth: existingSettings.autoWidth,
+    autoWidthBounds: existingSettings.autoWidthBounds,
     theme: existingSettings.theme || DEFAULT_THEME,
     customPresets: existingSettings.customPresets || [],
+    selectorOverrides: existingSettings.selectorOverrides,
+    customCSS: existingSettings.customCSS,
+    customCSSEnabled: existingSettings.customCSSEnabled,
     fontSizePercent: existingSettings.fontSizePercent,
     lineHeight: existingSettings.lineHeight,
     messagePadding: existingSettings.messagePadding,
+    fontFamily: existingSettings.fontFamily,
+    customFontFamily: existingSettings.customFontFamily,
+    letterSpacing: existingSettings.letterSpacing,
+    paragraphSpacing: existingSettings.paragraphSpacing,
+    headingScale: existingSettings.headingScale,
     displayMode: existingSettings.displayMode,
     codeBlockMaxHeight: existingSettings.codeBlockMaxHeight,
     codeBlockWordWrap: existingSettings.codeBlockWordWrap,
     codeBlocksCollapsed: existingSettings.codeBlocksCollapsed,
+    codePreviewLines: existingSettings.codePreviewLines,
+    codeCollapseMinLines: existingSettings.codeCollapseMinLines,
+    codeFontFamily: existingSettings.codeFontFamily,
+    customCodeFontFamily: existingSettings.customCodeFontFamily,
+    codeFontSize: existingSettings.codeFontSize,
+    codeTabSize: existingSettings.codeTabSize,
+    codeLigatures: existingSettings.codeLigatures,
+    codeLineNumbers: existingSettings.codeLineNumbers,
+    tableLayout: existingSettings.tableLayout,
+    tableCopyButtons: existingSettings.tableCopyButtons,
+    foldHumanMessages: existingSettings.foldHumanMessages,
+    foldAssistantMessages: existingSettings.foldAssistantMessages,
+    messageFoldHeight: existingSettings.messageFoldHeight,
+    humanMessageWidth: existingSettings.humanMessageWidth,
+    humanMessageAlignment: existingSettings.humanMessageAlignment,
+    humanMessageTint: existingSettings.humanMessageTint,
+    humanMessageFontScale: existingSettings.humanMessageFontScale,
+    assistantMessageWidth: existingSettings.assistantMessageWidth,
+    assistantMessageAlignment: existingSettings.assistantMessageAlignment,
+    assistantMessageTint: existingSettings.assistantMessageTint,
+    assistantMessageFontScale: existingSettings.assistantMessageFontScale,
     showTimestamps: existingSettings.showTimestamps,
     showAvatars: existingSettings.showAvatars,
-    messageBubbleStyle: existingSettings.messageBubbleStyle
+    messageBubbleStyle: existingSettings.messageBubbleStyle,
+    showResizeHandles: existingSettings.showResizeHandles,
+    chatAlignment: existingSettings.chatAlignment,
+    chatAlignmentOffset: existingSettings.chatAlignmentOffset,
+    sidebarMode: existingSettings.sidebarMode,
+    sidebarWidth: existingSettings.sidebarWidth,
+    focusMode: existingSettings.focusMode,
+    focusWidth: existingSettings.focusWidth,
+    focusWidthUnit: existingSettings.focusWidthUnit
   });
 }
 
@@ -278,12 +433,135 @@ function matchUrlPattern(url, pattern) {
   }
 }
 
+/**
+ * Sanitize an auto-profile rule.
+ */
+function sanitizeAutoProfileRule(rule, index = 0) {
+  if (!rule || typeof rule !== 'object') {
+    return null;
+  }
+
+  const pattern = typeof rule.pattern === 'string' ? rule.pattern.trim() : '';
+  if (!pattern || typeof rule.profileId !== 'string' || !rule.profileId) {
+    return null;
+  }
+
+  return {
+    id: typeof rule.id === 'string' && rule.id ? rule.id : `rule_${Date.now().toString(36)}`,
+    pattern: pattern,
+    profileId: rule.profileId,
+    enabled: typeof rule.enabled === 'boolean' ? rule.enabled : true,
+    priority: typeof rule.priority === 'number' && Number.isFinite(rule.priority)
+      ? Math.round(rule.priority)
+      : index
+  };
+}
+
+/**
+ * Sanitize a list of auto-profile rules.
+ */
+function sanitizeAutoProfileRules(rules) {
+  if (!Array.isArray(rules)) {
+    return [];
+  }
+
+  return rules
+    .map((rule, index) => sanitizeAutoProfileRule(rule, index))
+    .filter(rule => rule !== null);
+}
+
+/**
+ * Find the first enabled rule matching a URL, in priority order.
+ */
+function findAutoProfileRule(url, rules, profiles) {
+  if (!url || !Array.isArray(rules)) {
+    return null;
+  }
+
+  const ordered = rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => rule && rule.enabled !== false && profiles && profiles[rule.profileId])
+    .sort((a, b) => {
+      const priorityA = typeof a.rule.priority === 'number' ? a.rule.priority : a.index;
+      const priorityB = typeof b.rule.priority === 'number' ? b.rule.priority : b.index;
+      return (priorityA - priorityB) || (a.index - b.index);
+    });
+
+  for (const { rule } of ordered) {
+    if (matchUrlPattern(url, rule.pattern)) {
+      return rule;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reassign rule priorities from an ID order (core of reorderAutoProfileRules).
+ */
+function reorderRules(rules, ruleIds) {
+  const sorted = sanitizeAutoProfileRules(rules).sort((a, b) => a.priority - b.priority);
+  const ordered = [
+    ...ruleIds.map(id => sorted.find(r => r.id === id)).filter(Boolean),
+    ...sorted.filter(r => !ruleIds.includes(r.id))
+  ];
+  return ordered.map((rule, index) => ({ ...rule, priority: index }));
+}
+
+/**
+ * Echo tracking for flat-key write-back.
+ */
+const ECHO_WINDOW_MS = 1000;
+const pendingFlatEchoes = new Map();
+
+function expectFlatEchoes(flatSettings, now = Date.now()) {
+  for (const [key, value] of Object.entries(flatSettings)) {
+    pendingFlatEchoes.set(key, { value: JSON.stringify(value), expires: now + ECHO_WINDOW_MS });
+  }
+}
+
+function isFlatEcho(key, value, now = Date.now()) {
+  const echo = pendingFlatEchoes.get(key);
+  if (!echo) {
+    return false;
+  }
+
+  pendingFlatEchoes.delete(key);
+  return echo.expires >= now && echo.value === JSON.stringify(value);
+}
+
+/**
+ * Compute the profile updates for a storage change set
+ * (core of persistFlatChangesToActiveProfile).
+ */
+function collectProfileWriteBack(changes, profile) {
+  const flatKeys = Object.keys(ClaudeWidthConstants.PROFILE_DEFAULTS);
+  const changed = {};
+
+  for (const key of flatKeys) {
+    if (!changes[key] || !('newValue' in changes[key])) continue;
+
+    const value = changes[key].newValue;
+    if (isFlatEcho(key, value)) continue;
+
+    if (JSON.stringify(profile[key]) !== JSON.stringify(value)) {
+      changed[key] = value;
+    }
+  }
+
+  return changed;
+}
+
 /**
  * Convert active profile to flat settings.
  */
 function profileToFlatSettings(profile) {
   return {
     chatWidthPercent: profile.chatWidthPercent,
+    chatWidthUnit: Units.normalizeUnit(profile.chatWidthUnit),
+    widthBreakpoints: Breakpoints.sanitizeBreakpoints(profile.widthBreakpoints),
+    autoWidth: profile.autoWidth === true,
+    autoWidthBounds: profile.autoWidthBounds ?? null,
     theme: profile.theme,
     customPresets: profile.customPresets,
     fontSizePercent: profile.fontSizePercent,
@@ -293,10 +571,124 @@ function profileToFlatSettings(profile) {
     codeBlockMaxHeight: profile.codeBlockMaxHeight,
     codeBlockWordWrap: profile.codeBlockWordWrap,
     codeBlocksCollapsed: profile.codeBlocksCollapsed,
+    codePreviewLines: profile.codePreviewLines ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.codePreviewLines,
+    codeCollapseMinLines: profile.codeCollapseMinLines ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.codeCollapseMinLines,
+    codeFontFamily: profile.codeFontFamily || ClaudeWidthConstants.ENHANCED_DEFAULTS.codeFontFamily,
+    customCodeFontFamily: profile.customCodeFontFamily || '',
+    codeFontSize: profile.codeFontSize ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.codeFontSize,
+    codeTabSize: profile.codeTabSize ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.codeTabSize,
+    codeLigatures: profile.codeLigatures !== false,
+    codeLineNumbers: profile.codeLineNumbers === true,
+    tableLayout: profile.tableLayout || ClaudeWidthConstants.ENHANCED_DEFAULTS.tableLayout,
+    tableCopyButtons: profile.tableCopyButtons === true,
+    foldHumanMessages: profile.foldHumanMessages === true,
+    foldAssistantMessages: profile.foldAssistantMessages === true,
+    messageFoldHeight: profile.messageFoldHeight ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.messageFoldHeight,
+    humanMessageWidth: profile.humanMessageWidth ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.humanMessageWidth,
+    humanMessageAlignment: profile.humanMessageAlignment ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.humanMessageAlignment,
+    humanMessageTint: profile.humanMessageTint ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.humanMessageTint,
+    humanMessageFontScale: profile.humanMessageFontScale ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.humanMessageFontScale,
+    assistantMessageWidth: profile.assistantMessageWidth ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.assistantMessageWidth,
+    assistantMessageAlignment: profile.assistantMessageAlignment ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.assistantMessageAlignment,
+    assistantMessageTint: profile.assistantMessageTint ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.assistantMessageTint,
+    assistantMessageFontScale: profile.assistantMessageFontScale ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.assistantMessageFontScale,
     showTimestamps: profile.showTimestamps,
     showAvatars: profile.showAvatars,
-    messageBubbleStyle: profile.messageBubbleStyle
+    messageBubbleStyle: profile.messageBubbleStyle,
+    showResizeHandles: profile.showResizeHandles !== false,
+    chatAlignment: profile.chatAlignment || ClaudeWidthConstants.ENHANCED_DEFAULTS.chatAlignment,
+    chatAlignmentOffset: profile.chatAlignmentOffset ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.chatAlignmentOffset,
+    sidebarMode: profile.sidebarMode || ClaudeWidthConstants.ENHANCED_DEFAULTS.sidebarMode,
+    sidebarWidth: profile.sidebarWidth ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.sidebarWidth,
+    focusMode: profile.focusMode === true,
+    focusWidth: profile.focusWidth ?? ClaudeWidthConstants.ENHANCED_DEFAULTS.focusWidth,
+    focusWidthUnit: Units.normalizeUnit(profile.focusWidthUnit),
+    fontFamily: profile.fontFamily || ClaudeWidthConstants.ENHANCED_DEFAULTS.fontFamily,
+    customFontFamily: profile.customFontFamily || '',
+    letterSpacing: profile.letterSpacing || ClaudeWidthConstants.ENHANCED_DEFAULTS.letterSpacing,
+    paragraphSpacing: profile.paragraphSpacing || ClaudeWidthConstants.ENHANCED_DEFAULTS.paragraphSpacing,
+    headingScale: profile.headingScale || ClaudeWidthConstants.ENHANCED_DEFAULTS.headingScale,
+    selectorOverrides: profile.selectorOverrides || {},
+    customCSS: profile.customCSS || '',
+    customCSSEnabled: profile.customCSSEnabled !== false
+  };
+}
+
+const {
+  SYNC_SAFE_LIMIT,
+  SYNC_QUOTA_BYTES_PER_ITEM,
+  SYNC_PROFILE_IDS_KEY,
+  SYNC_PROFILE_KEY_PREFIX
+} = ClaudeWidthConstants;
+
+function getSyncItemSize(key, value) {
+  return CustomCSS.getByteSize(key + JSON.stringify(value));
+}
+
+function getSyncItems(data) {
+  const items = {
+    activeProfileId: data.activeProfileId,
+    autoProfileRules: data.autoProfileRules || [],
+    [SYNC_PROFILE_IDS_KEY]: Object.keys(data.profiles)
   };
+  for (const [id, profile] of Object.entries(data.profiles)) {
+    items[SYNC_PROFILE_KEY_PREFIX + id] = profile;
+  }
+  return items;
+}
+
+function validateSyncSize(data) {
+  let totalSize = 0;
+
+  for (const [key, value] of Object.entries(getSyncItems(data))) {
+    const size = getSyncItemSize(key, value);
+    if (size > SYNC_QUOTA_BYTES_PER_ITEM) {
+      return {
+        valid: false,
+        error: key.startsWith(SYNC_PROFILE_KEY_PREFIX)
+          ? `Profile "${value.name}" is too large to sync. Please shorten its custom CSS or selector overrides.`
+          : 'Auto-profile rules are too large to sync. Please remove some rules.'
+      };
+    }
+    totalSize += size;
+  }
+
+  if (totalSize > SYNC_SAFE_LIMIT) {
+    return {
+      valid: false,
+      error: 'Profile data exceeds sync storage limit. Please reduce number of profiles, custom presets or custom CSS.'
+    };
+  }
+  return { valid: true };
+}
+
+// loadSyncProfiles() and writeSyncProfileData() take the sync area as
+// an argument here; the mock browser has no sync storage
+async function loadSyncProfiles(sync, syncData) {
+  const ids = syncData[SYNC_PROFILE_IDS_KEY];
+  if (!Array.isArray(ids)) {
+    return syncData.profiles || null;
+  }
+
+  const items = await sync.get(ids.map(id => SYNC_PROFILE_KEY_PREFIX + id));
+  const profiles = {};
+  for (const id of ids) {
+    const profile = items[SYNC_PROFILE_KEY_PREFIX + id];
+    if (profile) {
+      profiles[id] = profile;
+    }
+  }
+  return profiles;
+}
+
+async function writeSyncProfileData(sync, data) {
+  const stored = await sync.get(SYNC_PROFILE_IDS_KEY);
+  const staleKeys = (stored[SYNC_PROFILE_IDS_KEY] || [])
+    .filter(id => !data.profiles[id])
+    .map(id => SYNC_PROFILE_KEY_PREFIX + id);
+
+  await sync.set(getSyncItems(data));
+  await sync.remove(['profiles', ...staleKeys]);
 }
 
 // =========================================================================
@@ -449,6 +841,33 @@ describe('Profile Management Utilities', () => {
       expect(validateProfile({ name: 'Test', chatWidthPercent: 100 }).valid).toBe(true);
     });
 
+    it('should validate width against the range of its unit', () => {
+      expect(validateProfile({ name: 'Test', chatWidthPercent: 1200, chatWidthUnit: 'px' }).valid).toBe(true);
+      expect(validateProfile({ name: 'Test', chatWidthPercent: 80, chatWidthUnit: 'ch' }).valid).toBe(true);
+
+      const result = validateProfile({ name: 'Test', chatWidthPercent: 200, chatWidthUnit: 'px' });
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Chat width must be a number between 480 and 2560');
+    });
+
+    it('should reject custom CSS that is not text or too large', () => {
+      expect(validateProfile({ name: 'Test', customCSS: 'pre { tab-size: 2; }' }).valid).toBe(true);
+      expect(validateProfile({ name: 'Test', customCSS: ['pre {}'] }).error).toBe('Custom CSS must be text');
+      expect(validateProfile({ name: 'Test', customCSS: 'x'.repeat(5000) }).error).toBe('Custom CSS must be 4 KB or less');
+    });
+
+    it('should reject breakpoints that are not a list', () => {
+      const result = validateProfile({ name: 'Test', widthBreakpoints: { minViewport: 0 } });
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Width breakpoints must be a list');
+    });
+
+    it('should reject unknown width units', () => {
+      const result = validateProfile({ name: 'Test', chatWidthPercent: 50, chatWidthUnit: 'vw' });
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Width unit must be %, px, ch, or rem');
+    });
+
     it('should validate theme values', () => {
       expect(validateProfile({ name: 'Test', theme: 'light' }).valid).toBe(true);
       expect(validateProfile({ name: 'Test', theme: 'dark' }).valid).toBe(true);
@@ -496,6 +915,43 @@ describe('Profile Management Utilities', () => {
       expect(sanitizeProfile({ name: 'Test', chatWidthPercent: 150 }).chatWidthPercent).toBe(100);
     });
 
+    it('should default the width unit to percent for older profiles', () => {
+      expect(sanitizeProfile({ name: 'Test', chatWidthPercent: 70 }).chatWidthUnit).toBe('%');
+      expect(sanitizeProfile({ name: 'Test', chatWidthUnit: 'vw' }).chatWidthUnit).toBe('%');
+    });
+
+    it('should keep absolute widths and clamp them per unit', () => {
+      const profile = sanitizeProfile({ name: 'Reading', chatWidthPercent: 80, chatWidthUnit: 'ch' });
+      expect(profile.chatWidthPercent).toBe(80);
+      expect(profile.chatWidthUnit).toBe('ch');
+
+      expect(sanitizeProfile({ name: 'Test', chatWidthPercent: 5000, chatWidthUnit: 'px' }).chatWidthPercent).toBe(2560);
+      expect(sanitizeProfile({ name: 'Test', chatWidthUnit: 'rem' }).chatWidthPercent).toBe(64);
+    });
+
+    it('should sanitize breakpoint tiers', () => {
+      const profile = sanitizeProfile({
+        name: 'Test',
+        widthBreakpoints: [{ minViewport: 2000, width: 60 }, { minViewport: 0, width: 100, unit: '%' }, 'bad']
+      });
+      expect(profile.widthBreakpoints).toEqual([
+        { minViewport: 0, width: 100, unit: '%' },
+        { minViewport: 2000, width: 60, unit: '%' }
+      ]);
+      expect(sanitizeProfile({ name: 'Test' }).widthBreakpoints).toEqual([]);
+    });
+
+    it('should sanitize auto width settings', () => {
+      const profile = sanitizeProfile({
+        name: 'Test',
+        autoWidth: 'yes',
+        autoWidthBounds: { min: 110, max: 70, unit: '%' }
+      });
+      expect(profile.autoWidth).toBe(false);
+      expect(profile.autoWidthBounds).toEqual({ min: 70, max: 100, unit: '%' });
+      expect(sanitizeProfile({ name: 'Test' }).autoWidthBounds).toBeNull();
+    });
+
     it('should clamp fontSizePercent to valid range', () => {
       expect(sanitizeProfile({ name: 'Test', fontSizePercent: 50 }).fontSizePercent).toBe(80);
       expect(sanitizeProfile({ name: 'Test', fontSizePercent: 150 }).fontSizePercent).toBe(120);
@@ -555,6 +1011,192 @@ describe('Profile Management Utilities', () => {
       expect(sanitizeProfile({ name: 'Test', codeBlockMaxHeight: 0 }).codeBlockMaxHeight).toBe(0);
     });
 
+    it('should keep a valid column alignment and offset', () => {
+      const profile = sanitizeProfile({ name: 'Test', chatAlignment: 'left', chatAlignmentOffset: 120 });
+      expect(profile.chatAlignment).toBe('left');
+      expect(profile.chatAlignmentOffset).toBe(120);
+    });
+
+    it('should center invalid alignments and clamp the offset', () => {
+      const profile = sanitizeProfile({ name: 'Test', chatAlignment: 'justify', chatAlignmentOffset: 5000 });
+      expect(profile.chatAlignment).toBe('center');
+      expect(profile.chatAlignmentOffset).toBe(400);
+      expect(sanitizeProfile({ name: 'Test', chatAlignmentOffset: -20 }).chatAlignmentOffset).toBe(0);
+    });
+
+    it('should keep valid sidebar settings and reset invalid ones', () => {
+      const profile = sanitizeProfile({ name: 'Test', sidebarMode: 'rail', sidebarWidth: 280 });
+      expect(profile.sidebarMode).toBe('rail');
+      expect(profile.sidebarWidth).toBe(280);
+
+      const invalid = sanitizeProfile({ name: 'Test', sidebarMode: 'hidden', sidebarWidth: 250 });
+      expect(invalid.sidebarMode).toBe('default');
+      expect(invalid.sidebarWidth).toBe(0);
+    });
+
+    it('should keep a valid focus width and reset one outside its unit range', () => {
+      const profile = sanitizeProfile({ name: 'Test', focusMode: true, focusWidth: 80, focusWidthUnit: 'ch' });
+      expect(profile.focusMode).toBe(true);
+      expect(profile.focusWidth).toBe(80);
+      expect(profile.focusWidthUnit).toBe('ch');
+
+      const invalid = sanitizeProfile({ name: 'Test', focusMode: 'yes', focusWidth: 20, focusWidthUnit: 'em' });
+      expect(invalid.focusMode).toBe(false);
+      expect(invalid.focusWidth).toBe(0);
+      expect(invalid.focusWidthUnit).toBe('%');
+    });
+
+    it('should keep valid typography choices and reset invalid ones', () => {
+      const profile = sanitizeProfile({
+        name: 'Test',
+        fontFamily: 'custom',
+        customFontFamily: '  Atkinson   Hyperlegible ',
+        letterSpacing: 'wide',
+        paragraphSpacing: 'spacious',
+        headingScale: 'larger'
+      });
+      expect(profile.fontFamily).toBe('custom');
+      expect(profile.customFontFamily).toBe('Atkinson Hyperlegible');
+      expect(profile.letterSpacing).toBe('wide');
+      expect(profile.paragraphSpacing).toBe('spacious');
+      expect(profile.headingScale).toBe('larger');
+
+      const invalid = sanitizeProfile({
+        name: 'Test',
+        fontFamily: 'comic',
+        customFontFamily: 'Arial"; } body { display: none',
+        letterSpacing: 2,
+        paragraphSpacing: 'huge',
+        headingScale: 1.2
+      });
+      expect(invalid.fontFamily).toBe('default');
+      expect(invalid.customFontFamily).toBe('');
+      expect(invalid.letterSpacing).toBe('normal');
+      expect(invalid.paragraphSpacing).toBe('normal');
+      expect(invalid.headingScale).toBe('normal');
+    });
+
+    it('should keep valid code block previews and reset invalid values', () => {
+      const profile = sanitizeProfile({ name: 'Test', codePreviewLines: 10, codeCollapseMinLines: 50 });
+      expect(profile.codePreviewLines).toBe(10);
+      expect(profile.codeCollapseMinLines).toBe(50);
+
+      const invalid = sanitizeProfile({ name: 'Test', codePreviewLines: 4, codeCollapseMinLines: '20' });
+      expect(invalid.codePreviewLines).toBe(5);
+      expect(invalid.codeCollapseMinLines).toBe(0);
+    });
+
+    it('should keep a valid table layout and reset invalid values', () => {
+      const profile = sanitizeProfile({ name: 'Test', tableLayout: 'fit', tableCopyButtons: true });
+      expect(profile.tableLayout).toBe('fit');
+      expect(profile.tableCopyButtons).toBe(true);
+
+      const invalid = sanitizeProfile({ name: 'Test', tableLayout: 'wrapped', tableCopyButtons: 'yes' });
+      expect(invalid.tableLayout).toBe('natural');
+      expect(invalid.tableCopyButtons).toBe(false);
+    });
+
+    it('should keep valid message folding and reset invalid values', () => {
+      const profile = sanitizeProfile({
+        name: 'Test',
+        foldHumanMessages: true,
+        foldAssistantMessages: false,
+        messageFoldHeight: 1600
+      });
+      expect(profile.foldHumanMessages).toBe(true);
+      expect(profile.foldAssistantMessages).toBe(false);
+      expect(profile.messageFoldHeight).toBe(1600);
+
+      const invalid = sanitizeProfile({ name: 'Test', foldAssistantMessages: 1, messageFoldHeight: 500 });
+      expect(invalid.foldAssistantMessages).toBe(false);
+      expect(invalid.messageFoldHeight).toBe(800);
+    });
+
+    it('should keep valid message role styles and reset invalid values', () => {
+      const profile = sanitizeProfile({
+        name: 'Test',
+        humanMessageWidth: 75,
+        humanMessageAlignment: 'right',
+        humanMessageTint: 'blue',
+        assistantMessageFontScale: 110
+      });
+      expect(profile.humanMessageWidth).toBe(75);
+      expect(profile.humanMessageAlignment).toBe('right');
+      expect(profile.humanMessageTint).toBe('blue');
+      expect(profile.assistantMessageFontScale).toBe(110);
+      expect(profile.assistantMessageWidth).toBe(0);
+
+      const invalid = sanitizeProfile({
+        name: 'Test',
+        humanMessageWidth: 50,
+        humanMessageAlignment: 'justify',
+        humanMessageTint: '#f00',
+        assistantMessageFontScale: '110'
+      });
+      expect(invalid.humanMessageWidth).toBe(0);
+      expect(invalid.humanMessageAlignment).toBe('left');
+      expect(invalid.humanMessageTint).toBe('none');
+      expect(invalid.assistantMessageFontScale).toBe(100);
+    });
+
+    it('should keep valid code typography and reset invalid values', () => {
+      const profile = sanitizeProfile({
+        name: 'Test',
+        codeFontFamily: 'custom',
+        customCodeFontFamily: 'JetBrains Mono',
+        codeFontSize: 13,
+        codeTabSize: 2,
+        codeLigatures: false
+      });
+      expect(profile.codeFontFamily).toBe('custom');
+      expect(profile.customCodeFontFamily).toBe('JetBrains Mono');
+      expect(profile.codeFontSize).toBe(13);
+      expect(profile.codeTabSize).toBe(2);
+      expect(profile.codeLigatures).toBe(false);
+
+      const invalid = sanitizeProfile({
+        name: 'Test',
+        codeFontFamily: 'monospace',
+        customCodeFontFamily: 'Fira\\Code',
+        codeFontSize: 15,
+        codeTabSize: '4',
+        codeLigatures: 'off'
+      });
+      expect(invalid.codeFontFamily).toBe('default');
+      expect(invalid.customCodeFontFamily).toBe('');
+      expect(invalid.codeFontSize).toBe(0);
+      expect(invalid.codeTabSize).toBe(0);
+      expect(invalid.codeLigatures).toBe(true);
+    });
+
+    it('should keep only valid selector overrides of known roles', () => {
+      const profile = sanitizeProfile({
+        name: 'Test',
+        selectorOverrides: {
+          composer: [' [data-testid="composer"] ', 'div{}', 'p::before', '[data-testid="composer"]'],
+          footer: ['footer'],
+          avatar: 'img'
+        }
+      });
+      expect(profile.selectorOverrides).toEqual({ composer: ['[data-testid="composer"]'] });
+      expect(sanitizeProfile({ name: 'Test' }).selectorOverrides).toEqual({});
+    });
+
+    it('should keep custom CSS and its enabled flag', () => {
+      const profile = sanitizeProfile({ name: 'Test', customCSS: 'pre { tab-size: 2; }', customCSSEnabled: false });
+      expect(profile.customCSS).toBe('pre { tab-size: 2; }');
+      expect(profile.customCSSEnabled).toBe(false);
+
+      const defaults = sanitizeProfile({ name: 'Test' });
+      expect(defaults.customCSS).toBe('');
+      expect(defaults.customCSSEnabled).toBe(true);
+    });
+
+    it('should drop custom CSS over the size limit', () => {
+      const profile = sanitizeProfile({ name: 'Test', customCSS: 'x'.repeat(ClaudeWidthConstants.CUSTOM_CSS_MAX_BYTES + 1) });
+      expect(profile.customCSS).toBe('');
+    });
+
     it('should default invalid bubble style to rounded', () => {
       const profile = sanitizeProfile({ name: 'Test', messageBubbleStyle: 'invalid' });
       expect(profile.messageBubbleStyle).toBe('rounded');
@@ -566,13 +1208,15 @@ describe('Profile Management Utilities', () => {
         codeBlockWordWrap: true,
         codeBlocksCollapsed: true,
         showTimestamps: false,
-        showAvatars: false
+        showAvatars: false,
+        showResizeHandles: false
       });
 
       expect(profile.codeBlockWordWrap).toBe(true);
       expect(profile.codeBlocksCollapsed).toBe(true);
       expect(profile.showTimestamps).toBe(false);
       expect(profile.showAvatars).toBe(false);
+      expect(profile.showResizeHandles).toBe(false);
     });
 
     it('should default non-boolean to default values', () => {
@@ -946,6 +1590,265 @@ describe('Profile Management Utilities', () => {
     });
   });
 
+  // =========================================================================
+  // Auto-Profile Rule Tests (v1.10.0)
+  // =========================================================================
+
+  describe('sanitizeAutoProfileRule()', () => {
+    it('should fill in id, enabled and priority for legacy rules', () => {
+      const rule = sanitizeAutoProfileRule({ pattern: '*claude.ai/project/*', profileId: 'work' }, 2);
+      expect(rule.id).toMatch(/^rule_/);
+      expect(rule.enabled).toBe(true);
+      expect(rule.priority).toBe(2);
+    });
+
+    it('should preserve existing fields', () => {
+      const rule = sanitizeAutoProfileRule({
+        id: 'rule_abc',
+        pattern: ' *claude.ai/* ',
+        profileId: 'work',
+        enabled: false,
+        priority: 5
+      });
+      expect(rule).toEqual({
+        id: 'rule_abc',
+        pattern: '*claude.ai/*',
+        profileId: 'work',
+        enabled: false,
+        priority: 5
+      });
+    });
+
+    it('should reject rules without pattern or profile', () => {
+      expect(sanitizeAutoProfileRule({ profileId: 'work' })).toBeNull();
+      expect(sanitizeAutoProfileRule({ pattern: '   ', profileId: 'work' })).toBeNull();
+      expect(sanitizeAutoProfileRule({ pattern: '*' })).toBeNull();
+      expect(sanitizeAutoProfileRule(null)).toBeNull();
+    });
+
+    it('should drop invalid entries from a rule list', () => {
+      const rules = sanitizeAutoProfileRules([
+        { pattern: 'a*', profileId: 'work' },
+        { pattern: '' },
+        'not a rule'
+      ]);
+      expect(rules.length).toBe(1);
+      expect(sanitizeAutoProfileRules(undefined)).toEqual([]);
+    });
+  });
+
+  describe('findAutoProfileRule()', () => {
+    const profiles = { default: { name: 'Default' }, work: { name: 'Work' }, personal: { name: 'Personal' } };
+
+    it('should return the matching rule with the lowest priority', () => {
+      const rules = [
+        { id: 'r1', pattern: 'https://claude.ai/*', profileId: 'personal', enabled: true, priority: 10 },
+        { id: 'r2', pattern: 'https://claude.ai/project/*', profileId: 'work', enabled: true, priority: 0 }
+      ];
+      expect(findAutoProfileRule('https://claude.ai/project/abc', rules, profiles).id).toBe('r2');
+      expect(findAutoProfileRule('https://claude.ai/chat/abc', rules, profiles).id).toBe('r1');
+    });
+
+    it('should keep list order for equal priorities', () => {
+      const rules = [
+        { id: 'r1', pattern: 'https://claude.ai/*', profileId: 'personal', enabled: true, priority: 1 },
+        { id: 'r2', pattern: 'https://claude.ai/*', profileId: 'work', enabled: true, priority: 1 }
+      ];
+      expect(findAutoProfileRule('https://claude.ai/new', rules, profiles).id).toBe('r1');
+    });
+
+    it('should skip disabled rules', () => {
+      const rules = [
+        { id: 'r1', pattern: 'https://claude.ai/*', profileId: 'work', enabled: false, priority: 0 },
+        { id: 'r2', pattern: 'https://claude.ai/*', profileId: 'personal', enabled: true, priority: 1 }
+      ];
+      expect(findAutoProfileRule('https://claude.ai/new', rules, profiles).id).toBe('r2');
+    });
+
+    it('should skip rules pointing at missing profiles', () => {
+      const rules = [
+        { id: 'r1', pattern: 'https://claude.ai/*', profileId: 'deleted', enabled: true, priority: 0 }
+      ];
+      expect(findAutoProfileRule('https://claude.ai/new', rules, profiles)).toBeNull();
+    });
+
+    it('should use list position for legacy rules without priority', () => {
+      const rules = [
+        { pattern: 'https://claude.ai/*', profileId: 'personal' },
+        { pattern: 'https://claude.ai/*', profileId: 'work' }
+      ];
+      expect(findAutoProfileRule('https://claude.ai/new', rules, profiles).profileId).toBe('personal');
+    });
+
+    it('should return null when nothing matches', () => {
+      const rules = [
+        { id: 'r1', pattern: 'https://claude.ai/project/*', profileId: 'work', enabled: true, priority: 0 }
+      ];
+      expect(findAutoProfileRule('https://claude.ai/chat/1', rules, profiles)).toBeNull();
+      expect(findAutoProfileRule('', rules, profiles)).toBeNull();
+    });
+  });
+
+  describe('reorderAutoProfileRules()', () => {
+    const rules = [
+      { id: 'a', pattern: 'a*', profileId: 'work', enabled: true, priority: 0 },
+      { id: 'b', pattern: 'b*', profileId: 'work', enabled: true, priority: 1 },
+      { id: 'c', pattern: 'c*', profileId: 'work', enabled: true, priority: 2 }
+    ];
+
+    it('should assign priorities from the given order', () => {
+      const result = reorderRules(rules, ['c', 'a', 'b']);
+      expect(result.map(r => r.id)).toEqual(['c', 'a', 'b']);
+      expect(result.map(r => r.priority)).toEqual([0, 1, 2]);
+    });
+
+    it('should keep unlisted rules after the listed ones', () => {
+      const result = reorderRules(rules, ['b']);
+      expect(result.map(r => r.id)).toEqual(['b', 'a', 'c']);
+    });
+
+    it('should ignore unknown IDs', () => {
+      const result = reorderRules(rules, ['x', 'c']);
+      expect(result.map(r => r.id)).toEqual(['c', 'a', 'b']);
+    });
+  });
+
+  // =========================================================================
+  // Flat Settings Write-Back Tests (v1.10.0)
+  // =========================================================================
+
+  describe('persistFlatChangesToActiveProfile()', () => {
+    const profile = { ...ClaudeWidthConstants.PROFILE_DEFAULTS, name: 'Work', chatWidthPercent: 70 };
+
+    beforeEach(() => {
+      pendingFlatEchoes.clear();
+    });
+
+    it('should collect user edits that differ from the profile', () => {
+      const changed = collectProfileWriteBack({
+        chatWidthPercent: { oldValue: 70, newValue: 60 },
+        fontSizePercent: { oldValue: 100, newValue: 110 }
+      }, profile);
+      expect(changed).toEqual({ chatWidthPercent: 60, fontSizePercent: 110 });
+    });
+
+    it('should ignore keys that are not profile fields', () => {
+      const changed = collectProfileWriteBack({
+        recentWidths: { newValue: [60] },
+        lastWidthPercent: { newValue: 70 }
+      }, profile);
+      expect(changed).toEqual({});
+    });
+
+    it('should skip values the profile already holds', () => {
+      const changed = collectProfileWriteBack({
+        chatWidthPercent: { oldValue: 60, newValue: 70 }
+      }, profile);
+      expect(changed).toEqual({});
+    });
+
+    it('should skip echoes of a profile being applied', () => {
+      expectFlatEchoes({ chatWidthPercent: 50 });
+      const changed = collectProfileWriteBack({
+        chatWidthPercent: { oldValue: 70, newValue: 50 }
+      }, profile);
+      expect(changed).toEqual({});
+    });
+
+    it('should consume an echo so a later edit is written back', () => {
+      expectFlatEchoes({ chatWidthPercent: 50 });
+      collectProfileWriteBack({ chatWidthPercent: { newValue: 50 } }, profile);
+      const changed = collectProfileWriteBack({ chatWidthPercent: { newValue: 50 } }, profile);
+      expect(changed).toEqual({ chatWidthPercent: 50 });
+    });
+
+    it('should not treat a different value as an echo', () => {
+      expectFlatEchoes({ chatWidthPercent: 50 });
+      const changed = collectProfileWriteBack({
+        chatWidthPercent: { newValue: 55 }
+      }, profile);
+      expect(changed).toEqual({ chatWidthPercent: 55 });
+    });
+
+    it('should expire echoes after the echo window', () => {
+      const now = Date.now();
+      expectFlatEchoes({ chatWidthPercent: 50 }, now);
+      expect(isFlatEcho('chatWidthPercent', 50, now + ECHO_WINDOW_MS + 1)).toBe(false);
+    });
+
+    it('should compare arrays by value', () => {
+      const presets = [{ id: 'a', name: 'A', width: 60 }];
+      const withPresets = { ...profile, customPresets: presets };
+      const changed = collectProfileWriteBack({
+        customPresets: { newValue: [{ id: 'a', name: 'A', width: 60 }] }
+      }, withPresets);
+      expect(changed).toEqual({});
+    });
+
+    describe('queued write-back', () => {
+      // Mirrors handleStorageChange() and queueProfileWriteBack() in
+      // background.js with the target choice of persistFlatChangesToActiveProfile()
+      function createWriteBackQueue(data) {
+        let activeProfileId = data.activeProfileId;
+        let queue = Promise.resolve();
+
+        return function handleStorageChange(changes) {
+          if (changes.activeProfileId) {
+            activeProfileId = changes.activeProfileId.newValue || 'default';
+          }
+
+          const profileId = activeProfileId;
+          queue = queue.then(async () => {
+            await Promise.resolve(); // loadProfileData()
+            const target = data.profiles[profileId || data.activeProfileId];
+            if (target) {
+              Object.assign(target, collectProfileWriteBack(changes, target));
+            }
+          });
+          return queue;
+        };
+      }
+
+      it('should write an edit queued before a profile switch into the old profile', async () => {
+        const data = {
+          activeProfileId: 'work',
+          profiles: {
+            work: { ...profile },
+            reading: { ...profile, name: 'Reading', chatWidthPercent: 90 }
+          }
+        };
+        const handleStorageChange = createWriteBackQueue(data);
+
+        // Edit on "work", still pending when the switch lands
+        handleStorageChange({ chatWidthPercent: { oldValue: 70, newValue: 60 } });
+
+        // setActiveProfile() and applyActiveProfileToStorage() for "reading"
+        data.activeProfileId = 'reading';
+        handleStorageChange({ activeProfileId: { oldValue: 'work', newValue: 'reading' } });
+        expectFlatEchoes({ chatWidthPercent: 90 });
+        await handleStorageChange({ chatWidthPercent: { oldValue: 60, newValue: 90 } });
+
+        expect(data.profiles.work.chatWidthPercent).toBe(60);
+        expect(data.profiles.reading.chatWidthPercent).toBe(90);
+      });
+
+      it('should write edits made after the switch into the new profile', async () => {
+        const data = {
+          activeProfileId: 'work',
+          profiles: { work: { ...profile }, reading: { ...profile, chatWidthPercent: 90 } }
+        };
+        const handleStorageChange = createWriteBackQueue(data);
+
+        data.activeProfileId = 'reading';
+        handleStorageChange({ activeProfileId: { oldValue: 'work', newValue: 'reading' } });
+        await handleStorageChange({ chatWidthPercent: { oldValue: 90, newValue: 80 } });
+
+        expect(data.profiles.work.chatWidthPercent).toBe(70);
+        expect(data.profiles.reading.chatWidthPercent).toBe(80);
+      });
+    });
+  });
+
   // =========================================================================
   // profileToFlatSettings Tests
   // =========================================================================
@@ -986,6 +1889,109 @@ describe('Profile Management Utilities', () => {
       expect(flat.messageBubbleStyle).toBe('square');
     });
 
+    it('should fill in the unit and tiers for profiles saved before v1.10.0', () => {
+      const flat = profileToFlatSettings({ name: 'Old', chatWidthPercent: 70 });
+
+      expect(flat.chatWidthUnit).toBe('%');
+      expect(flat.widthBreakpoints).toEqual([]);
+      expect(flat.autoWidth).toBe(false);
+      expect(flat.autoWidthBounds).toBeNull();
+    });
+
+    it('should show resize handles unless the profile turned them off', () => {
+      expect(profileToFlatSettings({ name: 'Old' }).showResizeHandles).toBe(true);
+      expect(profileToFlatSettings({ name: 'Work', showResizeHandles: false }).showResizeHandles).toBe(false);
+    });
+
+    it('should center the column for profiles saved before alignment existed', () => {
+      const flat = profileToFlatSettings({ name: 'Old' });
+
+      expect(flat.chatAlignment).toBe('center');
+      expect(flat.chatAlignmentOffset).toBe(0);
+    });
+
+    it('should leave the sidebar alone for profiles saved before sidebar settings existed', () => {
+      const flat = profileToFlatSettings({ name: 'Old' });
+
+      expect(flat.sidebarMode).toBe('default');
+      expect(flat.sidebarWidth).toBe(0);
+    });
+
+    it('should leave focus mode off for profiles saved before it existed', () => {
+      const flat = profileToFlatSettings({ name: 'Old' });
+
+      expect(flat.focusMode).toBe(false);
+      expect(flat.focusWidth).toBe(0);
+      expect(flat.focusWidthUnit).toBe('%');
+    });
+
+    it('should keep the page typography for profiles saved before typography settings existed', () => {
+      const flat = profileToFlatSettings({ name: 'Old' });
+
+      expect(flat.fontFamily).toBe('default');
+      expect(flat.customFontFamily).toBe('');
+      expect(flat.letterSpacing).toBe('normal');
+      expect(flat.paragraphSpacing).toBe('normal');
+      expect(flat.headingScale).toBe('normal');
+    });
+
+    it('should let code follow the text for profiles saved before code typography existed', () => {
+      const flat = profileToFlatSettings({ name: 'Old' });
+
+      expect(flat.codeFontFamily).toBe('default');
+      expect(flat.customCodeFontFamily).toBe('');
+      expect(flat.codeFontSize).toBe(0);
+      expect(flat.codeTabSize).toBe(0);
+      expect(flat.codeLigatures).toBe(true);
+    });
+
+    it('should collapse every long code block to 5 lines for profiles saved before previews existed', () => {
+      const flat = profileToFlatSettings({ name: 'Old' });
+
+      expect(flat.codePreviewLines).toBe(5);
+      expect(flat.codeCollapseMinLines).toBe(0);
+    });
+
+    it('should leave line numbers off for profiles saved before they existed', () => {
+      expect(profileToFlatSettings({ name: 'Old' }).codeLineNumbers).toBe(false);
+      expect(sanitizeProfile({ name: 'Test', codeLineNumbers: 'yes' }).codeLineNumbers).toBe(false);
+      expect(sanitizeProfile({ name: 'Test', codeLineNumbers: true }).codeLineNumbers).toBe(true);
+    });
+
+    it('should scroll tables at their natural width without copy buttons for profiles saved before tables had settings', () => {
+      const flat = profileToFlatSettings({ name: 'Old' });
+
+      expect(flat.tableLayout).toBe('natural');
+      expect(flat.tableCopyButtons).toBe(false);
+    });
+
+    it('should fold no messages for profiles saved before folding existed', () => {
+      const flat = profileToFlatSettings({ name: 'Old' });
+
+      expect(flat.foldHumanMessages).toBe(false);
+      expect(flat.foldAssistantMessages).toBe(false);
+      expect(flat.messageFoldHeight).toBe(800);
+    });
+
+    it('should style both roles alike for profiles saved before role styles existed', () => {
+      const flat = profileToFlatSettings({ name: 'Old' });
+
+      expect(flat.humanMessageWidth).toBe(0);
+      expect(flat.humanMessageAlignment).toBe('left');
+      expect(flat.assistantMessageTint).toBe('none');
+      expect(flat.assistantMessageFontScale).toBe(100);
+    });
+
+    it('should clear selector overrides for profiles saved before they existed', () => {
+      expect(profileToFlatSettings({ name: 'Old' }).selectorOverrides).toEqual({});
+    });
+
+    it('should clear custom CSS for profiles saved before it existed', () => {
+      const flat = profileToFlatSettings({ name: 'Old' });
+      expect(flat.customCSS).toBe('');
+      expect(flat.customCSSEnabled).toBe(true);
+    });
+
     it('should not include profile name in flat settings', () => {
       const profile = { name: 'Work', chatWidthPercent: 85 };
       const flat = profileToFlatSettings(profile);
@@ -1007,9 +2013,46 @@ describe('Profile Management Utilities', () => {
       expect(flat).toHaveProperty('codeBlockMaxHeight');
       expect(flat).toHaveProperty('codeBlockWordWrap');
       expect(flat).toHaveProperty('codeBlocksCollapsed');
+      expect(flat).toHaveProperty('codePreviewLines');
+      expect(flat).toHaveProperty('codeCollapseMinLines');
+      expect(flat).toHaveProperty('codeFontFamily');
+      expect(flat).toHaveProperty('customCodeFontFamily');
+      expect(flat).toHaveProperty('codeFontSize');
+      expect(flat).toHaveProperty('codeTabSize');
+      expect(flat).toHaveProperty('codeLigatures');
+      expect(flat).toHaveProperty('codeLineNumbers');
+      expect(flat).toHaveProperty('tableLayout');
+      expect(flat).toHaveProperty('tableCopyButtons');
+      expect(flat).toHaveProperty('foldHumanMessages');
+      expect(flat).toHaveProperty('foldAssistantMessages');
+      expect(flat).toHaveProperty('messageFoldHeight');
+      expect(flat).toHaveProperty('humanMessageWidth');
+      expect(flat).toHaveProperty('humanMessageAlignment');
+      expect(flat).toHaveProperty('humanMessageTint');
+      expect(flat).toHaveProperty('humanMessageFontScale');
+      expect(flat).toHaveProperty('assistantMessageWidth');
+      expect(flat).toHaveProperty('assistantMessageAlignment');
+      expect(flat).toHaveProperty('assistantMessageTint');
+      expect(flat).toHaveProperty('assistantMessageFontScale');
       expect(flat).toHaveProperty('showTimestamps');
       expect(flat).toHaveProperty('showAvatars');
       expect(flat).toHaveProperty('messageBubbleStyle');
+      expect(flat).toHaveProperty('showResizeHandles');
+      expect(flat).toHaveProperty('chatAlignment');
+      expect(flat).toHaveProperty('chatAlignmentOffset');
+      expect(flat).toHaveProperty('sidebarMode');
+      expect(flat).toHaveProperty('sidebarWidth');
+      expect(flat).toHaveProperty('focusMode');
+      expect(flat).toHaveProperty('focusWidth');
+      expect(flat).toHaveProperty('focusWidthUnit');
+      expect(flat).toHaveProperty('fontFamily');
+      expect(flat).toHaveProperty('customFontFamily');
+      expect(flat).toHaveProperty('letterSpacing');
+      expect(flat).toHaveProperty('paragraphSpacing');
+      expect(flat).toHaveProperty('headingScale');
+      expect(flat).toHaveProperty('selectorOverrides');
+      expect(flat).toHaveProperty('customCSS');
+      expect(flat).toHaveProperty('customCSSEnabled');
     });
   });
 
@@ -1045,4 +2088,86 @@ describe('Profile Management Utilities', () => {
       expect(clampNumber(100, 0, 100, 50)).toBe(100);
     });
   });
+
+  // =========================================================================
+  // Sync Storage Tests
+  // =========================================================================
+
+  describe('sync storage', () => {
+    function createSyncArea(items = {}) {
+      return {
+        items,
+        async get(keys) {
+          return Object.fromEntries([].concat(keys).filter(key => key in items).map(key => [key, items[key]]));
+        },
+        async set(values) {
+          Object.assign(items, values);
+        },
+        async remove(keys) {
+          [].concat(keys).forEach(key => delete items[key]);
+        }
+      };
+    }
+
+    function createProfiles(count) {
+      const profiles = {};
+      for (let i = 0; i < count; i++) {
+        const { id, profile } = createProfile(`Profile ${i + 1}`);
+        profiles[i === 0 ? 'default' : id] = profile;
+      }
+      return profiles;
+    }
+
+    it('should sync a full set of profiles that would not fit in one item', () => {
+      const profiles = createProfiles(ClaudeWidthConstants.MAX_PROFILES);
+
+      expect(getSyncItemSize('profiles', profiles)).toBeGreaterThan(SYNC_QUOTA_BYTES_PER_ITEM);
+      expect(validateSyncSize({ activeProfileId: 'default', profiles })).toEqual({ valid: true });
+    });
+
+    it('should reject a profile too large for its own sync item', () => {
+      const profiles = createProfiles(2);
+      profiles.default = {
+        ...profiles.default,
+        customCSS: 'a { color: red; }\n'.repeat(200),
+        selectorOverrides: {
+          message: Array(5).fill(`.${'m'.repeat(299)}`),
+          humanMessage: Array(5).fill(`.${'h'.repeat(299)}`),
+          assistantMessage: Array(5).fill(`.${'a'.repeat(299)}`)
+        }
+      };
+
+      expect(validateSyncSize({ activeProfileId: 'default', profiles })).toEqual({
+        valid: false,
+        error: 'Profile "Profile 1" is too large to sync. Please shorten its custom CSS or selector overrides.'
+      });
+    });
+
+    it('should store one item per profile and drop deleted ones and the v1.9 item', async () => {
+      const profiles = createProfiles(3);
+      const sync = createSyncArea({ profiles });
+      await writeSyncProfileData(sync, { activeProfileId: 'default', profiles });
+
+      const [, deletedId, keptId] = Object.keys(profiles);
+      delete profiles[deletedId];
+      await writeSyncProfileData(sync, { activeProfileId: 'default', profiles });
+
+      expect(Object.keys(sync.items).sort()).toEqual([
+        'activeProfileId',
+        'autoProfileRules',
+        `${SYNC_PROFILE_KEY_PREFIX}${keptId}`,
+        `${SYNC_PROFILE_KEY_PREFIX}default`,
+        SYNC_PROFILE_IDS_KEY
+      ].sort());
+      expect(await loadSyncProfiles(sync, sync.items)).toEqual(profiles);
+    });
+
+    it('should read profiles synced by v1.9 in one item', async () => {
+      const profiles = createProfiles(2);
+      const sync = createSyncArea({ profiles });
+
+      expect(await loadSyncProfiles(sync, sync.items)).toEqual(profiles);
+      expect(await loadSyncProfiles(createSyncArea(), {})).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,342 @@
+/**
+ * Unit Tests for lib/selectors.js
+ * =================================
+ *
+ * Tests for the selector registry: joining strategy chains into selectors
+ * and resolving a role to the first strategy that matches the page.
+ *
+ * Note: These tests implement the registry functions directly to test
+ * the logic without depending on the actual module loading mechanism.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// =========================================================================
+// Test Implementations of Selector Registry Functions
+// These mirror the actual implementation in lib/selectors.js
+// =========================================================================
+
+const SELECTOR_REGISTRY = {
+  sidebar: {
+    description: 'Sidebar with navigation and conversation history',
+    strategies: [
+      { id: 'semantic', verified: '1.9.1', selectors: ['nav', 'aside'] },
+      { id: 'class-name', verified: '1.9.1', selectors: ['[class*="Sidebar"]'] }
+    ]
+  },
+  thread: {
+    description: 'Conversation thread',
+    required: true,
+    strategies: [
+      { id: 'class-name', verified: '1.9.1', selectors: ['[class*="Thread"]'] }
+    ]
+  },
+  codeBlock: {
+    description: 'Code block',
+    strategies: [
+      { id: 'broken', verified: '1.9.1', selectors: ['pre:nope('] },
+      { id: 'semantic', verified: '1.9.1', selectors: ['pre'] },
+      { id: 'class-name', verified: '1.9.1', selectors: ['[class*="CodeBlock"]', '[class*="code-block"]'] }
+    ]
+  }
+};
+
+const MAX_SELECTOR_OVERRIDES = 5;
+const SELECTOR_OVERRIDE_MAX_LENGTH = 300;
+
+let resolutions = new Map();
+let overrides = { profile: {}, global: {} };
+
+function getRole(role) {
+  const entry = SELECTOR_REGISTRY[role];
+  if (!entry) {
+    throw new Error(`Unknown selector role: ${role}`);
+  }
+  return entry;
+}
+
+function getChain(role) {
+  const strategies = getRole(role).strategies;
+  const chain = [];
+
+  if (overrides.profile[role]) {
+    chain.push({ id: 'profile-override', verified: null, selectors: overrides.profile[role] });
+  }
+  if (overrides.global[role]) {
+    chain.push({ id: 'global-override', verified: null, selectors: overrides.global[role] });
+  }
+
+  return chain.length > 0 ? chain.concat(strategies) : strategies;
+}
+
+function isRequired(role) {
+  return getRole(role).required === true;
+}
+
+function getSelectorList(role) {
+  return getChain(role).flatMap(strategy => strategy.selectors);
+}
+
+function getSelector(role) {
+  return getSelectorList(role).join(', ');
+}
+
+function findMatches(selector, root, accept) {
+  let element = null;
+  let count = 0;
+
+  for (const candidate of root.querySelectorAll(selector)) {
+    if (accept && !accept(candidate)) continue;
+    element = element || candidate;
+    count++;
+  }
+
+  return { element, count };
+}
+
+function recordResolution(result) {
+  resolutions.set(result.role, {
+    strategy: result.strategy,
+    verified: result.verified,
+    fallback: result.fallback,
+    count: result.count,
+    resolvedAt: Date.now()
+  });
+}
+
+function resolveRole(role, root = document, accept = null) {
+  const strategies = getChain(role);
+
+  for (let index = 0; index < strategies.length; index++) {
+    const strategy = strategies[index];
+    const selector = strategy.selectors.join(', ');
+    let matches;
+
+    try {
+      matches = findMatches(selector, root, accept);
+    } catch (error) {
+      console.warn(`[Claude Width Selectors] Invalid selector in ${role}/${strategy.id}:`, error);
+      continue;
+    }
+
+    if (matches.element) {
+      const result = {
+        role,
+        strategy: strategy.id,
+        verified: strategy.verified,
+        fallback: index > 0,
+        selector,
+        element: matches.element,
+        count: matches.count
+      };
+      recordResolution(result);
+      return result;
+    }
+  }
+
+  recordResolution({ role, strategy: null, verified: null, fallback: false, selector: null, element: null, count: 0 });
+  return null;
+}
+
+function getResolutions() {
+  const result = {};
+  for (const [role, resolution] of resolutions) {
+    result[role] = { ...resolution };
+  }
+  return result;
+}
+
+function isValidSelector(selector) {
+  if (typeof selector !== 'string') return false;
+
+  const trimmed = selector.trim();
+  if (!trimmed || trimmed.length > SELECTOR_OVERRIDE_MAX_LENGTH) return false;
+  if (/[{}]/.test(trimmed) || trimmed.includes('::')) return false;
+
+  try {
+    document.createDocumentFragment().querySelector(trimmed);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function sanitizeOverrides(value) {
+  const result = {};
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return result;
+  }
+
+  for (const role of Object.keys(SELECTOR_REGISTRY)) {
+    if (!Array.isArray(value[role])) continue;
+
+    const selectors = [...new Set(value[role].filter(isValidSelector).map(selector => selector.trim()))]
+      .slice(0, MAX_SELECTOR_OVERRIDES);
+    if (selectors.length > 0) {
+      result[role] = selectors;
+    }
+  }
+
+  return result;
+}
+
+function setOverrides(profileOverrides, globalOverrides) {
+  overrides.profile = sanitizeOverrides(profileOverrides);
+  overrides.global = sanitizeOverrides(globalOverrides);
+  resolutions.clear();
+}
+
+// =========================================================================
+// Tests
+// =========================================================================
+
+describe('Selector Registry', () => {
+  beforeEach(() => {
+    resolutions = new Map();
+    overrides = { profile: {}, global: {} };
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  describe('getSelector', () => {
+    it('should join every strategy in chain order', () => {
+      expect(getSelector('sidebar')).toBe('nav, aside, [class*="Sidebar"]');
+    });
+
+    it('should list the selectors of all strategies', () => {
+      expect(getSelectorList('codeBlock')).toHaveLength(4);
+    });
+
+    it('should reject unknown roles', () => {
+      expect(() => getSelector('footer')).toThrow('Unknown selector role: footer');
+    });
+
+    it('should flag only required roles', () => {
+      expect(isRequired('thread')).toBe(true);
+      expect(isRequired('codeBlock')).toBe(false);
+    });
+  });
+
+  describe('resolveRole', () => {
+    it('should pick the first strategy that matches', () => {
+      document.body.innerHTML = '<nav></nav><div class="LeftSidebar"></div>';
+
+      const result = resolveRole('sidebar');
+      expect(result.strategy).toBe('semantic');
+      expect(result.fallback).toBe(false);
+      expect(result.element.tagName).toBe('NAV');
+    });
+
+    it('should fall back to later strategies', () => {
+      document.body.innerHTML = '<div class="LeftSidebar"></div>';
+
+      const result = resolveRole('sidebar');
+      expect(result.strategy).toBe('class-name');
+      expect(result.fallback).toBe(true);
+    });
+
+    it('should skip strategies with invalid selectors', () => {
+      document.body.innerHTML = '<pre></pre>';
+
+      expect(resolveRole('codeBlock').strategy).toBe('semantic');
+      expect(console.warn).toHaveBeenCalled();
+    });
+
+    it('should only count accepted elements', () => {
+      document.body.innerHTML = '<nav><pre></pre></nav><div class="CodeBlock"></div>';
+
+      const result = resolveRole('codeBlock', document, element => !element.closest('nav'));
+      expect(result.strategy).toBe('class-name');
+      expect(result.count).toBe(1);
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(resolveRole('sidebar')).toBeNull();
+    });
+
+    it('should search only within the given root', () => {
+      document.body.innerHTML = '<nav></nav><section><aside></aside></section>';
+
+      const result = resolveRole('sidebar', document.querySelector('section'));
+      expect(result.element.tagName).toBe('ASIDE');
+    });
+  });
+
+  describe('getResolutions', () => {
+    it('should remember the winning strategy per role', () => {
+      document.body.innerHTML = '<div class="CodeBlock"></div><div class="code-block"></div>';
+      resolveRole('codeBlock');
+
+      const { codeBlock } = getResolutions();
+      expect(codeBlock.strategy).toBe('class-name');
+      expect(codeBlock.verified).toBe('1.9.1');
+      expect(codeBlock.count).toBe(2);
+    });
+
+    it('should record roles that matched nothing', () => {
+      resolveRole('sidebar');
+      expect(getResolutions().sidebar.strategy).toBeNull();
+    });
+
+    it('should not include the matched elements', () => {
+      document.body.innerHTML = '<nav></nav>';
+      resolveRole('sidebar');
+      expect(getResolutions().sidebar).not.toHaveProperty('element');
+    });
+  });
+
+  describe('User overrides', () => {
+    it('should accept plain selectors and selector lists', () => {
+      expect(isValidSelector('[data-testid="chat"]')).toBe(true);
+      expect(isValidSelector('main > div, section')).toBe(true);
+    });
+
+    it('should reject selectors that could break a stylesheet', () => {
+      expect(isValidSelector('div:nope(')).toBe(false);
+      expect(isValidSelector('div { display: none } p')).toBe(false);
+      expect(isValidSelector('p::before')).toBe(false);
+      expect(isValidSelector('   ')).toBe(false);
+      expect(isValidSelector(42)).toBe(false);
+      expect(isValidSelector('a'.repeat(SELECTOR_OVERRIDE_MAX_LENGTH + 1))).toBe(false);
+    });
+
+    it('should drop unknown roles, invalid and duplicate selectors', () => {
+      expect(sanitizeOverrides({
+        sidebar: ['nav.side', ' nav.side ', 'nav{'],
+        footer: ['footer'],
+        codeBlock: []
+      })).toEqual({ sidebar: ['nav.side'] });
+      expect(sanitizeOverrides(['nav'])).toEqual({});
+      expect(sanitizeOverrides(null)).toEqual({});
+    });
+
+    it('should cap the selectors per role', () => {
+      const selectors = Array.from({ length: 8 }, (_, i) => `.s${i}`);
+      expect(sanitizeOverrides({ sidebar: selectors }).sidebar).toHaveLength(MAX_SELECTOR_OVERRIDES);
+    });
+
+    it('should put profile, then global overrides in front of the chain', () => {
+      setOverrides({ sidebar: ['.mine'] }, { sidebar: ['.ours'] });
+
+      expect(getSelector('sidebar')).toBe('.mine, .ours, nav, aside, [class*="Sidebar"]');
+      expect(getSelector('codeBlock')).toBe('pre:nope(, pre, [class*="CodeBlock"], [class*="code-block"]');
+    });
+
+    it('should resolve to an override that matches', () => {
+      document.body.innerHTML = '<nav></nav><div class="ours"></div>';
+      setOverrides({ sidebar: ['.mine'] }, { sidebar: ['.ours'] });
+
+      const result = resolveRole('sidebar');
+      expect(result.strategy).toBe('global-override');
+      expect(result.verified).toBeNull();
+      expect(result.fallback).toBe(true);
+    });
+
+    it('should forget resolutions made with the old chains', () => {
+      document.body.innerHTML = '<nav></nav>';
+      resolveRole('sidebar');
+      setOverrides({}, {});
+
+      expect(getResolutions()).toEqual({});
+    });
+  });
+});
@@ -27,7 +27,8 @@ beforeEach(() => {
 
   // Reset any data attributes on html element
   document.documentElement.removeAttribute('data-theme');
-  document.documentElement.removeAttribute('data-claude-width-applied');
+  document.documentElement.removeAttribute('data-claude-width-active');
+  document.documentElement.removeAttribute('style');
   document.documentElement.removeAttribute('data-claude-enhanced-applied');
 });
 
@@ -233,9 +234,46 @@ export function installMockConstants() {
     MIN_WIDTH: 40,
     MAX_WIDTH: 100,
     PRESET_CYCLE: [50, 70, 85, 100],
+    DEFAULT_WIDTH_UNIT: '%',
+    WIDTH_UNITS: {
+      '%': { label: 'Percent', spoken: 'percent', min: 40, max: 100, step: 5, defaultValue: 85, presets: [50, 70, 85, 100] },
+      'px': { label: 'Pixels', spoken: 'pixels', min: 480, max: 2560, step: 20, defaultValue: 1200, presets: [800, 1000, 1200, 1600] },
+      'ch': { label: 'Readable measure', spoken: 'characters', min: 45, max: 160, step: 5, defaultValue: 80, presets: [65, 80, 100, 130] },
+      'rem': { label: 'Root em', spoken: 'rem', min: 30, max: 160, step: 2, defaultValue: 64, presets: [48, 64, 80, 110] }
+    },
+    MAX_WIDTH_BREAKPOINTS: 5,
+    MAX_BREAKPOINT_VIEWPORT: 7680,
+    ALIGNMENT_OPTIONS: ['left', 'center', 'right'],
+    MAX_ALIGNMENT_OFFSET: 400,
+    SIDEBAR_MODES: ['default', 'rail', 'autohide'],
+    SIDEBAR_WIDTHS: [0, 220, 280, 360],
+    SIDEBAR_RAIL_WIDTH: 56,
+    FONT_FAMILIES: ['default', 'sans', 'serif', 'dyslexic', 'custom'],
+    LETTER_SPACINGS: ['tight', 'normal', 'wide', 'wider'],
+    PARAGRAPH_SPACINGS: ['compact', 'normal', 'relaxed', 'spacious'],
+    HEADING_SCALES: ['smaller', 'normal', 'larger'],
+    CUSTOM_FONT_MAX_LENGTH: 64,
+    CUSTOM_FONT_PATTERN: /^[\p{L}\p{N} ._-]+$/u,
+    CODE_FONT_FAMILIES: ['default', 'system', 'custom'],
+    CODE_FONT_SIZES: [0, 12, 13, 14, 16],
+    CODE_TAB_SIZES: [0, 2, 4, 8],
+    CODE_PREVIEW_LINE_COUNTS: [3, 5, 10],
+    CODE_COLLAPSE_THRESHOLDS: [0, 20, 50, 100],
+    TABLE_LAYOUTS: ['natural', 'fit'],
+    MESSAGE_FOLD_HEIGHTS: [400, 800, 1600],
+    MESSAGE_ROLE_WIDTHS: [0, 60, 75, 90],
+    MESSAGE_ROLE_ALIGNMENTS: ['left', 'center', 'right'],
+    MESSAGE_ROLE_TINTS: ['none', 'gray', 'blue', 'green', 'amber'],
+    MESSAGE_ROLE_FONT_SCALES: [90, 100, 110, 125],
+    SIDEBAR_REVEAL_EDGE: 8,
     STORAGE_KEY: 'chatWidthPercent',
     THEME_STORAGE_KEY: 'theme',
     LAST_WIDTH_KEY: 'lastNonDefaultWidth',
+    LAST_PINNED_WIDTH_KEY: 'lastNonDefaultPinnedWidth',
+    WIDTH_UNIT_KEY: 'chatWidthUnit',
+    WIDTH_BREAKPOINTS_KEY: 'widthBreakpoints',
+    AUTO_WIDTH_KEY: 'autoWidth',
+    AUTO_WIDTH_BOUNDS_KEY: 'autoWidthBounds',
     ENHANCED_KEYS: {
       FONT_SIZE: 'fontSizePercent',
       LINE_HEIGHT: 'lineHeight',
@@ -244,9 +282,43 @@ export function installMockConstants() {
       CODE_BLOCK_HEIGHT: 'codeBlockMaxHeight',
       CODE_BLOCK_WRAP: 'codeBlockWordWrap',
       CODE_BLOCKS_COLLAPSED: 'codeBlocksCollapsed',
+      CODE_PREVIEW_LINES: 'codePreviewLines',
+      CODE_COLLAPSE_MIN_LINES: 'codeCollapseMinLines',
+      CODE_FONT_FAMILY: 'codeFontFamily',
+      CUSTOM_CODE_FONT_FAMILY: 'customCodeFontFamily',
+      CODE_FONT_SIZE: 'codeFontSize',
+      CODE_TAB_SIZE: 'codeTabSize',
+      CODE_LIGATURES: 'codeLigatures',
+      CODE_LINE_NUMBERS: 'codeLineNumbers',
+      TABLE_LAYOUT: 'tableLayout',
+      TABLE_COPY_BUTTONS: 'tableCopyButtons',
+      FOLD_HUMAN_MESSAGES: 'foldHumanMessages',
+      FOLD_ASSISTANT_MESSAGES: 'foldAssistantMessages',
+      MESSAGE_FOLD_HEIGHT: 'messageFoldHeight',
+      HUMAN_MESSAGE_WIDTH: 'humanMessageWidth',
+      HUMAN_MESSAGE_ALIGNMENT: 'humanMessageAlignment',
+      HUMAN_MESSAGE_TINT: 'humanMessageTint',
+      HUMAN_MESSAGE_FONT_SCALE: 'humanMessageFontScale',
+      ASSISTANT_MESSAGE_WIDTH: 'assistantMessageWidth',
+      ASSISTANT_MESSAGE_ALIGNMENT: 'assistantMessageAlignment',
+      ASSISTANT_MESSAGE_TINT: 'assistantMessageTint',
+      ASSISTANT_MESSAGE_FONT_SCALE: 'assistantMessageFontScale',
       SHOW_TIMESTAMPS: 'showTimestamps',
       SHOW_AVATARS: 'showAvatars',
-      BUBBLE_STYLE: 'messageBubbleStyle'
+      BUBBLE_STYLE: 'messageBubbleStyle',
+      SHOW_RESIZE_HANDLES: 'showResizeHandles',
+      ALIGNMENT: 'chatAlignment',
+      ALIGNMENT_OFFSET: 'chatAlignmentOffset',
+      SIDEBAR_MODE: 'sidebarMode',
+      SIDEBAR_WIDTH: 'sidebarWidth',
+      FOCUS_MODE: 'focusMode',
+      FOCUS_WIDTH: 'focusWidth',
+      FOCUS_WIDTH_UNIT: 'focusWidthUnit',
+      FONT_FAMILY: 'fontFamily',
+      CUSTOM_FONT_FAMILY: 'customFontFamily',
+      LETTER_SPACING: 'letterSpacing',
+      PARAGRAPH_SPACING: 'paragraphSpacing',
+      HEADING_SCALE: 'headingScale'
     },
     ENHANCED_DEFAULTS: {
       fontSizePercent: 100,
@@ -256,20 +328,62 @@ export function installMockConstants() {
       codeBlockMaxHeight: 400,
       codeBlockWordWrap: false,
       codeBlocksCollapsed: false,
+      codePreviewLines: 5,
+      codeCollapseMinLines: 0,
+      codeFontFamily: 'default',
+      customCodeFontFamily: '',
+      codeFontSize: 0,
+      codeTabSize: 0,
+      codeLigatures: true,
+      codeLineNumbers: false,
+      tableLayout: 'natural',
+      tableCopyButtons: false,
+      foldHumanMessages: false,
+      foldAssistantMessages: false,
+      messageFoldHeight: 800,
+      humanMessageWidth: 0,
+      humanMessageAlignment: 'left',
+      humanMessageTint: 'none',
+      humanMessageFontScale: 100,
+      assistantMessageWidth: 0,
+      assistantMessageAlignment: 'left',
+      assistantMessageTint: 'none',
+      assistantMessageFontScale: 100,
       showTimestamps: true,
       showAvatars: true,
-      messageBubbleStyle: 'rounded'
+      messageBubbleStyle: 'rounded',
+      showResizeHandles: true,
+      chatAlignment: 'center',
+      chatAlignmentOffset: 0,
+      sidebarMode: 'default',
+      sidebarWidth: 0,
+      focusMode: false,
+      focusWidth: 0,
+      focusWidthUnit: '%',
+      fontFamily: 'default',
+      customFontFamily: '',
+      letterSpacing: 'normal',
+      paragraphSpacing: 'normal',
+      headingScale: 'normal'
     },
     DISPLAY_MODE_PRESETS: {
-      'compact': { lineHeight: 'compact', messagePadding: 'small', fontSize: 95 },
-      'comfortable': { lineHeight: 'normal', messagePadding: 'medium', fontSize: 100 },
-      'spacious': { lineHeight: 'relaxed', messagePadding: 'large', fontSize: 105 }
+      'compact': { lineHeight: 'compact', messagePadding: 'small', fontSize: 95, codeFontSize: 12 },
+      'comfortable': { lineHeight: 'normal', messagePadding: 'medium', fontSize: 100, codeFontSize: 0 },
+      'spacious': { lineHeight: 'relaxed', messagePadding: 'large', fontSize: 105, codeFontSize: 14 }
     },
     TIMING: {
       DEBOUNCE_MS: 50,
       ANIMATION_MS: 150,
       SR_ANNOUNCE_DELAY_MS: 50,
-      INIT_RETRY_INTERVALS: [100, 500, 1000, 2000, 3000]
+      RESIZE_DEBOUNCE_MS: 150,
+      AUTO_WIDTH_DEBOUNCE_MS: 400,
+      SIDEBAR_HIDE_DELAY_MS: 300,
+      OBSERVER_IDLE_TIMEOUT_MS: 500,
+      HEALTH_CHECK_INTERVAL_MS: 5000,
+      LINE_NUMBERS_SETTLE_MS: 400,
+      TABLE_SETTLE_MS: 400,
+      COPY_FEEDBACK_MS: 1500,
+      MESSAGE_FOLD_DEBOUNCE_MS: 400
     },
     MAX_CUSTOM_PRESETS: 4,
     MAX_RECENT_WIDTHS: 3,
@@ -283,6 +397,8 @@ export function installMockConstants() {
     VALID_THEMES: ['light', 'dark', 'system'],
     BADGE_COLOR: '#6B7280',
     BADGE_TEXT_COLOR: '#FFFFFF',
+    BADGE_WARNING_COLOR: '#D97706',
+    HEALTH_STATUSES: ['healthy', 'degraded', 'broken'],
 
     // Profile configuration (v1.9.0)
     MAX_PROFILES: 8,
@@ -295,6 +411,10 @@ export function installMockConstants() {
     },
     PROFILE_DEFAULTS: {
       chatWidthPercent: 85,
+      chatWidthUnit: '%',
+      widthBreakpoints: [],
+      autoWidth: false,
+      autoWidthBounds: null,
       theme: 'system',
       customPresets: [],
       fontSizePercent: 100,
@@ -304,13 +424,328 @@ export function installMockConstants() {
       codeBlockMaxHeight: 400,
       codeBlockWordWrap: false,
       codeBlocksCollapsed: false,
+      codePreviewLines: 5,
+      codeCollapseMinLines: 0,
+      codeFontFamily: 'default',
+      customCodeFontFamily: '',
+      codeFontSize: 0,
+      codeTabSize: 0,
+      codeLigatures: true,
+      codeLineNumbers: false,
+      tableLayout: 'natural',
+      tableCopyButtons: false,
+      foldHumanMessages: false,
+      foldAssistantMessages: false,
+      messageFoldHeight: 800,
+      humanMessageWidth: 0,
+      humanMessageAlignment: 'left',
+      humanMessageTint: 'none',
+      humanMessageFontScale: 100,
+      assistantMessageWidth: 0,
+      assistantMessageAlignment: 'left',
+      assistantMessageTint: 'none',
+      assistantMessageFontScale: 100,
       showTimestamps: true,
       showAvatars: true,
-      messageBubbleStyle: 'rounded'
+      messageBubbleStyle: 'rounded',
+      showResizeHandles: true,
+      chatAlignment: 'center',
+      chatAlignmentOffset: 0,
+      sidebarMode: 'default',
+      sidebarWidth: 0,
+      focusMode: false,
+      focusWidth: 0,
+      focusWidthUnit: '%',
+      fontFamily: 'default',
+      customFontFamily: '',
+      letterSpacing: 'normal',
+      paragraphSpacing: 'normal',
+      headingScale: 'normal',
+      selectorOverrides: {},
+      customCSS: '',
+      customCSSEnabled: true
     },
     EXPORT_VERSION: 1,
     SYNC_QUOTA_BYTES: 102400,
-    SYNC_SAFE_LIMIT: 90000
+    SYNC_SAFE_LIMIT: 90000,
+    SYNC_QUOTA_BYTES_PER_ITEM: 8192,
+    SYNC_PROFILE_IDS_KEY: 'profileIds',
+    SYNC_PROFILE_KEY_PREFIX: 'profile:',
+
+    // Conversation overrides (v1.10.0)
+    CONVERSATION_OVERRIDES_KEY: 'conversationOverrides',
+    CONVERSATION_OVERRIDE_KEYS: ['chatWidthPercent', 'chatWidthUnit', 'fontSizePercent', 'codeBlockMaxHeight', 'codeBlockWordWrap'],
+    MAX_CONVERSATION_OVERRIDES: 200,
+
+    // Selector overrides (v1.10.0)
+    SELECTOR_OVERRIDES_KEY: 'selectorOverrides',
+    GLOBAL_SELECTOR_OVERRIDES_KEY: 'globalSelectorOverrides',
+    MAX_SELECTOR_OVERRIDES: 5,
+    SELECTOR_OVERRIDE_MAX_LENGTH: 300,
+    CUSTOM_CSS_KEY: 'customCSS',
+    CUSTOM_CSS_ENABLED_KEY: 'customCSSEnabled',
+    CUSTOM_CSS_MAX_BYTES: 4096
+  };
+
+  // Mirrors the width unit helpers in lib/constants.js (v1.10.0)
+  window.ClaudeWidthUnits = {
+    isValidUnit(unit) {
+      return typeof unit === 'string' &&
+        Object.prototype.hasOwnProperty.call(window.ClaudeWidthConstants.WIDTH_UNITS, unit);
+    },
+    normalizeUnit(unit) {
+      return this.isValidUnit(unit) ? unit : window.ClaudeWidthConstants.DEFAULT_WIDTH_UNIT;
+    },
+    getUnitConfig(unit) {
+      return window.ClaudeWidthConstants.WIDTH_UNITS[this.normalizeUnit(unit)];
+    },
+    clampWidth(value, unit) {
+      const config = this.getUnitConfig(unit);
+      if (typeof value !== 'number' || isNaN(value)) {
+        return config.defaultValue;
+      }
+      return Math.max(config.min, Math.min(config.max, Math.round(value)));
+    },
+    isValidWidth(value, unit) {
+      const config = this.getUnitConfig(unit);
+      return typeof value === 'number' && value >= config.min && value <= config.max;
+    },
+    formatWidth(value, unit) {
+      return `${value}${this.normalizeUnit(unit)}`;
+    },
+    formatBadgeText(value, unit) {
+      const normalized = this.normalizeUnit(unit);
+      if (normalized === 'ch') return `${value}ch`;
+      if (normalized === 'rem') return `${value}r`;
+      return String(value);
+    },
+    describeWidth(value, unit) {
+      return `${value} ${this.getUnitConfig(unit).spoken}`;
+    },
+    getPresetWidths(unit) {
+      return this.getUnitConfig(unit).presets;
+    },
+    normalizeRecentWidths(list) {
+      if (!Array.isArray(list)) {
+        return [];
+      }
+      return list
+        .map(entry => (typeof entry === 'number'
+          ? { width: entry, unit: '%' }
+          : { width: entry?.width, unit: this.normalizeUnit(entry?.unit) }))
+        .filter(entry => this.isValidWidth(entry.width, entry.unit));
+    }
+  };
+
+  // Mirrors the viewport breakpoint helpers in lib/constants.js (v1.10.0)
+  window.ClaudeWidthBreakpoints = {
+    sanitizeBreakpoints(list) {
+      if (!Array.isArray(list)) {
+        return [];
+      }
+      const { MAX_WIDTH_BREAKPOINTS, MAX_BREAKPOINT_VIEWPORT } = window.ClaudeWidthConstants;
+      const Units = window.ClaudeWidthUnits;
+      const seen = new Set();
+      const tiers = [];
+      for (const tier of list) {
+        if (!tier || typeof tier.minViewport !== 'number' || isNaN(tier.minViewport) ||
+          typeof tier.width !== 'number' || isNaN(tier.width)) {
+          continue;
+        }
+        const minViewport = Math.max(0, Math.min(MAX_BREAKPOINT_VIEWPORT, Math.round(tier.minViewport)));
+        if (seen.has(minViewport)) {
+          continue;
+        }
+        seen.add(minViewport);
+        const unit = Units.normalizeUnit(tier.unit);
+        tiers.push({ minViewport, width: Units.clampWidth(tier.width, unit), unit });
+      }
+      return tiers
+        .sort((a, b) => a.minViewport - b.minViewport)
+        .slice(0, MAX_WIDTH_BREAKPOINTS);
+    },
+    findActiveBreakpoint(tiers, viewportWidth) {
+      if (!Array.isArray(tiers) || typeof viewportWidth !== 'number') {
+        return -1;
+      }
+      let active = -1;
+      tiers.forEach((tier, index) => {
+        if (tier.minViewport <= viewportWidth) {
+          active = index;
+        }
+      });
+      return active;
+    },
+    describeBreakpointRange(tiers, index) {
+      const tier = tiers[index];
+      const next = tiers[index + 1];
+      if (!tier) return '';
+      if (!next) {
+        return tier.minViewport === 0 ? 'All window widths' : `${tier.minViewport}px and wider`;
+      }
+      if (tier.minViewport === 0) {
+        return `Below ${next.minViewport}px`;
+      }
+      return `${tier.minViewport}-${next.minViewport}px`;
+    }
+  };
+
+  // Mirrors the auto width helpers in lib/constants.js (v1.10.0)
+  window.ClaudeWidthAutoWidth = {
+    getDefaultBounds(unit) {
+      const Units = window.ClaudeWidthUnits;
+      const config = Units.getUnitConfig(unit);
+      return {
+        min: config.defaultValue,
+        max: config.presets[config.presets.length - 1],
+        unit: Units.normalizeUnit(unit)
+      };
+    },
+    sanitizeBounds(bounds, unit) {
+      const Units = window.ClaudeWidthUnits;
+      const defaults = this.getDefaultBounds(unit);
+      if (!bounds || typeof bounds !== 'object' || Units.normalizeUnit(bounds.unit) !== defaults.unit) {
+        return defaults;
+      }
+      const min = typeof bounds.min === 'number' ? Units.clampWidth(bounds.min, defaults.unit) : defaults.min;
+      const max = typeof bounds.max === 'number' ? Units.clampWidth(bounds.max, defaults.unit) : defaults.max;
+      return { min: Math.min(min, max), max: Math.max(min, max), unit: defaults.unit };
+    },
+    getCandidateWidths(bounds) {
+      const presets = window.ClaudeWidthUnits.getPresetWidths(bounds.unit)
+        .filter(width => width > bounds.min && width < bounds.max);
+      return [...new Set([bounds.min, ...presets, bounds.max])];
+    },
+    pickWidth(candidates, requiredPixels, pixelsPerUnit) {
+      const fit = candidates.find(width => width * pixelsPerUnit >= requiredPixels - 1);
+      return fit ?? candidates[candidates.length - 1];
+    },
+    formatLabel(width, unit) {
+      return `Auto (${window.ClaudeWidthUnits.formatWidth(width, unit)})`;
+    },
+    formatBadgeText(width, unit) {
+      const text = window.ClaudeWidthUnits.formatBadgeText(width, unit);
+      return text.length < 4 ? `A${text}` : text;
+    }
+  };
+
+  // Mirrors the custom CSS helpers in lib/constants.js (v1.10.0)
+  window.ClaudeWidthCustomCSS = {
+    getByteSize(css) {
+      return new Blob([css]).size;
+    },
+    sanitizeCSS(value) {
+      if (typeof value !== 'string' || this.getByteSize(value) > window.ClaudeWidthConstants.CUSTOM_CSS_MAX_BYTES) {
+        return '';
+      }
+      return value;
+    },
+    validateCSS(css) {
+      const maxBytes = window.ClaudeWidthConstants.CUSTOM_CSS_MAX_BYTES;
+      const fail = (message, line) => ({ valid: false, error: `Line ${line}: ${message}`, line });
+      const countLines = text => text.split('\n').length - 1;
+
+      if (typeof css !== 'string') {
+        return { valid: false, error: 'Custom CSS must be text' };
+      }
+      if (this.getByteSize(css) > maxBytes) {
+        return { valid: false, error: `Custom CSS must be ${maxBytes / 1024} KB or less` };
+      }
+
+      const openBlocks = [];
+      let line = 1;
+
+      for (let i = 0; i < css.length; i++) {
+        const char = css[i];
+
+        if (char === '\n') {
+          line++;
+        } else if (char === '/' && css[i + 1] === '*') {
+          const end = css.indexOf('*/', i + 2);
+          if (end === -1) {
+            return fail('comment is not closed', line);
+          }
+          line += countLines(css.slice(i, end));
+          i = end + 1;
+        } else if (char === '"' || char === "'") {
+          let end = i + 1;
+          while (end < css.length && css[end] !== char && css[end] !== '\n') {
+            end += css[end] === '\\' ? 2 : 1;
+          }
+          if (end >= css.length || css[end] !== char) {
+            return fail('string is not closed', line);
+          }
+          line += countLines(css.slice(i, end));
+          i = end;
+        } else if (char === '{') {
+          openBlocks.push(line);
+        } else if (char === '}') {
+          if (openBlocks.length === 0) {
+            return fail('unexpected "}"', line);
+          }
+          openBlocks.pop();
+        } else if (char === '@' && /^@import\b/i.test(css.slice(i, i + 8))) {
+          return fail('@import is not allowed', line);
+        }
+      }
+
+      if (openBlocks.length > 0) {
+        return fail('block is not closed with "}"', openBlocks[openBlocks.length - 1]);
+      }
+
+      return { valid: true };
+    }
+  };
+
+  // Mirrors the typography helpers in lib/constants.js (v1.10.0)
+  window.ClaudeWidthTypography = {
+    sanitizeFontName(value) {
+      const { CUSTOM_FONT_MAX_LENGTH, CUSTOM_FONT_PATTERN } = window.ClaudeWidthConstants;
+      if (typeof value !== 'string') {
+        return '';
+      }
+
+      const name = value.trim().replace(/\s+/g, ' ');
+      if (name.length > CUSTOM_FONT_MAX_LENGTH || !CUSTOM_FONT_PATTERN.test(name)) {
+        return '';
+      }
+      return name;
+    }
+  };
+
+  // Mirrors the user override helpers in lib/selectors.js (v1.10.0)
+  window.ClaudeWidthSelectors = {
+    getRoles() {
+      return ['sidebar', 'header', 'banner', 'modelSelector', 'conversation', 'column', 'composer', 'stickyFooter',
+        'thread', 'message', 'humanMessage', 'assistantMessage', 'messageText', 'prose', 'avatar', 'timestamp', 'codeBlock', 'codeContainer'];
+    },
+    isValidSelector(selector) {
+      if (typeof selector !== 'string') return false;
+      const trimmed = selector.trim();
+      if (!trimmed || trimmed.length > window.ClaudeWidthConstants.SELECTOR_OVERRIDE_MAX_LENGTH) return false;
+      if (/[{}]/.test(trimmed) || trimmed.includes('::')) return false;
+      try {
+        document.createDocumentFragment().querySelector(trimmed);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    sanitizeOverrides(value) {
+      const result = {};
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return result;
+      }
+      for (const role of this.getRoles()) {
+        if (!Array.isArray(value[role])) continue;
+        const selectors = [...new Set(value[role].filter(selector => this.isValidSelector(selector)).map(selector => selector.trim()))]
+          .slice(0, window.ClaudeWidthConstants.MAX_SELECTOR_OVERRIDES);
+        if (selectors.length > 0) {
+          result[role] = selectors;
+        }
+      }
+      return result;
+    }
   };
 
   window.ClaudeWidthLogger = {
@@ -0,0 +1,165 @@
+/**
+ * Unit Tests for content/sidebar.js
+ * ===================================
+ *
+ * Tests for the optional sidebar management: finding the sidebar with the
+ * shared sidebar selector role and the CSS generated for each mode.
+ *
+ * Note: These tests implement the sidebar functions directly to test
+ * the logic without depending on the actual module loading mechanism.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// =========================================================================
+// Test Implementations of Sidebar Functions
+// These mirror the actual implementation in content/sidebar.js
+// =========================================================================
+
+const { SIDEBAR_RAIL_WIDTH } = window.ClaudeWidthConstants;
+
+const SIDEBAR_ATTR = 'data-claude-width-sidebar';
+
+// The 'sidebar' role of lib/selectors.js
+const SIDEBAR_SELECTOR = [
+  'nav', 'aside', '[role="navigation"]',
+  '[data-testid="sidebar"]', '[data-testid="side-nav"]', '[data-testid="history-panel"]',
+  '[aria-label*="sidebar" i]', '[aria-label*="navigation" i]', '[aria-label*="history" i]', '[aria-label*="menu" i]',
+  '[class*="Sidebar"]', '[class*="SideNav"]', '[class*="LeftPanel"]', '[class*="NavPanel"]',
+  '[class*="NavigationMenu"]', '[class*="HistoryPanel"]', '[class*="ConversationList"]',
+  '[class*="sidebar"]', '[class*="sidenav"]', '[class*="side-nav"]', '[class*="left-panel"]',
+  '[class*="nav-panel"]', '[class*="navigation-menu"]', '[class*="history-panel"]', '[class*="conversation-list"]'
+].join(', ');
+
+function isManaged(settings) {
+  return settings.hidden === true || settings.mode !== 'default' || settings.width > 0;
+}
+
+function findSidebar() {
+  for (const element of document.querySelectorAll(SIDEBAR_SELECTOR)) {
+    const rect = element.getBoundingClientRect();
+    if (rect.width > 0 &&
+        rect.left <= 1 &&
+        rect.width < window.innerWidth / 2 &&
+        rect.height >= window.innerHeight / 2) {
+      return element;
+    }
+  }
+
+  return null;
+}
+
+function generateSidebarCSS(settings) {
+  const selector = `[${SIDEBAR_ATTR}]`;
+  const rules = [];
+
+  if (settings.hidden) {
+    return `${selector} { display: none !important; }`;
+  }
+
+  if (settings.mode === 'rail') {
+    rules.push(`${selector} { width: ${SIDEBAR_RAIL_WIDTH}px !important; }`);
+  } else if (settings.width > 0) {
+    rules.push(`${selector} { width: ${settings.width}px !important; }`);
+  }
+
+  if (settings.mode === 'autohide') {
+    rules.push(`${selector} { position: fixed !important; transform: translateX(-100%); }`);
+  }
+
+  return rules.join('\n\n');
+}
+
+function addElement(tagName, className, rect, parent = document.body) {
+  const element = document.createElement(tagName);
+  element.className = className;
+  element.getBoundingClientRect = () => ({ top: 0, bottom: rect.height, right: rect.left + rect.width, ...rect });
+  parent.appendChild(element);
+  return element;
+}
+
+// =========================================================================
+// Tests
+// =========================================================================
+
+describe('Sidebar Management', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    window.innerWidth = 1440;
+    window.innerHeight = 900;
+  });
+
+  describe('isManaged', () => {
+    it('should leave the page alone by default', () => {
+      expect(isManaged({ mode: 'default', width: 0 })).toBe(false);
+    });
+
+    it('should manage the sidebar for any mode or width', () => {
+      expect(isManaged({ mode: 'rail', width: 0 })).toBe(true);
+      expect(isManaged({ mode: 'autohide', width: 0 })).toBe(true);
+      expect(isManaged({ mode: 'default', width: 280 })).toBe(true);
+    });
+
+    it('should manage a sidebar hidden by focus mode', () => {
+      expect(isManaged({ mode: 'default', width: 0, hidden: true })).toBe(true);
+    });
+  });
+
+  describe('findSidebar', () => {
+    it('should find the outermost sidebar at the left edge', () => {
+      const sidebar = addElement('div', 'LeftSidebar', { left: 0, width: 260, height: 900 });
+      addElement('nav', 'SidebarNav', { left: 0, width: 260, height: 880 }, sidebar);
+
+      expect(findSidebar()).toBe(sidebar);
+    });
+
+    it('should skip short navigation bars', () => {
+      addElement('nav', 'TopNav', { left: 0, width: 300, height: 48 });
+      const sidebar = addElement('aside', '', { left: 0, width: 260, height: 900 });
+
+      expect(findSidebar()).toBe(sidebar);
+    });
+
+    it('should skip page wrappers and panels away from the left edge', () => {
+      addElement('div', 'with-sidebar-layout', { left: 0, width: 1440, height: 900 });
+      addElement('aside', '', { left: 1180, width: 260, height: 900 });
+
+      expect(findSidebar()).toBeNull();
+    });
+
+    it('should skip hidden matches', () => {
+      addElement('nav', '', { left: 0, width: 0, height: 900 });
+
+      expect(findSidebar()).toBeNull();
+    });
+  });
+
+  describe('generateSidebarCSS', () => {
+    it('should set the chosen width', () => {
+      expect(generateSidebarCSS({ mode: 'default', width: 280 })).toContain('width: 280px');
+    });
+
+    it('should use the rail width over the chosen width', () => {
+      const css = generateSidebarCSS({ mode: 'rail', width: 360 });
+      expect(css).toContain(`width: ${SIDEBAR_RAIL_WIDTH}px`);
+      expect(css).not.toContain('360px');
+    });
+
+    it('should take an auto-hidden sidebar out of the page flow', () => {
+      const css = generateSidebarCSS({ mode: 'autohide', width: 220 });
+      expect(css).toContain('position: fixed');
+      expect(css).toContain('width: 220px');
+    });
+
+    it('should only hide the sidebar in focus mode', () => {
+      const css = generateSidebarCSS({ mode: 'autohide', width: 220, hidden: true });
+      expect(css).toContain('display: none');
+      expect(css).not.toContain('position: fixed');
+      expect(css).not.toContain('220px');
+    });
+
+    it('should generate nothing for the page default', () => {
+      expect(generateSidebarCSS({ mode: 'default', width: 0 })).toBe('');
+    });
+  });
+});
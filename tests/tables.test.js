@@ -0,0 +1,246 @@
+/**
+ * Unit Tests for content/tables.js
+ * ==================================
+ *
+ * Tests for the table layout: which tables are laid out, which ones are
+ * marked to scroll on their own, how a table is read into rows and the
+ * TSV and CSV text the copy buttons produce.
+ *
+ * Note: These tests implement the table functions directly to test
+ * the logic without depending on the actual module loading mechanism.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+// =========================================================================
+// Test Implementations of Table Functions
+// These mirror the actual implementation in content/tables.js
+// =========================================================================
+
+const TOOLS_CLASS = 'claude-table-tools';
+const TABLE_ATTR = 'data-claude-width-table';
+
+// The 'prose' role of lib/selectors.js
+const PROSE_SELECTOR = '.prose, [class*="prose"], [class*="Markdown"], [class*="markdown"]';
+
+function findTables(root) {
+  const candidates = [];
+
+  const enclosing = root.closest('table');
+  if (enclosing) {
+    candidates.push(enclosing);
+  }
+  candidates.push(...root.querySelectorAll('table'));
+
+  return [...new Set(candidates)].filter(table => table.closest(PROSE_SELECTOR));
+}
+
+function isWide(table) {
+  if (table.hasAttribute(TABLE_ATTR)) {
+    return table.scrollWidth > table.clientWidth;
+  }
+  const container = table.parentElement;
+  return Boolean(container) && table.offsetWidth > container.clientWidth;
+}
+
+// The 'natural' layout of measureTable()
+function measureTable(table) {
+  table.toggleAttribute(TABLE_ATTR, isWide(table));
+}
+
+function getCellText(cell) {
+  return cell.textContent.replace(/\s+/g, ' ').trim();
+}
+
+function getTableRows(table) {
+  return [...table.rows].map(row => {
+    const cells = [];
+    for (const cell of row.cells) {
+      cells.push(getCellText(cell));
+      for (let span = 1; span < cell.colSpan; span++) {
+        cells.push('');
+      }
+    }
+    return cells;
+  });
+}
+
+function formatTSV(rows) {
+  return rows.map(cells => cells.map(cell => cell.replace(/\t/g, ' ')).join('\t')).join('\n');
+}
+
+function formatCSV(rows) {
+  return rows.map(cells => cells.map(cell =>
+    /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell
+  ).join(',')).join('\r\n');
+}
+
+// =========================================================================
+// Tests
+// =========================================================================
+
+describe('Tables', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('findTables', () => {
+    it('should find the tables in rendered markdown', () => {
+      document.body.innerHTML = '<div class="prose"><table><tr><td>a</td></tr></table><table></table></div>';
+
+      expect(findTables(document.body)).toHaveLength(2);
+    });
+
+    it('should leave tables outside rendered markdown alone', () => {
+      document.body.innerHTML = '<nav><table><tr><td>a</td></tr></table></nav>';
+
+      expect(findTables(document.body)).toEqual([]);
+    });
+
+    it('should find the table around a row added while it streams in', () => {
+      document.body.innerHTML = '<div class="prose"><table id="table"><tbody><tr id="row"><td>a</td></tr></tbody></table></div>';
+
+      expect(findTables(document.getElementById('row'))).toEqual([document.getElementById('table')]);
+    });
+  });
+
+  describe('measureTable', () => {
+    let columnWidth;
+
+    function createTable(tableWidth) {
+      document.body.innerHTML = '<div class="prose"><p>Intro</p><table><tr><td>a</td></tr></table><p>After</p></div>';
+      const table = document.querySelector('table');
+      Object.defineProperty(table, 'offsetWidth', { configurable: true, get: () => tableWidth });
+      Object.defineProperty(table, 'scrollWidth', { configurable: true, get: () => tableWidth });
+      // Once marked, the table is at most as wide as the column
+      Object.defineProperty(table, 'clientWidth', {
+        configurable: true,
+        get: () => Math.min(tableWidth, columnWidth)
+      });
+      return table;
+    }
+
+    beforeEach(() => {
+      columnWidth = 600;
+      Object.defineProperty(HTMLElement.prototype, 'clientWidth', {
+        configurable: true,
+        get: () => columnWidth
+      });
+    });
+
+    afterEach(() => {
+      delete HTMLElement.prototype.clientWidth;
+    });
+
+    it('should leave a table that fits the column alone', () => {
+      const table = createTable(400);
+      const before = document.body.innerHTML;
+
+      measureTable(table);
+
+      expect(document.body.innerHTML).toBe(before);
+      expect(table.hasAttribute(TABLE_ATTR)).toBe(false);
+    });
+
+    it('should mark a table wider than the column without moving it', () => {
+      const table = createTable(900);
+
+      measureTable(table);
+
+      expect(table.hasAttribute(TABLE_ATTR)).toBe(true);
+      expect(table.parentElement.className).toBe('prose');
+      expect(table.previousElementSibling.textContent).toBe('Intro');
+      expect(table.nextElementSibling.textContent).toBe('After');
+    });
+
+    it('should keep a table marked while it still overflows the column', () => {
+      const table = createTable(900);
+      measureTable(table);
+      measureTable(table);
+
+      expect(table.hasAttribute(TABLE_ATTR)).toBe(true);
+    });
+
+    it('should unmark a table once the column is wide enough', () => {
+      const table = createTable(900);
+      measureTable(table);
+
+      columnWidth = 1200;
+      measureTable(table);
+
+      expect(table.hasAttribute(TABLE_ATTR)).toBe(false);
+    });
+
+    it('should leave a marked table where the page can still insert and remove around it', () => {
+      const table = createTable(900);
+      measureTable(table);
+
+      const prose = document.querySelector('.prose');
+      const note = document.createElement('p');
+      expect(() => prose.insertBefore(note, table)).not.toThrow();
+      expect(() => prose.removeChild(table)).not.toThrow();
+      expect(prose.querySelector('table')).toBeNull();
+    });
+  });
+
+  describe('getTableRows', () => {
+    function createTable(html) {
+      document.body.innerHTML = `<div class="prose"><table>${html}</table></div>`;
+      return document.querySelector('table');
+    }
+
+    it('should read the header row first', () => {
+      const table = createTable(
+        '<thead><tr><th>Name</th><th>Size</th></tr></thead>' +
+        '<tbody><tr><td>a.py</td><td>12</td></tr></tbody>'
+      );
+
+      expect(getTableRows(table)).toEqual([['Name', 'Size'], ['a.py', '12']]);
+    });
+
+    it('should put each cell on one line', () => {
+      const table = createTable('<tr><td>  one\n  <strong>two</strong>\n</td></tr>');
+
+      expect(getTableRows(table)).toEqual([['one two']]);
+    });
+
+    it('should keep columns aligned after a spanning cell', () => {
+      const table = createTable('<tr><td colspan="2">wide</td><td>c</td></tr><tr><td>a</td><td>b</td><td>c</td></tr>');
+
+      expect(getTableRows(table)).toEqual([['wide', '', 'c'], ['a', 'b', 'c']]);
+    });
+
+    it('should leave out the copy buttons', () => {
+      const table = createTable(
+        `<caption class="${TOOLS_CLASS}"><button>Copy TSV</button></caption>` +
+        '<tr><td>a</td></tr>'
+      );
+
+      expect(getTableRows(table)).toEqual([['a']]);
+    });
+  });
+
+  describe('formatTSV', () => {
+    it('should separate cells with tabs and rows with newlines', () => {
+      expect(formatTSV([['a', 'b'], ['c', 'd']])).toBe('a\tb\nc\td');
+    });
+
+    it('should replace tabs inside cells', () => {
+      expect(formatTSV([['a\tb']])).toBe('a b');
+    });
+  });
+
+  describe('formatCSV', () => {
+    it('should separate cells with commas and rows with CRLF', () => {
+      expect(formatCSV([['a', 'b'], ['c', 'd']])).toBe('a,b\r\nc,d');
+    });
+
+    it('should quote cells with commas or quotes', () => {
+      expect(formatCSV([['1,000', 'say "hi"', 'plain']])).toBe('"1,000","say ""hi""",plain');
+    });
+
+    it('should keep empty cells', () => {
+      expect(formatCSV([['a', '', 'c']])).toBe('a,,c');
+    });
+  });
+});